@@ -0,0 +1,95 @@
+/**
+ * Development content store for encrypted evidence files.
+ *
+ * Keeps each file on the local filesystem under the content hash anchored on-chain and
+ * serves it over HTTP at /content/<hash>, the layout the dApp's HTTP content store expects.
+ * Files arrive already encrypted. A PUT is refused unless the body hashes to its path, and
+ * a stored file is never replaced, so a hash always serves the bytes first anchored under it.
+ * Readers still check files against the on-chain hash. Not meant for production use.
+ *
+ * Usage: npm run content-store
+ * Environment: CONTENT_STORE_PORT (default 8787), CONTENT_STORE_DIR (default .content-store)
+ */
+import { createServer } from 'node:http';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { keccak256 } from 'ethers';
+
+const PORT = Number(process.env.CONTENT_STORE_PORT || 8787);
+const ROOT = path.resolve(process.env.CONTENT_STORE_DIR || '.content-store');
+const MAX_FILE_BYTES = 50 * 1024 * 1024;
+const CONTENT_PATH = /^\/content\/(0x[0-9a-f]{64})$/;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+const send = (res, status, body = '', headers = {}) => {
+  res.writeHead(status, { ...CORS_HEADERS, ...headers });
+  res.end(body);
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    // Past the limit the rest is drained unread so the 413 response still reaches the client
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_FILE_BYTES) {
+        reject(new Error('File too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+
+const server = createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+
+  const match = CONTENT_PATH.exec(req.url || '');
+  if (!match) {
+    send(res, 404, 'Not found');
+    return;
+  }
+  const file = path.join(ROOT, match[1]);
+
+  try {
+    if (req.method === 'GET') {
+      const data = await readFile(file);
+      send(res, 200, data, { 'Content-Type': 'application/octet-stream' });
+    } else if (req.method === 'PUT') {
+      const data = await readBody(req);
+      if (keccak256(data) !== match[1]) {
+        send(res, 400, 'Content hash mismatch');
+        return;
+      }
+      // 'wx' fails with EEXIST instead of overwriting
+      await writeFile(file, data, { flag: 'wx' });
+      send(res, 201);
+    } else {
+      send(res, 405, 'Method not allowed');
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      send(res, 404, 'Not found');
+    } else if (error.code === 'EEXIST') {
+      send(res, 409, 'Already stored');
+    } else {
+      console.error(`${req.method} ${req.url} failed:`, error.message);
+      send(res, error.message === 'File too large' ? 413 : 500, error.message);
+    }
+  }
+});
+
+await mkdir(ROOT, { recursive: true });
+server.listen(PORT, () => {
+  console.log(`Content store serving ${ROOT} at http://localhost:${PORT}/content/<hash>`);
+});
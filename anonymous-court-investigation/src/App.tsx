@@ -1,21 +1,23 @@
 import React, { useState, useCallback } from 'react';
+import { Navigate, Route, Routes } from 'react-router-dom';
 import { Header } from './components/Header';
 import { Tabs } from './components/Tabs';
 import { Dashboard } from './components/Dashboard';
 import { Investigations } from './components/Investigations';
+import { InvestigationDetail } from './components/InvestigationDetail';
 import { Evidence } from './components/Evidence';
 import { Witnesses } from './components/Witnesses';
+import { Stakes } from './components/Stakes';
 import { Verdicts } from './components/Verdicts';
 import { Admin } from './components/Admin';
 import { Alerts } from './components/Alerts';
 import { useWallet } from './hooks/useWallet';
 import { useInvestigations } from './hooks/useInvestigations';
-import { TabType, Alert, AlertType } from './types';
+import { Alert, AlertType } from './types';
 import { generateId } from './lib/utils';
 import './App.css';
 
 function App() {
-  const [activeTab, setActiveTab] = useState<TabType>('dashboard');
   const [alerts, setAlerts] = useState<Alert[]>([]);
 
   // Wallet connection
@@ -28,17 +30,6 @@ function App() {
     switchNetwork,
   } = useWallet();
 
-  // Investigations and dashboard data
-  const {
-    investigations,
-    dashboardStats,
-    userRoles,
-    loading,
-    updateDashboard,
-    updateUserRoles,
-    loadInvestigations,
-  } = useInvestigations(contract, address);
-
   // Alert management
   const showAlert = useCallback((message: string, type: AlertType = 'info') => {
     const alert: Alert = {
@@ -59,6 +50,28 @@ function App() {
     setAlerts((prev) => prev.filter((alert) => alert.id !== id));
   }, []);
 
+  // Investigations and dashboard data, kept current by contract events
+  const notifyEvent = useCallback((message: string) => showAlert(message, 'info'), [showAlert]);
+  const {
+    investigations,
+    pageInvestigations,
+    investigationsPage,
+    investigationPageCount,
+    setInvestigationsPage,
+    evidence,
+    votes,
+    dashboardStats,
+    userRoles,
+    loading,
+    updateDashboard,
+    updateUserRoles,
+    loadInvestigations,
+    loadAllInvestigations,
+    loadInvestigationById,
+    loadEvidence,
+    loadVotes,
+  } = useInvestigations(contract, address, notifyEvent);
+
   // Handle wallet connection
   const handleConnect = async () => {
     try {
@@ -83,6 +96,23 @@ function App() {
     await Promise.all([updateDashboard(), updateUserRoles(), loadInvestigations()]);
   };
 
+  // Shared by the investigation route and its evidence sub-route, which pre-selects one item
+  const investigationDetail = (
+    <InvestigationDetail
+      contract={contract}
+      address={address}
+      investigations={investigations}
+      loadInvestigationById={loadInvestigationById}
+      loadAllInvestigations={loadAllInvestigations}
+      evidence={evidence}
+      votes={votes}
+      loadEvidence={loadEvidence}
+      loadVotes={loadVotes}
+      onUpdate={handleUpdate}
+      showAlert={showAlert}
+    />
+  );
+
   return (
     <div className="App">
       <Alerts alerts={alerts} onRemove={removeAlert} />
@@ -94,7 +124,7 @@ function App() {
         onDisconnect={handleDisconnect}
       />
 
-      <Tabs activeTab={activeTab} onTabChange={setActiveTab} />
+      <Tabs />
 
       <main className="main-content">
         <div className="container">
@@ -105,50 +135,71 @@ function App() {
             </div>
           )}
 
-          {activeTab === 'dashboard' && (
-            <Dashboard stats={dashboardStats} roles={userRoles} />
-          )}
-
-          {activeTab === 'investigations' && (
-            <Investigations
-              contract={contract}
-              investigations={investigations}
-              onUpdate={handleUpdate}
-              showAlert={showAlert}
+          <Routes>
+            <Route path="/" element={<Dashboard stats={dashboardStats} roles={userRoles} />} />
+            <Route
+              path="/investigations"
+              element={
+                <Investigations
+                  contract={contract}
+                  investigations={investigations}
+                  pageInvestigations={pageInvestigations}
+                  page={investigationsPage}
+                  pageCount={investigationPageCount}
+                  onPageChange={setInvestigationsPage}
+                  loadAllInvestigations={loadAllInvestigations}
+                  roles={userRoles}
+                  onUpdate={handleUpdate}
+                  showAlert={showAlert}
+                />
+              }
             />
-          )}
-
-          {activeTab === 'evidence' && (
-            <Evidence
-              contract={contract}
-              onUpdate={handleUpdate}
-              showAlert={showAlert}
+            <Route path="/investigations/:investigationId" element={investigationDetail} />
+            <Route path="/investigations/:investigationId/evidence/:evidenceId" element={investigationDetail} />
+            <Route
+              path="/evidence"
+              element={
+                <Evidence
+                  contract={contract}
+                  address={address}
+                  evidence={evidence}
+                  loadEvidence={loadEvidence}
+                  onUpdate={handleUpdate}
+                  showAlert={showAlert}
+                />
+              }
             />
-          )}
-
-          {activeTab === 'witnesses' && (
-            <Witnesses
-              contract={contract}
-              onUpdate={handleUpdate}
-              showAlert={showAlert}
+            <Route
+              path="/witnesses"
+              element={
+                <Witnesses contract={contract} address={address} onUpdate={handleUpdate} showAlert={showAlert} />
+              }
             />
-          )}
-
-          {activeTab === 'verdicts' && (
-            <Verdicts
-              contract={contract}
-              onUpdate={handleUpdate}
-              showAlert={showAlert}
+            <Route
+              path="/stakes"
+              element={<Stakes contract={contract} address={address} onUpdate={handleUpdate} showAlert={showAlert} />}
             />
-          )}
-
-          {activeTab === 'admin' && (
-            <Admin
-              contract={contract}
-              onUpdate={handleUpdate}
-              showAlert={showAlert}
+            <Route
+              path="/verdicts"
+              element={
+                <Verdicts
+                  contract={contract}
+                  address={address}
+                  investigations={investigations}
+                  loadAllInvestigations={loadAllInvestigations}
+                  votes={votes}
+                  loadVotes={loadVotes}
+                  onUpdate={handleUpdate}
+                  showAlert={showAlert}
+                />
+              }
             />
-          )}
+            <Route
+              path="/admin"
+              element={<Admin contract={contract} address={address} onUpdate={handleUpdate} showAlert={showAlert} />}
+            />
+            <Route path="*" element={<Navigate to="/" replace />} />
+          </Routes>
         </div>
       </main>
 
@@ -1,20 +1,93 @@
-import React, { useState } from 'react';
-import { Contract } from 'ethers';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Contract, formatUnits, parseUnits } from 'ethers';
 import { useContract } from '@/hooks/useContract';
-import { isValidAddress } from '@/lib/utils';
+import { formatTimestamp, getEvidenceTypeLabel, isValidAddress } from '@/lib/utils';
+import { ETH_ASSET, formatStake, isTokenAsset, loadInvestigationStake, loadStakeAssets } from '@/lib/stake';
+import { encryptJudgeWeightInput } from '@/lib/fhe';
+import { InvestigationStake, StakeAsset } from '@/types';
+
+// Editable minimum stakes of one asset, in whole units of the asset
+interface StakeMinimumsForm {
+  evidence: string[];
+  witness: string;
+}
+
+const EMPTY_MINIMUMS: StakeMinimumsForm = { evidence: ['0', '0', '0', '0'], witness: '0' };
 
 interface AdminProps {
   contract: Contract | null;
+  address: string | null;
   onUpdate: () => void;
   showAlert: (message: string, type: 'success' | 'error' | 'warning' | 'info') => void;
 }
 
-export const Admin: React.FC<AdminProps> = ({ contract, onUpdate, showAlert }) => {
+export const Admin: React.FC<AdminProps> = ({ contract, address, onUpdate, showAlert }) => {
   const [investigatorAddress, setInvestigatorAddress] = useState('');
   const [judgeAddress, setJudgeAddress] = useState('');
+  const [judgeWeight, setJudgeWeight] = useState('1');
+  const [judgeWeightInvestigationId, setJudgeWeightInvestigationId] = useState('');
   const [archiveInvestigationId, setArchiveInvestigationId] = useState('');
+  const [treasuryAddress, setTreasuryAddress] = useState('');
+  const [currentTreasury, setCurrentTreasury] = useState<string | null>(null);
+  const [unallocatedFunds, setUnallocatedFunds] = useState(0n);
+  const [stakeInvestigationId, setStakeInvestigationId] = useState('');
+  const [investigationStake, setInvestigationStake] = useState<InvestigationStake | null>(null);
+  const [stakeAssets, setStakeAssets] = useState<StakeAsset[]>([ETH_ASSET]);
+  const [stakeAssetAddress, setStakeAssetAddress] = useState(ETH_ASSET.address);
+  const [stakeTokenAddress, setStakeTokenAddress] = useState('');
+  const [minimumsAssetAddress, setMinimumsAssetAddress] = useState(ETH_ASSET.address);
+  const [stakeMinimums, setStakeMinimums] = useState<StakeMinimumsForm>(EMPTY_MINIMUMS);
+  const [confidentialityScale, setConfidentialityScale] = useState('0');
   const { executeTransaction, txState } = useContract(contract);
 
+  const loadTreasury = useCallback(async () => {
+    if (!contract) return;
+
+    try {
+      const [treasury, unallocated] = await Promise.all([contract.treasury(), contract.unallocatedFunds()]);
+      setCurrentTreasury(treasury);
+      setUnallocatedFunds(unallocated);
+    } catch (error) {
+      console.error('Error loading treasury:', error);
+    }
+  }, [contract]);
+
+  const loadStakeTokens = useCallback(async () => {
+    if (!contract) return;
+
+    try {
+      setStakeAssets(await loadStakeAssets(contract));
+    } catch (error) {
+      console.error('Error loading stake tokens:', error);
+    }
+  }, [contract]);
+
+  const minimumsAsset = stakeAssets.find((asset) => asset.address === minimumsAssetAddress) ?? ETH_ASSET;
+
+  const loadStakeMinimums = useCallback(async () => {
+    if (!contract) return;
+
+    try {
+      const minimums = await contract.getStakeMinimums(minimumsAsset.address);
+      setStakeMinimums({
+        evidence: minimums.evidenceMinimums.map((amount: bigint) => formatUnits(amount, minimumsAsset.decimals)),
+        witness: formatUnits(minimums.witnessMinimum, minimumsAsset.decimals),
+      });
+      setConfidentialityScale(minimums.confidentialityScale.toString());
+    } catch (error) {
+      console.error('Error loading stake minimums:', error);
+    }
+  }, [contract, minimumsAsset]);
+
+  useEffect(() => {
+    loadTreasury();
+    loadStakeTokens();
+  }, [loadTreasury, loadStakeTokens]);
+
+  useEffect(() => {
+    loadStakeMinimums();
+  }, [loadStakeMinimums]);
+
   const handleAuthorizeInvestigator = async () => {
     if (!investigatorAddress) {
       showAlert('Please enter investigator address', 'error');
@@ -74,13 +147,38 @@ export const Admin: React.FC<AdminProps> = ({ contract, onUpdate, showAlert }) =
       return;
     }
 
+    if (!judgeWeight || parseInt(judgeWeight) < 1) {
+      showAlert('Please enter a vote weight of at least 1', 'error');
+      return;
+    }
+
+    if (!address) {
+      showAlert('Please connect your wallet first', 'error');
+      return;
+    }
+
+    // A per-investigation weight overrides the judge's global weight for that case only
+    const successMessage = judgeWeightInvestigationId
+      ? `Judge weight set for investigation #${judgeWeightInvestigationId}!`
+      : 'Judge authorized successfully!';
+
     try {
-      await executeTransaction(
-        () => contract!.authorizeJudge(judgeAddress),
-        'Judge authorized successfully!'
-      );
-      showAlert('Judge authorized successfully!', 'success');
+      await executeTransaction(async () => {
+        const { handles, inputProof } = await encryptJudgeWeightInput(address, parseInt(judgeWeight));
+
+        return judgeWeightInvestigationId
+          ? contract!.setInvestigationJudgeWeight(
+              parseInt(judgeWeightInvestigationId),
+              judgeAddress,
+              handles[0],
+              inputProof
+            )
+          : contract!.authorizeJudge(judgeAddress, handles[0], inputProof);
+      }, successMessage);
+      showAlert(successMessage, 'success');
       setJudgeAddress('');
+      setJudgeWeight('1');
+      setJudgeWeightInvestigationId('');
       onUpdate();
     } catch (error: any) {
       showAlert(error.message || 'Failed to authorize judge', 'error');
@@ -130,6 +228,125 @@ export const Admin: React.FC<AdminProps> = ({ contract, onUpdate, showAlert }) =
     }
   };
 
+  const handleSetTreasury = async () => {
+    if (!isValidAddress(treasuryAddress)) {
+      showAlert('Invalid treasury address', 'error');
+      return;
+    }
+
+    try {
+      await executeTransaction(() => contract!.setTreasury(treasuryAddress), 'Treasury updated successfully!');
+      showAlert('Treasury updated successfully!', 'success');
+      setTreasuryAddress('');
+      loadTreasury();
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to update treasury', 'error');
+    }
+  };
+
+  const handleSetStakeToken = async (allowed: boolean) => {
+    if (!isValidAddress(stakeTokenAddress)) {
+      showAlert('Invalid token address', 'error');
+      return;
+    }
+
+    const message = allowed ? 'Stake token allowed!' : 'Stake token removed!';
+    try {
+      await executeTransaction(() => contract!.setStakeToken(stakeTokenAddress, allowed), message);
+      showAlert(message, 'success');
+      setStakeTokenAddress('');
+      loadStakeTokens();
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to update stake token', 'error');
+    }
+  };
+
+  const handleSetStakeMinimums = async () => {
+    let evidenceMinimums: bigint[];
+    let witnessMinimum: bigint;
+    try {
+      evidenceMinimums = stakeMinimums.evidence.map((amount) => parseUnits(amount.trim() || '0', minimumsAsset.decimals));
+      witnessMinimum = parseUnits(stakeMinimums.witness.trim() || '0', minimumsAsset.decimals);
+    } catch {
+      showAlert('Invalid minimum stake amount', 'error');
+      return;
+    }
+
+    try {
+      await executeTransaction(
+        () => contract!.setStakeMinimums(minimumsAsset.address, evidenceMinimums, witnessMinimum),
+        'Minimum stakes updated!'
+      );
+      showAlert(`Minimum ${minimumsAsset.symbol} stakes updated!`, 'success');
+      loadStakeMinimums();
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to update minimum stakes', 'error');
+    }
+  };
+
+  const handleSetConfidentialityScale = async () => {
+    if (!/^\d+$/.test(confidentialityScale.trim())) {
+      showAlert('Please enter a whole percentage', 'error');
+      return;
+    }
+
+    try {
+      await executeTransaction(
+        () => contract!.setConfidentialityStakeScale(BigInt(confidentialityScale.trim())),
+        'Confidentiality scaling updated!'
+      );
+      showAlert('Confidentiality scaling updated!', 'success');
+      loadStakeMinimums();
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to update confidentiality scaling', 'error');
+    }
+  };
+
+  const handleCheckStake = async () => {
+    if (!stakeInvestigationId) {
+      showAlert('Please enter investigation ID', 'error');
+      return;
+    }
+
+    try {
+      const investigationId = parseInt(stakeInvestigationId);
+      const asset = stakeAssets.find((option) => option.address === stakeAssetAddress) ?? ETH_ASSET;
+      setInvestigationStake(await loadInvestigationStake(contract!, investigationId, asset));
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to load investigation stake', 'error');
+    }
+  };
+
+  const handleSweepForfeited = async () => {
+    if (!investigationStake) return;
+
+    const { investigationId, asset } = investigationStake;
+    try {
+      await executeTransaction(
+        () =>
+          isTokenAsset(asset)
+            ? contract!.sweepForfeitedTokenStakes(investigationId, asset.address)
+            : contract!.sweepForfeitedStakes(investigationId),
+        'Forfeited stakes swept to the treasury!'
+      );
+      showAlert('Forfeited stakes swept to the treasury!', 'success');
+      handleCheckStake();
+      onUpdate();
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to sweep forfeited stakes', 'error');
+    }
+  };
+
+  const handleSweepUnallocated = async () => {
+    try {
+      await executeTransaction(() => contract!.sweepUnallocatedFunds(), 'Unallocated funds swept to the treasury!');
+      showAlert('Unallocated funds swept to the treasury!', 'success');
+      loadTreasury();
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to sweep unallocated funds', 'error');
+    }
+  };
+
   return (
     <div className="tab-content active">
       <div className="section-header">
@@ -181,6 +398,28 @@ export const Admin: React.FC<AdminProps> = ({ contract, onUpdate, showAlert }) =
               onChange={(e) => setJudgeAddress(e.target.value)}
             />
           </div>
+          <div className="form-group">
+            <label htmlFor="judgeWeight">Vote Weight (encrypted):</label>
+            <input
+              type="number"
+              id="judgeWeight"
+              className="form-control"
+              min="1"
+              value={judgeWeight}
+              onChange={(e) => setJudgeWeight(e.target.value)}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="judgeWeightInvestigationId">Investigation ID (optional, per-investigation weight):</label>
+            <input
+              type="number"
+              id="judgeWeightInvestigationId"
+              className="form-control"
+              placeholder="Leave blank for a global weight"
+              value={judgeWeightInvestigationId}
+              onChange={(e) => setJudgeWeightInvestigationId(e.target.value)}
+            />
+          </div>
           <button
             className="btn btn-primary"
             onClick={handleAuthorizeJudge}
@@ -217,6 +456,195 @@ export const Admin: React.FC<AdminProps> = ({ contract, onUpdate, showAlert }) =
             <i className="fas fa-archive"></i> Archive
           </button>
         </div>
+
+        <div className="admin-section">
+          <h3>Stake Treasury</h3>
+          <p>
+            <strong>Treasury:</strong> {currentTreasury ?? 'Loading...'}
+          </p>
+          <div className="form-group">
+            <label htmlFor="treasuryAddress">New Treasury Address:</label>
+            <input
+              type="text"
+              id="treasuryAddress"
+              className="form-control"
+              placeholder="0x..."
+              value={treasuryAddress}
+              onChange={(e) => setTreasuryAddress(e.target.value)}
+            />
+          </div>
+          <button className="btn btn-primary" onClick={handleSetTreasury} disabled={txState.isProcessing}>
+            <i className="fas fa-university"></i> Set Treasury
+          </button>
+
+          <div className="form-group">
+            <label htmlFor="stakeTokenAddress">Stake Token Address:</label>
+            <input
+              type="text"
+              id="stakeTokenAddress"
+              className="form-control"
+              placeholder="0x..."
+              value={stakeTokenAddress}
+              onChange={(e) => setStakeTokenAddress(e.target.value)}
+            />
+            <small>
+              Accepted:{' '}
+              {stakeAssets
+                .map((asset) => (isTokenAsset(asset) ? `${asset.symbol} (${asset.address})` : asset.symbol))
+                .join(', ')}
+            </small>
+          </div>
+          <div className="form-actions">
+            <button
+              className="btn btn-primary"
+              onClick={() => handleSetStakeToken(true)}
+              disabled={txState.isProcessing}
+            >
+              <i className="fas fa-plus"></i> Allow Token
+            </button>
+            <button
+              className="btn btn-danger"
+              onClick={() => handleSetStakeToken(false)}
+              disabled={txState.isProcessing}
+            >
+              <i className="fas fa-ban"></i> Remove Token
+            </button>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="stakeInvestigationId">Investigation ID:</label>
+            <input
+              type="number"
+              id="stakeInvestigationId"
+              className="form-control"
+              value={stakeInvestigationId}
+              onChange={(e) => setStakeInvestigationId(e.target.value)}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="stakeAsset">Stake Asset:</label>
+            <select
+              id="stakeAsset"
+              className="form-control"
+              value={stakeAssetAddress}
+              onChange={(e) => setStakeAssetAddress(e.target.value)}
+            >
+              {stakeAssets.map((asset) => (
+                <option key={asset.address} value={asset.address}>
+                  {asset.symbol}
+                </option>
+              ))}
+            </select>
+          </div>
+          <button className="btn btn-secondary" onClick={handleCheckStake} disabled={txState.isProcessing}>
+            <i className="fas fa-search-dollar"></i> Check Stake
+          </button>
+          {investigationStake && (
+            <div>
+              <p>
+                <strong>Locked:</strong> {formatStake(investigationStake.locked, investigationStake.asset)} |{' '}
+                <strong>Forfeited:</strong> {formatStake(investigationStake.forfeited, investigationStake.asset)}
+              </p>
+              <p>
+                <strong>Forfeits:</strong>{' '}
+                {investigationStake.forfeitsAt
+                  ? formatTimestamp(investigationStake.forfeitsAt)
+                  : 'not archived yet'}
+              </p>
+              <button
+                className="btn btn-warning"
+                onClick={handleSweepForfeited}
+                disabled={txState.isProcessing || investigationStake.forfeited === 0n}
+              >
+                <i className="fas fa-hand-holding-usd"></i> Sweep Forfeited Stakes
+              </button>
+            </div>
+          )}
+
+          <p>
+            <strong>Unallocated funds:</strong> {formatStake(unallocatedFunds)}
+          </p>
+          <button
+            className="btn btn-warning"
+            onClick={handleSweepUnallocated}
+            disabled={txState.isProcessing || unallocatedFunds === 0n}
+          >
+            <i className="fas fa-hand-holding-usd"></i> Sweep Unallocated Funds
+          </button>
+        </div>
+
+        <div className="admin-section">
+          <h3>Minimum Stakes</h3>
+          <div className="form-group">
+            <label htmlFor="minimumsAsset">Stake Asset:</label>
+            <select
+              id="minimumsAsset"
+              className="form-control"
+              value={minimumsAssetAddress}
+              onChange={(e) => setMinimumsAssetAddress(e.target.value)}
+            >
+              {stakeAssets.map((asset) => (
+                <option key={asset.address} value={asset.address}>
+                  {asset.symbol}
+                </option>
+              ))}
+            </select>
+          </div>
+          {stakeMinimums.evidence.map((amount, type) => (
+            <div className="form-group" key={type}>
+              <label htmlFor={`evidenceMinimum${type}`}>
+                {getEvidenceTypeLabel(type)} Evidence ({minimumsAsset.symbol}):
+              </label>
+              <input
+                type="text"
+                inputMode="decimal"
+                id={`evidenceMinimum${type}`}
+                className="form-control"
+                value={amount}
+                onChange={(e) =>
+                  setStakeMinimums({
+                    ...stakeMinimums,
+                    evidence: stakeMinimums.evidence.map((current, index) => (index === type ? e.target.value : current)),
+                  })
+                }
+              />
+            </div>
+          ))}
+          <div className="form-group">
+            <label htmlFor="witnessMinimum">Witness Testimony ({minimumsAsset.symbol}):</label>
+            <input
+              type="text"
+              inputMode="decimal"
+              id="witnessMinimum"
+              className="form-control"
+              value={stakeMinimums.witness}
+              onChange={(e) => setStakeMinimums({ ...stakeMinimums, witness: e.target.value })}
+            />
+          </div>
+          <button className="btn btn-primary" onClick={handleSetStakeMinimums} disabled={txState.isProcessing}>
+            <i className="fas fa-save"></i> Save Minimums
+          </button>
+
+          <div className="form-group">
+            <label htmlFor="confidentialityScale">Increase per Confidentiality Tier (%):</label>
+            <input
+              type="number"
+              id="confidentialityScale"
+              className="form-control"
+              min="0"
+              value={confidentialityScale}
+              onChange={(e) => setConfidentialityScale(e.target.value)}
+            />
+            <small>Tiers are confidentiality 1-25, 26-50, 51-75 and 76-100; applies to every asset</small>
+          </div>
+          <button
+            className="btn btn-primary"
+            onClick={handleSetConfidentialityScale}
+            disabled={txState.isProcessing}
+          >
+            <i className="fas fa-layer-group"></i> Save Scaling
+          </button>
+        </div>
       </div>
     </div>
   );
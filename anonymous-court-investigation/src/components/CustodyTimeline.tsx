@@ -0,0 +1,39 @@
+import React from 'react';
+import { CustodyLog } from '@/types';
+import { formatAddress, formatTimestamp } from '@/lib/utils';
+
+interface CustodyTimelineProps {
+  log: CustodyLog;
+}
+
+// Submission followed by every hand-over, oldest first; location codes stay encrypted on-chain
+export const CustodyTimeline: React.FC<CustodyTimelineProps> = ({ log }) => (
+  <div className="list-item">
+    <div className="list-item-header">
+      <span className="list-item-title">
+        Evidence #{log.evidenceId} — Investigation #{log.investigationId}
+      </span>
+      <span className="list-item-status status-active">Custodian: {formatAddress(log.custodian)}</span>
+    </div>
+    <ol className="custody-timeline">
+      <li className="custody-event">
+        <span className="custody-time">{formatTimestamp(log.submittedAt)}</span>
+        <p>
+          <strong>Submitted</strong> by {formatAddress(log.submitter)}
+        </p>
+      </li>
+      {log.transfers.map((transfer, index) => (
+        <li key={index} className="custody-event">
+          <span className="custody-time">{formatTimestamp(transfer.timestamp)}</span>
+          <p>
+            <strong>Transfer #{index + 1}:</strong> {formatAddress(transfer.from)} <i className="fas fa-arrow-right"></i>{' '}
+            {formatAddress(transfer.to)}
+          </p>
+          <p className="custody-location">
+            <i className="fas fa-lock"></i> Encrypted location {formatAddress(transfer.encryptedLocation)}
+          </p>
+        </li>
+      ))}
+    </ol>
+  </div>
+);
@@ -1,40 +1,182 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Contract } from 'ethers';
 import { useContract } from '@/hooks/useContract';
-import { EvidenceType } from '@/types';
+import { useRouteSelection } from '@/hooks/useRouteSelection';
+import { useStakedSubmission } from '@/hooks/useStakedSubmission';
+import { StakeAmountInput, CostPreviewCard, StakeReceiptCard } from '@/components/StakeFields';
+import { CustodyTimeline } from '@/components/CustodyTimeline';
+import { EvidenceFiles } from '@/components/EvidenceFiles';
+import { canAffordSubmission, formatStake, getMinimumEvidenceStake } from '@/lib/stake';
+import {
+  REJECTION_REASONS,
+  getEvidenceStateStatus,
+  getRemainingAttestations,
+  hashRejectionReason,
+  loadCustodyLog,
+} from '@/lib/evidence';
+import { CustodyLog, DecryptionRequest, EvidenceReview, RejectionReason, StakeAsset } from '@/types';
+import { encryptCustodyInput, encryptEvidenceInput } from '@/lib/fhe';
+import { formatAddress, formatTimestamp, getEvidenceTypeLabel } from '@/lib/utils';
+
+// How often pending decryption requests are re-checked
+const DECRYPTION_POLL_INTERVAL_MS = 10000;
+
+const getRequestStatus = (request: DecryptionRequest): { label: string; className: string } => {
+  if (request.completed) return { label: 'Completed', className: 'status-completed' };
+  if (request.failed) return { label: 'Failed', className: 'status-archived' };
+  return { label: 'Awaiting Gateway', className: 'status-pending' };
+};
 
 interface EvidenceProps {
   contract: Contract | null;
+  address: string | null;
+  evidence: Record<string, EvidenceReview>;
+  loadEvidence: (investigationId: number) => Promise<void>;
   onUpdate: () => void;
   showAlert: (message: string, type: 'success' | 'error' | 'warning' | 'info') => void;
 }
 
-export const Evidence: React.FC<EvidenceProps> = ({ contract, onUpdate, showAlert }) => {
-  const [investigationId, setInvestigationId] = useState('');
+export const Evidence: React.FC<EvidenceProps> = ({ contract, address, evidence, loadEvidence, onUpdate, showAlert }) => {
+  const selection = useRouteSelection();
+  const [investigationId, setInvestigationId] = useState(selection.investigationId);
   const [evidenceType, setEvidenceType] = useState('0');
   const [confidentialityLevel, setConfidentialityLevel] = useState('');
-  const [verifyInvestigationId, setVerifyInvestigationId] = useState('');
-  const [verifyEvidenceId, setVerifyEvidenceId] = useState('');
+  const [verifyInvestigationId, setVerifyInvestigationId] = useState(selection.investigationId);
+  const [verifyEvidenceId, setVerifyEvidenceId] = useState(selection.evidenceId);
+  const [thresholdInvestigationId, setThresholdInvestigationId] = useState(selection.investigationId);
+  const [verificationThreshold, setVerificationThreshold] = useState('2');
+  const [decryptInvestigationId, setDecryptInvestigationId] = useState(selection.investigationId);
+  const [decryptEvidenceId, setDecryptEvidenceId] = useState(selection.evidenceId);
+  const [decryptionRequests, setDecryptionRequests] = useState<DecryptionRequest[]>([]);
+  const [rejectInvestigationId, setRejectInvestigationId] = useState(selection.investigationId);
+  const [rejectEvidenceId, setRejectEvidenceId] = useState(selection.evidenceId);
+  const [rejectionReason, setRejectionReason] = useState(String(RejectionReason.Fabricated));
+  const [rejectionDetails, setRejectionDetails] = useState('');
+  const [slashPercent, setSlashPercent] = useState('100');
+  const [reviewInvestigationId, setReviewInvestigationId] = useState(selection.investigationId);
+  const [loadedReviewId, setLoadedReviewId] = useState<number | null>(
+    selection.investigationId ? parseInt(selection.investigationId) : null
+  );
+  const [custodyInvestigationId, setCustodyInvestigationId] = useState(selection.investigationId);
+  const [custodyEvidenceId, setCustodyEvidenceId] = useState(selection.evidenceId);
+  const [custodyRecipient, setCustodyRecipient] = useState('');
+  const [custodyLocation, setCustodyLocation] = useState('');
+  const [custodyLog, setCustodyLog] = useState<CustodyLog | null>(null);
   const { executeTransaction, txState } = useContract(contract);
+  const loadMinimumStake = useCallback(
+    (court: Contract, asset: StakeAsset) =>
+      getMinimumEvidenceStake(court, asset, parseInt(evidenceType), parseInt(confidentialityLevel)),
+    [evidenceType, confidentialityLevel]
+  );
+  const staked = useStakedSubmission(contract, address, 'submitEncryptedEvidence', loadMinimumStake);
+  const { clearPreview } = staked;
 
-  const handleSubmitEvidence = async () => {
+  // Encrypted inputs are previewed for these exact values
+  useEffect(() => {
+    clearPreview();
+  }, [investigationId, evidenceType, confidentialityLevel, clearPreview]);
+
+  const loadDecryptionRequests = useCallback(async () => {
+    if (!contract || !address) return;
+
+    try {
+      const requestIds: bigint[] = await contract.getDecryptionRequestsByRequester(address);
+      const requests: DecryptionRequest[] = [];
+
+      for (const requestId of requestIds) {
+        const info = await contract.getDecryptionRequestInfo(requestId);
+        let metadata = null;
+
+        if (info.completed) {
+          const revealed = await contract.getDecryptedEvidence(info.investigationId, info.evidenceId);
+          metadata = {
+            evidenceId: Number(revealed.evidenceId),
+            evidenceType: Number(revealed.evidenceType),
+            confidentialityLevel: Number(revealed.confidentialityLevel),
+            decryptedAt: Number(revealed.decryptedAt),
+          };
+        }
+
+        requests.push({
+          requestId: requestId.toString(),
+          investigationId: Number(info.investigationId),
+          evidenceId: Number(info.evidenceId),
+          timestamp: Number(info.timestamp),
+          deadline: Number(info.deadline),
+          completed: info.completed,
+          failed: info.failed,
+          attempt: Number(info.attempt),
+          metadata,
+        });
+      }
+
+      // Newest first
+      setDecryptionRequests(requests.reverse());
+    } catch (error) {
+      console.error('Error loading decryption requests:', error);
+    }
+  }, [contract, address]);
+
+  useEffect(() => {
+    loadDecryptionRequests();
+  }, [loadDecryptionRequests]);
+
+  // Keep polling while the Gateway still owes a callback
+  const hasPendingRequests = decryptionRequests.some((request) => !request.completed && !request.failed);
+
+  useEffect(() => {
+    if (!hasPendingRequests) return;
+
+    const interval = setInterval(loadDecryptionRequests, DECRYPTION_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [hasPendingRequests, loadDecryptionRequests]);
+
+  const handlePreviewEvidence = async () => {
     if (!investigationId || !confidentialityLevel) {
       showAlert('Please fill in all fields', 'error');
       return;
     }
 
+    if (!address) {
+      showAlert('Please connect your wallet first', 'error');
+      return;
+    }
+
     try {
-      await executeTransaction(
-        () =>
-          contract!.submitEncryptedEvidence(
-            parseInt(investigationId),
-            parseInt(evidenceType),
-            parseInt(confidentialityLevel)
-          ),
-        'Evidence submitted successfully!'
-      );
+      const preview = await staked.preview(async () => {
+        const { handles, inputProof } = await encryptEvidenceInput(
+          address,
+          parseInt(evidenceType),
+          parseInt(confidentialityLevel)
+        );
+        return [parseInt(investigationId), handles[0], handles[1], inputProof];
+      });
+
+      if (!canAffordSubmission(preview)) {
+        showAlert('Insufficient balance for stake plus gas', 'warning');
+      }
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to estimate submission cost', 'error');
+    }
+  };
+
+  // Tokens without permit support need an allowance before the submission can be estimated
+  const handleApproveStake = async () => {
+    try {
+      await executeTransaction(staked.approve, 'Stake token approved!');
+      showAlert('Stake token approved', 'success');
+      await handlePreviewEvidence();
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to approve stake token', 'error');
+    }
+  };
+
+  const handleSubmitEvidence = async () => {
+    try {
+      const tx = await executeTransaction(staked.send, 'Evidence submitted successfully!');
+      await staked.recordReceipt(tx!);
       showAlert('Evidence submitted successfully!', 'success');
-      setInvestigationId('');
+      setInvestigationId(selection.investigationId);
       setEvidenceType('0');
       setConfidentialityLevel('');
       onUpdate();
@@ -43,6 +185,29 @@ export const Evidence: React.FC<EvidenceProps> = ({ contract, onUpdate, showAler
     }
   };
 
+  // Reviews stay current through contract events once loaded, including after this tab's own actions
+  const evidenceReviews = useMemo(
+    () =>
+      Object.values(evidence)
+        .filter((review) => review.investigationId === loadedReviewId)
+        .sort((a, b) => a.evidenceId - b.evidenceId),
+    [evidence, loadedReviewId]
+  );
+
+  const handleLoadReviews = async () => {
+    if (!reviewInvestigationId) {
+      showAlert('Please enter investigation ID', 'error');
+      return;
+    }
+
+    try {
+      await loadEvidence(parseInt(reviewInvestigationId));
+      setLoadedReviewId(parseInt(reviewInvestigationId));
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to load evidence', 'error');
+    }
+  };
+
   const handleVerifyEvidence = async () => {
     if (!verifyInvestigationId || !verifyEvidenceId) {
       showAlert('Please fill in all fields', 'error');
@@ -53,16 +218,136 @@ export const Evidence: React.FC<EvidenceProps> = ({ contract, onUpdate, showAler
       await executeTransaction(
         () =>
           contract!.verifyEvidence(parseInt(verifyInvestigationId), parseInt(verifyEvidenceId)),
-        'Evidence verified successfully!'
+        'Attestation recorded!'
       );
-      showAlert('Evidence verified successfully!', 'success');
-      setVerifyInvestigationId('');
-      setVerifyEvidenceId('');
+      showAlert('Attestation recorded. The evidence is verified once enough investigators attest it.', 'success');
+      setVerifyInvestigationId(selection.investigationId);
+      setVerifyEvidenceId(selection.evidenceId);
     } catch (error: any) {
       showAlert(error.message || 'Failed to verify evidence', 'error');
     }
   };
 
+  const handleSetThreshold = async () => {
+    const threshold = parseInt(verificationThreshold);
+    if (!thresholdInvestigationId || isNaN(threshold) || threshold < 1) {
+      showAlert('Please enter an investigation ID and a threshold of at least 1', 'error');
+      return;
+    }
+
+    try {
+      await executeTransaction(
+        () => contract!.setVerificationThreshold(parseInt(thresholdInvestigationId), threshold),
+        'Verification threshold set!'
+      );
+      showAlert(`Evidence now needs ${threshold} investigator attestations`, 'success');
+      setThresholdInvestigationId(selection.investigationId);
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to set verification threshold', 'error');
+    }
+  };
+
+  const handleRejectEvidence = async () => {
+    if (!rejectInvestigationId || !rejectEvidenceId || !rejectionDetails.trim()) {
+      showAlert('Please fill in all fields', 'error');
+      return;
+    }
+
+    const percent = parseInt(slashPercent);
+    if (isNaN(percent) || percent < 0 || percent > 100) {
+      showAlert('Slash percentage must be between 0 and 100', 'error');
+      return;
+    }
+
+    const reasonHash = hashRejectionReason(parseInt(rejectionReason), rejectionDetails);
+    try {
+      await executeTransaction(
+        () => contract!.rejectEvidence(parseInt(rejectInvestigationId), parseInt(rejectEvidenceId), reasonHash, percent),
+        'Evidence rejected!'
+      );
+      showAlert(`Evidence rejected. Keep the reason details to prove hash ${reasonHash}`, 'success');
+      setRejectInvestigationId(selection.investigationId);
+      setRejectEvidenceId(selection.evidenceId);
+      setRejectionDetails('');
+      onUpdate();
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to reject evidence', 'error');
+    }
+  };
+
+  const loadCustody = async (investigationId: string, evidenceId: string) => {
+    if (!contract) return;
+
+    try {
+      setCustodyLog(await loadCustodyLog(contract, parseInt(investigationId), parseInt(evidenceId)));
+    } catch (error: any) {
+      setCustodyLog(null);
+      showAlert(error.message || 'Failed to load custody trail', 'error');
+    }
+  };
+
+  const handleLoadCustody = () => {
+    if (!custodyInvestigationId || !custodyEvidenceId) {
+      showAlert('Please enter investigation and evidence ID', 'error');
+      return;
+    }
+    loadCustody(custodyInvestigationId, custodyEvidenceId);
+  };
+
+  const handleTransferCustody = async () => {
+    if (!custodyInvestigationId || !custodyEvidenceId || !custodyRecipient || !custodyLocation) {
+      showAlert('Please fill in all fields', 'error');
+      return;
+    }
+
+    if (!address) {
+      showAlert('Please connect your wallet first', 'error');
+      return;
+    }
+
+    try {
+      const { handles, inputProof } = await encryptCustodyInput(address, parseInt(custodyLocation));
+      await executeTransaction(
+        () =>
+          contract!.transferCustody(
+            parseInt(custodyInvestigationId),
+            parseInt(custodyEvidenceId),
+            custodyRecipient,
+            handles[0],
+            inputProof
+          ),
+        'Custody transferred!'
+      );
+      showAlert('Custody transferred successfully!', 'success');
+      setCustodyRecipient('');
+      setCustodyLocation('');
+      loadCustody(custodyInvestigationId, custodyEvidenceId);
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to transfer custody', 'error');
+    }
+  };
+
+  const handleRequestDecryption = async () => {
+    if (!decryptInvestigationId || !decryptEvidenceId) {
+      showAlert('Please fill in all fields', 'error');
+      return;
+    }
+
+    try {
+      await executeTransaction(
+        () =>
+          contract!.requestEvidenceDecryption(parseInt(decryptInvestigationId), parseInt(decryptEvidenceId)),
+        'Decryption requested successfully!'
+      );
+      showAlert('Decryption requested. The Gateway will reveal the metadata shortly.', 'success');
+      setDecryptInvestigationId(selection.investigationId);
+      setDecryptEvidenceId(selection.evidenceId);
+      loadDecryptionRequests();
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to request decryption', 'error');
+    }
+  };
+
   return (
     <div className="tab-content active">
       <div className="section-header">
@@ -112,15 +397,57 @@ export const Evidence: React.FC<EvidenceProps> = ({ contract, onUpdate, showAler
             required
           />
         </div>
-        <button
-          className="btn btn-primary"
-          onClick={handleSubmitEvidence}
-          disabled={txState.isProcessing}
-        >
-          <i className="fas fa-upload"></i> Submit Evidence
-        </button>
+        <StakeAmountInput
+          id="evidenceStake"
+          amount={staked.stakeAmount}
+          unit={staked.stakeUnit}
+          asset={staked.stakeAsset}
+          assets={staked.stakeAssets}
+          minimum={staked.minimumStake}
+          onAmountChange={staked.setStakeAmount}
+          onUnitChange={staked.setStakeUnit}
+          onAssetChange={staked.setStakeAsset}
+        />
+        {staked.costPreview ? (
+          <>
+            <CostPreviewCard preview={staked.costPreview} />
+            <div className="form-actions">
+              {staked.costPreview.needsApproval ? (
+                <button
+                  className="btn btn-primary"
+                  onClick={handleApproveStake}
+                  disabled={txState.isProcessing || !canAffordSubmission(staked.costPreview)}
+                >
+                  <i className="fas fa-check"></i> Approve {staked.costPreview.asset.symbol}
+                </button>
+              ) : (
+                <button
+                  className="btn btn-primary"
+                  onClick={handleSubmitEvidence}
+                  disabled={txState.isProcessing || !canAffordSubmission(staked.costPreview)}
+                >
+                  <i className="fas fa-upload"></i> Confirm &amp; Submit Evidence
+                </button>
+              )}
+              <button className="btn btn-secondary" onClick={staked.clearPreview} disabled={txState.isProcessing}>
+                <i className="fas fa-times"></i> Cancel
+              </button>
+            </div>
+          </>
+        ) : (
+          <button
+            className="btn btn-primary"
+            onClick={handlePreviewEvidence}
+            disabled={txState.isProcessing || staked.isPreviewing}
+          >
+            <i className="fas fa-calculator"></i> {staked.isPreviewing ? 'Estimating...' : 'Preview Cost'}
+          </button>
+        )}
+        {staked.stakeReceipt && <StakeReceiptCard receipt={staked.stakeReceipt} asset={staked.stakeReceiptAsset} />}
       </div>
 
+      <EvidenceFiles contract={contract} address={address} showAlert={showAlert} />
+
       <div className="form-section">
         <h3>Verify Evidence</h3>
         <div className="form-group">
@@ -153,6 +480,294 @@ export const Evidence: React.FC<EvidenceProps> = ({ contract, onUpdate, showAler
           <i className="fas fa-check-circle"></i> Verify Evidence
         </button>
       </div>
+
+      <div className="form-section">
+        <h3>Verification Threshold</h3>
+        <div className="form-group">
+          <label htmlFor="thresholdInvestigationId">Investigation ID:</label>
+          <input
+            type="number"
+            id="thresholdInvestigationId"
+            className="form-control"
+            value={thresholdInvestigationId}
+            onChange={(e) => setThresholdInvestigationId(e.target.value)}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="verificationThreshold">Investigator Attestations Required:</label>
+          <input
+            type="number"
+            id="verificationThreshold"
+            className="form-control"
+            min="1"
+            value={verificationThreshold}
+            onChange={(e) => setVerificationThreshold(e.target.value)}
+            required
+          />
+          <small>Defaults to 1. It cannot change once the first attestation in the investigation is recorded</small>
+        </div>
+        <button className="btn btn-primary" onClick={handleSetThreshold} disabled={txState.isProcessing}>
+          <i className="fas fa-users"></i> Set Threshold
+        </button>
+      </div>
+
+      <div className="form-section">
+        <h3>Reject Evidence</h3>
+        <div className="form-group">
+          <label htmlFor="rejectInvestigationId">Investigation ID:</label>
+          <input
+            type="number"
+            id="rejectInvestigationId"
+            className="form-control"
+            value={rejectInvestigationId}
+            onChange={(e) => setRejectInvestigationId(e.target.value)}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="rejectEvidenceId">Evidence ID:</label>
+          <input
+            type="number"
+            id="rejectEvidenceId"
+            className="form-control"
+            value={rejectEvidenceId}
+            onChange={(e) => setRejectEvidenceId(e.target.value)}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="rejectionReason">Reason:</label>
+          <select
+            id="rejectionReason"
+            className="form-control"
+            value={rejectionReason}
+            onChange={(e) => setRejectionReason(e.target.value)}
+          >
+            {REJECTION_REASONS.map((reason) => (
+              <option key={reason.value} value={reason.value}>
+                {reason.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="rejectionDetails">Details (kept off-chain, only their hash is recorded):</label>
+          <textarea
+            id="rejectionDetails"
+            className="form-control"
+            value={rejectionDetails}
+            onChange={(e) => setRejectionDetails(e.target.value)}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="slashPercent">Stake Slashed (%):</label>
+          <input
+            type="number"
+            id="slashPercent"
+            className="form-control"
+            min="0"
+            max="100"
+            value={slashPercent}
+            onChange={(e) => setSlashPercent(e.target.value)}
+            required
+          />
+          <small>The slashed part is forfeited to the treasury; the rest is returned to the submitter</small>
+        </div>
+        <button className="btn btn-danger" onClick={handleRejectEvidence} disabled={txState.isProcessing}>
+          <i className="fas fa-times-circle"></i> Reject Evidence
+        </button>
+      </div>
+
+      <div className="form-section">
+        <h3>Evidence Review Status</h3>
+        <div className="form-group">
+          <label htmlFor="reviewInvestigationId">Investigation ID:</label>
+          <input
+            type="number"
+            id="reviewInvestigationId"
+            className="form-control"
+            value={reviewInvestigationId}
+            onChange={(e) => setReviewInvestigationId(e.target.value)}
+          />
+        </div>
+        <button className="btn btn-secondary" onClick={handleLoadReviews}>
+          <i className="fas fa-search"></i> Load Evidence
+        </button>
+        <div className="list-container">
+          {evidenceReviews.length === 0 ? (
+            <p className="empty-state">No evidence loaded</p>
+          ) : (
+            evidenceReviews.map((review) => {
+              const status = getEvidenceStateStatus(review.state);
+              const remaining = getRemainingAttestations(review);
+              return (
+                <div key={review.evidenceId} className="list-item">
+                  <div className="list-item-header">
+                    <span className="list-item-title">Evidence #{review.evidenceId}</span>
+                    <span className={`list-item-status ${status.className}`}>{status.label}</span>
+                  </div>
+                  <p>
+                    <strong>Submitter:</strong> {formatAddress(review.submitter)} | <strong>Submitted:</strong>{' '}
+                    {formatTimestamp(review.timestamp)} | <strong>Stake:</strong> {formatStake(review.stake, review.asset)}
+                  </p>
+                  <p>
+                    <strong>Attestations:</strong> {review.attesters.length} of {review.threshold}
+                    {review.attesters.length > 0 && ` (${review.attesters.map(formatAddress).join(', ')})`}
+                    {remaining > 0 && ` | ${remaining} more needed`}
+                  </p>
+                  {review.state === 'rejected' && (
+                    <p>
+                      <strong>Rejected by:</strong> {formatAddress(review.rejectedBy!)} on{' '}
+                      {formatTimestamp(review.rejectedAt)} | <strong>Slashed:</strong>{' '}
+                      {formatStake(review.slashed, review.asset)}
+                    </p>
+                  )}
+                  {review.understaked && (
+                    <p className="cost-preview-warning">
+                      <i className="fas fa-exclamation-triangle"></i> Stake below the minimum for its type and
+                      confidentiality; it cannot be verified
+                    </p>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+      </div>
+
+      <div className="form-section">
+        <h3>Chain of Custody</h3>
+        <div className="form-group">
+          <label htmlFor="custodyInvestigationId">Investigation ID:</label>
+          <input
+            type="number"
+            id="custodyInvestigationId"
+            className="form-control"
+            value={custodyInvestigationId}
+            onChange={(e) => setCustodyInvestigationId(e.target.value)}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="custodyEvidenceId">Evidence ID:</label>
+          <input
+            type="number"
+            id="custodyEvidenceId"
+            className="form-control"
+            value={custodyEvidenceId}
+            onChange={(e) => setCustodyEvidenceId(e.target.value)}
+            required
+          />
+        </div>
+        <button className="btn btn-secondary" onClick={handleLoadCustody}>
+          <i className="fas fa-search"></i> Load Custody Trail
+        </button>
+        <div className="form-group">
+          <label htmlFor="custodyRecipient">Hand Over To (participant address):</label>
+          <input
+            type="text"
+            id="custodyRecipient"
+            className="form-control"
+            placeholder="0x..."
+            value={custodyRecipient}
+            onChange={(e) => setCustodyRecipient(e.target.value)}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="custodyLocation">Location or Handling Code (encrypted):</label>
+          <input
+            type="number"
+            id="custodyLocation"
+            className="form-control"
+            min="0"
+            value={custodyLocation}
+            onChange={(e) => setCustodyLocation(e.target.value)}
+          />
+          <small>Only the current custodian can transfer the evidence, or the investigation creator once the custodian is revoked</small>
+        </div>
+        <button className="btn btn-primary" onClick={handleTransferCustody} disabled={txState.isProcessing}>
+          <i className="fas fa-exchange-alt"></i> Transfer Custody
+        </button>
+        <div className="list-container">
+          {custodyLog ? (
+            <CustodyTimeline log={custodyLog} />
+          ) : (
+            <p className="empty-state">No custody trail loaded</p>
+          )}
+        </div>
+      </div>
+
+      <div className="form-section">
+        <h3>Request Decryption</h3>
+        <div className="form-group">
+          <label htmlFor="decryptInvestigationId">Investigation ID:</label>
+          <input
+            type="number"
+            id="decryptInvestigationId"
+            className="form-control"
+            value={decryptInvestigationId}
+            onChange={(e) => setDecryptInvestigationId(e.target.value)}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="decryptEvidenceId">Evidence ID:</label>
+          <input
+            type="number"
+            id="decryptEvidenceId"
+            className="form-control"
+            value={decryptEvidenceId}
+            onChange={(e) => setDecryptEvidenceId(e.target.value)}
+            required
+          />
+        </div>
+        <button
+          className="btn btn-primary"
+          onClick={handleRequestDecryption}
+          disabled={txState.isProcessing}
+        >
+          <i className="fas fa-unlock"></i> Request Decryption
+        </button>
+      </div>
+
+      <div className="form-section">
+        <h3>My Decryption Requests</h3>
+        <div className="list-container">
+          {decryptionRequests.length === 0 ? (
+            <p className="empty-state">No decryption requests yet</p>
+          ) : (
+            decryptionRequests.map((request) => {
+              const status = getRequestStatus(request);
+              return (
+                <div key={request.requestId} className="list-item">
+                  <div className="list-item-header">
+                    <span className="list-item-title">
+                      Request #{request.requestId} — Investigation #{request.investigationId}, Evidence #
+                      {request.evidenceId}
+                    </span>
+                    <span className={`list-item-status ${status.className}`}>{status.label}</span>
+                  </div>
+                  {request.metadata ? (
+                    <p>
+                      <strong>Type:</strong> {getEvidenceTypeLabel(request.metadata.evidenceType)} |{' '}
+                      <strong>Confidentiality:</strong> {request.metadata.confidentialityLevel} |{' '}
+                      <strong>Revealed:</strong> {formatTimestamp(request.metadata.decryptedAt)}
+                    </p>
+                  ) : (
+                    <p>
+                      <strong>Attempt:</strong> {request.attempt} | <strong>Requested:</strong>{' '}
+                      {formatTimestamp(request.timestamp)} | <strong>Deadline:</strong>{' '}
+                      {formatTimestamp(request.deadline)}
+                    </p>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,235 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Contract, ZeroHash } from 'ethers';
+import { useContract } from '@/hooks/useContract';
+import { useRouteSelection } from '@/hooks/useRouteSelection';
+import { getContentStore } from '@/lib/contentStore';
+import {
+  createVaultKeyPair,
+  decryptEvidenceFile,
+  downloadEvidenceFile,
+  encryptEvidenceFile,
+  exportVaultPublicKey,
+  loadVaultKeyPair,
+  loadVaultRecipients,
+} from '@/lib/vault';
+import { formatAddress } from '@/lib/utils';
+
+// Whether this browser holds the private key matching the published public key
+type VaultKeyStatus = 'missing' | 'unpublished' | 'published';
+
+interface EvidenceFilesProps {
+  contract: Contract | null;
+  address: string | null;
+  showAlert: (message: string, type: 'success' | 'error' | 'warning' | 'info') => void;
+}
+
+export const EvidenceFiles: React.FC<EvidenceFilesProps> = ({ contract, address, showAlert }) => {
+  const selection = useRouteSelection();
+  const [keyStatus, setKeyStatus] = useState<VaultKeyStatus>('missing');
+  const [attachInvestigationId, setAttachInvestigationId] = useState(selection.investigationId);
+  const [attachEvidenceId, setAttachEvidenceId] = useState(selection.evidenceId);
+  const [file, setFile] = useState<File | null>(null);
+  const [isEncrypting, setIsEncrypting] = useState(false);
+  const [openInvestigationId, setOpenInvestigationId] = useState(selection.investigationId);
+  const [openEvidenceId, setOpenEvidenceId] = useState(selection.evidenceId);
+  const [isDecrypting, setIsDecrypting] = useState(false);
+  const { executeTransaction, txState } = useContract(contract);
+
+  const loadKeyStatus = useCallback(async () => {
+    if (!contract || !address) return;
+
+    try {
+      const [keyPair, published] = await Promise.all([loadVaultKeyPair(address), contract.encryptionKeys(address)]);
+      if (!keyPair) {
+        setKeyStatus('missing');
+      } else {
+        setKeyStatus((await exportVaultPublicKey(keyPair)) === published ? 'published' : 'unpublished');
+      }
+    } catch (error) {
+      console.error('Error loading vault key:', error);
+    }
+  }, [contract, address]);
+
+  useEffect(() => {
+    loadKeyStatus();
+  }, [loadKeyStatus]);
+
+  // Files already wrapped for a replaced key can no longer be opened, so only create one when missing
+  const handlePublishKey = async () => {
+    if (!address) {
+      showAlert('Please connect your wallet first', 'error');
+      return;
+    }
+
+    try {
+      const keyPair = (await loadVaultKeyPair(address)) ?? (await createVaultKeyPair(address));
+      const publicKey = await exportVaultPublicKey(keyPair);
+      await executeTransaction(() => contract!.setEncryptionKey(publicKey), 'Encryption key published!');
+      showAlert('Encryption key published. Files attached from now on can be shared with you.', 'success');
+      loadKeyStatus();
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to publish encryption key', 'error');
+    }
+  };
+
+  const handleAttachFile = async () => {
+    if (!attachInvestigationId || !attachEvidenceId || !file) {
+      showAlert('Please fill in all fields and choose a file', 'error');
+      return;
+    }
+
+    if (!contract) {
+      showAlert('Please connect your wallet first', 'error');
+      return;
+    }
+
+    setIsEncrypting(true);
+    try {
+      const { recipients, missing } = await loadVaultRecipients(contract, parseInt(attachInvestigationId));
+      const { envelope, contentHash } = await encryptEvidenceFile(file, recipients);
+      await getContentStore().put(contentHash, envelope);
+
+      await executeTransaction(
+        () => contract.anchorEvidenceContent(parseInt(attachInvestigationId), parseInt(attachEvidenceId), contentHash),
+        'Evidence file attached!'
+      );
+      showAlert(`File encrypted for ${recipients.length} participants and anchored as ${contentHash}`, 'success');
+      if (missing.length > 0) {
+        showAlert(
+          `No encryption key published by ${missing.map(formatAddress).join(', ')}; they cannot open this file`,
+          'warning'
+        );
+      }
+      setAttachEvidenceId(selection.evidenceId);
+      setFile(null);
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to attach evidence file', 'error');
+    } finally {
+      setIsEncrypting(false);
+    }
+  };
+
+  const handleOpenFile = async () => {
+    if (!openInvestigationId || !openEvidenceId) {
+      showAlert('Please fill in all fields', 'error');
+      return;
+    }
+
+    if (!contract || !address) {
+      showAlert('Please connect your wallet first', 'error');
+      return;
+    }
+
+    setIsDecrypting(true);
+    try {
+      const contentHash: string = await contract.evidenceContentHashes(
+        parseInt(openInvestigationId),
+        parseInt(openEvidenceId)
+      );
+      if (contentHash === ZeroHash) {
+        throw new Error('No file attached to this evidence');
+      }
+
+      const envelope = await getContentStore().get(contentHash);
+      const decrypted = await decryptEvidenceFile(envelope, contentHash, address);
+      downloadEvidenceFile(decrypted);
+      showAlert(`${decrypted.name} matches the on-chain hash and was decrypted`, 'success');
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to open evidence file', 'error');
+    } finally {
+      setIsDecrypting(false);
+    }
+  };
+
+  return (
+    <div className="form-section">
+      <h3>Evidence Files</h3>
+      <p>
+        Files are encrypted in your browser for every participant who published an encryption key. Only their hash is
+        stored on-chain.
+      </p>
+      <div className="list-item">
+        <div className="list-item-header">
+          <span className="list-item-title">Your Encryption Key</span>
+          <span className={`list-item-status ${keyStatus === 'published' ? 'status-active' : 'status-pending'}`}>
+            {keyStatus === 'published' ? 'Published' : keyStatus === 'unpublished' ? 'Not Published' : 'Not Created'}
+          </span>
+        </div>
+        {keyStatus !== 'published' && (
+          <button className="btn btn-secondary" onClick={handlePublishKey} disabled={txState.isProcessing}>
+            <i className="fas fa-key"></i> Publish Encryption Key
+          </button>
+        )}
+        <small>The private key stays in this browser. Without it, files shared with you cannot be opened.</small>
+      </div>
+
+      <h4>Attach File</h4>
+      <div className="form-group">
+        <label htmlFor="attachInvestigationId">Investigation ID:</label>
+        <input
+          type="number"
+          id="attachInvestigationId"
+          className="form-control"
+          value={attachInvestigationId}
+          onChange={(e) => setAttachInvestigationId(e.target.value)}
+          required
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor="attachEvidenceId">Evidence ID (submitted by you):</label>
+        <input
+          type="number"
+          id="attachEvidenceId"
+          className="form-control"
+          value={attachEvidenceId}
+          onChange={(e) => setAttachEvidenceId(e.target.value)}
+          required
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor="evidenceFile">File:</label>
+        <input
+          type="file"
+          id="evidenceFile"
+          className="form-control"
+          onChange={(e) => setFile(e.target.files?.[0] ?? null)}
+          required
+        />
+      </div>
+      <button
+        className="btn btn-primary"
+        onClick={handleAttachFile}
+        disabled={txState.isProcessing || isEncrypting}
+      >
+        <i className="fas fa-paperclip"></i> {isEncrypting ? 'Encrypting...' : 'Encrypt & Attach'}
+      </button>
+
+      <h4>Open File</h4>
+      <div className="form-group">
+        <label htmlFor="openInvestigationId">Investigation ID:</label>
+        <input
+          type="number"
+          id="openInvestigationId"
+          className="form-control"
+          value={openInvestigationId}
+          onChange={(e) => setOpenInvestigationId(e.target.value)}
+          required
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor="openEvidenceId">Evidence ID:</label>
+        <input
+          type="number"
+          id="openEvidenceId"
+          className="form-control"
+          value={openEvidenceId}
+          onChange={(e) => setOpenEvidenceId(e.target.value)}
+          required
+        />
+      </div>
+      <button className="btn btn-secondary" onClick={handleOpenFile} disabled={isDecrypting}>
+        <i className="fas fa-download"></i> {isDecrypting ? 'Decrypting...' : 'Download & Decrypt'}
+      </button>
+    </div>
+  );
+};
@@ -0,0 +1,363 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { Contract } from 'ethers';
+import { useCourtEvents } from '@/hooks/useCourtEvents';
+import { useRouteSelection } from '@/hooks/useRouteSelection';
+import { Evidence } from '@/components/Evidence';
+import { Witnesses } from '@/components/Witnesses';
+import { Verdicts } from '@/components/Verdicts';
+import { CustodyTimeline } from '@/components/CustodyTimeline';
+import { concernsInvestigation, loadCaseDetail, loadInvestigationTimeline, toTimelineEntry } from '@/lib/investigations';
+import { getDecryptionStatusStatus, getEvidenceStateStatus, loadCustodyLog } from '@/lib/evidence';
+import { voteKey } from '@/lib/courtEvents';
+import { formatStake, isTokenAsset } from '@/lib/stake';
+import { formatAddress, formatTimestamp, getInvestigationStatusLabel, getStatusClass } from '@/lib/utils';
+import { CaseDetail, CourtEvent, CustodyLog, EvidenceReview, Investigation, TimelineEntry, VoteRecord } from '@/types';
+
+interface InvestigationDetailProps {
+  contract: Contract | null;
+  address: string | null;
+  investigations: Investigation[];
+  loadInvestigationById: (investigationId: number) => Promise<void>;
+  loadAllInvestigations: () => Promise<void>;
+  evidence: Record<string, EvidenceReview>;
+  votes: Record<string, VoteRecord>;
+  loadEvidence: (investigationId: number) => Promise<void>;
+  loadVotes: (investigationId: number, judges: string[]) => Promise<void>;
+  onUpdate: () => void;
+  showAlert: (message: string, type: 'success' | 'error' | 'warning' | 'info') => void;
+}
+
+/**
+ * Everything about one investigation on a single page. The summary, evidence and votes come
+ * from the event-driven cache; participants, witnesses, the panel, stakes and the timeline
+ * are read here and refreshed whenever an event of this investigation arrives.
+ */
+export const InvestigationDetail: React.FC<InvestigationDetailProps> = ({
+  contract,
+  address,
+  investigations,
+  loadInvestigationById,
+  loadAllInvestigations,
+  evidence,
+  votes,
+  loadEvidence,
+  loadVotes,
+  onUpdate,
+  showAlert,
+}) => {
+  const selection = useRouteSelection();
+  const investigationId = parseInt(selection.investigationId);
+  const selectedEvidenceId = selection.evidenceId ? parseInt(selection.evidenceId) : null;
+  const investigation = investigations.find((inv) => inv.id === investigationId);
+  const isKnown = investigation !== undefined;
+  const [detail, setDetail] = useState<CaseDetail | null>(null);
+  const [timeline, setTimeline] = useState<TimelineEntry[]>([]);
+  const [custodyLog, setCustodyLog] = useState<CustodyLog | null>(null);
+
+  const loadDetail = useCallback(async () => {
+    if (!contract || !isKnown) return;
+
+    try {
+      const caseDetail = await loadCaseDetail(contract, investigationId);
+      setDetail(caseDetail);
+      await loadVotes(investigationId, caseDetail.panelJudges);
+    } catch (error) {
+      console.error(`Error loading investigation ${investigationId}:`, error);
+    }
+  }, [contract, investigationId, isKnown, loadVotes]);
+
+  const loadTimeline = useCallback(async () => {
+    if (!contract || !isKnown) return;
+
+    try {
+      setTimeline(await loadInvestigationTimeline(contract, investigationId));
+    } catch (error) {
+      console.error(`Error loading timeline of investigation ${investigationId}:`, error);
+    }
+  }, [contract, investigationId, isKnown]);
+
+  const loadCustody = useCallback(async () => {
+    if (!contract || !isKnown || selectedEvidenceId === null) {
+      setCustodyLog(null);
+      return;
+    }
+
+    try {
+      setCustodyLog(await loadCustodyLog(contract, investigationId, selectedEvidenceId));
+    } catch (error) {
+      console.error(`Error loading custody log of evidence ${selectedEvidenceId}:`, error);
+      setCustodyLog(null);
+    }
+  }, [contract, investigationId, isKnown, selectedEvidenceId]);
+
+  // Opened from a link rather than the list, the investigation may not be cached yet
+  useEffect(() => {
+    if (isKnown || isNaN(investigationId)) return;
+    loadInvestigationById(investigationId).catch((error) =>
+      console.error(`Error loading investigation ${investigationId}:`, error)
+    );
+  }, [investigationId, isKnown, loadInvestigationById]);
+
+  useEffect(() => {
+    loadDetail();
+    loadTimeline();
+  }, [loadDetail, loadTimeline]);
+
+  useEffect(() => {
+    loadCustody();
+  }, [loadCustody]);
+
+  useEffect(() => {
+    if (!isKnown) return;
+    loadEvidence(investigationId).catch((error) =>
+      console.error(`Error loading evidence of investigation ${investigationId}:`, error)
+    );
+  }, [investigationId, isKnown, loadEvidence]);
+
+  useCourtEvents(contract, async (event: CourtEvent) => {
+    if (!concernsInvestigation(event, investigationId)) return;
+
+    loadDetail();
+    if (event.name === 'CustodyTransferred') loadCustody();
+
+    const block = await event.log.getBlock();
+    const entry = toTimelineEntry(event, block.timestamp);
+    setTimeline((prev) => (prev.some((existing) => existing.key === entry.key) ? prev : [...prev, entry]));
+  });
+
+  const evidenceReviews = useMemo(
+    () =>
+      Object.values(evidence)
+        .filter((review) => review.investigationId === investigationId)
+        .sort((a, b) => a.evidenceId - b.evidenceId),
+    [evidence, investigationId]
+  );
+
+  if (!contract) {
+    return <p className="empty-state">Connect your wallet to view this investigation</p>;
+  }
+
+  if (!investigation) {
+    return (
+      <div className="tab-content active">
+        <p className="empty-state">Investigation #{selection.investigationId} not found</p>
+        <Link to="/investigations" className="btn btn-secondary">
+          <i className="fas fa-arrow-left"></i> All Investigations
+        </Link>
+      </div>
+    );
+  }
+
+  const judges = (detail?.panelJudges ?? []).map((judge) => ({
+    address: judge,
+    vote: votes[voteKey(investigationId, judge)],
+  }));
+  const votesCast = judges.filter((judge) => judge.vote?.submitted).length;
+
+  return (
+    <div className="tab-content active">
+      <div className="section-header">
+        <h2>
+          <i className="fas fa-folder-open"></i> Investigation #{investigation.id}
+        </h2>
+        <Link to="/investigations" className="btn btn-secondary">
+          <i className="fas fa-arrow-left"></i> All Investigations
+        </Link>
+      </div>
+
+      <div className="form-section">
+        <div className="list-item-header">
+          <h3>Case Overview</h3>
+          <span className={`list-item-status ${getStatusClass(investigation.status)}`}>
+            {getInvestigationStatusLabel(investigation.status)}
+          </span>
+        </div>
+        <p>
+          <strong>Investigator:</strong> {formatAddress(investigation.investigator)}
+        </p>
+        <p>
+          <strong>Started:</strong> {formatTimestamp(investigation.startTime)} | <strong>Ended:</strong>{' '}
+          {formatTimestamp(investigation.endTime)} | <strong>Expires:</strong>{' '}
+          {formatTimestamp(investigation.expiryTime)}
+        </p>
+        <p>
+          <strong>Evidence:</strong> {investigation.evidenceCount} | <strong>Witnesses:</strong>{' '}
+          {investigation.witnessCount}
+        </p>
+        <h4>Stake Totals</h4>
+        {(detail?.stakes ?? [])
+          .filter((stake) => !isTokenAsset(stake.asset) || stake.locked > 0n || stake.forfeited > 0n)
+          .map((stake) => (
+            <p key={stake.asset.address}>
+              <strong>{stake.asset.symbol}:</strong> {formatStake(stake.locked, stake.asset)} locked
+              {stake.forfeited > 0n && `, ${formatStake(stake.forfeited, stake.asset)} forfeited`}
+              {stake.forfeitsAt !== 0 && ` (unrefunded stakes forfeit after ${formatTimestamp(stake.forfeitsAt)})`}
+            </p>
+          ))}
+      </div>
+
+      <div className="form-section">
+        <h3>Participants</h3>
+        <div className="list-container">
+          {!detail || detail.participants.length === 0 ? (
+            <p className="empty-state">No participants found</p>
+          ) : (
+            detail.participants.map((participant) => (
+              <div key={participant.address} className="list-item">
+                <div className="list-item-header">
+                  <span className="list-item-title">{formatAddress(participant.address)}</span>
+                  {participant.isCreator && <span className="list-item-status status-active">Creator</span>}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+
+      <div className="form-section">
+        <h3>Evidence</h3>
+        <div className="list-container">
+          {evidenceReviews.length === 0 ? (
+            <p className="empty-state">No evidence submitted</p>
+          ) : (
+            evidenceReviews.map((review) => {
+              const status = getEvidenceStateStatus(review.state);
+              const decryption = getDecryptionStatusStatus(review.decryptionStatus);
+              return (
+                <div
+                  key={review.evidenceId}
+                  className={`list-item ${review.evidenceId === selectedEvidenceId ? 'selected' : ''}`}
+                >
+                  <div className="list-item-header">
+                    <Link
+                      to={`/investigations/${investigationId}/evidence/${review.evidenceId}`}
+                      className="list-item-title"
+                    >
+                      Evidence #{review.evidenceId}
+                    </Link>
+                    <span>
+                      <span className={`list-item-status ${status.className}`}>{status.label}</span>{' '}
+                      <span className={`list-item-status ${decryption.className}`}>{decryption.label}</span>
+                    </span>
+                  </div>
+                  <p>
+                    <strong>Submitter:</strong> {formatAddress(review.submitter)} | <strong>Submitted:</strong>{' '}
+                    {formatTimestamp(review.timestamp)}
+                  </p>
+                  <p>
+                    <strong>Stake:</strong> {formatStake(review.stake, review.asset)} | <strong>Attestations:</strong>{' '}
+                    {review.attesters.length}/{review.threshold}
+                  </p>
+                </div>
+              );
+            })
+          )}
+        </div>
+        {custodyLog && (
+          <>
+            <h4>Chain of Custody</h4>
+            <div className="list-container">
+              <CustodyTimeline log={custodyLog} />
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="form-section">
+        <h3>Witnesses</h3>
+        <div className="list-container">
+          {!detail || detail.witnesses.length === 0 ? (
+            <p className="empty-state">No witness testimonies</p>
+          ) : (
+            detail.witnesses.map((witness) => (
+              <div key={witness.witnessId} className="list-item">
+                <div className="list-item-header">
+                  <span className="list-item-title">Witness #{witness.witnessId}</span>
+                  <span className={`list-item-status ${witness.isProtected ? 'status-active' : 'status-pending'}`}>
+                    {witness.isProtected ? 'Protected' : 'Unprotected'}
+                  </span>
+                </div>
+                <p>
+                  <strong>Submitted:</strong> {formatTimestamp(witness.submissionTime)} | <strong>Stake:</strong>{' '}
+                  {formatStake(witness.stake, witness.asset)}
+                  {witness.refunded && ' (refunded)'}
+                </p>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+
+      <div className="form-section">
+        <h3>Judge Panel</h3>
+        {detail && detail.quorum > 0 && (
+          <p>
+            <strong>Votes cast:</strong> {votesCast}/{detail.quorum} toward quorum
+          </p>
+        )}
+        <div className="list-container">
+          {judges.length === 0 ? (
+            <p className="empty-state">No judge panel assigned</p>
+          ) : (
+            judges.map((judge) => (
+              <div key={judge.address} className="list-item">
+                <div className="list-item-header">
+                  <span className="list-item-title">{formatAddress(judge.address)}</span>
+                  <span className={`list-item-status ${judge.vote?.submitted ? 'status-completed' : 'status-pending'}`}>
+                    {judge.vote?.submitted ? `Voted ${formatTimestamp(judge.vote.voteTime)}` : 'Awaiting vote'}
+                  </span>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+
+      <div className="form-section">
+        <h3>Event Timeline</h3>
+        {timeline.length === 0 ? (
+          <p className="empty-state">No events found</p>
+        ) : (
+          <ol className="case-timeline">
+            {timeline.map((entry) => (
+              <li key={entry.key} className="case-event">
+                <span className="case-event-time">
+                  {formatTimestamp(entry.timestamp)} — block {entry.blockNumber}
+                </span>
+                <p>
+                  <strong>{entry.name}</strong>
+                  {entry.details.length > 0 &&
+                    ` — ${entry.details.map((item) => `${item.label}: ${item.value}`).join(', ')}`}
+                </p>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+
+      {/* Forms below are pre-filled with this investigation and the selected evidence */}
+      <div key={`${selection.investigationId}/${selection.evidenceId}`}>
+        <Evidence
+          contract={contract}
+          address={address}
+          evidence={evidence}
+          loadEvidence={loadEvidence}
+          onUpdate={onUpdate}
+          showAlert={showAlert}
+        />
+        <Witnesses contract={contract} address={address} onUpdate={onUpdate} showAlert={showAlert} />
+        <Verdicts
+          contract={contract}
+          address={address}
+          investigations={investigations}
+          loadAllInvestigations={loadAllInvestigations}
+          votes={votes}
+          loadVotes={loadVotes}
+          onUpdate={onUpdate}
+          showAlert={showAlert}
+        />
+      </div>
+    </div>
+  );
+};
@@ -1,12 +1,29 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { Contract } from 'ethers';
 import { useContract } from '@/hooks/useContract';
-import { Investigation } from '@/types';
-import { getInvestigationStatusLabel, getStatusClass, formatAddress, formatTimestamp } from '@/lib/utils';
+import { IntakeRejectionReason, IntakeRequest, Investigation, InvestigationStatus, Participant, UserRoles } from '@/types';
+import {
+  getInvestigationStatusLabel,
+  getStatusClass,
+  formatAddress,
+  formatDuration,
+  formatTimestamp,
+  INTAKE_REJECTION_REASONS,
+} from '@/lib/utils';
+import { formatStake } from '@/lib/stake';
+
+const SECONDS_PER_DAY = 86400;
 
 interface InvestigationsProps {
   contract: Contract | null;
   investigations: Investigation[];
+  pageInvestigations: Investigation[];
+  page: number;
+  pageCount: number;
+  onPageChange: (page: number) => void;
+  loadAllInvestigations: () => Promise<void>;
+  roles: UserRoles;
   onUpdate: () => void;
   showAlert: (message: string, type: 'success' | 'error' | 'warning' | 'info') => void;
 }
@@ -14,27 +31,105 @@ interface InvestigationsProps {
 export const Investigations: React.FC<InvestigationsProps> = ({
   contract,
   investigations,
+  pageInvestigations,
+  page,
+  pageCount,
+  onPageChange,
+  loadAllInvestigations,
+  roles,
   onUpdate,
   showAlert,
 }) => {
   const [showForm, setShowForm] = useState(false);
   const [caseId, setCaseId] = useState('');
+  const [durationDays, setDurationDays] = useState('30');
+  const [intakeQueue, setIntakeQueue] = useState<IntakeRequest[]>([]);
+  const [rejectionReasons, setRejectionReasons] = useState<Record<number, IntakeRejectionReason>>({});
   const [participantAddress, setParticipantAddress] = useState('');
   const [investigationId, setInvestigationId] = useState('');
+  const [participants, setParticipants] = useState<Participant[]>([]);
   const { executeTransaction, txState } = useContract(contract);
 
-  const handleStartInvestigation = async () => {
-    if (!caseId) {
-      showAlert('Please enter a case ID', 'error');
+  const loadParticipants = useCallback(async () => {
+    if (!contract || !investigationId) {
+      setParticipants([]);
       return;
     }
 
     try {
-      await executeTransaction(
-        () => contract!.startInvestigation(parseInt(caseId)),
-        'Investigation started successfully!'
+      const [investigator] = await contract.getInvestigationBasicInfo(parseInt(investigationId));
+      const members: string[] = await contract.getParticipants(parseInt(investigationId));
+
+      setParticipants(
+        members.map((member) => ({
+          address: member,
+          isCreator: member.toLowerCase() === (investigator as string).toLowerCase(),
+        }))
+      );
+    } catch (error) {
+      console.error(`Error loading participants for investigation ${investigationId}:`, error);
+      setParticipants([]);
+    }
+  }, [contract, investigationId]);
+
+  useEffect(() => {
+    loadParticipants();
+  }, [loadParticipants]);
+
+  const isApprover = roles.isJudge || roles.isAdmin;
+
+  // Pending requests can sit on any page of the list, so approvers read every investigation
+  useEffect(() => {
+    if (isApprover) loadAllInvestigations();
+  }, [isApprover, loadAllInvestigations]);
+
+  const loadIntakeQueue = useCallback(async () => {
+    if (!contract || !isApprover) {
+      setIntakeQueue([]);
+      return;
+    }
+
+    const pending = investigations.filter((inv) => inv.status === InvestigationStatus.Pending);
+    try {
+      const durations: bigint[] = await Promise.all(pending.map((inv) => contract.requestedDurations(inv.id)));
+      setIntakeQueue(
+        pending.map((inv, index) => ({
+          id: inv.id,
+          investigator: inv.investigator,
+          requestedDuration: Number(durations[index]),
+        }))
       );
-      showAlert('Investigation started successfully!', 'success');
+    } catch (error) {
+      console.error('Error loading intake queue:', error);
+    }
+  }, [contract, investigations, isApprover]);
+
+  useEffect(() => {
+    loadIntakeQueue();
+  }, [loadIntakeQueue]);
+
+  // Admins open investigations directly; investigators file a request that waits in the intake queue
+  const handleStartInvestigation = async () => {
+    if (!caseId || !durationDays) {
+      showAlert('Please enter a case ID and duration', 'error');
+      return;
+    }
+
+    const duration = parseInt(durationDays) * SECONDS_PER_DAY;
+    try {
+      if (roles.isAdmin) {
+        await executeTransaction(
+          () => contract!.startInvestigation(parseInt(caseId), duration),
+          'Investigation started successfully!'
+        );
+        showAlert('Investigation started successfully!', 'success');
+      } else {
+        await executeTransaction(
+          () => contract!.requestInvestigation(parseInt(caseId), duration),
+          'Investigation request filed!'
+        );
+        showAlert('Investigation request filed. It starts once a judge or the admin approves it.', 'success');
+      }
       setCaseId('');
       setShowForm(false);
       onUpdate();
@@ -43,6 +138,27 @@ export const Investigations: React.FC<InvestigationsProps> = ({
     }
   };
 
+  const handleApproveRequest = async (id: number) => {
+    try {
+      await executeTransaction(() => contract!.approveInvestigation(id), 'Investigation approved!');
+      showAlert(`Investigation #${id} approved and started`, 'success');
+      onUpdate();
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to approve investigation', 'error');
+    }
+  };
+
+  const handleRejectRequest = async (id: number) => {
+    const reason = rejectionReasons[id] ?? IntakeRejectionReason.InsufficientGrounds;
+    try {
+      await executeTransaction(() => contract!.rejectInvestigation(id, reason), 'Investigation request rejected');
+      showAlert(`Investigation #${id} rejected`, 'success');
+      onUpdate();
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to reject investigation', 'error');
+    }
+  };
+
   const handleAuthorizeParticipant = async () => {
     if (!participantAddress || !investigationId) {
       showAlert('Please fill in all fields', 'error');
@@ -56,12 +172,25 @@ export const Investigations: React.FC<InvestigationsProps> = ({
       );
       showAlert('Participant authorized successfully!', 'success');
       setParticipantAddress('');
-      setInvestigationId('');
+      loadParticipants();
     } catch (error: any) {
       showAlert(error.message || 'Failed to authorize participant', 'error');
     }
   };
 
+  const handleRevokeParticipant = async (participant: string) => {
+    try {
+      await executeTransaction(
+        () => contract!.revokeParticipant(parseInt(investigationId), participant),
+        'Participant access revoked successfully!'
+      );
+      showAlert('Participant access revoked successfully!', 'success');
+      loadParticipants();
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to revoke participant', 'error');
+    }
+  };
+
   return (
     <div className="tab-content active">
       <div className="section-header">
@@ -70,13 +199,13 @@ export const Investigations: React.FC<InvestigationsProps> = ({
         </h2>
         <button className="btn btn-primary" onClick={() => setShowForm(!showForm)}>
           <i className={`fas ${showForm ? 'fa-times' : 'fa-plus'}`}></i>
-          {showForm ? 'Cancel' : 'Start New Investigation'}
+          {showForm ? 'Cancel' : roles.isAdmin ? 'Start New Investigation' : 'Request New Investigation'}
         </button>
       </div>
 
       {showForm && (
         <div className="form-section">
-          <h3>Start New Investigation</h3>
+          <h3>{roles.isAdmin ? 'Start New Investigation' : 'Request New Investigation'}</h3>
           <div className="form-group">
             <label htmlFor="caseId">Case ID:</label>
             <input
@@ -88,28 +217,102 @@ export const Investigations: React.FC<InvestigationsProps> = ({
               onChange={(e) => setCaseId(e.target.value)}
             />
           </div>
+          <div className="form-group">
+            <label htmlFor="durationDays">Duration (days):</label>
+            <input
+              type="number"
+              id="durationDays"
+              className="form-control"
+              min="1"
+              max="365"
+              value={durationDays}
+              onChange={(e) => setDurationDays(e.target.value)}
+            />
+            {!roles.isAdmin && <small>The duration starts counting once the request is approved.</small>}
+          </div>
           <div className="form-actions">
             <button
               className="btn btn-success"
               onClick={handleStartInvestigation}
               disabled={txState.isProcessing}
             >
-              <i className="fas fa-check"></i> Start Investigation
+              <i className="fas fa-check"></i> {roles.isAdmin ? 'Start Investigation' : 'Submit Request'}
             </button>
           </div>
         </div>
       )}
 
+      {isApprover && (
+        <div className="form-section">
+          <h3>Intake Queue</h3>
+          <div className="list-container">
+            {intakeQueue.length === 0 ? (
+              <p className="empty-state">No investigation requests awaiting approval</p>
+            ) : (
+              intakeQueue.map((request) => (
+                <div key={request.id} className="list-item">
+                  <div className="list-item-header">
+                    <span className="list-item-title">Investigation #{request.id}</span>
+                    <span className="list-item-status status-pending">Pending</span>
+                  </div>
+                  <p>
+                    <strong>Requested by:</strong> {formatAddress(request.investigator)}
+                  </p>
+                  <p>
+                    <strong>Duration:</strong> {formatDuration(request.requestedDuration)} from approval
+                  </p>
+                  <div className="form-group">
+                    <label htmlFor={`intakeReason-${request.id}`}>Rejection Reason:</label>
+                    <select
+                      id={`intakeReason-${request.id}`}
+                      className="form-control"
+                      value={rejectionReasons[request.id] ?? IntakeRejectionReason.InsufficientGrounds}
+                      onChange={(e) =>
+                        setRejectionReasons({ ...rejectionReasons, [request.id]: parseInt(e.target.value) })
+                      }
+                    >
+                      {INTAKE_REJECTION_REASONS.map((reason) => (
+                        <option key={reason.value} value={reason.value}>
+                          {reason.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-actions">
+                    <button
+                      className="btn btn-success"
+                      onClick={() => handleApproveRequest(request.id)}
+                      disabled={txState.isProcessing}
+                    >
+                      <i className="fas fa-check"></i> Approve
+                    </button>
+                    <button
+                      className="btn btn-danger"
+                      onClick={() => handleRejectRequest(request.id)}
+                      disabled={txState.isProcessing}
+                    >
+                      <i className="fas fa-times"></i> Reject
+                    </button>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+
       <div className="form-section">
-        <h3>Active Investigations</h3>
+        <h3>Investigations</h3>
         <div className="list-container">
-          {investigations.length === 0 ? (
+          {pageInvestigations.length === 0 ? (
             <p className="empty-state">No investigations found</p>
           ) : (
-            investigations.map((inv) => (
+            pageInvestigations.map((inv) => (
               <div key={inv.id} className="list-item">
                 <div className="list-item-header">
-                  <span className="list-item-title">Investigation #{inv.id}</span>
+                  <Link to={`/investigations/${inv.id}`} className="list-item-title">
+                    Investigation #{inv.id}
+                  </Link>
                   <span className={`list-item-status ${getStatusClass(inv.status)}`}>
                     {getInvestigationStatusLabel(inv.status)}
                   </span>
@@ -122,12 +325,33 @@ export const Investigations: React.FC<InvestigationsProps> = ({
                 </p>
                 <p>
                   <strong>Evidence:</strong> {inv.evidenceCount} | <strong>Witnesses:</strong>{' '}
-                  {inv.witnessCount}
+                  {inv.witnessCount} | <strong>Stake:</strong> {formatStake(inv.totalStake)}
                 </p>
               </div>
             ))
           )}
         </div>
+        {pageCount > 1 && (
+          <div className="pagination">
+            <button
+              className="btn btn-secondary"
+              onClick={() => onPageChange(page - 1)}
+              disabled={page === 0}
+            >
+              <i className="fas fa-chevron-left"></i> Newer
+            </button>
+            <span>
+              Page {page + 1} of {pageCount}
+            </span>
+            <button
+              className="btn btn-secondary"
+              onClick={() => onPageChange(page + 1)}
+              disabled={page === pageCount - 1}
+            >
+              Older <i className="fas fa-chevron-right"></i>
+            </button>
+          </div>
+        )}
       </div>
 
       <div className="form-section">
@@ -160,6 +384,34 @@ export const Investigations: React.FC<InvestigationsProps> = ({
         >
           <i className="fas fa-user-plus"></i> Authorize Participant
         </button>
+
+        <h4>Current Participants</h4>
+        <div className="list-container">
+          {!investigationId ? (
+            <p className="empty-state">Enter an investigation ID to list its participants</p>
+          ) : participants.length === 0 ? (
+            <p className="empty-state">No participants found</p>
+          ) : (
+            participants.map((participant) => (
+              <div key={participant.address} className="list-item">
+                <div className="list-item-header">
+                  <span className="list-item-title">{formatAddress(participant.address)}</span>
+                  {participant.isCreator ? (
+                    <span className="list-item-status status-active">Creator</span>
+                  ) : (
+                    <button
+                      className="btn btn-danger"
+                      onClick={() => handleRevokeParticipant(participant.address)}
+                      disabled={txState.isProcessing}
+                    >
+                      <i className="fas fa-user-minus"></i> Revoke
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,145 @@
+import React from 'react';
+import { ZeroAddress } from 'ethers';
+import { CostPreview, StakeAsset, StakeReceipt, StakeUnit } from '@/types';
+import { CONTRACT_CONFIG } from '@/lib/contract';
+import { canAffordSubmission, convertStakeAmount, formatStake, getBaseUnitLabel, isTokenAsset } from '@/lib/stake';
+import { formatAddress } from '@/lib/utils';
+
+interface StakeAmountInputProps {
+  id: string;
+  amount: string;
+  unit: StakeUnit;
+  asset: StakeAsset;
+  assets: StakeAsset[];
+  minimum?: bigint;
+  onAmountChange: (amount: string) => void;
+  onUnitChange: (unit: StakeUnit) => void;
+  onAssetChange: (asset: StakeAsset) => void;
+}
+
+export const StakeAmountInput: React.FC<StakeAmountInputProps> = ({
+  id,
+  amount,
+  unit,
+  asset,
+  assets,
+  minimum = 0n,
+  onAmountChange,
+  onUnitChange,
+  onAssetChange,
+}) => {
+  const converted = convertStakeAmount(amount, unit, asset);
+
+  return (
+    <div className="form-group">
+      <label htmlFor={id}>Stake:</label>
+      <div className="stake-input">
+        <input
+          type="text"
+          inputMode="decimal"
+          id={id}
+          className="form-control"
+          value={amount}
+          onChange={(e) => onAmountChange(e.target.value)}
+          required
+        />
+        {assets.length > 1 && (
+          <select
+            className="form-control"
+            aria-label="Stake asset"
+            value={asset.address}
+            onChange={(e) => onAssetChange(assets.find((option) => option.address === e.target.value)!)}
+          >
+            {assets.map((option) => (
+              <option key={option.address} value={option.address}>
+                {option.symbol}
+              </option>
+            ))}
+          </select>
+        )}
+        <select
+          className="form-control"
+          value={unit}
+          onChange={(e) => onUnitChange(e.target.value as StakeUnit)}
+        >
+          <option value="ETH">{asset.symbol}</option>
+          <option value="wei">{getBaseUnitLabel(asset)}</option>
+        </select>
+      </div>
+      {converted && <small className="stake-conversion">= {converted}</small>}
+      {minimum > 0n && <small className="stake-minimum">Minimum: {formatStake(minimum, asset)}</small>}
+    </div>
+  );
+};
+
+interface CostPreviewCardProps {
+  preview: CostPreview;
+}
+
+export const CostPreviewCard: React.FC<CostPreviewCardProps> = ({ preview }) => {
+  const isToken = isTokenAsset(preview.asset);
+
+  return (
+    <div className="list-item cost-preview">
+      <p>
+        <strong>Stake:</strong> {formatStake(preview.stake, preview.asset)}
+      </p>
+      {preview.needsApproval ? (
+        <p>
+          <strong>Approval:</strong> {preview.asset.symbol} does not support permits. Approve the stake, then
+          preview again to estimate gas.
+        </p>
+      ) : (
+        <p>
+          <strong>Estimated Gas:</strong> {preview.gasLimit.toString()} units (~{formatStake(preview.gasCost)})
+        </p>
+      )}
+      <p>
+        <strong>{isToken ? 'ETH Needed' : 'Total'}:</strong> {formatStake(preview.total)}
+      </p>
+      <p>
+        <strong>Balance:</strong> {formatStake(preview.balance)}
+        {isToken && ` | ${formatStake(preview.assetBalance, preview.asset)}`}
+      </p>
+      {!canAffordSubmission(preview) && (
+        <p className="cost-preview-warning">
+          <i className="fas fa-exclamation-triangle"></i> Insufficient balance for stake plus gas
+        </p>
+      )}
+    </div>
+  );
+};
+
+interface StakeReceiptCardProps {
+  receipt: StakeReceipt;
+  asset: StakeAsset;
+}
+
+export const StakeReceiptCard: React.FC<StakeReceiptCardProps> = ({ receipt, asset }) => (
+  <div className="list-item stake-receipt">
+    <div className="list-item-header">
+      <span className="list-item-title">Stake Recorded</span>
+      <span className="list-item-status status-completed">{formatStake(receipt.amount, asset)}</span>
+    </div>
+    <p>
+      <strong>Investigation:</strong> #{receipt.investigationId}
+      {/* Witness stakes are logged without a sender */}
+      {receipt.sender !== ZeroAddress && (
+        <>
+          {' '}
+          | <strong>From:</strong> {formatAddress(receipt.sender)}
+        </>
+      )}
+    </p>
+    <p>
+      <strong>Block:</strong> {receipt.blockNumber} |{' '}
+      <a
+        href={`${CONTRACT_CONFIG.explorerUrl}/tx/${receipt.transactionHash}`}
+        target="_blank"
+        rel="noopener noreferrer"
+      >
+        View transaction
+      </a>
+    </p>
+  </div>
+);
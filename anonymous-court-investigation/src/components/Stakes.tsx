@@ -0,0 +1,348 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Contract, EventLog } from 'ethers';
+import { useContract } from '@/hooks/useContract';
+import { CONTRACT_CONFIG } from '@/lib/contract';
+import { formatStake, getStakeAsset } from '@/lib/stake';
+import {
+  formatCountdown,
+  getEvidenceRefundWindow,
+  getWitnessRefundWindow,
+  isStakeClaimable,
+  isStakeForfeited,
+  isStakeOpen,
+} from '@/lib/refunds';
+import { loadSavedWitnessReceipts, parseWitnessReceipt, resolveWitnessId } from '@/lib/witnessReceipt';
+import { formatTimestamp } from '@/lib/utils';
+import { StakeAsset, StakeRecord, WitnessReceipt } from '@/types';
+
+const stakeKey = (kind: StakeRecord['kind'], investigationId: number, itemId: number) =>
+  `${kind}-${investigationId}-${itemId}`;
+
+// Receipts written before their submission was mined carry a transaction hash instead of a witness ID
+const keyReceipt = async (contract: Contract, receipt: WitnessReceipt): Promise<Record<string, WitnessReceipt>> => {
+  const witnessId = await resolveWitnessId(contract, receipt);
+  return { [stakeKey('witness', receipt.investigationId, witnessId)]: { ...receipt, witnessId } };
+};
+
+// Sum stakes per asset, e.g. "0.02 ETH + 25 USDC"
+const formatStakeTotals = (stakes: StakeRecord[]): string => {
+  const totals = new Map<string, { asset: StakeAsset; amount: bigint }>();
+  for (const stake of stakes) {
+    const total = totals.get(stake.asset.address) ?? { asset: stake.asset, amount: 0n };
+    totals.set(stake.asset.address, { ...total, amount: total.amount + stake.amount });
+  }
+
+  if (totals.size === 0) return formatStake(0n);
+  return [...totals.values()].map(({ asset, amount }) => formatStake(amount, asset)).join(' + ');
+};
+
+const getStakeStatus = (stake: StakeRecord, now: number): { label: string; className: string } => {
+  if (stake.rejected) return { label: 'Rejected', className: 'status-archived' };
+  if (stake.refunded) return { label: 'Refunded', className: 'status-archived' };
+  if (isStakeForfeited(stake, now)) return { label: 'Forfeited', className: 'status-archived' };
+  if (now < stake.refundableAt) return { label: 'Locked', className: 'status-pending' };
+  return { label: 'Refundable', className: 'status-completed' };
+};
+
+interface StakesProps {
+  contract: Contract | null;
+  address: string | null;
+  onUpdate: () => void;
+  showAlert: (message: string, type: 'success' | 'error' | 'warning' | 'info') => void;
+}
+
+export const Stakes: React.FC<StakesProps> = ({ contract, address, onUpdate, showAlert }) => {
+  const [stakes, setStakes] = useState<StakeRecord[]>([]);
+  const [receipts, setReceipts] = useState<Record<string, WitnessReceipt>>({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  const { executeTransaction, txState } = useContract(contract);
+
+  const loadStakes = useCallback(async () => {
+    if (!contract || !address) return;
+
+    setIsLoading(true);
+    try {
+      const gracePeriod = Number(await contract.REFUND_GRACE_PERIOD());
+      const expiries = new Map<number, number>();
+      const getInvestigationExpiry = async (investigationId: number) => {
+        if (!expiries.has(investigationId)) {
+          const timeInfo = await contract.getInvestigationTimeInfo(investigationId);
+          expiries.set(investigationId, Number(timeInfo.expiryTime));
+        }
+        return expiries.get(investigationId)!;
+      };
+      const forfeitures = new Map<number, number>();
+      const getForfeitureTime = async (investigationId: number) => {
+        if (!forfeitures.has(investigationId)) {
+          const stake = await contract.getInvestigationStake(investigationId);
+          forfeitures.set(investigationId, Number(stake.forfeitsAt));
+        }
+        return forfeitures.get(investigationId)!;
+      };
+      const assets = new Map<string, StakeAsset>();
+      const getAsset = async (token: string) => {
+        if (!assets.has(token)) {
+          assets.set(token, await getStakeAsset(token, contract.runner));
+        }
+        return assets.get(token)!;
+      };
+
+      const records: StakeRecord[] = [];
+
+      const evidenceLogs = (await contract.queryFilter(
+        contract.filters.EvidenceSubmitted(null, null, address)
+      )) as EventLog[];
+
+      for (const log of evidenceLogs) {
+        const investigationId = Number(log.args.investigationId);
+        const evidenceId = Number(log.args.evidenceId);
+        const [evidence, rejection] = await Promise.all([
+          contract.caseEvidence(investigationId, evidenceId),
+          contract.evidenceRejections(investigationId, evidenceId),
+        ]);
+
+        records.push({
+          kind: 'evidence',
+          investigationId,
+          itemId: evidenceId,
+          asset: await getAsset(evidence.stakeToken),
+          amount: evidence.stake,
+          refunded: await contract.evidenceRefunded(investigationId, evidenceId),
+          rejected: rejection.rejectedAt !== 0n,
+          slashed: rejection.slashed,
+          ...getEvidenceRefundWindow(
+            Number(evidence.expiryTime),
+            Number(evidence.decryptionStatus),
+            await getInvestigationExpiry(investigationId),
+            gracePeriod
+          ),
+          forfeitsAt: await getForfeitureTime(investigationId),
+          receipt: null,
+        });
+      }
+
+      // Witness records hold no address and their stakes are logged without a sender, so witness
+      // stakes are found through the receipts saved in this browser or loaded from files
+      for (const receipt of Object.values(receipts)) {
+        const investigationId = receipt.investigationId;
+        const witnessId = receipt.witnessId!;
+        const witness = await contract.witnesses(investigationId, witnessId);
+        if (witness.refundCommitment !== receipt.commitment) continue;
+
+        records.push({
+          kind: 'witness',
+          investigationId,
+          itemId: witnessId,
+          asset: await getAsset(witness.stakeToken),
+          amount: witness.stake,
+          refunded: witness.refunded,
+          rejected: false,
+          slashed: 0n,
+          ...getWitnessRefundWindow(await getInvestigationExpiry(investigationId), gracePeriod),
+          forfeitsAt: await getForfeitureTime(investigationId),
+          receipt,
+        });
+      }
+
+      setStakes(records.sort((a, b) => a.refundableAt - b.refundableAt));
+    } catch (error) {
+      console.error('Error loading stakes:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [contract, address, receipts]);
+
+  useEffect(() => {
+    loadStakes();
+  }, [loadStakes]);
+
+  // Receipts saved in this browser when testifying need no file
+  useEffect(() => {
+    if (!contract) return;
+
+    (async () => {
+      const loaded: Record<string, WitnessReceipt> = {};
+      for (const receipt of loadSavedWitnessReceipts(CONTRACT_CONFIG.address)) {
+        try {
+          Object.assign(loaded, await keyReceipt(contract, receipt));
+        } catch (error) {
+          console.error('Skipping saved witness receipt:', error);
+        }
+      }
+      setReceipts((current) => ({ ...loaded, ...current }));
+    })();
+  }, [contract]);
+
+  // Drives the countdowns
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const claimable = stakes.filter((stake) => isStakeClaimable(stake, now));
+  const lockedTotal = formatStakeTotals(
+    stakes.filter((stake) => isStakeOpen(stake, now))
+  );
+
+  const handleReceiptFiles = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(event.target.files ?? []);
+    const loaded: Record<string, WitnessReceipt> = {};
+
+    for (const file of files) {
+      try {
+        const receipt = parseWitnessReceipt(await file.text());
+        if (receipt.contractAddress.toLowerCase() !== CONTRACT_CONFIG.address.toLowerCase()) {
+          throw new Error('Receipt belongs to a different contract');
+        }
+        Object.assign(loaded, await keyReceipt(contract!, receipt));
+      } catch (error: any) {
+        showAlert(`${file.name}: ${error.message || 'Failed to read receipt'}`, 'error');
+      }
+    }
+
+    setReceipts((current) => ({ ...current, ...loaded }));
+    event.target.value = '';
+  };
+
+  const claimStake = (stake: StakeRecord) =>
+    stake.kind === 'evidence'
+      ? contract!.requestEvidenceRefund(stake.investigationId, stake.itemId)
+      : contract!.requestWitnessRefund(
+          stake.investigationId,
+          stake.itemId,
+          stake.receipt!.secret,
+          stake.receipt!.recipient
+        );
+
+  const handleClaim = async (stake: StakeRecord) => {
+    try {
+      await executeTransaction(() => claimStake(stake), 'Stake refunded successfully!');
+      showAlert('Stake refunded successfully!', 'success');
+      loadStakes();
+      onUpdate();
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to claim refund', 'error');
+    }
+  };
+
+  // One transaction per stake; a failed claim does not stop the rest
+  const handleClaimAll = async () => {
+    let refunded = 0;
+
+    for (const stake of claimable) {
+      try {
+        await executeTransaction(() => claimStake(stake), 'Stake refunded successfully!');
+        refunded++;
+      } catch (error: any) {
+        showAlert(
+          `${stake.kind === 'evidence' ? 'Evidence' : 'Witness'} #${stake.itemId}: ${error.message || 'Failed to claim refund'}`,
+          'error'
+        );
+      }
+    }
+
+    if (refunded > 0) {
+      showAlert(`Refunded ${refunded} of ${claimable.length} stakes`, 'success');
+    }
+    loadStakes();
+    onUpdate();
+  };
+
+  return (
+    <div className="tab-content active">
+      <div className="section-header">
+        <h2>
+          <i className="fas fa-coins"></i> My Stakes
+        </h2>
+        <button className="btn btn-secondary" onClick={loadStakes} disabled={isLoading}>
+          <i className="fas fa-sync-alt"></i> {isLoading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      <div className="form-section">
+        <h3>Refund Center</h3>
+        <p>
+          <strong>Still staked:</strong> {lockedTotal} | <strong>Claimable now:</strong>{' '}
+          {claimable.length}
+        </p>
+        <div className="form-group">
+          <label htmlFor="stakeReceipts">Witness Receipts:</label>
+          <input
+            type="file"
+            id="stakeReceipts"
+            className="form-control"
+            accept="application/json,.json"
+            multiple
+            onChange={handleReceiptFiles}
+          />
+        </div>
+        <button
+          className="btn btn-success"
+          onClick={handleClaimAll}
+          disabled={txState.isProcessing || claimable.length === 0}
+        >
+          <i className="fas fa-hand-holding-usd"></i> Claim All Eligible ({claimable.length})
+        </button>
+      </div>
+
+      <div className="form-section">
+        <h3>Stakes</h3>
+        <div className="list-container">
+          {stakes.length === 0 ? (
+            <p className="empty-state">{isLoading ? 'Loading stakes...' : 'No stakes found'}</p>
+          ) : (
+            stakes.map((stake) => {
+              const status = getStakeStatus(stake, now);
+              return (
+                <div key={stakeKey(stake.kind, stake.investigationId, stake.itemId)} className="list-item">
+                  <div className="list-item-header">
+                    <span className="list-item-title">
+                      {stake.kind === 'evidence' ? 'Evidence' : 'Witness'} #{stake.itemId} · Investigation #
+                      {stake.investigationId}
+                    </span>
+                    <span className={`list-item-status ${status.className}`}>{status.label}</span>
+                  </div>
+                  <p>
+                    <strong>Stake:</strong> {formatStake(stake.amount, stake.asset)}
+                  </p>
+                  {isStakeOpen(stake, now) && (
+                    <p>
+                      <strong>{stake.reason}:</strong>{' '}
+                      {now < stake.refundableAt
+                        ? `refundable in ${formatCountdown(stake.refundableAt - now)} (${formatTimestamp(stake.refundableAt)})`
+                        : 'refund conditions met'}
+                    </p>
+                  )}
+                  {stake.rejected && (
+                    <p>
+                      <strong>Rejected:</strong> {formatStake(stake.slashed, stake.asset)} slashed, the rest was
+                      returned
+                    </p>
+                  )}
+                  {!stake.refunded && !stake.rejected && stake.forfeitsAt !== 0 && (
+                    <p>
+                      <strong>Forfeiture:</strong>{' '}
+                      {isStakeForfeited(stake, now)
+                        ? `forfeited to the treasury on ${formatTimestamp(stake.forfeitsAt)}`
+                        : `claim within ${formatCountdown(stake.forfeitsAt - now)} (${formatTimestamp(stake.forfeitsAt)})`}
+                    </p>
+                  )}
+                  {isStakeClaimable(stake, now) && (
+                    <button
+                      className="btn btn-success"
+                      onClick={() => handleClaim(stake)}
+                      disabled={txState.isProcessing}
+                    >
+                      <i className="fas fa-hand-holding-usd"></i> Claim Refund
+                    </button>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -1,31 +1,30 @@
 import React from 'react';
+import { NavLink } from 'react-router-dom';
 import { TabType } from '@/types';
 
-interface TabsProps {
-  activeTab: TabType;
-  onTabChange: (tab: TabType) => void;
-}
-
-export const Tabs: React.FC<TabsProps> = ({ activeTab, onTabChange }) => {
-  const tabs: { id: TabType; icon: string; label: string }[] = [
-    { id: 'dashboard', icon: 'fa-tachometer-alt', label: 'Dashboard' },
-    { id: 'investigations', icon: 'fa-search', label: 'Investigations' },
-    { id: 'evidence', icon: 'fa-file-alt', label: 'Evidence' },
-    { id: 'witnesses', icon: 'fa-user-secret', label: 'Witnesses' },
-    { id: 'verdicts', icon: 'fa-balance-scale', label: 'Verdicts' },
-    { id: 'admin', icon: 'fa-cog', label: 'Admin' },
+export const Tabs: React.FC = () => {
+  const tabs: { id: TabType; path: string; icon: string; label: string }[] = [
+    { id: 'dashboard', path: '/', icon: 'fa-tachometer-alt', label: 'Dashboard' },
+    { id: 'investigations', path: '/investigations', icon: 'fa-search', label: 'Investigations' },
+    { id: 'evidence', path: '/evidence', icon: 'fa-file-alt', label: 'Evidence' },
+    { id: 'witnesses', path: '/witnesses', icon: 'fa-user-secret', label: 'Witnesses' },
+    { id: 'stakes', path: '/stakes', icon: 'fa-coins', label: 'My Stakes' },
+    { id: 'verdicts', path: '/verdicts', icon: 'fa-balance-scale', label: 'Verdicts' },
+    { id: 'admin', path: '/admin', icon: 'fa-cog', label: 'Admin' },
   ];
 
+  // Investigations stays highlighted on an investigation's detail pages
   return (
     <nav className="nav-tabs">
       {tabs.map((tab) => (
-        <button
+        <NavLink
           key={tab.id}
-          className={`tab-btn ${activeTab === tab.id ? 'active' : ''}`}
-          onClick={() => onTabChange(tab.id)}
+          to={tab.path}
+          end={tab.path === '/'}
+          className={({ isActive }) => `tab-btn ${isActive ? 'active' : ''}`}
         >
           <i className={`fas ${tab.icon}`}></i> {tab.label}
-        </button>
+        </NavLink>
       ))}
     </nav>
   );
@@ -1,38 +1,202 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Contract } from 'ethers';
 import { useContract } from '@/hooks/useContract';
+import { useRouteSelection } from '@/hooks/useRouteSelection';
+import { Investigation, InvestigationStatus, JudgePanel, VerdictOutcome, VoteRecord } from '@/types';
+import { formatAddress, getVerdictTypeLabel, isValidAddress } from '@/lib/utils';
+import { encryptVerdictInput } from '@/lib/fhe';
+import { voteKey } from '@/lib/courtEvents';
+
+// Judges and quorum of a panel; whether each judge voted is looked up in the vote cache
+interface PanelRoster {
+  investigationId: number;
+  judges: string[];
+  quorum: number;
+}
 
 interface VerdictsProps {
   contract: Contract | null;
+  address: string | null;
+  investigations: Investigation[];
+  loadAllInvestigations: () => Promise<void>;
+  votes: Record<string, VoteRecord>;
+  loadVotes: (investigationId: number, judges: string[]) => Promise<void>;
   onUpdate: () => void;
   showAlert: (message: string, type: 'success' | 'error' | 'warning' | 'info') => void;
 }
 
-export const Verdicts: React.FC<VerdictsProps> = ({ contract, onUpdate, showAlert }) => {
-  const [investigationId, setInvestigationId] = useState('');
+export const Verdicts: React.FC<VerdictsProps> = ({
+  contract,
+  address,
+  investigations,
+  loadAllInvestigations,
+  votes,
+  loadVotes,
+  onUpdate,
+  showAlert,
+}) => {
+  const selection = useRouteSelection();
+  const [investigationId, setInvestigationId] = useState(selection.investigationId);
   const [verdict, setVerdict] = useState('0');
   const [confidence, setConfidence] = useState('');
-  const [completeInvestigationId, setCompleteInvestigationId] = useState('');
+  const [completeInvestigationId, setCompleteInvestigationId] = useState(selection.investigationId);
+  const [outcomes, setOutcomes] = useState<VerdictOutcome[]>([]);
+  const [panelInvestigationId, setPanelInvestigationId] = useState(selection.investigationId);
+  const [panelJudges, setPanelJudges] = useState('');
+  const [panelQuorum, setPanelQuorum] = useState('');
+  const [rosters, setRosters] = useState<PanelRoster[]>([]);
   const { executeTransaction, txState } = useContract(contract);
 
-  const handleSubmitVerdict = async () => {
-    if (!investigationId || !confidence) {
+  // On an investigation's page only its own panel and outcome are listed
+  const listedInvestigations = useMemo(
+    () =>
+      selection.investigationId
+        ? investigations.filter((inv) => inv.id === parseInt(selection.investigationId))
+        : investigations,
+    [investigations, selection.investigationId]
+  );
+
+  // Panels and outcomes of every investigation are listed, not only those on the current page
+  useEffect(() => {
+    if (!selection.investigationId) loadAllInvestigations();
+  }, [loadAllInvestigations, selection.investigationId]);
+
+  // Panels are re-read when an investigation changes, e.g. on JudgePanelAssigned; votes come from the cache
+  const loadPanels = useCallback(async () => {
+    if (!contract) return;
+
+    const activeInvestigations = listedInvestigations.filter(
+      (inv) => inv.isActive && inv.status === InvestigationStatus.Active
+    );
+
+    const rostersList: PanelRoster[] = [];
+
+    for (const inv of activeInvestigations) {
+      try {
+        const [judges, quorum] = await contract.getJudgePanel(inv.id);
+        await loadVotes(inv.id, [...judges]);
+        rostersList.push({ investigationId: inv.id, judges: [...judges], quorum: Number(quorum) });
+      } catch (error) {
+        console.error(`Error loading judge panel ${inv.id}:`, error);
+        continue;
+      }
+    }
+
+    setRosters(rostersList);
+  }, [contract, listedInvestigations, loadVotes]);
+
+  const panels = useMemo(
+    (): JudgePanel[] =>
+      rosters.map((roster) => {
+        const judges = roster.judges.map((judge) => ({
+          address: judge,
+          hasVoted: votes[voteKey(roster.investigationId, judge)]?.submitted ?? false,
+        }));
+        return {
+          investigationId: roster.investigationId,
+          judges,
+          quorum: roster.quorum,
+          votesCast: judges.filter((judge) => judge.hasVoted).length,
+        };
+      }),
+    [rosters, votes]
+  );
+
+  const loadOutcomes = useCallback(async () => {
+    if (!contract) return;
+
+    const closedInvestigations = listedInvestigations.filter(
+      (inv) =>
+        inv.status === InvestigationStatus.Completed || inv.status === InvestigationStatus.Archived
+    );
+
+    const outcomesList: VerdictOutcome[] = [];
+
+    for (const inv of closedInvestigations) {
+      try {
+        const [requested, revealed, outcome, margin] = await contract.getVerdictOutcome(inv.id);
+        outcomesList.push({
+          investigationId: inv.id,
+          requested,
+          revealed,
+          outcome: Number(outcome),
+          margin: Number(margin),
+        });
+      } catch (error) {
+        console.error(`Error loading verdict outcome ${inv.id}:`, error);
+        continue;
+      }
+    }
+
+    setOutcomes(outcomesList);
+  }, [contract, listedInvestigations]);
+
+  useEffect(() => {
+    loadOutcomes();
+  }, [loadOutcomes]);
+
+  useEffect(() => {
+    loadPanels();
+  }, [loadPanels]);
+
+  const handleAssignPanel = async () => {
+    if (!panelInvestigationId || !panelJudges || !panelQuorum) {
       showAlert('Please fill in all fields', 'error');
       return;
     }
 
+    const judges = panelJudges
+      .split(',')
+      .map((judge) => judge.trim())
+      .filter(Boolean);
+
+    if (!judges.every(isValidAddress)) {
+      showAlert('Please enter valid judge addresses', 'error');
+      return;
+    }
+
     try {
       await executeTransaction(
-        () =>
-          contract!.submitJudicialVerdict(
-            parseInt(investigationId),
-            parseInt(verdict),
-            parseInt(confidence)
-          ),
-        'Verdict submitted successfully!'
+        () => contract!.assignJudgePanel(parseInt(panelInvestigationId), judges, parseInt(panelQuorum)),
+        'Judge panel assigned successfully!'
       );
+      showAlert('Judge panel assigned successfully!', 'success');
+      setPanelInvestigationId(selection.investigationId);
+      setPanelJudges('');
+      setPanelQuorum('');
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to assign judge panel', 'error');
+    }
+  };
+
+  const handleSubmitVerdict = async () => {
+    if (!investigationId || !confidence) {
+      showAlert('Please fill in all fields', 'error');
+      return;
+    }
+
+    if (!address) {
+      showAlert('Please connect your wallet first', 'error');
+      return;
+    }
+
+    try {
+      await executeTransaction(async () => {
+        const { handles, inputProof } = await encryptVerdictInput(
+          address,
+          parseInt(verdict),
+          parseInt(confidence)
+        );
+
+        return contract!.submitJudicialVerdict(
+          parseInt(investigationId),
+          handles[0],
+          handles[1],
+          inputProof
+        );
+      }, 'Verdict submitted successfully!');
       showAlert('Verdict submitted successfully!', 'success');
-      setInvestigationId('');
+      setInvestigationId(selection.investigationId);
       setVerdict('0');
       setConfidence('');
     } catch (error: any) {
@@ -52,7 +216,7 @@ export const Verdicts: React.FC<VerdictsProps> = ({ contract, onUpdate, showAler
         'Investigation completed successfully!'
       );
       showAlert('Investigation completed successfully!', 'success');
-      setCompleteInvestigationId('');
+      setCompleteInvestigationId(selection.investigationId);
       onUpdate();
     } catch (error: any) {
       showAlert(error.message || 'Failed to complete investigation', 'error');
@@ -116,6 +280,97 @@ export const Verdicts: React.FC<VerdictsProps> = ({ contract, onUpdate, showAler
         </button>
       </div>
 
+      <div className="form-section">
+        <h3>Assign Judge Panel</h3>
+        <div className="form-group">
+          <label htmlFor="panelInvestigationId">Investigation ID:</label>
+          <input
+            type="number"
+            id="panelInvestigationId"
+            className="form-control"
+            value={panelInvestigationId}
+            onChange={(e) => setPanelInvestigationId(e.target.value)}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="panelJudges">Judge Addresses (comma-separated):</label>
+          <input
+            type="text"
+            id="panelJudges"
+            className="form-control"
+            placeholder="0x..., 0x..."
+            value={panelJudges}
+            onChange={(e) => setPanelJudges(e.target.value)}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="panelQuorum">Required Quorum:</label>
+          <input
+            type="number"
+            id="panelQuorum"
+            className="form-control"
+            min="1"
+            value={panelQuorum}
+            onChange={(e) => setPanelQuorum(e.target.value)}
+            required
+          />
+        </div>
+        <button
+          className="btn btn-primary"
+          onClick={handleAssignPanel}
+          disabled={txState.isProcessing}
+        >
+          <i className="fas fa-users"></i> Assign Panel
+        </button>
+      </div>
+
+      <div className="form-section">
+        <h3>Judge Panels</h3>
+        <div className="list-container">
+          {panels.length === 0 ? (
+            <p className="empty-state">No active investigations</p>
+          ) : (
+            panels.map((panel) => {
+              const quorumMet = panel.quorum > 0 && panel.votesCast >= panel.quorum;
+              return (
+                <div key={panel.investigationId} className="list-item">
+                  <div className="list-item-header">
+                    <span className="list-item-title">Investigation #{panel.investigationId}</span>
+                    <span className={`list-item-status ${quorumMet ? 'status-completed' : 'status-pending'}`}>
+                      {panel.quorum === 0
+                        ? 'No Panel'
+                        : `${panel.votesCast}/${panel.quorum} votes toward quorum`}
+                    </span>
+                  </div>
+                  {panel.quorum > 0 && (
+                    <div className="quorum-progress">
+                      <div
+                        className="quorum-progress-bar"
+                        style={{ width: `${Math.min(100, (panel.votesCast / panel.quorum) * 100)}%` }}
+                      ></div>
+                    </div>
+                  )}
+                  {panel.judges.length === 0 ? (
+                    <p>No judge panel has been assigned yet.</p>
+                  ) : (
+                    <ul className="panel-judges">
+                      {panel.judges.map((judge) => (
+                        <li key={judge.address}>
+                          <i className={`fas ${judge.hasVoted ? 'fa-check-circle' : 'fa-hourglass-half'}`}></i>{' '}
+                          {formatAddress(judge.address)} — {judge.hasVoted ? 'Voted' : 'Awaiting vote'}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+      </div>
+
       <div className="form-section">
         <h3>Investigation Actions</h3>
         <div className="form-group">
@@ -137,6 +392,40 @@ export const Verdicts: React.FC<VerdictsProps> = ({ contract, onUpdate, showAler
           <i className="fas fa-check"></i> Complete Investigation
         </button>
       </div>
+
+      <div className="form-section">
+        <h3>Revealed Outcomes</h3>
+        <div className="list-container">
+          {outcomes.length === 0 ? (
+            <p className="empty-state">No completed investigations</p>
+          ) : (
+            outcomes.map((result) => (
+              <div key={result.investigationId} className="list-item">
+                <div className="list-item-header">
+                  <span className="list-item-title">Investigation #{result.investigationId}</span>
+                  <span
+                    className={`list-item-status ${result.revealed ? 'status-completed' : 'status-pending'}`}
+                  >
+                    {result.revealed ? 'Revealed' : 'Awaiting Gateway'}
+                  </span>
+                </div>
+                {result.revealed ? (
+                  <p>
+                    <strong>Outcome:</strong> {getVerdictTypeLabel(result.outcome)} |{' '}
+                    <strong>Margin:</strong> {result.margin}
+                  </p>
+                ) : (
+                  <p>
+                    {result.requested
+                      ? 'The weighted tally is being decrypted by the Gateway.'
+                      : 'No verdict reveal was requested for this investigation.'}
+                  </p>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
     </div>
   );
 };
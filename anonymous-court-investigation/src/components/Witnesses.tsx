@@ -1,42 +1,193 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Contract } from 'ethers';
 import { useContract } from '@/hooks/useContract';
+import { useRouteSelection } from '@/hooks/useRouteSelection';
+import { useStakedSubmission } from '@/hooks/useStakedSubmission';
+import { StakeAmountInput, CostPreviewCard, StakeReceiptCard } from '@/components/StakeFields';
+import { canAffordSubmission, getMinimumWitnessStake } from '@/lib/stake';
+import { encryptWitnessInput } from '@/lib/fhe';
+import { CONTRACT_CONFIG } from '@/lib/contract';
+import { formatAddress } from '@/lib/utils';
+import {
+  computeRefundCommitment,
+  downloadWitnessReceipt,
+  forgetWitnessReceipt,
+  generateRefundSecret,
+  loadSavedWitnessReceipts,
+  parseWitnessReceipt,
+  resolveWitnessId,
+  saveWitnessReceipt,
+} from '@/lib/witnessReceipt';
+import { WitnessReceipt } from '@/types';
 
 interface WitnessesProps {
   contract: Contract | null;
+  address: string | null;
   onUpdate: () => void;
   showAlert: (message: string, type: 'success' | 'error' | 'warning' | 'info') => void;
 }
 
-export const Witnesses: React.FC<WitnessesProps> = ({ contract, onUpdate, showAlert }) => {
-  const [investigationId, setInvestigationId] = useState('');
+export const Witnesses: React.FC<WitnessesProps> = ({ contract, address, onUpdate, showAlert }) => {
+  const selection = useRouteSelection();
+  const [investigationId, setInvestigationId] = useState(selection.investigationId);
   const [credibilityScore, setCredibilityScore] = useState('');
   const [testimonyHash, setTestimonyHash] = useState('');
+  const [refundRecipient, setRefundRecipient] = useState('');
+  const [lastReceipt, setLastReceipt] = useState<WitnessReceipt | null>(null);
+  const [claimReceipt, setClaimReceipt] = useState<WitnessReceipt | null>(null);
+  const [savedReceipts, setSavedReceipts] = useState<WitnessReceipt[]>(() =>
+    loadSavedWitnessReceipts(CONTRACT_CONFIG.address)
+  );
+  const [pendingRefund, setPendingRefund] = useState<{ secret: string; recipient: string; commitment: string } | null>(
+    null
+  );
   const { executeTransaction, txState } = useContract(contract);
+  const staked = useStakedSubmission(contract, address, 'submitAnonymousWitnessTestimony', getMinimumWitnessStake);
+  const { clearPreview } = staked;
 
-  const handleSubmitTestimony = async () => {
+  // Encrypted inputs and the refund commitment are previewed for these exact values
+  useEffect(() => {
+    clearPreview();
+  }, [investigationId, credibilityScore, testimonyHash, refundRecipient, clearPreview]);
+
+  const handlePreviewTestimony = async () => {
     if (!investigationId || !credibilityScore || !testimonyHash) {
       showAlert('Please fill in all fields', 'error');
       return;
     }
 
+    if (!address) {
+      showAlert('Please connect your wallet first', 'error');
+      return;
+    }
+
+    // The secret never leaves the browser; only its commitment goes on-chain
+    const recipient = refundRecipient || address;
+    const secret = generateRefundSecret();
+    const commitment = computeRefundCommitment(secret, recipient);
+
+    try {
+      const preview = await staked.preview(async () => {
+        const { handles, inputProof } = await encryptWitnessInput(
+          address,
+          parseInt(credibilityScore),
+          parseInt(testimonyHash)
+        );
+        return [parseInt(investigationId), handles[0], handles[1], inputProof, commitment];
+      });
+      setPendingRefund({ secret, recipient, commitment });
+
+      if (!canAffordSubmission(preview)) {
+        showAlert('Insufficient balance for stake plus gas', 'warning');
+      }
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to estimate submission cost', 'error');
+    }
+  };
+
+  // Tokens without permit support need an allowance before the submission can be estimated
+  const handleApproveStake = async () => {
+    try {
+      await executeTransaction(staked.approve, 'Stake token approved!');
+      showAlert('Stake token approved', 'success');
+      await handlePreviewTestimony();
+    } catch (error: any) {
+      showAlert(error.message || 'Failed to approve stake token', 'error');
+    }
+  };
+
+  const handleSubmitTestimony = async () => {
+    if (!pendingRefund) {
+      showAlert('Please preview the cost first', 'error');
+      return;
+    }
+
+    // Saved before anything is sent: the secret must outlive a failed wait or a closed tab
+    let witnessReceipt: WitnessReceipt = {
+      contractAddress: CONTRACT_CONFIG.address,
+      chainId: CONTRACT_CONFIG.chainId,
+      investigationId: parseInt(investigationId),
+      ...pendingRefund,
+      submittedAt: Math.floor(Date.now() / 1000),
+    };
+    saveWitnessReceipt(witnessReceipt);
+    setLastReceipt(witnessReceipt);
+
+    try {
+      const tx = await executeTransaction(async () => {
+        const sent = await staked.send();
+        witnessReceipt = { ...witnessReceipt, txHash: sent.hash };
+        saveWitnessReceipt(witnessReceipt);
+        setLastReceipt(witnessReceipt);
+        downloadWitnessReceipt(witnessReceipt);
+        return sent;
+      }, 'Anonymous testimony submitted successfully!');
+      await staked.recordReceipt(tx!);
+
+      witnessReceipt = { ...witnessReceipt, witnessId: await resolveWitnessId(contract!, witnessReceipt) };
+      saveWitnessReceipt(witnessReceipt);
+      setLastReceipt(witnessReceipt);
+
+      showAlert('Anonymous testimony submitted. Keep the downloaded receipt to claim your stake refund.', 'success');
+      setInvestigationId(selection.investigationId);
+      setCredibilityScore('');
+      setTestimonyHash('');
+      setRefundRecipient('');
+      setPendingRefund(null);
+      onUpdate();
+    } catch (error: any) {
+      // Nothing was staked if the transaction never got a hash
+      if (!witnessReceipt.txHash) {
+        forgetWitnessReceipt(witnessReceipt);
+        setLastReceipt(null);
+      }
+      showAlert(error.message || 'Failed to submit testimony', 'error');
+    } finally {
+      setSavedReceipts(loadSavedWitnessReceipts(CONTRACT_CONFIG.address));
+    }
+  };
+
+  const handleReceiptFile = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const receipt = parseWitnessReceipt(await file.text());
+      if (receipt.contractAddress.toLowerCase() !== CONTRACT_CONFIG.address.toLowerCase()) {
+        throw new Error('Receipt belongs to a different contract');
+      }
+      setClaimReceipt(receipt);
+    } catch (error: any) {
+      setClaimReceipt(null);
+      showAlert(error.message || 'Failed to read receipt', 'error');
+    }
+  };
+
+  const handleClaimRefund = async () => {
+    if (!claimReceipt) {
+      showAlert('Please load a witness receipt first', 'error');
+      return;
+    }
+
     try {
+      const witnessId = await resolveWitnessId(contract!, claimReceipt);
       await executeTransaction(
         () =>
-          contract!.submitAnonymousWitnessTestimony(
-            parseInt(investigationId),
-            parseInt(credibilityScore),
-            parseInt(testimonyHash)
+          contract!.requestWitnessRefund(
+            claimReceipt.investigationId,
+            witnessId,
+            claimReceipt.secret,
+            claimReceipt.recipient
           ),
-        'Anonymous testimony submitted successfully!'
+        'Witness stake refunded successfully!'
       );
-      showAlert('Anonymous testimony submitted successfully!', 'success');
-      setInvestigationId('');
-      setCredibilityScore('');
-      setTestimonyHash('');
+      showAlert('Witness stake refunded successfully!', 'success');
+      forgetWitnessReceipt(claimReceipt);
+      setSavedReceipts(loadSavedWitnessReceipts(CONTRACT_CONFIG.address));
+      setClaimReceipt(null);
       onUpdate();
     } catch (error: any) {
-      showAlert(error.message || 'Failed to submit testimony', 'error');
+      showAlert(error.message || 'Failed to claim refund', 'error');
     }
   };
 
@@ -86,12 +237,128 @@ export const Witnesses: React.FC<WitnessesProps> = ({ contract, onUpdate, showAl
             required
           />
         </div>
+        <div className="form-group">
+          <label htmlFor="refundRecipient">Refund Recipient (optional):</label>
+          <input
+            type="text"
+            id="refundRecipient"
+            className="form-control"
+            placeholder={address || '0x...'}
+            value={refundRecipient}
+            onChange={(e) => setRefundRecipient(e.target.value)}
+          />
+        </div>
+        <StakeAmountInput
+          id="witnessStake"
+          amount={staked.stakeAmount}
+          unit={staked.stakeUnit}
+          asset={staked.stakeAsset}
+          assets={staked.stakeAssets}
+          minimum={staked.minimumStake}
+          onAmountChange={staked.setStakeAmount}
+          onUnitChange={staked.setStakeUnit}
+          onAssetChange={staked.setStakeAsset}
+        />
+        {staked.costPreview ? (
+          <>
+            <CostPreviewCard preview={staked.costPreview} />
+            <div className="form-actions">
+              {staked.costPreview.needsApproval ? (
+                <button
+                  className="btn btn-primary"
+                  onClick={handleApproveStake}
+                  disabled={txState.isProcessing || !canAffordSubmission(staked.costPreview)}
+                >
+                  <i className="fas fa-check"></i> Approve {staked.costPreview.asset.symbol}
+                </button>
+              ) : (
+                <button
+                  className="btn btn-primary"
+                  onClick={handleSubmitTestimony}
+                  disabled={txState.isProcessing || !canAffordSubmission(staked.costPreview)}
+                >
+                  <i className="fas fa-shield-alt"></i> Confirm &amp; Submit Testimony
+                </button>
+              )}
+              <button className="btn btn-secondary" onClick={staked.clearPreview} disabled={txState.isProcessing}>
+                <i className="fas fa-times"></i> Cancel
+              </button>
+            </div>
+          </>
+        ) : (
+          <button
+            className="btn btn-primary"
+            onClick={handlePreviewTestimony}
+            disabled={txState.isProcessing || staked.isPreviewing}
+          >
+            <i className="fas fa-calculator"></i> {staked.isPreviewing ? 'Estimating...' : 'Preview Cost'}
+          </button>
+        )}
+        {staked.stakeReceipt && <StakeReceiptCard receipt={staked.stakeReceipt} asset={staked.stakeReceiptAsset} />}
+        {lastReceipt && (
+          <button className="btn btn-secondary" onClick={() => downloadWitnessReceipt(lastReceipt)}>
+            <i className="fas fa-download"></i> Download Receipt Again
+          </button>
+        )}
+      </div>
+
+      <div className="form-section">
+        <h3>Claim Stake Refund</h3>
+        <p>
+          Once the investigation has expired, pick the receipt saved in this browser when you testified,
+          or load its downloaded copy. Anyone can submit the claim; the stake always goes to the
+          recipient recorded in the receipt.
+        </p>
+        {savedReceipts.length > 0 && (
+          <div className="form-group">
+            <label htmlFor="savedWitnessReceipt">Saved in This Browser:</label>
+            <select
+              id="savedWitnessReceipt"
+              className="form-control"
+              value={claimReceipt?.commitment ?? ''}
+              onChange={(e) =>
+                setClaimReceipt(savedReceipts.find((receipt) => receipt.commitment === e.target.value) ?? null)
+              }
+            >
+              <option value="">Select a receipt</option>
+              {savedReceipts.map((receipt) => (
+                <option key={receipt.commitment} value={receipt.commitment}>
+                  Investigation #{receipt.investigationId}
+                  {receipt.witnessId !== undefined ? `, witness #${receipt.witnessId}` : ''} -{' '}
+                  {new Date(receipt.submittedAt * 1000).toLocaleString()}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div className="form-group">
+          <label htmlFor="witnessReceipt">Witness Receipt:</label>
+          <input
+            type="file"
+            id="witnessReceipt"
+            className="form-control"
+            accept="application/json,.json"
+            onChange={handleReceiptFile}
+          />
+        </div>
+        {claimReceipt && (
+          <div className="list-item">
+            <p>
+              <strong>Investigation:</strong> #{claimReceipt.investigationId} |{' '}
+              <strong>Witness:</strong>{' '}
+              {claimReceipt.witnessId !== undefined ? `#${claimReceipt.witnessId}` : 'read from the submission transaction'}
+            </p>
+            <p>
+              <strong>Recipient:</strong> {formatAddress(claimReceipt.recipient)}
+            </p>
+          </div>
+        )}
         <button
-          className="btn btn-primary"
-          onClick={handleSubmitTestimony}
-          disabled={txState.isProcessing}
+          className="btn btn-success"
+          onClick={handleClaimRefund}
+          disabled={txState.isProcessing || !claimReceipt}
         >
-          <i className="fas fa-shield-alt"></i> Submit Anonymous Testimony
+          <i className="fas fa-hand-holding-usd"></i> Claim Refund
         </button>
       </div>
 
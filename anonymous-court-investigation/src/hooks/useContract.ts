@@ -1,5 +1,6 @@
 import { useState, useCallback } from 'react';
 import { Contract } from 'ethers';
+import { rememberSentTransaction } from '@/lib/courtEvents';
 import { parseErrorMessage } from '@/lib/utils';
 import { TransactionState } from '@/types';
 
@@ -31,6 +32,7 @@ export const useContract = (contract: Contract | null) => {
 
       // If result has a wait method (it's a transaction), wait for confirmation
       if (result && typeof (result as any).wait === 'function') {
+        rememberSentTransaction((result as any).hash);
         await (result as any).wait();
       }
 
@@ -0,0 +1,30 @@
+import { useEffect, useRef } from 'react';
+import { Contract, ContractEventPayload, ContractUnknownEventPayload } from 'ethers';
+import { CourtEvent } from '@/types';
+
+/**
+ * Calls `onEvent` for every event the contract emits while the contract is connected,
+ * including those from other accounts' transactions. The latest callback is always used,
+ * so it does not need to be stable.
+ */
+export const useCourtEvents = (contract: Contract | null, onEvent: (event: CourtEvent) => void) => {
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  useEffect(() => {
+    if (!contract) return;
+
+    // The wildcard listener only receives the payload, whose log is decoded here
+    const listener = (payload: ContractEventPayload | ContractUnknownEventPayload) => {
+      const parsed = contract.interface.parseLog(payload.log);
+      if (parsed) {
+        onEventRef.current({ name: parsed.name, args: parsed.args, log: payload.log });
+      }
+    };
+
+    contract.on('*', listener);
+    return () => {
+      contract.off('*', listener);
+    };
+  }, [contract]);
+};
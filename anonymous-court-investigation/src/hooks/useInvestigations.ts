@@ -1,9 +1,33 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { Contract } from 'ethers';
-import { Investigation, DashboardStats, UserRoles } from '@/types';
+import { CacheInvalidation, CourtCache, CourtEvent, DashboardStats, Investigation, UserRoles } from '@/types';
+import {
+  getInvestigationPageIds,
+  loadInvestigation,
+  loadInvestigationPage,
+  loadInvestigationSummaries,
+} from '@/lib/investigations';
+import { loadEvidenceReview, loadEvidenceReviews } from '@/lib/evidence';
+import { loadVoteRecord } from '@/lib/votes';
+import { describeEventForAccount, evidenceKey, getCacheInvalidations, isSentFromHere, voteKey } from '@/lib/courtEvents';
+import { useCourtEvents } from '@/hooks/useCourtEvents';
 
-export const useInvestigations = (contract: Contract | null, address: string | null) => {
-  const [investigations, setInvestigations] = useState<Investigation[]>([]);
+const EMPTY_CACHE: CourtCache = { investigations: {}, evidence: {}, votes: {} };
+const INVESTIGATIONS_PER_PAGE = 10;
+
+/**
+ * Court data kept in a normalized cache and updated from contract events, so changes made
+ * by other accounts show up without a reload. Events only re-read the entries they touch;
+ * `notify` is called for events that involve the connected account.
+ */
+export const useInvestigations = (
+  contract: Contract | null,
+  address: string | null,
+  notify?: (message: string) => void
+) => {
+  const [cache, setCache] = useState<CourtCache>(EMPTY_CACHE);
+  // Investigations whose evidence has been loaded; events for other investigations are not cached
+  const evidenceScopes = useRef(new Set<number>());
   const [dashboardStats, setDashboardStats] = useState<DashboardStats>({
     totalInvestigations: 0,
     activeInvestigations: 0,
@@ -16,40 +40,35 @@ export const useInvestigations = (contract: Contract | null, address: string | n
     isAdmin: false,
   });
   const [loading, setLoading] = useState(false);
+  const [investigationsPage, setInvestigationsPage] = useState(0);
+
+  const totalInvestigations = dashboardStats.totalInvestigations;
+  const investigationPageCount = Math.max(Math.ceil(totalInvestigations / INVESTIGATIONS_PER_PAGE), 1);
+  const currentPage = Math.min(investigationsPage, investigationPageCount - 1);
+
+  const storeInvestigations = useCallback((loaded: Investigation[]) => {
+    setCache((prev) => ({
+      ...prev,
+      investigations: {
+        ...prev.investigations,
+        ...Object.fromEntries(loaded.map((investigation) => [investigation.id, investigation])),
+      },
+    }));
+  }, []);
 
   const updateDashboard = useCallback(async () => {
     if (!contract) return;
 
     setLoading(true);
     try {
-      const currentId = await contract.currentInvestigationId();
-      const total = Number(currentId) - 1;
-
-      let activeCount = 0;
-      let totalEvidence = 0;
-      let totalWitnesses = 0;
-
-      for (let i = 1; i <= total; i++) {
-        try {
-          const [investigator, status, isActive] = await contract.getInvestigationBasicInfo(i);
-          if (isActive && status === 1) {
-            activeCount++;
-          }
-
-          const [evidenceCount, witnessCount] = await contract.getInvestigationCounts(i);
-          totalEvidence += Number(evidenceCount);
-          totalWitnesses += Number(witnessCount);
-        } catch (error) {
-          console.error(`Error fetching investigation ${i}:`, error);
-          continue;
-        }
-      }
+      const [totalInvestigations, activeInvestigations, totalEvidence, totalWitnesses] =
+        await contract.getCourtStats();
 
       setDashboardStats({
-        totalInvestigations: total,
-        activeInvestigations: activeCount,
-        totalEvidence,
-        totalWitnesses,
+        totalInvestigations: Number(totalInvestigations),
+        activeInvestigations: Number(activeInvestigations),
+        totalEvidence: Number(totalEvidence),
+        totalWitnesses: Number(totalWitnesses),
       });
     } catch (error) {
       console.error('Error updating dashboard:', error);
@@ -77,62 +96,178 @@ export const useInvestigations = (contract: Contract | null, address: string | n
     }
   }, [contract, address]);
 
+  // The page of the investigation list being shown; the page count comes from getCourtStats
   const loadInvestigations = useCallback(async () => {
     if (!contract) return;
 
     setLoading(true);
     try {
-      const currentId = await contract.currentInvestigationId();
-      const total = Number(currentId) - 1;
-
-      const investigationsList: Investigation[] = [];
-
-      for (let i = 1; i <= total; i++) {
-        try {
-          const [investigator, status, isActive] = await contract.getInvestigationBasicInfo(i);
-          const [startTime, endTime] = await contract.getInvestigationTimeInfo(i);
-          const [evidenceCount, witnessCount] = await contract.getInvestigationCounts(i);
-
-          investigationsList.push({
-            id: i,
-            encryptedCaseId: i, // Placeholder
-            investigator,
-            status: Number(status),
-            startTime: Number(startTime),
-            endTime: Number(endTime),
-            isActive,
-            evidenceCount: Number(evidenceCount),
-            witnessCount: Number(witnessCount),
-          });
-        } catch (error) {
-          console.error(`Error loading investigation ${i}:`, error);
-          continue;
-        }
-      }
-
-      setInvestigations(investigationsList);
+      storeInvestigations(
+        await loadInvestigationPage(contract, currentPage, INVESTIGATIONS_PER_PAGE, totalInvestigations)
+      );
     } catch (error) {
       console.error('Error loading investigations:', error);
     } finally {
       setLoading(false);
     }
+  }, [contract, currentPage, totalInvestigations, storeInvestigations]);
+
+  // Every investigation, for the views that pick them out by status rather than by page
+  const loadAllInvestigations = useCallback(async () => {
+    if (!contract) return;
+
+    try {
+      storeInvestigations(await loadInvestigationSummaries(contract, totalInvestigations));
+    } catch (error) {
+      console.error('Error loading all investigations:', error);
+    }
+  }, [contract, totalInvestigations, storeInvestigations]);
+
+  // One investigation, e.g. when its page is opened directly rather than from the list
+  const loadInvestigationById = useCallback(
+    async (investigationId: number) => {
+      if (!contract || investigationId < 1 || investigationId > totalInvestigations) return;
+
+      storeInvestigations([await loadInvestigation(contract, investigationId)]);
+    },
+    [contract, totalInvestigations, storeInvestigations]
+  );
+
+  const loadEvidence = useCallback(
+    async (investigationId: number) => {
+      if (!contract) return;
+
+      const reviews = await loadEvidenceReviews(contract, investigationId);
+      evidenceScopes.current.add(investigationId);
+      setCache((prev) => ({
+        ...prev,
+        evidence: {
+          ...prev.evidence,
+          ...Object.fromEntries(reviews.map((review) => [evidenceKey(review.investigationId, review.evidenceId), review])),
+        },
+      }));
+    },
+    [contract]
+  );
+
+  const loadVotes = useCallback(
+    async (investigationId: number, judges: string[]) => {
+      if (!contract) return;
+
+      const records = await Promise.all(judges.map((judge) => loadVoteRecord(contract, investigationId, judge)));
+      setCache((prev) => ({
+        ...prev,
+        votes: {
+          ...prev.votes,
+          ...Object.fromEntries(records.map((record) => [voteKey(record.investigationId, record.judge), record])),
+        },
+      }));
+    },
+    [contract]
+  );
+
+  const applyInvalidation = useCallback(
+    async (invalidation: CacheInvalidation) => {
+      if (!contract) return;
+
+      switch (invalidation.kind) {
+        case 'stats':
+          await updateDashboard();
+          break;
+        case 'investigation':
+          storeInvestigations([await loadInvestigation(contract, invalidation.investigationId)]);
+          break;
+        case 'evidence': {
+          if (!evidenceScopes.current.has(invalidation.investigationId)) return;
+          const review = await loadEvidenceReview(contract, invalidation.investigationId, invalidation.evidenceId);
+          setCache((prev) => ({
+            ...prev,
+            evidence: { ...prev.evidence, [evidenceKey(review.investigationId, review.evidenceId)]: review },
+          }));
+          break;
+        }
+        case 'investigationEvidence':
+          if (evidenceScopes.current.has(invalidation.investigationId)) {
+            await loadEvidence(invalidation.investigationId);
+          }
+          break;
+        case 'vote':
+          await loadVotes(invalidation.investigationId, [invalidation.judge]);
+          break;
+      }
+    },
+    [contract, updateDashboard, storeInvestigations, loadEvidence, loadVotes]
+  );
+
+  const handleCourtEvent = useCallback(
+    async (event: CourtEvent) => {
+      if (!contract) return;
+
+      try {
+        await Promise.all(getCacheInvalidations(event).map(applyInvalidation));
+
+        if (!address || !notify || isSentFromHere(event)) return;
+        const notice = await describeEventForAccount(contract, event, address);
+        if (notice) {
+          notify(notice);
+        }
+      } catch (error) {
+        console.error(`Error handling ${event.name} event:`, error);
+      }
+    },
+    [contract, address, notify, applyInvalidation]
+  );
+
+  useCourtEvents(contract, handleCourtEvent);
+
+  // A newly connected contract starts from an empty cache
+  useEffect(() => {
+    evidenceScopes.current.clear();
+    setCache(EMPTY_CACHE);
   }, [contract]);
 
   useEffect(() => {
     if (contract) {
       updateDashboard();
       updateUserRoles();
-      loadInvestigations();
     }
-  }, [contract, updateDashboard, updateUserRoles, loadInvestigations]);
+  }, [contract, updateDashboard, updateUserRoles]);
+
+  // Re-read when the page changes or a new investigation moves the list along
+  useEffect(() => {
+    loadInvestigations();
+  }, [loadInvestigations]);
+
+  const investigations = useMemo(
+    () => Object.values(cache.investigations).sort((a, b) => b.id - a.id),
+    [cache.investigations]
+  );
+
+  const pageInvestigations = useMemo(
+    () =>
+      getInvestigationPageIds(currentPage, INVESTIGATIONS_PER_PAGE, totalInvestigations)
+        .map((id) => cache.investigations[id])
+        .filter((investigation): investigation is Investigation => investigation !== undefined),
+    [cache.investigations, currentPage, totalInvestigations]
+  );
 
   return {
     investigations,
+    pageInvestigations,
+    investigationsPage: currentPage,
+    investigationPageCount,
+    setInvestigationsPage,
+    evidence: cache.evidence,
+    votes: cache.votes,
     dashboardStats,
     userRoles,
     loading,
     updateDashboard,
     updateUserRoles,
     loadInvestigations,
+    loadAllInvestigations,
+    loadInvestigationById,
+    loadEvidence,
+    loadVotes,
   };
 };
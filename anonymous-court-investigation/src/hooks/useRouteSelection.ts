@@ -0,0 +1,8 @@
+import { useParams } from 'react-router-dom';
+import { RouteSelection } from '@/types';
+
+// IDs from routes such as /investigations/:investigationId/evidence/:evidenceId, used to pre-fill action forms
+export const useRouteSelection = (): RouteSelection => {
+  const { investigationId = '', evidenceId = '' } = useParams();
+  return { investigationId, evidenceId };
+};
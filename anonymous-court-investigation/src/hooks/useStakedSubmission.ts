@@ -0,0 +1,190 @@
+import { useState, useCallback, useEffect } from 'react';
+import { Contract, ContractTransactionReceipt, ContractTransactionResponse, Signer } from 'ethers';
+import { CostPreview, StakeAsset, StakeReceipt, StakeUnit } from '@/types';
+import {
+  DEFAULT_STAKE_ETH,
+  ETH_ASSET,
+  approvedTokenStake,
+  canAffordSubmission,
+  formatStake,
+  formatStakeInput,
+  getStakeReceipt,
+  getStakeTokenContract,
+  isBelowMinimumStake,
+  isTokenAsset,
+  loadStakeAssets,
+  parseStakeAmount,
+  previewSubmissionCost,
+  signTokenStakePermit,
+} from '@/lib/stake';
+
+interface PendingSubmission {
+  method: string;
+  args: unknown[];
+  preview: CostPreview;
+}
+
+/**
+ * Two-step flow for staked submissions: preview the stake plus gas cost against the
+ * wallet balance, then send with the previewed arguments and read back the recorded stake.
+ * ETH stakes go to `method`; token stakes go to `${method}WithToken` and are pulled through
+ * a permit signed during the preview, or an allowance granted with approve().
+ * `loadMinimum` reads the contract minimum for the current form values; the stake is raised
+ * to it when it falls short, and previews below it are refused.
+ */
+export const useStakedSubmission = (
+  contract: Contract | null,
+  address: string | null,
+  method: string,
+  loadMinimum?: (contract: Contract, asset: StakeAsset) => Promise<bigint>
+) => {
+  const [stakeAmount, setStakeAmount] = useState(DEFAULT_STAKE_ETH);
+  const [stakeUnit, setStakeUnit] = useState<StakeUnit>('ETH');
+  const [stakeAssets, setStakeAssets] = useState<StakeAsset[]>([ETH_ASSET]);
+  const [stakeAsset, setStakeAsset] = useState<StakeAsset>(ETH_ASSET);
+  const [pending, setPending] = useState<PendingSubmission | null>(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [stakeReceipt, setStakeReceipt] = useState<StakeReceipt | null>(null);
+  const [stakeReceiptAsset, setStakeReceiptAsset] = useState<StakeAsset>(ETH_ASSET);
+  const [minimumStake, setMinimumStake] = useState(0n);
+
+  useEffect(() => {
+    if (!contract) return;
+
+    loadStakeAssets(contract)
+      .then(setStakeAssets)
+      .catch((error) => console.error('Error loading stake tokens:', error));
+  }, [contract]);
+
+  useEffect(() => {
+    if (!contract || !loadMinimum) return;
+
+    let cancelled = false;
+    loadMinimum(contract, stakeAsset)
+      .then((minimum) => {
+        if (cancelled) return;
+        setMinimumStake(minimum);
+        if (minimum > 0n) {
+          setStakeAmount((current) =>
+            isBelowMinimumStake(current, stakeUnit, stakeAsset, minimum)
+              ? formatStakeInput(minimum, stakeUnit, stakeAsset)
+              : current
+          );
+        }
+      })
+      .catch((error) => console.error('Error loading minimum stake:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, loadMinimum, stakeAsset, stakeUnit]);
+
+  // A changed stake invalidates the previewed cost
+  useEffect(() => {
+    setPending(null);
+  }, [stakeAmount, stakeUnit, stakeAsset]);
+
+  const preview = useCallback(async (buildArgs: () => Promise<unknown[]>): Promise<CostPreview> => {
+    if (!contract || !address) {
+      throw new Error('Please connect your wallet first');
+    }
+
+    const stake = parseStakeAmount(stakeAmount, stakeUnit, stakeAsset);
+    if (stake < minimumStake) {
+      throw new Error(`Stake must be at least ${formatStake(minimumStake, stakeAsset)}`);
+    }
+
+    setIsPreviewing(true);
+    try {
+      const args = await buildArgs();
+
+      if (!isTokenAsset(stakeAsset)) {
+        const costPreview = await previewSubmissionCost(contract, method, args, stake, address);
+        setPending({ method, args, preview: costPreview });
+        return costPreview;
+      }
+
+      const spender = await contract.getAddress();
+      const allowance: bigint = await getStakeTokenContract(stakeAsset, contract.runner).allowance(address, spender);
+      const needsApproval = allowance < stake && !stakeAsset.supportsPermit;
+      const tokenStake =
+        allowance < stake && stakeAsset.supportsPermit
+          ? await signTokenStakePermit(stakeAsset, contract.runner as Signer, spender, stake)
+          : approvedTokenStake(stakeAsset, stake);
+
+      const tokenMethod = `${method}WithToken`;
+      const tokenArgs = [...args, tokenStake];
+      const costPreview = await previewSubmissionCost(
+        contract,
+        tokenMethod,
+        tokenArgs,
+        stake,
+        address,
+        stakeAsset,
+        needsApproval
+      );
+      setPending({ method: tokenMethod, args: tokenArgs, preview: costPreview });
+      return costPreview;
+    } finally {
+      setIsPreviewing(false);
+    }
+  }, [contract, address, method, stakeAmount, stakeUnit, stakeAsset, minimumStake]);
+
+  // Grant the allowance a token without permit support needs; preview again afterwards
+  const approve = useCallback(async (): Promise<ContractTransactionResponse> => {
+    if (!contract || !pending?.preview.needsApproval) {
+      throw new Error('No token approval needed');
+    }
+
+    const erc20 = getStakeTokenContract(pending.preview.asset, contract.runner);
+    return erc20.approve(await contract.getAddress(), pending.preview.stake);
+  }, [contract, pending]);
+
+  const send = useCallback((): Promise<ContractTransactionResponse> => {
+    if (!contract || !pending) {
+      throw new Error('Please preview the cost first');
+    }
+    if (pending.preview.needsApproval) {
+      throw new Error('Please approve the stake token first');
+    }
+    if (!canAffordSubmission(pending.preview)) {
+      throw new Error('Insufficient balance for stake plus gas');
+    }
+
+    const submit = contract.getFunction(pending.method);
+    return isTokenAsset(pending.preview.asset)
+      ? submit(...pending.args)
+      : submit(...pending.args, { value: pending.preview.stake });
+  }, [contract, pending]);
+
+  const recordReceipt = useCallback(async (tx: ContractTransactionResponse): Promise<StakeReceipt | null> => {
+    const receipt = (await tx.wait()) as ContractTransactionReceipt;
+    const stake = getStakeReceipt(contract!, receipt);
+    setStakeReceipt(stake);
+    setStakeReceiptAsset(pending?.preview.asset ?? ETH_ASSET);
+    setPending(null);
+    return stake;
+  }, [contract, pending]);
+
+  const clearPreview = useCallback(() => setPending(null), []);
+
+  return {
+    stakeAmount,
+    setStakeAmount,
+    stakeUnit,
+    setStakeUnit,
+    stakeAssets,
+    stakeAsset,
+    setStakeAsset,
+    minimumStake,
+    costPreview: pending?.preview ?? null,
+    isPreviewing,
+    stakeReceipt,
+    stakeReceiptAsset,
+    preview,
+    approve,
+    send,
+    recordReceipt,
+    clearPreview,
+  };
+};
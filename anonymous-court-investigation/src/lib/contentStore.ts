@@ -0,0 +1,44 @@
+import { ContentStore } from '@/types';
+
+// Development store started with `npm run content-store`
+export const DEFAULT_CONTENT_STORE_URL = 'http://localhost:8787';
+
+// Store that PUTs and GETs encrypted files at `${baseUrl}/content/<content hash>`
+export const createHttpContentStore = (baseUrl: string): ContentStore => ({
+  put: async (contentHash, data) => {
+    const response = await fetch(`${baseUrl}/content/${contentHash}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: data,
+    });
+    // The store only accepts bytes matching their hash, so a conflict means this file is already there
+    if (!response.ok && response.status !== 409) {
+      throw new Error(`Content store rejected the file (HTTP ${response.status})`);
+    }
+  },
+  get: async (contentHash) => {
+    const response = await fetch(`${baseUrl}/content/${contentHash}`);
+    if (response.status === 404) {
+      throw new Error('File not found in the content store');
+    }
+    if (!response.ok) {
+      throw new Error(`Content store error (HTTP ${response.status})`);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+  },
+});
+
+let contentStore: ContentStore = createHttpContentStore(
+  import.meta.env.VITE_CONTENT_STORE_URL || DEFAULT_CONTENT_STORE_URL
+);
+
+export const getContentStore = (): ContentStore => contentStore;
+
+/**
+ * Swap the store evidence files are kept in, e.g. for IPFS or an object store.
+ * Files are encrypted before they reach the store and checked against the on-chain
+ * hash after they leave it, so the store itself does not need to be trusted.
+ */
+export const setContentStore = (store: ContentStore): void => {
+  contentStore = store;
+};
@@ -2,6 +2,7 @@ import { ContractConfig } from '@/types';
 
 export const CONTRACT_CONFIG: ContractConfig = {
   address: "0x88907E07dAAda5Dae20C412B12B293DBC172bF54",
+  deploymentBlock: 0, // Block the contract was deployed in; event history is only searched from here
   chainId: 11155111, // Sepolia Test Network
   chainIdHex: "0xaa36a7",
   rpcUrl: "https://sepolia.infura.io/v3/",
@@ -15,34 +16,128 @@ export const CONTRACT_ABI = [
   "function authorizedInvestigators(address) public view returns (bool)",
   "function authorizedJudges(address) public view returns (bool)",
   "function investigations(uint32) public view returns (tuple(uint32 encryptedCaseId, address investigator, uint8 status, uint256 startTime, uint256 endTime, bool isActive, address[] authorizedParticipants))",
+  "function caseEvidence(uint32, uint32) public view returns (bytes32 evidenceId, bytes32 evidenceType, bytes32 confidentialityLevel, address submitter, uint256 timestamp, uint256 expiryTime, bool isVerified, uint256 stake, uint8 decryptionStatus, uint256 decryptionRequestId, address stakeToken)",
+  "function witnesses(uint32, uint32) public view returns (bytes32 witnessId, bytes32 credibilityScore, bytes32 encryptedTestimony, bool isProtected, uint256 submissionTime, uint256 stake, bool refunded, bytes32 refundCommitment, address stakeToken)",
+  "function evidenceRefunded(uint32, uint32) public view returns (bool)",
+  "function evidenceRejections(uint32, uint32) public view returns (bytes32 reasonHash, uint256 slashed, address rejectedBy, uint256 rejectedAt)",
+  "function slashedStakes(uint32, address) public view returns (uint256)",
+  "function verificationThresholds(uint32) public view returns (uint32)",
+  "function evidenceContentHashes(uint32, uint32) public view returns (bytes32)",
+  "function encryptionKeys(address) public view returns (bytes)",
+  "function requestedDurations(uint32) public view returns (uint256)",
+  "function hasAttested(uint32, uint32, address) public view returns (bool)",
+  "function REFUND_GRACE_PERIOD() public view returns (uint256)",
+  "function treasury() public view returns (address)",
+  "function unallocatedFunds() public view returns (uint256)",
+  "function stakeTokens(address) public view returns (bool)",
 
   "function authorizeInvestigator(address _investigator) external",
-  "function authorizeJudge(address _judge) external",
+  "function authorizeJudge(address _judge, bytes32 encryptedWeight, bytes inputProof) external",
+  "function setInvestigationJudgeWeight(uint32 _investigationId, address _judge, bytes32 encryptedWeight, bytes inputProof) external",
   "function revokeInvestigatorAccess(address _investigator) external",
   "function revokeJudgeAccess(address _judge) external",
+  "function setStakeToken(address _token, bool _allowed) external",
+  "function setStakeMinimums(address _token, uint256[4] _evidenceMinimums, uint256 _witnessMinimum) external",
+  "function setConfidentialityStakeScale(uint256 _percentPerTier) external",
+  "function setTreasury(address _treasury) external",
+  "function sweepForfeitedStakes(uint32 _investigationId) external",
+  "function sweepForfeitedTokenStakes(uint32 _investigationId, address _token) external",
+  "function sweepUnallocatedFunds() external",
 
-  "function startInvestigation(uint32 _caseId) external",
+  "function startInvestigation(uint32 _caseId, uint256 _duration) external",
+  "function requestInvestigation(uint32 _caseId, uint256 _duration) external",
+  "function approveInvestigation(uint32 _investigationId) external",
+  "function rejectInvestigation(uint32 _investigationId, uint8 _reasonCode) external",
   "function authorizeParticipant(uint32 _investigationId, address _participant) external",
-  "function submitEncryptedEvidence(uint32 _investigationId, uint8 _evidenceType, uint32 _confidentialityLevel) external",
-  "function submitAnonymousWitnessTestimony(uint32 _investigationId, uint8 _credibilityScore, uint32 _encryptedTestimonyHash) external",
-  "function submitJudicialVerdict(uint32 _investigationId, uint8 _verdict, uint8 _confidence) external",
+  "function revokeParticipant(uint32 _investigationId, address _participant) external",
+  "function submitEncryptedEvidence(uint32 _investigationId, bytes32 encryptedEvidenceType, bytes32 encryptedConfidentialityLevel, bytes inputProof) external payable",
+  "function submitEncryptedEvidenceWithToken(uint32 _investigationId, bytes32 encryptedEvidenceType, bytes32 encryptedConfidentialityLevel, bytes inputProof, tuple(address token, uint256 amount, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s) stake) external",
+  "function submitAnonymousWitnessTestimony(uint32 _investigationId, bytes32 encryptedCredibilityScore, bytes32 encryptedTestimonyHash, bytes inputProof, bytes32 refundCommitment) external payable",
+  "function submitAnonymousWitnessTestimonyWithToken(uint32 _investigationId, bytes32 encryptedCredibilityScore, bytes32 encryptedTestimonyHash, bytes inputProof, bytes32 refundCommitment, tuple(address token, uint256 amount, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s) stake) external",
+  "function requestEvidenceRefund(uint32 _investigationId, uint32 _evidenceId) external",
+  "function requestWitnessRefund(uint32 _investigationId, uint32 _witnessId, bytes32 _secret, address _recipient) external",
+  "function submitJudicialVerdict(uint32 _investigationId, bytes32 encryptedVerdict, bytes32 encryptedConfidence, bytes inputProof) external",
+  "function assignJudgePanel(uint32 _investigationId, address[] _judges, uint32 _quorum) external",
+  "function transferCustody(uint32 _investigationId, uint32 _evidenceId, address _to, bytes32 encryptedLocation, bytes inputProof) external",
+  "function setEncryptionKey(bytes _publicKey) external",
+  "function anchorEvidenceContent(uint32 _investigationId, uint32 _evidenceId, bytes32 _contentHash) external",
+  "function setVerificationThreshold(uint32 _investigationId, uint32 _threshold) external",
   "function verifyEvidence(uint32 _investigationId, uint32 _evidenceId) external",
+  "function rejectEvidence(uint32 _investigationId, uint32 _evidenceId, bytes32 _reasonHash, uint8 _slashPercent) external",
+  "function requestEvidenceDecryption(uint32 _investigationId, uint32 _evidenceId) external returns (uint256)",
   "function completeInvestigation(uint32 _investigationId) external",
   "function archiveInvestigation(uint32 _investigationId) external",
 
   "function getInvestigationBasicInfo(uint32 _investigationId) external view returns (address investigator, uint8 status, bool isActive)",
-  "function getInvestigationTimeInfo(uint32 _investigationId) external view returns (uint256 startTime, uint256 endTime)",
+  "function getInvestigationTimeInfo(uint32 _investigationId) external view returns (uint256 startTime, uint256 endTime, uint256 expiryTime)",
+  "function getInvestigationSummaries(uint32 _fromId, uint32 _limit) external view returns (tuple(uint32 investigationId, address investigator, uint8 status, bool isActive, uint256 startTime, uint256 endTime, uint256 expiryTime, uint32 evidenceCount, uint32 witnessCount, uint256 totalStake)[] summaries)",
+  "function getCourtStats() external view returns (uint32 totalInvestigations, uint32 activeInvestigations, uint32 totalEvidence, uint32 totalWitnesses)",
   "function getInvestigationCounts(uint32 _investigationId) external view returns (uint32 evidenceCountTotal, uint32 witnessCountTotal)",
+  "function getInvestigationStake(uint32 _investigationId) external view returns (uint256 locked, uint256 forfeited, uint256 forfeitsAt)",
+  "function getInvestigationTokenStake(uint32 _investigationId, address _token) external view returns (uint256 locked, uint256 forfeited, uint256 forfeitsAt)",
+  "function getStakeMinimums(address _token) external view returns (uint256[4] evidenceMinimums, uint256 witnessMinimum, uint256 confidentialityScale)",
+  "function getMinimumEvidenceStake(address _token, uint8 _evidenceType, uint32 _confidentialityLevel) external view returns (uint256)",
+  "function evidenceUnderstaked(uint32 _investigationId, uint32 _evidenceId) external view returns (bool)",
+  "function getEvidenceAttestations(uint32 _investigationId, uint32 _evidenceId) external view returns (address[] attesters, uint32 threshold)",
+  "function getCustodyLog(uint32 _investigationId, uint32 _evidenceId) external view returns (address custodian, tuple(address from, address to, uint256 timestamp, bytes32 encryptedLocation)[] transfers)",
   "function getEvidenceInfo(uint32 _investigationId, uint32 _evidenceId) external view returns (address submitter, uint256 timestamp, bool isVerified)",
   "function getWitnessInfo(uint32 _investigationId, uint32 _witnessId) external view returns (bool isProtected, uint256 submissionTime)",
   "function isAuthorizedForInvestigation(uint32 _investigationId, address _participant) external view returns (bool)",
   "function getParticipantCount(uint32 _investigationId) external view returns (uint256)",
+  "function getParticipants(uint32 _investigationId) external view returns (address[])",
+  "function getJudgePanel(uint32 _investigationId) external view returns (address[] judges, uint32 quorum, uint32 votesCast)",
+  "function isPanelJudge(uint32, address) public view returns (bool)",
   "function hasVoted(uint32 _investigationId, address _judge) external view returns (bool)",
+  "function judicialVotes(uint32, address) external view returns (bytes32 verdict, bytes32 confidence, address voter, uint256 voteTime, bool isSubmitted, bytes32 encryptedWeight)",
+  "function getVerdictOutcome(uint32 _investigationId) external view returns (bool requested, bool revealed, uint8 outcome, uint64 margin)",
+  "function getDecryptionRequestsByRequester(address _requester) external view returns (uint256[])",
+  "function getDecryptionRequestInfo(uint256 _requestId) external view returns (uint32 investigationId, uint32 evidenceId, address requester, uint256 timestamp, bool completed, uint256 deadline, bool failed, uint8 attempt, uint256[] attemptHistory)",
+  "function getDecryptedEvidence(uint32 _investigationId, uint32 _evidenceId) external view returns (uint32 evidenceId, uint8 evidenceType, uint32 confidentialityLevel, uint256 decryptedAt)",
 
-  "event InvestigationStarted(uint32 indexed investigationId, address indexed investigator)",
-  "event EvidenceSubmitted(uint32 indexed investigationId, uint32 indexed evidenceId, address indexed submitter)",
-  "event WitnessTestimonySubmitted(uint32 indexed investigationId, uint32 indexed witnessId)",
+  "event InvestigationStarted(uint32 indexed investigationId, address indexed investigator, uint256 expiryTime)",
+  "event InvestigationRequested(uint32 indexed investigationId, address indexed investigator, uint256 duration)",
+  "event InvestigationApproved(uint32 indexed investigationId, address indexed approver)",
+  "event InvestigationRejected(uint32 indexed investigationId, address indexed approver, uint8 reasonCode)",
+  "event EvidenceSubmitted(uint32 indexed investigationId, uint32 indexed evidenceId, address indexed submitter, uint256 stake)",
+  "event WitnessTestimonySubmitted(uint32 indexed investigationId, uint32 indexed witnessId, uint256 stake)",
   "event VerdictSubmitted(uint32 indexed investigationId, address indexed judge)",
+  "event JudgeWeightSet(address indexed judge, uint32 indexed investigationId)",
+  "event JudgePanelAssigned(uint32 indexed investigationId, address[] judges, uint32 quorum)",
   "event InvestigationCompleted(uint32 indexed investigationId)",
-  "event ParticipantAuthorized(uint32 indexed investigationId, address indexed participant)"
+  "event InvestigationTimedOut(uint32 indexed investigationId)",
+  "event ParticipantAuthorized(uint32 indexed investigationId, address indexed participant)",
+  "event ParticipantRevoked(uint32 indexed investigationId, address indexed participant)",
+  "event StakeReceived(uint32 indexed investigationId, address indexed sender, address indexed token, uint256 amount)",
+  "event StakeTokenUpdated(address indexed token, bool allowed)",
+  "event StakeMinimumsUpdated(address indexed token, uint256[4] evidenceMinimums, uint256 witnessMinimum)",
+  "event ConfidentialityStakeScaleUpdated(uint256 percentPerTier)",
+  "event EvidenceRejected(uint32 indexed investigationId, uint32 indexed evidenceId, address indexed investigator, bytes32 reasonHash, uint256 slashed)",
+  "event VerificationThresholdSet(uint32 indexed investigationId, uint32 threshold)",
+  "event EvidenceAttested(uint32 indexed investigationId, uint32 indexed evidenceId, address indexed investigator, uint32 attestations, uint32 threshold)",
+  "event EvidenceVerified(uint32 indexed investigationId, uint32 indexed evidenceId)",
+  "event CustodyTransferred(uint32 indexed investigationId, uint32 indexed evidenceId, address from, address indexed to, uint256 transferIndex)",
+  "event EvidenceContentAnchored(uint32 indexed investigationId, uint32 indexed evidenceId, bytes32 contentHash)",
+  "event EncryptionKeySet(address indexed account)",
+  "event EvidenceUnderstaked(uint32 indexed investigationId, uint32 indexed evidenceId, uint256 stake, uint256 minimum)",
+  "event RefundIssued(uint32 indexed investigationId, uint32 indexed itemId, address indexed recipient, uint256 amount)",
+  "event TreasuryUpdated(address indexed treasury)",
+  "event TreasurySweep(uint32 indexed investigationId, address indexed treasury, address indexed token, uint256 amount)",
+  "event DecryptionRequested(uint256 indexed requestId, uint32 indexed investigationId, uint32 indexed evidenceId)",
+  "event DecryptionCompleted(uint256 indexed requestId, uint32 indexed investigationId, uint32 indexed evidenceId)",
+  "event DecryptionFailed(uint256 indexed requestId, uint32 indexed investigationId, uint32 indexed evidenceId)",
+  "event VerdictRevealRequested(uint256 indexed requestId, uint32 indexed investigationId)",
+  "event VerdictRevealed(uint32 indexed investigationId, uint8 outcome, uint64 margin)"
+];
+
+// ERC-20 and EIP-2612 functions used for token stakes
+export const STAKE_TOKEN_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function version() view returns (string)"
 ];
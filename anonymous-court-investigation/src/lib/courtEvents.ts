@@ -0,0 +1,143 @@
+import { Contract } from 'ethers';
+import { CacheInvalidation, CourtEvent } from '@/types';
+
+export const evidenceKey = (investigationId: number, evidenceId: number): string => `${investigationId}:${evidenceId}`;
+
+export const voteKey = (investigationId: number, judge: string): string => `${investigationId}:${judge.toLowerCase()}`;
+
+const sameAddress = (a: string, b: string): boolean => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Cache entries an event makes stale. Each event maps to the entities whose contract
+ * state it changed, so only those are read again rather than the whole court.
+ */
+export const getCacheInvalidations = ({ name, args }: CourtEvent): CacheInvalidation[] => {
+  switch (name) {
+    case 'InvestigationRequested':
+    case 'InvestigationStarted':
+    case 'InvestigationApproved':
+    case 'InvestigationRejected':
+    case 'InvestigationCompleted':
+    case 'InvestigationTimedOut':
+    case 'WitnessTestimonySubmitted':
+      return [{ kind: 'investigation', investigationId: Number(args.investigationId) }, { kind: 'stats' }];
+    case 'EvidenceSubmitted':
+      return [
+        { kind: 'investigation', investigationId: Number(args.investigationId) },
+        { kind: 'evidence', investigationId: Number(args.investigationId), evidenceId: Number(args.evidenceId) },
+        { kind: 'stats' },
+      ];
+    case 'EvidenceAttested':
+    case 'EvidenceVerified':
+    case 'EvidenceUnderstaked':
+    case 'CustodyTransferred':
+    case 'EvidenceContentAnchored':
+    case 'DecryptionRequested':
+    case 'DecryptionCompleted':
+    case 'DecryptionFailed':
+      return [{ kind: 'evidence', investigationId: Number(args.investigationId), evidenceId: Number(args.evidenceId) }];
+    // Slashing and refunds change the stake still locked in the investigation
+    case 'EvidenceRejected':
+      return [
+        { kind: 'investigation', investigationId: Number(args.investigationId) },
+        { kind: 'evidence', investigationId: Number(args.investigationId), evidenceId: Number(args.evidenceId) },
+      ];
+    case 'RefundIssued':
+    case 'StakeReceived':
+    case 'JudgePanelAssigned':
+      return [{ kind: 'investigation', investigationId: Number(args.investigationId) }];
+    // Views listing verdict outcomes re-read them when the investigation entry changes
+    case 'VerdictRevealRequested':
+    case 'VerdictRevealed':
+      return [{ kind: 'investigation', investigationId: Number(args.investigationId) }];
+    // Investigators joining the investigation take attester seats, so who can attest its evidence changes too
+    case 'ParticipantAuthorized':
+    case 'ParticipantRevoked':
+      return [
+        { kind: 'investigation', investigationId: Number(args.investigationId) },
+        { kind: 'investigationEvidence', investigationId: Number(args.investigationId) },
+      ];
+    case 'VerificationThresholdSet':
+      return [{ kind: 'investigationEvidence', investigationId: Number(args.investigationId) }];
+    case 'VerdictSubmitted':
+      return [{ kind: 'vote', investigationId: Number(args.investigationId), judge: args.judge }];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Notification text for an event that involves the account, or null when it does not.
+ * Events that only name an investigation or a request are matched through the
+ * investigator, submitter or requester, read from views that any account may call.
+ */
+export const describeEventForAccount = async (
+  contract: Contract,
+  { name, args }: CourtEvent,
+  account: string
+): Promise<string | null> => {
+  switch (name) {
+    case 'ParticipantAuthorized':
+      return sameAddress(args.participant, account)
+        ? `You were authorized to participate in investigation #${args.investigationId}`
+        : null;
+    case 'ParticipantRevoked':
+      return sameAddress(args.participant, account)
+        ? `Your access to investigation #${args.investigationId} was revoked`
+        : null;
+    case 'JudgePanelAssigned':
+      return (args.judges as string[]).some((judge) => sameAddress(judge, account))
+        ? `You were assigned to the judge panel of investigation #${args.investigationId}`
+        : null;
+    case 'InvestigationApproved':
+    case 'InvestigationRejected':
+    case 'InvestigationCompleted':
+    case 'InvestigationTimedOut': {
+      const { investigator } = await contract.getInvestigationBasicInfo(args.investigationId);
+      if (!sameAddress(investigator, account)) return null;
+      const outcome = {
+        InvestigationApproved: 'was approved',
+        InvestigationRejected: 'was rejected',
+        InvestigationCompleted: 'was completed',
+        InvestigationTimedOut: 'timed out',
+      }[name];
+      return `Your investigation #${args.investigationId} ${outcome}`;
+    }
+    case 'EvidenceVerified':
+    case 'EvidenceRejected': {
+      // getEvidenceInfo is limited to participants; the public evidence record is not
+      const { submitter } = await contract.caseEvidence(args.investigationId, args.evidenceId);
+      if (!sameAddress(submitter, account)) return null;
+      return `Your evidence #${args.evidenceId} in investigation #${args.investigationId} was ${
+        name === 'EvidenceVerified' ? 'verified' : 'rejected'
+      }`;
+    }
+    case 'DecryptionCompleted':
+    case 'DecryptionFailed': {
+      const { requester } = await contract.getDecryptionRequestInfo(args.requestId);
+      if (!sameAddress(requester, account)) return null;
+      return `Decryption request #${args.requestId} for evidence #${args.evidenceId} ${
+        name === 'DecryptionCompleted' ? 'completed' : 'failed'
+      }`;
+    }
+    case 'RefundIssued':
+      return sameAddress(args.recipient, account)
+        ? `A stake refund for investigation #${args.investigationId} was sent to you`
+        : null;
+    case 'CustodyTransferred':
+      return sameAddress(args.to, account)
+        ? `You took custody of evidence #${args.evidenceId} in investigation #${args.investigationId}`
+        : null;
+    default:
+      return null;
+  }
+};
+
+// Transactions sent from this app, whose events the sending component already reports
+const sentTransactions = new Set<string>();
+
+export const rememberSentTransaction = (hash: string): void => {
+  sentTransactions.add(hash);
+};
+
+export const isSentFromHere = (event: CourtEvent): boolean => sentTransactions.has(event.log.transactionHash);
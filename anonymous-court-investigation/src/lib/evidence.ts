@@ -0,0 +1,122 @@
+import { AbiCoder, Contract, ZeroAddress, keccak256 } from 'ethers';
+import {
+  CustodyLog,
+  DecryptionStatus,
+  EvidenceReview,
+  EvidenceVerificationState,
+  RejectionReason,
+  StakeAsset,
+} from '@/types';
+import { getStakeAsset } from '@/lib/stake';
+
+export const REJECTION_REASONS: { value: RejectionReason; label: string }[] = [
+  { value: RejectionReason.Fabricated, label: 'Fabricated' },
+  { value: RejectionReason.Irrelevant, label: 'Irrelevant' },
+  { value: RejectionReason.Tampered, label: 'Tampered' },
+  { value: RejectionReason.Duplicate, label: 'Duplicate' },
+  { value: RejectionReason.Other, label: 'Other' },
+];
+
+/**
+ * Hash committed on-chain for a rejection. The reason code and details stay off-chain;
+ * revealing both later proves why the evidence was rejected. The details also keep the
+ * handful of reason codes from being guessed from the hash alone.
+ */
+export const hashRejectionReason = (reason: RejectionReason, details: string): string =>
+  keccak256(AbiCoder.defaultAbiCoder().encode(['uint8', 'string'], [reason, details.trim()]));
+
+export const getEvidenceStateStatus = (state: EvidenceVerificationState): { label: string; className: string } => {
+  if (state === 'verified') return { label: 'Verified', className: 'status-completed' };
+  if (state === 'rejected') return { label: 'Rejected', className: 'status-archived' };
+  return { label: 'Pending Review', className: 'status-pending' };
+};
+
+export const getDecryptionStatusStatus = (status: DecryptionStatus): { label: string; className: string } => {
+  if (status === DecryptionStatus.Completed) return { label: 'Decrypted', className: 'status-completed' };
+  if (status === DecryptionStatus.Failed) return { label: 'Decryption Failed', className: 'status-archived' };
+  if (status === DecryptionStatus.Requested) return { label: 'Decryption Requested', className: 'status-pending' };
+  return { label: 'Encrypted', className: 'status-active' };
+};
+
+// Attestations still needed before pending evidence counts as verified
+export const getRemainingAttestations = (review: EvidenceReview): number =>
+  review.state === 'pending' ? Math.max(review.threshold - review.attesters.length, 0) : 0;
+
+// Review state of one evidence item, read from its public record
+export const loadEvidenceReview = async (
+  contract: Contract,
+  investigationId: number,
+  evidenceId: number,
+  getAsset: (token: string) => Promise<StakeAsset> = (token) => getStakeAsset(token, contract.runner)
+): Promise<EvidenceReview> => {
+  const [evidence, rejection, understaked, attestations] = await Promise.all([
+    contract.caseEvidence(investigationId, evidenceId),
+    contract.evidenceRejections(investigationId, evidenceId),
+    contract.evidenceUnderstaked(investigationId, evidenceId),
+    contract.getEvidenceAttestations(investigationId, evidenceId),
+  ]);
+  const rejected = rejection.rejectedAt !== 0n;
+
+  return {
+    investigationId,
+    evidenceId,
+    submitter: evidence.submitter,
+    timestamp: Number(evidence.timestamp),
+    asset: await getAsset(evidence.stakeToken),
+    stake: evidence.stake,
+    state: rejected ? 'rejected' : evidence.isVerified ? 'verified' : 'pending',
+    decryptionStatus: Number(evidence.decryptionStatus),
+    understaked,
+    attesters: [...attestations.attesters],
+    threshold: Number(attestations.threshold),
+    slashed: rejection.slashed,
+    rejectedBy: rejected ? rejection.rejectedBy : null,
+    rejectedAt: Number(rejection.rejectedAt),
+  };
+};
+
+// Review state of every evidence item of an investigation
+export const loadEvidenceReviews = async (contract: Contract, investigationId: number): Promise<EvidenceReview[]> => {
+  const counts = await contract.getInvestigationCounts(investigationId);
+  const assets = new Map<string, Promise<StakeAsset>>();
+  const getAsset = (token: string) => {
+    if (!assets.has(token)) {
+      assets.set(token, getStakeAsset(token, contract.runner));
+    }
+    return assets.get(token)!;
+  };
+
+  const evidenceIds = Array.from({ length: Number(counts.evidenceCountTotal) }, (_, index) => index + 1);
+  return Promise.all(
+    evidenceIds.map((evidenceId) => loadEvidenceReview(contract, investigationId, evidenceId, getAsset))
+  );
+};
+
+// Custody trail of an evidence item, starting with its submission
+export const loadCustodyLog = async (
+  contract: Contract,
+  investigationId: number,
+  evidenceId: number
+): Promise<CustodyLog> => {
+  const [evidence, log] = await Promise.all([
+    contract.caseEvidence(investigationId, evidenceId),
+    contract.getCustodyLog(investigationId, evidenceId),
+  ]);
+  if (evidence.submitter === ZeroAddress) {
+    throw new Error('Evidence does not exist');
+  }
+
+  return {
+    investigationId,
+    evidenceId,
+    submitter: evidence.submitter,
+    submittedAt: Number(evidence.timestamp),
+    custodian: log.custodian,
+    transfers: log.transfers.map(([from, to, timestamp, encryptedLocation]: [string, string, bigint, string]) => ({
+      from,
+      to,
+      timestamp: Number(timestamp),
+      encryptedLocation,
+    })),
+  };
+};
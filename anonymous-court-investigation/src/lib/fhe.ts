@@ -0,0 +1,118 @@
+import { hexlify } from 'ethers';
+import { initSDK, createInstance, SepoliaConfig, FhevmInstance } from '@zama-fhe/relayer-sdk/bundle';
+import { CONTRACT_CONFIG } from '@/lib/contract';
+
+let instancePromise: Promise<FhevmInstance> | null = null;
+
+// Encrypted input handles and the shared proof, hex-encoded for contract calls
+export interface EncryptedInput {
+  handles: string[];
+  inputProof: string;
+}
+
+// Load the relayer SDK WASM once and create a single FHEVM instance
+export const getFhevmInstance = (): Promise<FhevmInstance> => {
+  if (!instancePromise) {
+    instancePromise = (async () => {
+      if (!window.ethereum) {
+        throw new Error('Please install MetaMask to use this application');
+      }
+
+      await initSDK();
+      return createInstance({ ...SepoliaConfig, network: window.ethereum });
+    })().catch((error) => {
+      instancePromise = null;
+      throw error;
+    });
+  }
+
+  return instancePromise;
+};
+
+// Encrypt a verdict and its confidence in one input bound to the judge
+export const encryptVerdictInput = async (
+  userAddress: string,
+  verdict: number,
+  confidence: number
+): Promise<EncryptedInput> => {
+  const instance = await getFhevmInstance();
+  const { handles, inputProof } = await instance
+    .createEncryptedInput(CONTRACT_CONFIG.address, userAddress)
+    .add8(verdict)
+    .add8(confidence)
+    .encrypt();
+
+  return {
+    handles: handles.map((handle) => hexlify(handle)),
+    inputProof: hexlify(inputProof),
+  };
+};
+
+// Encrypt a judge's vote weight in an input bound to the admin assigning it
+export const encryptJudgeWeightInput = async (
+  userAddress: string,
+  weight: number
+): Promise<EncryptedInput> => {
+  const instance = await getFhevmInstance();
+  const { handles, inputProof } = await instance
+    .createEncryptedInput(CONTRACT_CONFIG.address, userAddress)
+    .add64(weight)
+    .encrypt();
+
+  return {
+    handles: handles.map((handle) => hexlify(handle)),
+    inputProof: hexlify(inputProof),
+  };
+};
+
+// Encrypt an evidence type and confidentiality level in one input bound to the submitter
+export const encryptEvidenceInput = async (
+  userAddress: string,
+  evidenceType: number,
+  confidentialityLevel: number
+): Promise<EncryptedInput> => {
+  const instance = await getFhevmInstance();
+  const { handles, inputProof } = await instance
+    .createEncryptedInput(CONTRACT_CONFIG.address, userAddress)
+    .add8(evidenceType)
+    .add32(confidentialityLevel)
+    .encrypt();
+
+  return {
+    handles: handles.map((handle) => hexlify(handle)),
+    inputProof: hexlify(inputProof),
+  };
+};
+
+// Encrypt a witness credibility score and testimony hash in one input bound to the witness
+export const encryptWitnessInput = async (
+  userAddress: string,
+  credibilityScore: number,
+  testimonyHash: number
+): Promise<EncryptedInput> => {
+  const instance = await getFhevmInstance();
+  const { handles, inputProof } = await instance
+    .createEncryptedInput(CONTRACT_CONFIG.address, userAddress)
+    .add8(credibilityScore)
+    .add32(testimonyHash)
+    .encrypt();
+
+  return {
+    handles: handles.map((handle) => hexlify(handle)),
+    inputProof: hexlify(inputProof),
+  };
+};
+
+// Encrypt the location or handling code of a custody transfer in an input bound to the current custodian
+export const encryptCustodyInput = async (userAddress: string, location: number): Promise<EncryptedInput> => {
+  const instance = await getFhevmInstance();
+  const { handles, inputProof } = await instance
+    .createEncryptedInput(CONTRACT_CONFIG.address, userAddress)
+    .add32(location)
+    .encrypt();
+
+  return {
+    handles: handles.map((handle) => hexlify(handle)),
+    inputProof: hexlify(inputProof),
+  };
+};
@@ -0,0 +1,204 @@
+import { Contract, EventLog, isAddress, Log, toBeHex, TopicFilter, zeroPadValue } from 'ethers';
+import { CaseDetail, CourtEvent, Investigation, InvestigationSummary, TimelineEntry, WitnessSummary } from '@/types';
+import { CONTRACT_CONFIG } from '@/lib/contract';
+import { getStakeAsset, loadInvestigationStake, loadStakeAssets } from '@/lib/stake';
+import { formatAddress } from '@/lib/utils';
+
+// MAX_SUMMARY_PAGE_SIZE in the contract: the most summaries one getInvestigationSummaries call returns
+const SUMMARY_FETCH_SIZE = 100;
+// Blocks per eth_getLogs call, within the range public RPC providers accept
+const LOG_BLOCK_WINDOW = 10_000;
+
+const toInvestigation = (summary: InvestigationSummary): Investigation => ({
+  id: Number(summary.investigationId),
+  investigator: summary.investigator,
+  status: Number(summary.status),
+  startTime: Number(summary.startTime),
+  endTime: Number(summary.endTime),
+  expiryTime: Number(summary.expiryTime),
+  isActive: summary.isActive,
+  evidenceCount: Number(summary.evidenceCount),
+  witnessCount: Number(summary.witnessCount),
+  totalStake: summary.totalStake,
+});
+
+/**
+ * Every investigation, newest first. Summaries are read a full contract page at a time,
+ * so the number of calls grows with every hundred investigations rather than with each one.
+ */
+export const loadInvestigationSummaries = async (contract: Contract, total: number): Promise<Investigation[]> => {
+  const pages = [];
+  for (let fromId = 1; fromId <= total; fromId += SUMMARY_FETCH_SIZE) {
+    pages.push(contract.getInvestigationSummaries(fromId, SUMMARY_FETCH_SIZE));
+  }
+
+  return (await Promise.all(pages)).flat().map(toInvestigation).reverse();
+};
+
+// IDs shown on one page of the investigation list, newest first; the oldest page may be shorter
+export const getInvestigationPageIds = (page: number, pageSize: number, total: number): number[] => {
+  const toId = total - page * pageSize;
+  const fromId = Math.max(toId - pageSize + 1, 1);
+  return Array.from({ length: Math.max(toId - fromId + 1, 0) }, (_, index) => toId - index);
+};
+
+// One page of the investigation list, newest first, read in a single call
+export const loadInvestigationPage = async (
+  contract: Contract,
+  page: number,
+  pageSize: number,
+  total: number
+): Promise<Investigation[]> => {
+  const ids = getInvestigationPageIds(page, pageSize, total);
+  if (ids.length === 0) return [];
+
+  const summaries: InvestigationSummary[] = await contract.getInvestigationSummaries(ids[ids.length - 1], ids.length);
+  return summaries.map(toInvestigation).reverse();
+};
+
+// A single investigation, re-read when one of its events arrives
+export const loadInvestigation = async (contract: Contract, investigationId: number): Promise<Investigation> => {
+  const [summary] = await contract.getInvestigationSummaries(investigationId, 1);
+  return toInvestigation(summary);
+};
+
+// Participants, witnesses, judge panel and stake totals of one investigation
+export const loadCaseDetail = async (
+  contract: Contract,
+  investigationId: number
+): Promise<CaseDetail> => {
+  const [basicInfo, members, counts, panel, assets] = await Promise.all([
+    contract.getInvestigationBasicInfo(investigationId),
+    contract.getParticipants(investigationId) as Promise<string[]>,
+    contract.getInvestigationCounts(investigationId),
+    contract.getJudgePanel(investigationId),
+    loadStakeAssets(contract),
+  ]);
+
+  // Witness stakes are almost always in an allowed asset; one since disallowed is looked up on its own
+  const getAsset = (token: string) =>
+    assets.find((asset) => asset.address === token) ?? getStakeAsset(token, contract.runner);
+
+  const witnessIds = Array.from({ length: Number(counts.witnessCountTotal) }, (_, index) => index + 1);
+  const witnesses = await Promise.all(
+    witnessIds.map(async (witnessId): Promise<WitnessSummary> => {
+      const witness = await contract.witnesses(investigationId, witnessId);
+      return {
+        investigationId,
+        witnessId,
+        isProtected: witness.isProtected,
+        submissionTime: Number(witness.submissionTime),
+        asset: await getAsset(witness.stakeToken),
+        stake: witness.stake,
+        refunded: witness.refunded,
+      };
+    })
+  );
+
+  return {
+    participants: members.map((member) => ({
+      address: member,
+      isCreator: member.toLowerCase() === (basicInfo.investigator as string).toLowerCase(),
+    })),
+    witnesses,
+    panelJudges: [...panel.judges],
+    quorum: Number(panel.quorum),
+    stakes: await Promise.all(assets.map((asset) => loadInvestigationStake(contract, investigationId, asset))),
+  };
+};
+
+const formatEventValue = (value: unknown): string => {
+  if (Array.isArray(value)) return value.map(formatEventValue).join(', ');
+  if (typeof value === 'string' && isAddress(value)) return formatAddress(value);
+  return String(value);
+};
+
+// Whether an event carries the investigation's ID, whichever parameter position it has
+export const concernsInvestigation = (event: CourtEvent, investigationId: number): boolean => {
+  const { investigationId: eventInvestigationId } = event.args.toObject();
+  return eventInvestigationId !== undefined && Number(eventInvestigationId) === investigationId;
+};
+
+export const toTimelineEntry = (event: CourtEvent, timestamp: number): TimelineEntry => ({
+  key: `${event.log.transactionHash}-${event.log.index}`,
+  name: event.name.replace(/([a-z])([A-Z])/g, '$1 $2'),
+  blockNumber: event.log.blockNumber,
+  timestamp,
+  transactionHash: event.log.transactionHash,
+  details: Object.entries(event.args.toObject())
+    .filter(([label]) => label !== 'investigationId')
+    .map(([label, value]) => ({ label, value: formatEventValue(value) })),
+});
+
+const investigationTopic = (investigationId: number): string => zeroPadValue(toBeHex(investigationId), 32);
+
+/**
+ * Topic filters matching every event of one investigation. The ID is indexed in all events
+ * that carry it, first or second among the indexed parameters, so one filter per position
+ * covers them all.
+ */
+const investigationTopicFilters = (contract: Contract, investigationId: number): TopicFilter[] => {
+  const topicHashesByPosition = new Map<number, string[]>();
+  contract.interface.forEachEvent((fragment) => {
+    const position = fragment.inputs
+      .filter((input) => input.indexed)
+      .findIndex((input) => input.name === 'investigationId');
+    if (position < 0) return;
+    topicHashesByPosition.set(position, [...(topicHashesByPosition.get(position) ?? []), fragment.topicHash]);
+  });
+
+  return [...topicHashesByPosition].map(([position, topicHashes]) => [
+    topicHashes,
+    ...Array<null>(position).fill(null),
+    investigationTopic(investigationId),
+  ]);
+};
+
+// Consecutive [from, to] block ranges of at most LOG_BLOCK_WINDOW blocks covering fromBlock to toBlock
+const blockWindows = (fromBlock: number, toBlock: number): [number, number][] => {
+  const windows: [number, number][] = [];
+  for (let from = fromBlock; from <= toBlock; from += LOG_BLOCK_WINDOW) {
+    windows.push([from, Math.min(from + LOG_BLOCK_WINDOW - 1, toBlock)]);
+  }
+  return windows;
+};
+
+/**
+ * Every event of an investigation so far, oldest first, replayed from the contract's logs.
+ * The request or start of the investigation is looked for from the deployment block, and
+ * its events from there to the head, one block window at a time.
+ */
+export const loadInvestigationTimeline = async (contract: Contract, investigationId: number): Promise<TimelineEntry[]> => {
+  const openingEvents = ['InvestigationRequested', 'InvestigationStarted'].map(
+    (name) => contract.interface.getEvent(name)!.topicHash
+  );
+  const head = await contract.runner!.provider!.getBlockNumber();
+
+  let opened: Log | undefined;
+  for (const [from, to] of blockWindows(CONTRACT_CONFIG.deploymentBlock, head)) {
+    [opened] = await contract.queryFilter([openingEvents, investigationTopic(investigationId)], from, to);
+    if (opened) break;
+  }
+  if (!opened) return [];
+
+  const filters = investigationTopicFilters(contract, investigationId);
+  const logs: Log[] = [];
+  for (const [from, to] of blockWindows(opened.blockNumber, head)) {
+    const windowLogs = await Promise.all(filters.map((filter) => contract.queryFilter(filter, from, to)));
+    logs.push(...windowLogs.flat());
+  }
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+  const events = logs
+    .filter((log): log is EventLog => log instanceof EventLog)
+    .map((log): CourtEvent => ({ name: log.eventName, args: log.args, log }));
+
+  const timestamps = new Map<number, Promise<number>>();
+  const getTimestamp = (event: CourtEvent) => {
+    if (!timestamps.has(event.log.blockNumber)) {
+      timestamps.set(event.log.blockNumber, event.log.getBlock().then((block) => block.timestamp));
+    }
+    return timestamps.get(event.log.blockNumber)!;
+  };
+
+  return Promise.all(events.map(async (event) => toTimelineEntry(event, await getTimestamp(event))));
+};
@@ -0,0 +1,59 @@
+import { DecryptionStatus, StakeRecord } from '@/types';
+
+/*
+ * Mirrors of the contract's refund conditions. The contract compares with a strict `>`,
+ * so a stake becomes refundable one second after each deadline.
+ */
+
+// requestEvidenceRefund: evidence timeout, failed decryption or investigation expiry plus grace period
+export const getEvidenceRefundWindow = (
+  evidenceExpiry: number,
+  decryptionStatus: DecryptionStatus,
+  investigationExpiry: number,
+  gracePeriod: number
+): { refundableAt: number; reason: string } => {
+  if (decryptionStatus === DecryptionStatus.Failed) {
+    return { refundableAt: 0, reason: 'Decryption failed' };
+  }
+
+  const investigationDeadline = investigationExpiry + gracePeriod;
+  return evidenceExpiry <= investigationDeadline
+    ? { refundableAt: evidenceExpiry + 1, reason: 'Evidence timeout' }
+    : { refundableAt: investigationDeadline + 1, reason: 'Investigation expired' };
+};
+
+// requestWitnessRefund: investigation expiry plus grace period only
+export const getWitnessRefundWindow = (
+  investigationExpiry: number,
+  gracePeriod: number
+): { refundableAt: number; reason: string } => ({
+  refundableAt: investigationExpiry + gracePeriod + 1,
+  reason: 'Investigation expired',
+});
+
+// Unrefunded stakes of an archived investigation are forfeited once its retention period ends
+export const isStakeForfeited = (stake: StakeRecord, now: number): boolean =>
+  stake.forfeitsAt !== 0 && now > stake.forfeitsAt;
+
+// Stakes that are neither refunded, rejected nor forfeited, so the owner can still get them back
+export const isStakeOpen = (stake: StakeRecord, now: number): boolean =>
+  !stake.refunded && !stake.rejected && !isStakeForfeited(stake, now);
+
+// Witness stakes additionally need the receipt holding the refund secret
+export const isStakeClaimable = (stake: StakeRecord, now: number): boolean =>
+  isStakeOpen(stake, now) &&
+  now >= stake.refundableAt &&
+  (stake.kind === 'evidence' || stake.receipt !== null);
+
+export const formatCountdown = (seconds: number): string => {
+  if (seconds <= 0) return 'now';
+
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m ${secs}s`;
+  return `${minutes}m ${secs}s`;
+};
@@ -0,0 +1,258 @@
+import {
+  Contract,
+  ContractRunner,
+  ContractTransactionReceipt,
+  EventLog,
+  Signature,
+  Signer,
+  ZeroAddress,
+  ZeroHash,
+  formatUnits,
+  parseUnits,
+} from 'ethers';
+import { CostPreview, InvestigationStake, StakeAsset, StakeReceipt, StakeUnit, TokenStake } from '@/types';
+import { STAKE_TOKEN_ABI } from '@/lib/contract';
+
+// Suggested stake pre-filled in the submission forms
+export const DEFAULT_STAKE_ETH = '0.01';
+
+// How long a signed permit stays valid
+const PERMIT_VALIDITY_SECONDS = 60 * 60;
+
+export const ETH_ASSET: StakeAsset = { address: ZeroAddress, symbol: 'ETH', decimals: 18, supportsPermit: false };
+
+export const isTokenAsset = (asset: StakeAsset): boolean => asset.address !== ZeroAddress;
+
+export const getStakeTokenContract = (asset: StakeAsset, runner: ContractRunner | null): Contract =>
+  new Contract(asset.address, STAKE_TOKEN_ABI, runner);
+
+// Read the symbol, decimals and EIP-2612 support of a stake token; the zero address is ETH
+export const getStakeAsset = async (token: string, runner: ContractRunner | null): Promise<StakeAsset> => {
+  if (token === ZeroAddress) return ETH_ASSET;
+
+  const erc20 = new Contract(token, STAKE_TOKEN_ABI, runner);
+  const [symbol, decimals, supportsPermit] = await Promise.all([
+    erc20.symbol().catch(() => 'TOKEN'),
+    erc20.decimals().catch(() => 18n),
+    Promise.all([erc20.nonces(ZeroAddress), erc20.DOMAIN_SEPARATOR()]).then(
+      () => true,
+      () => false
+    ),
+  ]);
+
+  return { address: token, symbol, decimals: Number(decimals), supportsPermit };
+};
+
+// ETH plus every token the admin currently allows, replayed from StakeTokenUpdated events
+export const loadStakeAssets = async (contract: Contract): Promise<StakeAsset[]> => {
+  const logs = (await contract.queryFilter(contract.filters.StakeTokenUpdated())) as EventLog[];
+  const allowed = new Map<string, boolean>();
+  for (const log of logs) {
+    allowed.set(log.args.token, log.args.allowed);
+  }
+
+  const tokens = [...allowed].filter(([, isAllowed]) => isAllowed).map(([token]) => token);
+  const assets = await Promise.all(tokens.map((token) => getStakeAsset(token, contract.runner)));
+  return [ETH_ASSET, ...assets];
+};
+
+// Stake of an investigation in one asset; ETH is tracked apart from token stakes
+export const loadInvestigationStake = async (
+  contract: Contract,
+  investigationId: number,
+  asset: StakeAsset
+): Promise<InvestigationStake> => {
+  const stake = isTokenAsset(asset)
+    ? await contract.getInvestigationTokenStake(investigationId, asset.address)
+    : await contract.getInvestigationStake(investigationId);
+  return {
+    investigationId,
+    asset,
+    locked: stake.locked,
+    forfeited: stake.forfeited,
+    forfeitsAt: Number(stake.forfeitsAt),
+  };
+};
+
+// Convert a stake entered in whole units ("ETH") or base units ("wei") of the asset
+export const parseStakeAmount = (amount: string, unit: StakeUnit, asset: StakeAsset = ETH_ASSET): bigint => {
+  let value: bigint;
+  try {
+    value = parseUnits(amount.trim(), unit === 'ETH' ? asset.decimals : 0);
+  } catch {
+    throw new Error(`Invalid stake amount: ${amount}`);
+  }
+
+  if (value <= 0n) {
+    throw new Error('Stake must be greater than zero');
+  }
+  return value;
+};
+
+// Show the same stake in the other unit, or an empty string while the input is invalid
+export const convertStakeAmount = (amount: string, unit: StakeUnit, asset: StakeAsset = ETH_ASSET): string => {
+  try {
+    const value = parseStakeAmount(amount, unit, asset);
+    return unit === 'ETH' ? `${value.toString()} ${getBaseUnitLabel(asset)}` : formatStake(value, asset);
+  } catch {
+    return '';
+  }
+};
+
+// Write a stake back into the form in the unit the user is entering it in
+export const formatStakeInput = (amount: bigint, unit: StakeUnit, asset: StakeAsset = ETH_ASSET): string =>
+  unit === 'ETH' ? formatUnits(amount, asset.decimals) : amount.toString();
+
+// Whether the entered stake falls short of a minimum; an invalid entry always does
+export const isBelowMinimumStake = (
+  amount: string,
+  unit: StakeUnit,
+  asset: StakeAsset,
+  minimum: bigint
+): boolean => {
+  try {
+    return parseStakeAmount(amount, unit, asset) < minimum;
+  } catch {
+    return true;
+  }
+};
+
+/**
+ * Minimum stake the contract enforces for evidence of a type and confidentiality level.
+ * Submission only checks the lowest evidence minimum, since both values are encrypted, but
+ * evidence below this amount is flagged when the Gateway reveals it and cannot be verified.
+ */
+export const getMinimumEvidenceStake = (
+  contract: Contract,
+  asset: StakeAsset,
+  evidenceType: number,
+  confidentialityLevel: number
+): Promise<bigint> =>
+  contract.getMinimumEvidenceStake(asset.address, evidenceType, Math.max(confidentialityLevel || 1, 1));
+
+export const getMinimumWitnessStake = async (contract: Contract, asset: StakeAsset): Promise<bigint> =>
+  (await contract.getStakeMinimums(asset.address)).witnessMinimum;
+
+export const getBaseUnitLabel = (asset: StakeAsset): string => (isTokenAsset(asset) ? 'base units' : 'wei');
+
+export const formatStake = (amount: bigint, asset: StakeAsset = ETH_ASSET): string =>
+  `${formatUnits(amount, asset.decimals)} ${asset.symbol}`;
+
+// Token stake argument that spends an allowance granted through approve()
+export const approvedTokenStake = (asset: StakeAsset, amount: bigint): TokenStake => ({
+  token: asset.address,
+  amount,
+  permitDeadline: 0n,
+  v: 0,
+  r: ZeroHash,
+  s: ZeroHash,
+});
+
+/**
+ * Sign an EIP-2612 permit for the court to pull the stake, so the submission needs no
+ * separate approve() transaction. Signing is free; the permit is spent by the submission.
+ */
+export const signTokenStakePermit = async (
+  asset: StakeAsset,
+  signer: Signer,
+  spender: string,
+  amount: bigint
+): Promise<TokenStake> => {
+  const erc20 = getStakeTokenContract(asset, signer);
+  const owner = await signer.getAddress();
+  const [name, version, nonce, network] = await Promise.all([
+    erc20.name(),
+    erc20.version().catch(() => '1'),
+    erc20.nonces(owner),
+    signer.provider!.getNetwork(),
+  ]);
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + PERMIT_VALIDITY_SECONDS);
+
+  const signature = await signer.signTypedData(
+    { name, version, chainId: network.chainId, verifyingContract: asset.address },
+    {
+      Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+      ],
+    },
+    { owner, spender, value: amount, nonce, deadline }
+  );
+  const { v, r, s } = Signature.from(signature);
+
+  return { token: asset.address, amount, permitDeadline: deadline, v, r, s };
+};
+
+/**
+ * Estimate gas for a staked submission and compare the cost with the sender's balances.
+ * ETH stakes are sent as value; token stakes only need ETH for gas. A token stake that
+ * still needs an approve() cannot be estimated yet and reports no gas.
+ * Reverts such as an expired investigation surface here, before the wallet prompt.
+ */
+export const previewSubmissionCost = async (
+  contract: Contract,
+  method: string,
+  args: unknown[],
+  stake: bigint,
+  address: string,
+  asset: StakeAsset = ETH_ASSET,
+  needsApproval = false
+): Promise<CostPreview> => {
+  const provider = contract.runner?.provider;
+  if (!provider) {
+    throw new Error('Wallet provider not available');
+  }
+
+  const isToken = isTokenAsset(asset);
+  const [gasLimit, feeData, balance, assetBalance] = await Promise.all([
+    needsApproval
+      ? Promise.resolve(0n)
+      : contract.getFunction(method).estimateGas(...args, ...(isToken ? [] : [{ value: stake }])),
+    provider.getFeeData(),
+    provider.getBalance(address),
+    isToken ? getStakeTokenContract(asset, contract.runner).balanceOf(address) : Promise.resolve(null),
+  ]);
+
+  const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+  const gasCost = gasLimit * gasPrice;
+
+  return {
+    asset,
+    stake,
+    gasLimit,
+    gasPrice,
+    gasCost,
+    total: isToken ? gasCost : stake + gasCost,
+    balance,
+    assetBalance: assetBalance ?? balance,
+    needsApproval,
+  };
+};
+
+// Whether the sender holds enough ETH for the transaction and enough of the stake asset
+export const canAffordSubmission = (preview: CostPreview): boolean =>
+  preview.total <= preview.balance && preview.stake <= preview.assetBalance;
+
+// Read the stake the contract recorded through StakeReceived
+export const getStakeReceipt = (
+  contract: Contract,
+  receipt: ContractTransactionReceipt
+): StakeReceipt | null => {
+  for (const log of receipt.logs) {
+    const parsed = contract.interface.parseLog(log);
+    if (parsed?.name === 'StakeReceived') {
+      return {
+        investigationId: Number(parsed.args.investigationId),
+        sender: parsed.args.sender,
+        token: parsed.args.token,
+        amount: parsed.args.amount,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      };
+    }
+  }
+  return null;
+};
@@ -1,4 +1,4 @@
-import { InvestigationStatus, EvidenceType, VerdictType } from '@/types';
+import { InvestigationStatus, IntakeRejectionReason, EvidenceType, VerdictType } from '@/types';
 
 // Format address to shortened version
 export const formatAddress = (address: string): string => {
@@ -14,15 +14,31 @@ export const formatTimestamp = (timestamp: number): string => {
 
 // Get investigation status label
 export const getInvestigationStatusLabel = (status: InvestigationStatus): string => {
-  const labels = {
+  const labels: Record<InvestigationStatus, string> = {
     [InvestigationStatus.Pending]: 'Pending',
     [InvestigationStatus.Active]: 'Active',
     [InvestigationStatus.Completed]: 'Completed',
     [InvestigationStatus.Archived]: 'Archived',
+    [InvestigationStatus.TimedOut]: 'Timed Out',
+    [InvestigationStatus.Rejected]: 'Rejected',
   };
   return labels[status] || 'Unknown';
 };
 
+export const INTAKE_REJECTION_REASONS: { value: IntakeRejectionReason; label: string }[] = [
+  { value: IntakeRejectionReason.InsufficientGrounds, label: 'Insufficient Grounds' },
+  { value: IntakeRejectionReason.OutOfJurisdiction, label: 'Out of Jurisdiction' },
+  { value: IntakeRejectionReason.DuplicateCase, label: 'Duplicate Case' },
+  { value: IntakeRejectionReason.IncompleteRequest, label: 'Incomplete Request' },
+  { value: IntakeRejectionReason.Other, label: 'Other' },
+];
+
+// Format a duration in seconds as whole days
+export const formatDuration = (seconds: number): string => {
+  const days = Math.round(seconds / 86400);
+  return `${days} day${days === 1 ? '' : 's'}`;
+};
+
 // Get evidence type label
 export const getEvidenceTypeLabel = (type: EvidenceType): string => {
   const labels = {
@@ -94,11 +110,13 @@ export const isMetaMaskInstalled = (): boolean => {
 
 // Get status CSS class
 export const getStatusClass = (status: InvestigationStatus): string => {
-  const classes = {
+  const classes: Record<InvestigationStatus, string> = {
     [InvestigationStatus.Pending]: 'status-pending',
     [InvestigationStatus.Active]: 'status-active',
     [InvestigationStatus.Completed]: 'status-completed',
     [InvestigationStatus.Archived]: 'status-archived',
+    [InvestigationStatus.TimedOut]: 'status-timedout',
+    [InvestigationStatus.Rejected]: 'status-rejected',
   };
   return classes[status] || '';
 };
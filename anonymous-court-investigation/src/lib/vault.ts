@@ -0,0 +1,185 @@
+import { Contract, getBytes, hexlify, keccak256 } from 'ethers';
+import { DecryptedEvidenceFile, EvidenceEnvelope, VaultRecipient, WrappedFileKey } from '@/types';
+
+const ENVELOPE_VERSION = 1;
+const KEY_STORAGE_PREFIX = 'court-vault-key:';
+const ECDH_PARAMS: EcKeyGenParams = { name: 'ECDH', namedCurve: 'P-256' };
+const AES_PARAMS: AesKeyGenParams = { name: 'AES-GCM', length: 256 };
+const IV_BYTES = 12;
+
+interface StoredKeyPair {
+  privateKey: JsonWebKey;
+  publicKey: JsonWebKey;
+}
+
+const toBase64 = (bytes: Uint8Array): string => {
+  let binary = '';
+  // Chunked so large files do not exceed the argument limit of fromCharCode
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (value: string): Uint8Array<ArrayBuffer> =>
+  Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+
+const randomIv = (): Uint8Array<ArrayBuffer> => crypto.getRandomValues(new Uint8Array(IV_BYTES));
+
+// getBytes may return a view into a shared buffer, which Web Crypto does not accept
+const importPublicKey = (publicKey: string): Promise<CryptoKey> =>
+  crypto.subtle.importKey('raw', getBytes(publicKey).slice(), ECDH_PARAMS, false, []);
+
+// Both sides of a key agreement derive the same AES key that wraps the file's content key
+const deriveWrappingKey = (privateKey: CryptoKey, publicKey: CryptoKey): Promise<CryptoKey> =>
+  crypto.subtle.deriveKey({ name: 'ECDH', public: publicKey }, privateKey, AES_PARAMS, false, ['wrapKey', 'unwrapKey']);
+
+/**
+ * Vault key pair of an account in this browser, or null before one is created.
+ * The private key never leaves the browser; losing it means losing access to files
+ * wrapped for the published public key.
+ */
+export const loadVaultKeyPair = async (address: string): Promise<CryptoKeyPair | null> => {
+  const stored = localStorage.getItem(KEY_STORAGE_PREFIX + address.toLowerCase());
+  if (!stored) return null;
+
+  const { privateKey, publicKey } = JSON.parse(stored) as StoredKeyPair;
+  return {
+    privateKey: await crypto.subtle.importKey('jwk', privateKey, ECDH_PARAMS, true, ['deriveKey']),
+    publicKey: await crypto.subtle.importKey('jwk', publicKey, ECDH_PARAMS, true, []),
+  };
+};
+
+export const createVaultKeyPair = async (address: string): Promise<CryptoKeyPair> => {
+  const keyPair = await crypto.subtle.generateKey(ECDH_PARAMS, true, ['deriveKey']);
+  const stored: StoredKeyPair = {
+    privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey),
+    publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+  };
+  localStorage.setItem(KEY_STORAGE_PREFIX + address.toLowerCase(), JSON.stringify(stored));
+  return keyPair;
+};
+
+// Uncompressed public key as published with setEncryptionKey
+export const exportVaultPublicKey = async (keyPair: CryptoKeyPair): Promise<string> =>
+  hexlify(new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey)));
+
+// Participants who published a key, and those who have not and so cannot be given access
+export const loadVaultRecipients = async (
+  contract: Contract,
+  investigationId: number
+): Promise<{ recipients: VaultRecipient[]; missing: string[] }> => {
+  const participants: string[] = await contract.getParticipants(investigationId);
+  const publicKeys: string[] = await Promise.all(participants.map((participant) => contract.encryptionKeys(participant)));
+
+  const recipients: VaultRecipient[] = [];
+  const missing: string[] = [];
+  participants.forEach((participant, index) => {
+    if (publicKeys[index] === '0x') {
+      missing.push(participant);
+    } else {
+      recipients.push({ address: participant, publicKey: publicKeys[index] });
+    }
+  });
+  return { recipients, missing };
+};
+
+/**
+ * Encrypt a file with a random AES-GCM content key and wrap that key for every recipient
+ * through ECDH with a one-off key pair. The returned hash is what gets anchored on-chain
+ * and what the content store files the envelope under.
+ */
+export const encryptEvidenceFile = async (
+  file: File,
+  recipients: VaultRecipient[]
+): Promise<{ envelope: Uint8Array<ArrayBuffer>; contentHash: string }> => {
+  if (recipients.length === 0) {
+    throw new Error('No participant has published an encryption key');
+  }
+
+  const contentKey = await crypto.subtle.generateKey(AES_PARAMS, true, ['encrypt', 'decrypt']);
+  const iv = randomIv();
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, contentKey, await file.arrayBuffer());
+
+  const ephemeral = await crypto.subtle.generateKey(ECDH_PARAMS, true, ['deriveKey']);
+  const keys: WrappedFileKey[] = await Promise.all(
+    recipients.map(async (recipient) => {
+      const wrappingKey = await deriveWrappingKey(ephemeral.privateKey, await importPublicKey(recipient.publicKey));
+      const wrapIv = randomIv();
+      const wrappedKey = await crypto.subtle.wrapKey('raw', contentKey, wrappingKey, { name: 'AES-GCM', iv: wrapIv });
+      return { address: recipient.address, iv: toBase64(wrapIv), wrappedKey: toBase64(new Uint8Array(wrappedKey)) };
+    })
+  );
+
+  const envelope: EvidenceEnvelope = {
+    version: ENVELOPE_VERSION,
+    name: file.name,
+    type: file.type || 'application/octet-stream',
+    size: file.size,
+    ephemeralPublicKey: await exportVaultPublicKey(ephemeral),
+    iv: toBase64(iv),
+    ciphertext: toBase64(new Uint8Array(ciphertext)),
+    keys,
+  };
+  const bytes = new TextEncoder().encode(JSON.stringify(envelope));
+  return { envelope: bytes, contentHash: keccak256(bytes) };
+};
+
+/**
+ * Check a downloaded envelope against the anchored hash, then unwrap the content key
+ * for the account and decrypt the file. Any mismatch throws before decryption starts.
+ */
+export const decryptEvidenceFile = async (
+  envelopeBytes: Uint8Array,
+  contentHash: string,
+  address: string
+): Promise<DecryptedEvidenceFile> => {
+  if (keccak256(envelopeBytes) !== contentHash.toLowerCase()) {
+    throw new Error('Content hash mismatch: the stored file does not match the on-chain anchor');
+  }
+
+  const envelope = JSON.parse(new TextDecoder().decode(envelopeBytes)) as EvidenceEnvelope;
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported evidence file version ${envelope.version}`);
+  }
+
+  const wrapped = envelope.keys.find((key) => key.address.toLowerCase() === address.toLowerCase());
+  if (!wrapped) {
+    throw new Error('This file was not shared with your account');
+  }
+
+  const keyPair = await loadVaultKeyPair(address);
+  if (!keyPair) {
+    throw new Error('No vault key for your account in this browser');
+  }
+
+  const wrappingKey = await deriveWrappingKey(keyPair.privateKey, await importPublicKey(envelope.ephemeralPublicKey));
+  const contentKey = await crypto.subtle.unwrapKey(
+    'raw',
+    fromBase64(wrapped.wrappedKey),
+    wrappingKey,
+    { name: 'AES-GCM', iv: fromBase64(wrapped.iv) },
+    AES_PARAMS,
+    false,
+    ['decrypt']
+  );
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+    contentKey,
+    fromBase64(envelope.ciphertext)
+  );
+
+  return { name: envelope.name, type: envelope.type, data: new Uint8Array(plaintext) };
+};
+
+// Save a decrypted evidence file under its original name
+export const downloadEvidenceFile = (file: DecryptedEvidenceFile): void => {
+  const blob = new Blob([file.data], { type: file.type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.name;
+  link.click();
+  // Revoking right after click() can cancel the download before the browser reads the blob
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,13 @@
+import { Contract } from 'ethers';
+import { VoteRecord } from '@/types';
+
+// Whether and when a judge voted; the verdict and confidence stay encrypted handles
+export const loadVoteRecord = async (contract: Contract, investigationId: number, judge: string): Promise<VoteRecord> => {
+  const vote = await contract.judicialVotes(investigationId, judge);
+  return {
+    investigationId,
+    judge,
+    submitted: vote.isSubmitted,
+    voteTime: Number(vote.voteTime),
+  };
+};
@@ -0,0 +1,108 @@
+import { AbiCoder, Contract, getAddress, hexlify, isAddress, isHexString, keccak256, randomBytes } from 'ethers';
+import { WitnessReceipt } from '@/types';
+
+const RECEIPT_STORAGE_PREFIX = 'court-witness-receipt:';
+
+// Fresh 32-byte secret that backs a witness stake refund
+export const generateRefundSecret = (): string => hexlify(randomBytes(32));
+
+// Must match the contract: keccak256(abi.encode(secret, recipient))
+export const computeRefundCommitment = (secret: string, recipient: string): string =>
+  keccak256(AbiCoder.defaultAbiCoder().encode(['bytes32', 'address'], [secret, recipient]));
+
+// Save the receipt as a JSON file the witness keeps outside this browser
+export const downloadWitnessReceipt = (receipt: WitnessReceipt): void => {
+  const blob = new Blob([JSON.stringify(receipt, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `witness-receipt-${receipt.investigationId}-${receipt.witnessId ?? receipt.commitment.slice(2, 10)}.json`;
+  link.click();
+  // Revoking right after click() can cancel the download before the browser reads the blob
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Keep the receipt in this browser, keyed by its commitment. Called before the submission is
+ * sent, and again as its transaction hash and witness ID become known, so the refund secret
+ * survives a failed wait or a closed tab.
+ */
+export const saveWitnessReceipt = (receipt: WitnessReceipt): void => {
+  localStorage.setItem(RECEIPT_STORAGE_PREFIX + receipt.commitment, JSON.stringify(receipt));
+};
+
+export const forgetWitnessReceipt = (receipt: WitnessReceipt): void => {
+  localStorage.removeItem(RECEIPT_STORAGE_PREFIX + receipt.commitment);
+};
+
+// Receipts saved in this browser for one contract, oldest first
+export const loadSavedWitnessReceipts = (contractAddress: string): WitnessReceipt[] => {
+  const receipts: WitnessReceipt[] = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key?.startsWith(RECEIPT_STORAGE_PREFIX)) continue;
+
+    try {
+      const receipt = parseWitnessReceipt(localStorage.getItem(key)!);
+      if (receipt.contractAddress.toLowerCase() === contractAddress.toLowerCase()) {
+        receipts.push(receipt);
+      }
+    } catch (error) {
+      console.error('Skipping unreadable witness receipt:', error);
+    }
+  }
+  return receipts.sort((a, b) => a.submittedAt - b.submittedAt);
+};
+
+/**
+ * Witness ID a receipt claims against. Receipts written before their submission was mined
+ * only carry the transaction hash; the ID is read from that transaction's logs.
+ */
+export const resolveWitnessId = async (contract: Contract, receipt: WitnessReceipt): Promise<number> => {
+  if (receipt.witnessId !== undefined) return receipt.witnessId;
+  if (!receipt.txHash) {
+    throw new Error('Receipt has no witness ID or transaction hash; the testimony was never sent');
+  }
+
+  const txReceipt = await contract.runner!.provider!.getTransactionReceipt(receipt.txHash);
+  if (!txReceipt) {
+    throw new Error('Testimony transaction is not mined yet');
+  }
+  if (txReceipt.status !== 1) {
+    throw new Error('Testimony transaction failed; no stake was taken');
+  }
+
+  const submitted = txReceipt.logs
+    .map((log) => contract.interface.parseLog(log))
+    .find((parsed) => parsed?.name === 'WitnessTestimonySubmitted');
+  if (!submitted) {
+    throw new Error('Testimony transaction did not submit a testimony');
+  }
+  return Number(submitted.args.witnessId);
+};
+
+// Parse a receipt file and check that its secret still matches its commitment
+export const parseWitnessReceipt = (contents: string): WitnessReceipt => {
+  let receipt: WitnessReceipt;
+  try {
+    receipt = JSON.parse(contents);
+  } catch {
+    throw new Error('Receipt file is not valid JSON');
+  }
+
+  if (
+    !Number.isInteger(receipt.investigationId) ||
+    (receipt.witnessId !== undefined && !Number.isInteger(receipt.witnessId)) ||
+    (receipt.txHash !== undefined && !isHexString(receipt.txHash, 32)) ||
+    !isHexString(receipt.secret, 32) ||
+    !isAddress(receipt.recipient)
+  ) {
+    throw new Error('Receipt file is missing refund details');
+  }
+
+  if (computeRefundCommitment(receipt.secret, receipt.recipient) !== receipt.commitment) {
+    throw new Error('Receipt secret does not match its commitment');
+  }
+
+  return { ...receipt, recipient: getAddress(receipt.recipient) };
+};
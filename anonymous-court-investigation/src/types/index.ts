@@ -1,4 +1,4 @@
-import { BrowserProvider, Signer, Contract } from 'ethers';
+import { BrowserProvider, Signer, Contract, Log, Result } from 'ethers';
 
 // Investigation Status Enum
 export enum InvestigationStatus {
@@ -6,6 +6,8 @@ export enum InvestigationStatus {
   Active = 1,
   Completed = 2,
   Archived = 3,
+  TimedOut = 4,
+  Rejected = 5,
 }
 
 // Evidence Type Enum
@@ -23,17 +25,68 @@ export enum VerdictType {
   InsufficientEvidence = 2,
 }
 
+// Gateway Decryption Status Enum
+export enum DecryptionStatus {
+  None = 0,
+  Requested = 1,
+  Completed = 2,
+  Failed = 3,
+}
+
+// Reason Codes an Investigator Can Reject Evidence With
+export enum RejectionReason {
+  Fabricated = 1,
+  Irrelevant = 2,
+  Tampered = 3,
+  Duplicate = 4,
+  Other = 5,
+}
+
+// Reason Codes an Approver Can Reject an Intake Request With
+export enum IntakeRejectionReason {
+  InsufficientGrounds = 1,
+  OutOfJurisdiction = 2,
+  DuplicateCase = 3,
+  IncompleteRequest = 4,
+  Other = 5,
+}
+
+// Pending Investigation Awaiting Approval
+export interface IntakeRequest {
+  id: number;
+  investigator: string;
+  requestedDuration: number;
+}
+
+// Verification State of Submitted Evidence
+export type EvidenceVerificationState = 'pending' | 'verified' | 'rejected';
+
 // Investigation Interface
 export interface Investigation {
   id: number;
-  encryptedCaseId: number;
   investigator: string;
   status: InvestigationStatus;
   startTime: number;
   endTime: number;
+  expiryTime: number;
   isActive: boolean;
   evidenceCount: number;
   witnessCount: number;
+  totalStake: bigint;
+}
+
+// One Entry of getInvestigationSummaries, as Decoded by ethers
+export interface InvestigationSummary {
+  investigationId: bigint;
+  investigator: string;
+  status: bigint;
+  isActive: boolean;
+  startTime: bigint;
+  endTime: bigint;
+  expiryTime: bigint;
+  evidenceCount: bigint;
+  witnessCount: bigint;
+  totalStake: bigint;
 }
 
 // Evidence Interface
@@ -47,6 +100,110 @@ export interface Evidence {
   isVerified: boolean;
 }
 
+// On-Chain Review State of a Piece of Evidence
+export interface EvidenceReview {
+  investigationId: number;
+  evidenceId: number;
+  submitter: string;
+  timestamp: number;
+  asset: StakeAsset;
+  stake: bigint;
+  state: EvidenceVerificationState;
+  decryptionStatus: DecryptionStatus;
+  understaked: boolean;
+  attesters: string[];
+  threshold: number;
+  slashed: bigint;
+  rejectedBy: string | null;
+  rejectedAt: number;
+}
+
+// Judicial Vote as Recorded On-Chain; the Verdict Itself Stays Encrypted
+export interface VoteRecord {
+  investigationId: number;
+  judge: string;
+  submitted: boolean;
+  voteTime: number;
+}
+
+// Normalized Cache of Contract State, Keyed by Entity
+export interface CourtCache {
+  investigations: Record<number, Investigation>;
+  evidence: Record<string, EvidenceReview>;
+  votes: Record<string, VoteRecord>;
+}
+
+// Cache Entries Made Stale by a Contract Event
+export type CacheInvalidation =
+  | { kind: 'stats' }
+  | { kind: 'investigation'; investigationId: number }
+  | { kind: 'evidence'; investigationId: number; evidenceId: number }
+  | { kind: 'investigationEvidence'; investigationId: number }
+  | { kind: 'vote'; investigationId: number; judge: string };
+
+// Contract Event Received From the Provider
+export interface CourtEvent {
+  name: string;
+  args: Result;
+  log: Log;
+}
+
+// Hand-Over of an Evidence Item Between Participants
+export interface CustodyTransfer {
+  from: string;
+  to: string;
+  timestamp: number;
+  encryptedLocation: string;
+}
+
+// Chain of Custody of a Piece of Evidence
+export interface CustodyLog {
+  investigationId: number;
+  evidenceId: number;
+  submitter: string;
+  submittedAt: number;
+  custodian: string;
+  transfers: CustodyTransfer[];
+}
+
+// Participant an Evidence File Key Is Wrapped For
+export interface VaultRecipient {
+  address: string;
+  publicKey: string;
+}
+
+// Content Key of an Evidence File, Wrapped for One Participant
+export interface WrappedFileKey {
+  address: string;
+  iv: string;
+  wrappedKey: string;
+}
+
+// Encrypted Evidence File as Kept in the Content Store; Binary Fields Are Base64
+export interface EvidenceEnvelope {
+  version: number;
+  name: string;
+  type: string;
+  size: number;
+  ephemeralPublicKey: string;
+  iv: string;
+  ciphertext: string;
+  keys: WrappedFileKey[];
+}
+
+// Evidence File After Download, Hash Check and Decryption
+export interface DecryptedEvidenceFile {
+  name: string;
+  type: string;
+  data: Uint8Array<ArrayBuffer>;
+}
+
+// Off-Chain Store for Encrypted Evidence Files, Addressed by Their On-Chain Content Hash
+export interface ContentStore {
+  put: (contentHash: string, data: Uint8Array<ArrayBuffer>) => Promise<void>;
+  get: (contentHash: string) => Promise<Uint8Array<ArrayBuffer>>;
+}
+
 // Witness Testimony Interface
 export interface WitnessTestimony {
   id: number;
@@ -57,6 +214,80 @@ export interface WitnessTestimony {
   submissionTime: number;
 }
 
+// Refund Receipt Saved When a Witness Submits Testimony
+export interface WitnessReceipt {
+  contractAddress: string;
+  chainId: number;
+  investigationId: number;
+  // Unknown until the submission is mined; resolved from txHash at claim time otherwise
+  witnessId?: number;
+  txHash?: string;
+  secret: string;
+  recipient: string;
+  commitment: string;
+  submittedAt: number;
+}
+
+// Unit a stake amount is entered in
+export type StakeUnit = 'ETH' | 'wei';
+
+// Asset a Stake Is Paid In (ETH uses the zero address)
+export interface StakeAsset {
+  address: string;
+  symbol: string;
+  decimals: number;
+  supportsPermit: boolean;
+}
+
+// Token Stake Argument of the *WithToken Submissions
+export interface TokenStake {
+  token: string;
+  amount: bigint;
+  permitDeadline: bigint; // 0 when the contract relies on a prior approve()
+  v: number;
+  r: string;
+  s: string;
+}
+
+// Pre-flight Cost of a Staked Submission (stake in the asset's base units, the rest in wei)
+export interface CostPreview {
+  asset: StakeAsset;
+  stake: bigint;
+  gasLimit: bigint;
+  gasPrice: bigint;
+  gasCost: bigint;
+  total: bigint; // ETH the transaction needs: stake plus gas, or gas only for token stakes
+  balance: bigint;
+  assetBalance: bigint;
+  needsApproval: boolean; // token allowance too low and no permit support
+}
+
+// Stake Recorded On-Chain Through StakeReceived
+export interface StakeReceipt {
+  investigationId: number;
+  sender: string;
+  token: string;
+  amount: bigint;
+  transactionHash: string;
+  blockNumber: number;
+}
+
+// Evidence or Witness Stake Owned by the Connected Account
+export interface StakeRecord {
+  kind: 'evidence' | 'witness';
+  investigationId: number;
+  itemId: number;
+  asset: StakeAsset;
+  amount: bigint;
+  refunded: boolean;
+  rejected: boolean; // evidence rejected by an investigator; no longer refundable
+  slashed: bigint;
+  refundableAt: number;
+  reason: string;
+  forfeitsAt: number; // 0 until the investigation is archived
+  receipt: WitnessReceipt | null;
+}
+
 // Verdict Interface
 export interface Verdict {
   investigationId: number;
@@ -66,6 +297,95 @@ export interface Verdict {
   timestamp: number;
 }
 
+// Revealed Verdict Outcome Interface
+export interface VerdictOutcome {
+  investigationId: number;
+  requested: boolean;
+  revealed: boolean;
+  outcome: VerdictType;
+  margin: number;
+}
+
+// Judge Panel Member Interface
+export interface PanelJudge {
+  address: string;
+  hasVoted: boolean;
+}
+
+// Investigation Participant Interface
+export interface Participant {
+  address: string;
+  isCreator: boolean;
+}
+
+// Locked and Forfeited Stake of an Investigation in One Asset
+export interface InvestigationStake {
+  investigationId: number;
+  asset: StakeAsset;
+  locked: bigint;
+  forfeited: bigint;
+  forfeitsAt: number;
+}
+
+// Public Record of an Anonymous Witness Testimony
+export interface WitnessSummary {
+  investigationId: number;
+  witnessId: number;
+  isProtected: boolean;
+  submissionTime: number;
+  asset: StakeAsset;
+  stake: bigint;
+  refunded: boolean;
+}
+
+// Case Data Shown on the Investigation Detail Page Beyond the Cached Summary
+export interface CaseDetail {
+  participants: Participant[];
+  witnesses: WitnessSummary[];
+  panelJudges: string[];
+  quorum: number;
+  stakes: InvestigationStake[];
+}
+
+// Contract Event of an Investigation, as Listed in Its Timeline
+export interface TimelineEntry {
+  key: string;
+  name: string;
+  blockNumber: number;
+  timestamp: number;
+  transactionHash: string;
+  details: { label: string; value: string }[];
+}
+
+// Per-Investigation Judge Panel Interface
+export interface JudgePanel {
+  investigationId: number;
+  judges: PanelJudge[];
+  quorum: number;
+  votesCast: number;
+}
+
+// Evidence Metadata Revealed by the Gateway
+export interface DecryptedEvidence {
+  evidenceId: number;
+  evidenceType: EvidenceType;
+  confidentialityLevel: number;
+  decryptedAt: number;
+}
+
+// Evidence Decryption Request Interface
+export interface DecryptionRequest {
+  requestId: string;
+  investigationId: number;
+  evidenceId: number;
+  timestamp: number;
+  deadline: number;
+  completed: boolean;
+  failed: boolean;
+  attempt: number;
+  metadata: DecryptedEvidence | null;
+}
+
 // User Roles Interface
 export interface UserRoles {
   isInvestigator: boolean;
@@ -112,6 +432,7 @@ export interface Alert {
 // Contract Configuration
 export interface ContractConfig {
   address: string;
+  deploymentBlock: number;
   chainId: number;
   chainIdHex: string;
   rpcUrl: string;
@@ -155,12 +476,24 @@ export interface AuthorizeJudgeForm {
   judgeAddress: string;
 }
 
+export interface AssignJudgePanelForm {
+  investigationId: string;
+  judges: string;
+  quorum: string;
+}
+
 export interface ArchiveInvestigationForm {
   investigationId: string;
 }
 
 // Tab Type
-export type TabType = 'dashboard' | 'investigations' | 'evidence' | 'witnesses' | 'verdicts' | 'admin';
+export type TabType = 'dashboard' | 'investigations' | 'evidence' | 'witnesses' | 'stakes' | 'verdicts' | 'admin';
+
+// Investigation and Evidence Selected by the Current Route, Empty When the Route Has None
+export interface RouteSelection {
+  investigationId: string;
+  evidenceId: string;
+}
 
 // Context Types
 export interface WalletContextType extends WalletState {
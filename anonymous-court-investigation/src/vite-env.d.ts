@@ -1,5 +1,9 @@
 /// <reference types="vite/client" />
 
+interface ImportMetaEnv {
+  readonly VITE_CONTENT_STORE_URL?: string;
+}
+
 interface Window {
   ethereum?: {
     request: (args: { method: string; params?: any[] }) => Promise<any>;
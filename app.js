@@ -5,6 +5,13 @@ class AnonymousCourtInvestigationApp {
         this.signer = null;
         this.contract = null;
         this.userAddress = null;
+        this.fhevmInstance = null;
+        this.myStakes = [];
+        this.witnessReceipts = {};
+        this.stakeCountdownTimer = null;
+        this.stakeAssets = {};
+        this.minimumStakes = {};
+        this.isAdmin = false;
 
         // Contract configuration - Update these values
         this.CONTRACT_ADDRESS = "0x88907E07dAAda5Dae20C412B12B293DBC172bF54"; // Replace with deployed contract address
@@ -12,6 +19,7 @@ class AnonymousCourtInvestigationApp {
         this.CHAIN_ID_HEX = "0xaa36a7"; // Sepolia in hex
         this.RPC_URL = "https://sepolia.infura.io/v3/";
         this.EXPLORER_URL = "https://sepolia.etherscan.io";
+        this.WITNESS_RECEIPT_PREFIX = "court-witness-receipt:";
 
         this.CONTRACT_ABI = [
             "function admin() public view returns (address)",
@@ -19,43 +27,107 @@ class AnonymousCourtInvestigationApp {
             "function authorizedInvestigators(address) public view returns (bool)",
             "function authorizedJudges(address) public view returns (bool)",
             "function investigations(uint32) public view returns (tuple(uint32 encryptedCaseId, address investigator, uint8 status, uint256 startTime, uint256 endTime, bool isActive, address[] authorizedParticipants))",
+            "function caseEvidence(uint32, uint32) public view returns (bytes32 evidenceId, bytes32 evidenceType, bytes32 confidentialityLevel, address submitter, uint256 timestamp, uint256 expiryTime, bool isVerified, uint256 stake, uint8 decryptionStatus, uint256 decryptionRequestId, address stakeToken)",
+            "function witnesses(uint32, uint32) public view returns (bytes32 witnessId, bytes32 credibilityScore, bytes32 encryptedTestimony, bool isProtected, uint256 submissionTime, uint256 stake, bool refunded, bytes32 refundCommitment, address stakeToken)",
+            "function evidenceRefunded(uint32, uint32) public view returns (bool)",
+            "function evidenceRejections(uint32, uint32) public view returns (bytes32 reasonHash, uint256 slashed, address rejectedBy, uint256 rejectedAt)",
+            "function evidenceUnderstaked(uint32, uint32) public view returns (bool)",
+            "function REFUND_GRACE_PERIOD() public view returns (uint256)",
+            "function treasury() public view returns (address)",
+            "function unallocatedFunds() public view returns (uint256)",
+            "function stakeTokens(address) public view returns (bool)",
 
             "function authorizeInvestigator(address _investigator) external",
-            "function authorizeJudge(address _judge) external",
+            "function authorizeJudge(address _judge, bytes32 encryptedWeight, bytes inputProof) external",
             "function revokeInvestigatorAccess(address _investigator) external",
             "function revokeJudgeAccess(address _judge) external",
-
-            "function startInvestigation(uint32 _caseId) external",
+            "function setStakeToken(address _token, bool _allowed) external",
+            "function setStakeMinimums(address _token, uint256[4] _evidenceMinimums, uint256 _witnessMinimum) external",
+            "function setConfidentialityStakeScale(uint256 _percentPerTier) external",
+            "function setTreasury(address _treasury) external",
+            "function sweepForfeitedStakes(uint32 _investigationId) external",
+            "function sweepForfeitedTokenStakes(uint32 _investigationId, address _token) external",
+            "function sweepUnallocatedFunds() external",
+
+            "function startInvestigation(uint32 _caseId, uint256 _duration) external",
+            "function requestInvestigation(uint32 _caseId, uint256 _duration) external",
+            "function approveInvestigation(uint32 _investigationId) external",
+            "function rejectInvestigation(uint32 _investigationId, uint8 _reasonCode) external",
+            "function requestedDurations(uint32) view returns (uint256)",
             "function authorizeParticipant(uint32 _investigationId, address _participant) external",
-            "function submitEncryptedEvidence(uint32 _investigationId, uint8 _evidenceType, uint32 _confidentialityLevel) external",
-            "function submitAnonymousWitnessTestimony(uint32 _investigationId, uint8 _credibilityScore, uint32 _encryptedTestimonyHash) external",
-            "function submitJudicialVerdict(uint32 _investigationId, uint8 _verdict, uint8 _confidence) external",
+            "function revokeParticipant(uint32 _investigationId, address _participant) external",
+            "function submitEncryptedEvidence(uint32 _investigationId, bytes32 encryptedEvidenceType, bytes32 encryptedConfidentialityLevel, bytes inputProof) external payable",
+            "function submitEncryptedEvidenceWithToken(uint32 _investigationId, bytes32 encryptedEvidenceType, bytes32 encryptedConfidentialityLevel, bytes inputProof, tuple(address token, uint256 amount, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s) stake) external",
+            "function submitAnonymousWitnessTestimony(uint32 _investigationId, bytes32 encryptedCredibilityScore, bytes32 encryptedTestimonyHash, bytes inputProof, bytes32 refundCommitment) external payable",
+            "function submitAnonymousWitnessTestimonyWithToken(uint32 _investigationId, bytes32 encryptedCredibilityScore, bytes32 encryptedTestimonyHash, bytes inputProof, bytes32 refundCommitment, tuple(address token, uint256 amount, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s) stake) external",
+            "function submitJudicialVerdict(uint32 _investigationId, bytes32 encryptedVerdict, bytes32 encryptedConfidence, bytes inputProof) external",
+            "function transferCustody(uint32 _investigationId, uint32 _evidenceId, address _to, bytes32 encryptedLocation, bytes inputProof) external",
+            "function getCustodyLog(uint32 _investigationId, uint32 _evidenceId) external view returns (address custodian, tuple(address from, address to, uint256 timestamp, bytes32 encryptedLocation)[] transfers)",
+            "function setVerificationThreshold(uint32 _investigationId, uint32 _threshold) external",
             "function verifyEvidence(uint32 _investigationId, uint32 _evidenceId) external",
+            "function getEvidenceAttestations(uint32 _investigationId, uint32 _evidenceId) external view returns (address[] attesters, uint32 threshold)",
+            "function rejectEvidence(uint32 _investigationId, uint32 _evidenceId, bytes32 _reasonHash, uint8 _slashPercent) external",
             "function completeInvestigation(uint32 _investigationId) external",
             "function archiveInvestigation(uint32 _investigationId) external",
+            "function requestEvidenceRefund(uint32 _investigationId, uint32 _evidenceId) external",
+            "function requestWitnessRefund(uint32 _investigationId, uint32 _witnessId, bytes32 _secret, address _recipient) external",
 
             "function getInvestigationBasicInfo(uint32 _investigationId) external view returns (address investigator, uint8 status, bool isActive)",
-            "function getInvestigationTimeInfo(uint32 _investigationId) external view returns (uint256 startTime, uint256 endTime)",
+            "function getInvestigationTimeInfo(uint32 _investigationId) external view returns (uint256 startTime, uint256 endTime, uint256 expiryTime)",
+            "function getStakeMinimums(address _token) external view returns (uint256[4] evidenceMinimums, uint256 witnessMinimum, uint256 confidentialityScale)",
+            "function getMinimumEvidenceStake(address _token, uint8 _evidenceType, uint32 _confidentialityLevel) external view returns (uint256)",
             "function getInvestigationCounts(uint32 _investigationId) external view returns (uint32 evidenceCountTotal, uint32 witnessCountTotal)",
+            "function getInvestigationSummaries(uint32 _fromId, uint32 _limit) external view returns (tuple(uint32 investigationId, address investigator, uint8 status, bool isActive, uint256 startTime, uint256 endTime, uint256 expiryTime, uint32 evidenceCount, uint32 witnessCount, uint256 totalStake)[] summaries)",
+            "function getCourtStats() external view returns (uint32 totalInvestigations, uint32 activeInvestigations, uint32 totalEvidence, uint32 totalWitnesses)",
+            "function getInvestigationStake(uint32 _investigationId) external view returns (uint256 locked, uint256 forfeited, uint256 forfeitsAt)",
+            "function getInvestigationTokenStake(uint32 _investigationId, address _token) external view returns (uint256 locked, uint256 forfeited, uint256 forfeitsAt)",
             "function getEvidenceInfo(uint32 _investigationId, uint32 _evidenceId) external view returns (address submitter, uint256 timestamp, bool isVerified)",
             "function getWitnessInfo(uint32 _investigationId, uint32 _witnessId) external view returns (bool isProtected, uint256 submissionTime)",
             "function isAuthorizedForInvestigation(uint32 _investigationId, address _participant) external view returns (bool)",
             "function getParticipantCount(uint32 _investigationId) external view returns (uint256)",
+            "function getParticipants(uint32 _investigationId) external view returns (address[])",
             "function hasVoted(uint32 _investigationId, address _judge) external view returns (bool)",
+            "function getVerdictOutcome(uint32 _investigationId) external view returns (bool requested, bool revealed, uint8 outcome, uint64 margin)",
 
             "event InvestigationStarted(uint32 indexed investigationId, address indexed investigator)",
-            "event EvidenceSubmitted(uint32 indexed investigationId, uint32 indexed evidenceId, address indexed submitter)",
-            "event WitnessTestimonySubmitted(uint32 indexed investigationId, uint32 indexed witnessId)",
+            "event EvidenceSubmitted(uint32 indexed investigationId, uint32 indexed evidenceId, address indexed submitter, uint256 stake)",
+            "event WitnessTestimonySubmitted(uint32 indexed investigationId, uint32 indexed witnessId, uint256 stake)",
             "event VerdictSubmitted(uint32 indexed investigationId, address indexed judge)",
+            "event StakeReceived(uint32 indexed investigationId, address indexed sender, address indexed token, uint256 amount)",
+            "event StakeTokenUpdated(address indexed token, bool allowed)",
             "event InvestigationCompleted(uint32 indexed investigationId)",
-            "event ParticipantAuthorized(uint32 indexed investigationId, address indexed participant)"
+            "event ParticipantAuthorized(uint32 indexed investigationId, address indexed participant)",
+            "event ParticipantRevoked(uint32 indexed investigationId, address indexed participant)",
+            "event VerdictRevealRequested(uint256 indexed requestId, uint32 indexed investigationId)",
+            "event VerdictRevealed(uint32 indexed investigationId, uint8 outcome, uint64 margin)"
+        ];
+
+        // ERC-20 and EIP-2612 functions used for token stakes
+        this.STAKE_TOKEN_ABI = [
+            "function name() view returns (string)",
+            "function symbol() view returns (string)",
+            "function decimals() view returns (uint8)",
+            "function balanceOf(address owner) view returns (uint256)",
+            "function allowance(address owner, address spender) view returns (uint256)",
+            "function approve(address spender, uint256 amount) returns (bool)",
+            "function nonces(address owner) view returns (uint256)",
+            "function DOMAIN_SEPARATOR() view returns (bytes32)",
+            "function version() view returns (string)"
         ];
+        this.ETH_ASSET = { address: '0x0000000000000000000000000000000000000000', symbol: 'ETH', decimals: 18, supportsPermit: false };
+        this.PERMIT_VALIDITY_SECONDS = 60 * 60;
+        // MAX_SUMMARY_PAGE_SIZE in the contract, and how many investigations the list shows at once
+        this.SUMMARY_PAGE_SIZE = 100;
+        this.INVESTIGATIONS_PER_PAGE = 10;
+        this.investigationsPage = 0;
 
         this.investigationStatuses = {
             0: "Pending",
             1: "Active",
             2: "Completed",
-            3: "Archived"
+            3: "Archived",
+            4: "Timed Out",
+            5: "Rejected"
         };
 
         this.evidenceTypes = {
@@ -124,15 +196,52 @@ class AnonymousCourtInvestigationApp {
         document.getElementById('startInvestigationBtn').addEventListener('click', () => this.toggleInvestigationForm());
         document.getElementById('submitInvestigation').addEventListener('click', () => this.startInvestigation());
         document.getElementById('cancelInvestigation').addEventListener('click', () => this.toggleInvestigationForm());
+        document.getElementById('loadIntakeQueue').addEventListener('click', () => this.loadIntakeQueue());
+        document.getElementById('newerInvestigations').addEventListener('click', () => this.loadInvestigations(this.investigationsPage - 1));
+        document.getElementById('olderInvestigations').addEventListener('click', () => this.loadInvestigations(this.investigationsPage + 1));
+        document.getElementById('approveInvestigation').addEventListener('click', () => this.approveInvestigation());
+        document.getElementById('rejectInvestigation').addEventListener('click', () => this.rejectInvestigation());
         document.getElementById('authorizeParticipant').addEventListener('click', () => this.authorizeParticipant());
+        document.getElementById('investigationIdForParticipant').addEventListener('change', () => this.loadParticipants());
+        document.getElementById('participantsList').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-revoke-participant]');
+            if (button) {
+                this.revokeParticipant(button.dataset.revokeParticipant);
+            }
+        });
 
         // Evidence management
         document.getElementById('submitEvidence').addEventListener('click', () => this.submitEvidence());
         document.getElementById('verifyEvidence').addEventListener('click', () => this.verifyEvidence());
+        document.getElementById('setVerificationThreshold').addEventListener('click', () => this.setVerificationThreshold());
+        document.getElementById('rejectEvidence').addEventListener('click', () => this.rejectEvidence());
+        document.getElementById('loadEvidenceReviews').addEventListener('click', () => this.loadEvidenceReviews());
+        document.getElementById('loadCustodyLog').addEventListener('click', () => this.loadCustodyLog());
+        document.getElementById('transferCustody').addEventListener('click', () => this.transferCustody());
+
+        // Stake amount conversion hints and minimum stakes
+        ['evidence', 'witness'].forEach((prefix) => {
+            document.getElementById(`${prefix}Stake`).addEventListener('input', () => this.updateStakeConversion(prefix));
+            document.getElementById(`${prefix}StakeUnit`).addEventListener('change', () => this.updateStakeMinimum(prefix));
+            document.getElementById(`${prefix}StakeAsset`).addEventListener('change', () => this.updateStakeMinimum(prefix));
+        });
+        document.getElementById('evidenceType').addEventListener('change', () => this.updateStakeMinimum('evidence'));
+        document.getElementById('confidentialityLevel').addEventListener('change', () => this.updateStakeMinimum('evidence'));
 
         // Witness testimony
         document.getElementById('submitWitnessTestimony').addEventListener('click', () => this.submitWitnessTestimony());
 
+        // Stake refunds
+        document.getElementById('refreshStakes').addEventListener('click', () => this.loadMyStakes());
+        document.getElementById('claimAllStakes').addEventListener('click', () => this.claimAllStakes());
+        document.getElementById('stakeReceipts').addEventListener('change', (event) => this.loadWitnessReceipts(event.target));
+        document.getElementById('stakesList').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-claim-stake]');
+            if (button) {
+                this.claimStake(this.myStakes[parseInt(button.dataset.claimStake)]);
+            }
+        });
+
         // Judicial verdicts
         document.getElementById('submitVerdict').addEventListener('click', () => this.submitVerdict());
         document.getElementById('completeInvestigation').addEventListener('click', () => this.completeInvestigation());
@@ -143,6 +252,15 @@ class AnonymousCourtInvestigationApp {
         document.getElementById('authorizeJudge').addEventListener('click', () => this.authorizeJudge());
         document.getElementById('revokeJudge').addEventListener('click', () => this.revokeJudgeAccess());
         document.getElementById('archiveInvestigation').addEventListener('click', () => this.archiveInvestigation());
+        document.getElementById('setTreasury').addEventListener('click', () => this.setTreasury());
+        document.getElementById('allowStakeToken').addEventListener('click', () => this.setStakeToken(true));
+        document.getElementById('removeStakeToken').addEventListener('click', () => this.setStakeToken(false));
+        document.getElementById('loadStakeMinimums').addEventListener('click', () => this.loadStakeMinimums());
+        document.getElementById('setStakeMinimums').addEventListener('click', () => this.setStakeMinimums());
+        document.getElementById('setConfidentialityStakeScale').addEventListener('click', () => this.setConfidentialityStakeScale());
+        document.getElementById('checkInvestigationStake').addEventListener('click', () => this.checkInvestigationStake());
+        document.getElementById('sweepForfeitedStakes').addEventListener('click', () => this.sweepForfeitedStakes());
+        document.getElementById('sweepUnallocatedFunds').addEventListener('click', () => this.sweepUnallocatedFunds());
 
         // Modal
         document.getElementById('closeModal').addEventListener('click', () => this.hideTransactionModal());
@@ -163,6 +281,13 @@ class AnonymousCourtInvestigationApp {
                 // Add active class to clicked tab and corresponding content
                 button.classList.add('active');
                 document.getElementById(tabId).classList.add('active');
+
+                if (tabId === 'stakes') {
+                    this.loadMyStakes();
+                }
+                if (tabId === 'admin') {
+                    this.loadTreasuryInfo();
+                }
             });
         });
     }
@@ -249,6 +374,8 @@ class AnonymousCourtInvestigationApp {
                     try {
                         await this.contract.currentInvestigationId();
                         this.showAlert('Connected to Anonymous Court Investigation contract!', 'success');
+                        await this.loadStakeAssets();
+                        await Promise.all([this.updateStakeMinimum('evidence'), this.updateStakeMinimum('witness')]);
                     } catch (testError) {
                         console.error('Contract test failed:', testError);
                         this.showAlert('Contract connection failed - please verify deployment', 'warning');
@@ -265,6 +392,7 @@ class AnonymousCourtInvestigationApp {
             this.updateWalletUI();
             await this.updateDashboard();
             await this.updateUserRoles();
+            await this.loadVerdictOutcomes();
 
             this.showAlert('Wallet connected successfully!', 'success');
 
@@ -344,6 +472,21 @@ class AnonymousCourtInvestigationApp {
         }
     }
 
+    async getFhevmInstance() {
+        if (this.fhevmInstance) {
+            return this.fhevmInstance;
+        }
+
+        if (typeof window.relayerSDK === 'undefined') {
+            throw new Error('FHEVM relayer SDK not loaded');
+        }
+
+        const { initSDK, createInstance, SepoliaConfig } = window.relayerSDK;
+        await initSDK();
+        this.fhevmInstance = await createInstance({ ...SepoliaConfig, network: window.ethereum });
+        return this.fhevmInstance;
+    }
+
     disconnectWallet() {
         console.log('Disconnecting wallet...');
         this.provider = null;
@@ -376,36 +519,70 @@ class AnonymousCourtInvestigationApp {
         }
 
         try {
-            const currentId = await this.contract.currentInvestigationId();
-            document.getElementById('totalInvestigations').textContent = currentId.sub(1).toString();
+            const stats = await this.contract.getCourtStats();
+            document.getElementById('totalInvestigations').textContent = stats.totalInvestigations.toString();
+            document.getElementById('activeInvestigations').textContent = stats.activeInvestigations.toString();
+            document.getElementById('totalEvidence').textContent = stats.totalEvidence.toString();
+            document.getElementById('totalWitnesses').textContent = stats.totalWitnesses.toString();
 
-            // Count active investigations
-            let activeCount = 0;
-            let totalEvidence = 0;
-            let totalWitnesses = 0;
+            await this.loadInvestigations(this.investigationsPage);
 
-            for (let i = 1; i < currentId; i++) {
-                try {
-                    const [investigator, status, isActive] = await this.contract.getInvestigationBasicInfo(i);
-                    if (isActive && status === 1) {
-                        activeCount++;
-                    }
+        } catch (error) {
+            console.error('Error updating dashboard:', error);
+        }
+    }
 
-                    const [evidenceCount, witnessCount] = await this.contract.getInvestigationCounts(i);
-                    totalEvidence += evidenceCount.toNumber();
-                    totalWitnesses += witnessCount.toNumber();
-                } catch (error) {
-                    // Investigation might not exist
-                    continue;
-                }
-            }
+    // Every investigation summary, newest first, a full contract page per call
+    async loadInvestigationSummaries() {
+        const currentId = await this.contract.currentInvestigationId();
+        const pages = [];
+
+        for (let fromId = 1; fromId < currentId; fromId += this.SUMMARY_PAGE_SIZE) {
+            pages.push(this.contract.getInvestigationSummaries(fromId, this.SUMMARY_PAGE_SIZE));
+        }
+
+        return (await Promise.all(pages)).flat().reverse();
+    }
+
+    // One page of the investigation list, newest first, read in a single call
+    async loadInvestigations(page = 0) {
+        if (!this.contract) {
+            return;
+        }
 
-            document.getElementById('activeInvestigations').textContent = activeCount.toString();
-            document.getElementById('totalEvidence').textContent = totalEvidence.toString();
-            document.getElementById('totalWitnesses').textContent = totalWitnesses.toString();
+        const list = document.getElementById('investigationsList');
 
+        try {
+            const total = (await this.contract.currentInvestigationId()) - 1;
+            const pageCount = Math.max(Math.ceil(total / this.INVESTIGATIONS_PER_PAGE), 1);
+            this.investigationsPage = Math.min(Math.max(page, 0), pageCount - 1);
+
+            const toId = total - this.investigationsPage * this.INVESTIGATIONS_PER_PAGE;
+            const fromId = Math.max(toId - this.INVESTIGATIONS_PER_PAGE + 1, 1);
+            const summaries = toId > 0
+                ? await this.contract.getInvestigationSummaries(fromId, toId - fromId + 1)
+                : [];
+
+            list.innerHTML = summaries.length > 0
+                ? [...summaries].reverse().map((summary) => `
+                    <div class="list-item">
+                        <div class="list-item-header">
+                            <span class="list-item-title">Investigation #${summary.investigationId}</span>
+                            <span class="list-item-status ${summary.status === 1 ? 'status-active' : summary.status === 2 ? 'status-completed' : 'status-pending'}">${this.investigationStatuses[summary.status]}</span>
+                        </div>
+                        <p><strong>Investigator:</strong> ${this.formatAddress(summary.investigator)} |
+                           <strong>Started:</strong> ${summary.startTime.isZero() ? 'N/A' : new Date(summary.startTime.toNumber() * 1000).toLocaleString()}</p>
+                        <p><strong>Evidence:</strong> ${summary.evidenceCount} | <strong>Witnesses:</strong> ${summary.witnessCount} |
+                           <strong>Stake:</strong> ${ethers.utils.formatEther(summary.totalStake)} ETH</p>
+                    </div>
+                `).join('')
+                : '<p class="empty-state">No investigations found</p>';
+
+            document.getElementById('investigationsPageInfo').textContent = `Page ${this.investigationsPage + 1} of ${pageCount}`;
+            document.getElementById('newerInvestigations').disabled = this.investigationsPage === 0;
+            document.getElementById('olderInvestigations').disabled = this.investigationsPage === pageCount - 1;
         } catch (error) {
-            console.error('Error updating dashboard:', error);
+            console.error('Error loading investigations:', error);
         }
     }
 
@@ -417,6 +594,7 @@ class AnonymousCourtInvestigationApp {
             const isJudge = await this.contract.authorizedJudges(this.userAddress);
             const admin = await this.contract.admin();
             const isAdmin = admin.toLowerCase() === this.userAddress.toLowerCase();
+            this.isAdmin = isAdmin;
 
             // Update investigator role
             const investigatorRole = document.getElementById('investigatorRole');
@@ -519,19 +697,31 @@ class AnonymousCourtInvestigationApp {
         }
 
         const caseId = document.getElementById('caseId').value;
-        if (!caseId) {
-            this.showAlert('Please enter a case ID', 'error');
+        const durationDays = document.getElementById('investigationDuration').value;
+        if (!caseId || !durationDays) {
+            this.showAlert('Please enter a case ID and duration', 'error');
             return;
         }
 
-        try {
-            this.showTransactionModal('Starting investigation...');
+        const duration = parseInt(durationDays) * 24 * 60 * 60;
 
-            const tx = await this.contract.startInvestigation(parseInt(caseId));
-            await tx.wait();
+        try {
+            // Admins open investigations directly; investigators file a request for the intake queue
+            if (this.isAdmin) {
+                this.showTransactionModal('Starting investigation...');
+                const tx = await this.contract.startInvestigation(parseInt(caseId), duration);
+                await tx.wait();
+
+                this.hideTransactionModal();
+                this.showAlert('Investigation started successfully!', 'success');
+            } else {
+                this.showTransactionModal('Filing investigation request...');
+                const tx = await this.contract.requestInvestigation(parseInt(caseId), duration);
+                await tx.wait();
 
-            this.hideTransactionModal();
-            this.showAlert('Investigation started successfully!', 'success');
+                this.hideTransactionModal();
+                this.showAlert('Investigation request filed. It starts once a judge or the admin approves it.', 'success');
+            }
             this.toggleInvestigationForm();
             await this.updateDashboard();
 
@@ -542,6 +732,102 @@ class AnonymousCourtInvestigationApp {
         }
     }
 
+    async loadIntakeQueue() {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        const list = document.getElementById('intakeQueueList');
+
+        try {
+            const pending = (await this.loadInvestigationSummaries()).filter((summary) => summary.status === 0);
+            const durations = await Promise.all(
+                pending.map((summary) => this.contract.requestedDurations(summary.investigationId))
+            );
+
+            const items = pending.map((summary, index) => {
+                const days = Math.round(durations[index].toNumber() / 86400);
+                return `
+                    <div class="list-item">
+                        <div class="list-item-header">
+                            <span class="list-item-title">Investigation #${summary.investigationId}</span>
+                            <span class="list-item-status status-pending">Pending</span>
+                        </div>
+                        <p><strong>Requested by:</strong> ${this.formatAddress(summary.investigator)} |
+                           <strong>Duration:</strong> ${days} day${days === 1 ? '' : 's'} from approval</p>
+                    </div>
+                `;
+            });
+
+            list.innerHTML = items.length > 0
+                ? items.join('')
+                : '<p class="empty-state">No investigation requests awaiting approval</p>';
+        } catch (error) {
+            console.error('Error loading intake queue:', error);
+            this.showAlert('Failed to load intake queue: ' + error.message, 'error');
+        }
+    }
+
+    async approveInvestigation() {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        const investigationId = document.getElementById('intakeInvestigationId').value;
+        if (!investigationId) {
+            this.showAlert('Please enter investigation ID', 'error');
+            return;
+        }
+
+        try {
+            this.showTransactionModal('Approving investigation...');
+
+            const tx = await this.contract.approveInvestigation(parseInt(investigationId));
+            await tx.wait();
+
+            this.hideTransactionModal();
+            this.showAlert(`Investigation #${investigationId} approved and started`, 'success');
+            await Promise.all([this.loadIntakeQueue(), this.updateDashboard()]);
+
+        } catch (error) {
+            this.hideTransactionModal();
+            console.error('Error approving investigation:', error);
+            this.showAlert('Failed to approve investigation: ' + error.message, 'error');
+        }
+    }
+
+    async rejectInvestigation() {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        const investigationId = document.getElementById('intakeInvestigationId').value;
+        const reasonCode = document.getElementById('intakeRejectionReason').value;
+        if (!investigationId) {
+            this.showAlert('Please enter investigation ID', 'error');
+            return;
+        }
+
+        try {
+            this.showTransactionModal('Rejecting investigation request...');
+
+            const tx = await this.contract.rejectInvestigation(parseInt(investigationId), parseInt(reasonCode));
+            await tx.wait();
+
+            this.hideTransactionModal();
+            this.showAlert(`Investigation #${investigationId} rejected`, 'success');
+            await Promise.all([this.loadIntakeQueue(), this.updateDashboard()]);
+
+        } catch (error) {
+            this.hideTransactionModal();
+            console.error('Error rejecting investigation:', error);
+            this.showAlert('Failed to reject investigation: ' + error.message, 'error');
+        }
+    }
+
     async authorizeParticipant() {
         if (!this.contract) {
             this.showAlert('Contract not connected', 'error');
@@ -570,7 +856,7 @@ class AnonymousCourtInvestigationApp {
             this.hideTransactionModal();
             this.showAlert('Participant authorized successfully!', 'success');
             document.getElementById('participantAddress').value = '';
-            document.getElementById('investigationIdForParticipant').value = '';
+            await this.loadParticipants();
 
         } catch (error) {
             this.hideTransactionModal();
@@ -579,6 +865,70 @@ class AnonymousCourtInvestigationApp {
         }
     }
 
+    async loadParticipants() {
+        const list = document.getElementById('participantsList');
+        const investigationId = document.getElementById('investigationIdForParticipant').value;
+
+        if (!this.contract || !list || !investigationId) {
+            return;
+        }
+
+        try {
+            const [investigator] = await this.contract.getInvestigationBasicInfo(parseInt(investigationId));
+            const participants = await this.contract.getParticipants(parseInt(investigationId));
+
+            // The investigation creator cannot be revoked
+            const items = participants.map((participant) => {
+                const isCreator = participant.toLowerCase() === investigator.toLowerCase();
+                return `
+                    <div class="list-item">
+                        <div class="list-item-header">
+                            <span class="list-item-title">${this.formatAddress(participant)}</span>
+                            ${isCreator
+                                ? '<span class="list-item-status status-active">Creator</span>'
+                                : `<button class="btn btn-danger" data-revoke-participant="${participant}">
+                                       <i class="fas fa-user-minus"></i> Revoke
+                                   </button>`}
+                        </div>
+                    </div>
+                `;
+            });
+
+            list.innerHTML = items.length > 0
+                ? items.join('')
+                : '<p class="empty-state">No participants found</p>';
+
+        } catch (error) {
+            console.error('Error loading participants:', error);
+            list.innerHTML = '<p class="empty-state">Investigation not found</p>';
+        }
+    }
+
+    async revokeParticipant(participantAddress) {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        const investigationId = document.getElementById('investigationIdForParticipant').value;
+
+        try {
+            this.showTransactionModal('Revoking participant...');
+
+            const tx = await this.contract.revokeParticipant(parseInt(investigationId), participantAddress);
+            await tx.wait();
+
+            this.hideTransactionModal();
+            this.showAlert('Participant access revoked successfully!', 'success');
+            await this.loadParticipants();
+
+        } catch (error) {
+            this.hideTransactionModal();
+            console.error('Error revoking participant:', error);
+            this.showAlert('Failed to revoke participant: ' + error.message, 'error');
+        }
+    }
+
     async submitEvidence() {
         if (!this.contract) {
             this.showAlert('Contract not connected', 'error');
@@ -594,15 +944,46 @@ class AnonymousCourtInvestigationApp {
             return;
         }
 
+        let stake;
+        const asset = this.readStakeAsset('evidence');
         try {
-            this.showTransactionModal('Submitting evidence...');
+            stake = this.readStake('evidence');
+            this.checkStakeMinimum('evidence', stake, asset);
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+            return;
+        }
+
+        try {
+            this.showTransactionModal('Encrypting evidence...');
+
+            const instance = await this.getFhevmInstance();
+            const encrypted = await instance
+                .createEncryptedInput(this.CONTRACT_ADDRESS, this.userAddress)
+                .add8(parseInt(evidenceType))
+                .add32(parseInt(confidentialityLevel))
+                .encrypt();
 
-            const tx = await this.contract.submitEncryptedEvidence(
+            const args = [
                 parseInt(investigationId),
-                parseInt(evidenceType),
-                parseInt(confidentialityLevel)
-            );
-            await tx.wait();
+                ethers.utils.hexlify(encrypted.handles[0]),
+                ethers.utils.hexlify(encrypted.handles[1]),
+                ethers.utils.hexlify(encrypted.inputProof)
+            ];
+
+            const submission = await this.prepareStakedSubmission('submitEncryptedEvidence', args, stake, asset);
+
+            this.showTransactionModal('Estimating cost...');
+            if (!(await this.confirmSubmissionCost(submission, stake, asset))) {
+                this.hideTransactionModal();
+                return;
+            }
+
+            this.showTransactionModal('Submitting evidence...');
+
+            const tx = await this.contract[submission.method](...submission.args, submission.overrides);
+            const receipt = await tx.wait();
+            this.renderStakeReceipt('evidenceStakeReceipt', receipt);
 
             this.hideTransactionModal();
             this.showAlert('Evidence submitted successfully!', 'success');
@@ -639,9 +1020,10 @@ class AnonymousCourtInvestigationApp {
             await tx.wait();
 
             this.hideTransactionModal();
-            this.showAlert('Evidence verified successfully!', 'success');
+            this.showAlert('Attestation recorded. The evidence is verified once enough investigators attest it.', 'success');
             document.getElementById('verifyInvestigationId').value = '';
             document.getElementById('verifyEvidenceId').value = '';
+            await this.refreshEvidenceReviews(investigationId);
 
         } catch (error) {
             this.hideTransactionModal();
@@ -650,90 +1032,100 @@ class AnonymousCourtInvestigationApp {
         }
     }
 
-    async submitWitnessTestimony() {
+    async setVerificationThreshold() {
         if (!this.contract) {
             this.showAlert('Contract not connected', 'error');
             return;
         }
 
-        const investigationId = document.getElementById('witnessInvestigationId').value;
-        const credibilityScore = document.getElementById('credibilityScore').value;
-        const testimonyHash = document.getElementById('testimonyHash').value;
+        const investigationId = document.getElementById('thresholdInvestigationId').value;
+        const threshold = parseInt(document.getElementById('verificationThreshold').value);
 
-        if (!investigationId || !credibilityScore || !testimonyHash) {
-            this.showAlert('Please fill in all fields', 'error');
+        if (!investigationId || isNaN(threshold) || threshold < 1) {
+            this.showAlert('Please enter an investigation ID and a threshold of at least 1', 'error');
             return;
         }
 
         try {
-            this.showTransactionModal('Submitting anonymous testimony...');
+            this.showTransactionModal('Setting verification threshold...');
 
-            const tx = await this.contract.submitAnonymousWitnessTestimony(
-                parseInt(investigationId),
-                parseInt(credibilityScore),
-                parseInt(testimonyHash)
-            );
+            const tx = await this.contract.setVerificationThreshold(parseInt(investigationId), threshold);
             await tx.wait();
 
             this.hideTransactionModal();
-            this.showAlert('Anonymous testimony submitted successfully!', 'success');
-            document.getElementById('witnessInvestigationId').value = '';
-            document.getElementById('credibilityScore').value = '';
-            document.getElementById('testimonyHash').value = '';
-            await this.updateDashboard();
+            this.showAlert(`Evidence now needs ${threshold} investigator attestations`, 'success');
+            document.getElementById('thresholdInvestigationId').value = '';
+            await this.refreshEvidenceReviews(investigationId);
 
         } catch (error) {
             this.hideTransactionModal();
-            console.error('Error submitting witness testimony:', error);
-            this.showAlert('Failed to submit testimony: ' + error.message, 'error');
+            console.error('Error setting verification threshold:', error);
+            this.showAlert('Failed to set verification threshold: ' + error.message, 'error');
         }
     }
 
-    async submitVerdict() {
+    // Only a hash of the reason code and details goes on-chain; revealing both later proves the reason
+    async rejectEvidence() {
         if (!this.contract) {
             this.showAlert('Contract not connected', 'error');
             return;
         }
 
-        const investigationId = document.getElementById('verdictInvestigationId').value;
-        const verdict = document.getElementById('verdict').value;
-        const confidence = document.getElementById('confidence').value;
+        const investigationId = document.getElementById('rejectInvestigationId').value;
+        const evidenceId = document.getElementById('rejectEvidenceId').value;
+        const reason = parseInt(document.getElementById('rejectionReason').value);
+        const details = document.getElementById('rejectionDetails').value.trim();
+        const slashPercent = parseInt(document.getElementById('slashPercent').value);
 
-        if (!investigationId || verdict === '' || !confidence) {
+        if (!investigationId || !evidenceId || !details) {
             this.showAlert('Please fill in all fields', 'error');
             return;
         }
 
+        if (isNaN(slashPercent) || slashPercent < 0 || slashPercent > 100) {
+            this.showAlert('Slash percentage must be between 0 and 100', 'error');
+            return;
+        }
+
+        const reasonHash = ethers.utils.keccak256(
+            ethers.utils.defaultAbiCoder.encode(['uint8', 'string'], [reason, details])
+        );
+
         try {
-            this.showTransactionModal('Submitting verdict...');
+            this.showTransactionModal('Rejecting evidence...');
 
-            const tx = await this.contract.submitJudicialVerdict(
-                parseInt(investigationId),
-                parseInt(verdict),
-                parseInt(confidence)
-            );
+            const tx = await this.contract.rejectEvidence(parseInt(investigationId), parseInt(evidenceId), reasonHash, slashPercent);
             await tx.wait();
 
             this.hideTransactionModal();
-            this.showAlert('Verdict submitted successfully!', 'success');
-            document.getElementById('verdictInvestigationId').value = '';
-            document.getElementById('verdict').value = '0';
-            document.getElementById('confidence').value = '';
+            this.showAlert(`Evidence rejected. Keep the reason details to prove hash ${reasonHash}`, 'success');
+            document.getElementById('rejectInvestigationId').value = '';
+            document.getElementById('rejectEvidenceId').value = '';
+            document.getElementById('rejectionDetails').value = '';
+            await this.refreshEvidenceReviews(investigationId);
 
         } catch (error) {
             this.hideTransactionModal();
-            console.error('Error submitting verdict:', error);
-            this.showAlert('Failed to submit verdict: ' + error.message, 'error');
+            console.error('Error rejecting evidence:', error);
+            this.showAlert('Failed to reject evidence: ' + error.message, 'error');
         }
     }
 
-    async completeInvestigation() {
+    // Reload the review list after a verification or rejection in the investigation it shows
+    async refreshEvidenceReviews(investigationId) {
+        if (document.getElementById('reviewInvestigationId').value === investigationId) {
+            await this.loadEvidenceReviews();
+        }
+    }
+
+    async loadEvidenceReviews() {
         if (!this.contract) {
             this.showAlert('Contract not connected', 'error');
             return;
         }
 
-        const investigationId = document.getElementById('completeInvestigationId').value;
+        const investigationId = document.getElementById('reviewInvestigationId').value;
+        const list = document.getElementById('evidenceReviewList');
 
         if (!investigationId) {
             this.showAlert('Please enter investigation ID', 'error');
@@ -741,120 +1133,1152 @@ class AnonymousCourtInvestigationApp {
         }
 
         try {
-            this.showTransactionModal('Completing investigation...');
-
-            const tx = await this.contract.completeInvestigation(parseInt(investigationId));
-            await tx.wait();
+            const counts = await this.contract.getInvestigationCounts(parseInt(investigationId));
+            const items = [];
+
+            for (let evidenceId = 1; evidenceId <= counts.evidenceCountTotal; evidenceId++) {
+                const [evidence, rejection, understaked, attestations] = await Promise.all([
+                    this.contract.caseEvidence(investigationId, evidenceId),
+                    this.contract.evidenceRejections(investigationId, evidenceId),
+                    this.contract.evidenceUnderstaked(investigationId, evidenceId),
+                    this.contract.getEvidenceAttestations(investigationId, evidenceId)
+                ]);
+                const asset = await this.getStakeAsset(evidence.stakeToken);
+                const rejectedAt = rejection.rejectedAt.toNumber();
+
+                let status;
+                if (rejectedAt !== 0) {
+                    status = '<span class="list-item-status status-archived">Rejected</span>';
+                } else if (evidence.isVerified) {
+                    status = '<span class="list-item-status status-completed">Verified</span>';
+                } else {
+                    status = '<span class="list-item-status status-pending">Pending Review</span>';
+                }
 
-            this.hideTransactionModal();
-            this.showAlert('Investigation completed successfully!', 'success');
-            document.getElementById('completeInvestigationId').value = '';
-            await this.updateDashboard();
+                const attesters = attestations.attesters;
+                const remaining = rejectedAt === 0 && !evidence.isVerified
+                    ? Math.max(attestations.threshold - attesters.length, 0)
+                    : 0;
+
+                items.push(`
+                    <div class="list-item">
+                        <div class="list-item-header">
+                            <span class="list-item-title">Evidence #${evidenceId}</span>
+                            ${status}
+                        </div>
+                        <p><strong>Submitter:</strong> ${this.formatAddress(evidence.submitter)} |
+                           <strong>Submitted:</strong> ${new Date(evidence.timestamp.toNumber() * 1000).toLocaleString()} |
+                           <strong>Stake:</strong> ${this.formatStakeAmount(evidence.stake, asset)}</p>
+                        <p><strong>Attestations:</strong> ${attesters.length} of ${attestations.threshold}
+                           ${attesters.length > 0 ? `(${attesters.map((attester) => this.formatAddress(attester)).join(', ')})` : ''}
+                           ${remaining > 0 ? `| ${remaining} more needed` : ''}</p>
+                        ${rejectedAt !== 0
+                            ? `<p><strong>Rejected by:</strong> ${this.formatAddress(rejection.rejectedBy)} on ${new Date(rejectedAt * 1000).toLocaleString()} |
+                               <strong>Slashed:</strong> ${this.formatStakeAmount(rejection.slashed, asset)}</p>`
+                            : ''}
+                        ${understaked
+                            ? '<p><i class="fas fa-exclamation-triangle"></i> Stake below the minimum for its type and confidentiality; it cannot be verified</p>'
+                            : ''}
+                    </div>
+                `);
+            }
 
+            list.innerHTML = items.length > 0 ? items.join('') : '<p class="empty-state">No evidence submitted</p>';
         } catch (error) {
-            this.hideTransactionModal();
-            console.error('Error completing investigation:', error);
-            this.showAlert('Failed to complete investigation: ' + error.message, 'error');
+            console.error('Error loading evidence:', error);
+            this.showAlert('Failed to load evidence: ' + error.message, 'error');
         }
     }
 
-    async authorizeInvestigator() {
+    // The location code is encrypted for the sender, the recipient and the investigation creator
+    async transferCustody() {
         if (!this.contract) {
             this.showAlert('Contract not connected', 'error');
             return;
         }
 
-        const investigatorAddress = document.getElementById('investigatorAddress').value;
+        const investigationId = document.getElementById('custodyInvestigationId').value;
+        const evidenceId = document.getElementById('custodyEvidenceId').value;
+        const recipient = document.getElementById('custodyRecipient').value.trim();
+        const location = document.getElementById('custodyLocation').value;
 
-        if (!investigatorAddress) {
-            this.showAlert('Please enter investigator address', 'error');
+        if (!investigationId || !evidenceId || !recipient || !location) {
+            this.showAlert('Please fill in all fields', 'error');
             return;
         }
 
-        if (!ethers.utils.isAddress(investigatorAddress)) {
-            this.showAlert('Invalid investigator address', 'error');
+        if (!ethers.utils.isAddress(recipient)) {
+            this.showAlert('Invalid recipient address', 'error');
             return;
         }
 
         try {
-            this.showTransactionModal('Authorizing investigator...');
+            this.showTransactionModal('Encrypting location...');
 
-            const tx = await this.contract.authorizeInvestigator(investigatorAddress);
+            const instance = await this.getFhevmInstance();
+            const encrypted = await instance
+                .createEncryptedInput(this.CONTRACT_ADDRESS, this.userAddress)
+                .add32(parseInt(location))
+                .encrypt();
+
+            this.showTransactionModal('Transferring custody...');
+
+            const tx = await this.contract.transferCustody(
+                parseInt(investigationId),
+                parseInt(evidenceId),
+                recipient,
+                ethers.utils.hexlify(encrypted.handles[0]),
+                ethers.utils.hexlify(encrypted.inputProof)
+            );
             await tx.wait();
 
             this.hideTransactionModal();
-            this.showAlert('Investigator authorized successfully!', 'success');
-            document.getElementById('investigatorAddress').value = '';
+            this.showAlert('Custody transferred successfully!', 'success');
+            document.getElementById('custodyRecipient').value = '';
+            document.getElementById('custodyLocation').value = '';
+            await this.loadCustodyLog();
 
         } catch (error) {
             this.hideTransactionModal();
-            console.error('Error authorizing investigator:', error);
-            this.showAlert('Failed to authorize investigator: ' + error.message, 'error');
+            console.error('Error transferring custody:', error);
+            this.showAlert('Failed to transfer custody: ' + error.message, 'error');
         }
     }
 
-    async revokeInvestigatorAccess() {
+    // Render the submission and every hand-over of an evidence item as a timeline, oldest first
+    async loadCustodyLog() {
         if (!this.contract) {
             this.showAlert('Contract not connected', 'error');
             return;
         }
 
-        const investigatorAddress = document.getElementById('investigatorAddress').value;
-
-        if (!investigatorAddress) {
-            this.showAlert('Please enter investigator address', 'error');
-            return;
-        }
+        const investigationId = document.getElementById('custodyInvestigationId').value;
+        const evidenceId = document.getElementById('custodyEvidenceId').value;
+        const container = document.getElementById('custodyTimeline');
 
-        if (!ethers.utils.isAddress(investigatorAddress)) {
-            this.showAlert('Invalid investigator address', 'error');
+        if (!investigationId || !evidenceId) {
+            this.showAlert('Please enter investigation and evidence ID', 'error');
             return;
         }
 
         try {
-            this.showTransactionModal('Revoking investigator access...');
-
-            const tx = await this.contract.revokeInvestigatorAccess(investigatorAddress);
-            await tx.wait();
+            const [evidence, log] = await Promise.all([
+                this.contract.caseEvidence(investigationId, evidenceId),
+                this.contract.getCustodyLog(investigationId, evidenceId)
+            ]);
 
-            this.hideTransactionModal();
-            this.showAlert('Investigator access revoked successfully!', 'success');
-            document.getElementById('investigatorAddress').value = '';
+            if (evidence.submitter === ethers.constants.AddressZero) {
+                container.innerHTML = '<p class="empty-state">Evidence does not exist</p>';
+                return;
+            }
 
+            const transfers = log.transfers.map((transfer, index) => `
+                <li class="custody-event">
+                    <span class="custody-time">${new Date(transfer.timestamp.toNumber() * 1000).toLocaleString()}</span>
+                    <p><strong>Transfer #${index + 1}:</strong> ${this.formatAddress(transfer.from)}
+                       <i class="fas fa-arrow-right"></i> ${this.formatAddress(transfer.to)}</p>
+                    <p class="custody-location"><i class="fas fa-lock"></i> Encrypted location ${this.formatAddress(transfer.encryptedLocation)}</p>
+                </li>
+            `);
+
+            container.innerHTML = `
+                <div class="list-item">
+                    <div class="list-item-header">
+                        <span class="list-item-title">Evidence #${evidenceId} — Investigation #${investigationId}</span>
+                        <span class="list-item-status status-active">Custodian: ${this.formatAddress(log.custodian)}</span>
+                    </div>
+                    <ol class="custody-timeline">
+                        <li class="custody-event">
+                            <span class="custody-time">${new Date(evidence.timestamp.toNumber() * 1000).toLocaleString()}</span>
+                            <p><strong>Submitted</strong> by ${this.formatAddress(evidence.submitter)}</p>
+                        </li>
+                        ${transfers.join('')}
+                    </ol>
+                </div>
+            `;
         } catch (error) {
-            this.hideTransactionModal();
-            console.error('Error revoking investigator access:', error);
-            this.showAlert('Failed to revoke investigator access: ' + error.message, 'error');
+            console.error('Error loading custody trail:', error);
+            this.showAlert('Failed to load custody trail: ' + error.message, 'error');
         }
     }
 
-    async authorizeJudge() {
+    async submitWitnessTestimony() {
         if (!this.contract) {
             this.showAlert('Contract not connected', 'error');
             return;
         }
 
-        const judgeAddress = document.getElementById('judgeAddress').value;
+        const investigationId = document.getElementById('witnessInvestigationId').value;
+        const credibilityScore = document.getElementById('credibilityScore').value;
+        const testimonyHash = document.getElementById('testimonyHash').value;
 
-        if (!judgeAddress) {
-            this.showAlert('Please enter judge address', 'error');
+        if (!investigationId || !credibilityScore || !testimonyHash) {
+            this.showAlert('Please fill in all fields', 'error');
             return;
         }
 
-        if (!ethers.utils.isAddress(judgeAddress)) {
-            this.showAlert('Invalid judge address', 'error');
+        let stake;
+        const asset = this.readStakeAsset('witness');
+        try {
+            stake = this.readStake('witness');
+            this.checkStakeMinimum('witness', stake, asset);
+        } catch (error) {
+            this.showAlert(error.message, 'error');
             return;
         }
 
         try {
+            this.showTransactionModal('Encrypting testimony...');
+
+            const instance = await this.getFhevmInstance();
+            const encrypted = await instance
+                .createEncryptedInput(this.CONTRACT_ADDRESS, this.userAddress)
+                .add8(parseInt(credibilityScore))
+                .add32(parseInt(testimonyHash))
+                .encrypt();
+
+            // Only the commitment goes on-chain; the secret stays in the saved and downloaded receipt
+            const secret = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+            const commitment = ethers.utils.keccak256(
+                ethers.utils.defaultAbiCoder.encode(['bytes32', 'address'], [secret, this.userAddress])
+            );
+
+            const args = [
+                parseInt(investigationId),
+                ethers.utils.hexlify(encrypted.handles[0]),
+                ethers.utils.hexlify(encrypted.handles[1]),
+                ethers.utils.hexlify(encrypted.inputProof),
+                commitment
+            ];
+
+            const submission = await this.prepareStakedSubmission('submitAnonymousWitnessTestimony', args, stake, asset);
+
+            this.showTransactionModal('Estimating cost...');
+            if (!(await this.confirmSubmissionCost(submission, stake, asset))) {
+                this.hideTransactionModal();
+                return;
+            }
+
+            // Saved before anything is sent: the secret must outlive a failed wait or a closed tab
+            let witnessReceipt = {
+                contractAddress: this.CONTRACT_ADDRESS,
+                chainId: (await this.provider.getNetwork()).chainId,
+                investigationId: parseInt(investigationId),
+                secret,
+                recipient: this.userAddress,
+                commitment,
+                submittedAt: Math.floor(Date.now() / 1000)
+            };
+            this.saveWitnessReceipt(witnessReceipt);
+
+            this.showTransactionModal('Submitting anonymous testimony...');
+
+            let tx;
+            try {
+                tx = await this.contract[submission.method](...submission.args, submission.overrides);
+            } catch (error) {
+                // Nothing was staked if the transaction was never sent
+                this.forgetWitnessReceipt(witnessReceipt);
+                throw error;
+            }
+            witnessReceipt = { ...witnessReceipt, txHash: tx.hash };
+            this.saveWitnessReceipt(witnessReceipt);
+            this.downloadWitnessReceipt(witnessReceipt);
+
+            const receipt = await tx.wait();
+            this.renderStakeReceipt('witnessStakeReceipt', receipt);
+            const submitted = receipt.events.find((event) => event.event === 'WitnessTestimonySubmitted');
+            this.saveWitnessReceipt({ ...witnessReceipt, witnessId: submitted.args.witnessId });
+
+            this.hideTransactionModal();
+            this.showAlert('Anonymous testimony submitted. Keep the downloaded receipt to claim your stake refund.', 'success');
+            document.getElementById('witnessInvestigationId').value = '';
+            document.getElementById('credibilityScore').value = '';
+            document.getElementById('testimonyHash').value = '';
+            await this.updateDashboard();
+
+        } catch (error) {
+            this.hideTransactionModal();
+            console.error('Error submitting witness testimony:', error);
+            this.showAlert('Failed to submit testimony: ' + error.message, 'error');
+        }
+    }
+
+    // Read the symbol, decimals and EIP-2612 support of a stake token; the zero address is ETH
+    async getStakeAsset(token) {
+        if (token === ethers.constants.AddressZero) {
+            return this.ETH_ASSET;
+        }
+        if (!this.stakeAssets[token]) {
+            const erc20 = new ethers.Contract(token, this.STAKE_TOKEN_ABI, this.signer);
+            const [symbol, decimals, supportsPermit] = await Promise.all([
+                erc20.symbol().catch(() => 'TOKEN'),
+                erc20.decimals().catch(() => 18),
+                Promise.all([erc20.nonces(ethers.constants.AddressZero), erc20.DOMAIN_SEPARATOR()]).then(
+                    () => true,
+                    () => false
+                )
+            ]);
+            this.stakeAssets[token] = { address: token, symbol, decimals, supportsPermit };
+        }
+        return this.stakeAssets[token];
+    }
+
+    // Fill the stake asset selectors with ETH and every token the admin currently allows
+    async loadStakeAssets() {
+        try {
+            const events = await this.contract.queryFilter(this.contract.filters.StakeTokenUpdated());
+            const allowed = {};
+            events.forEach((event) => {
+                allowed[event.args.token] = event.args.allowed;
+            });
+
+            const tokens = Object.keys(allowed).filter((token) => allowed[token]);
+            const assets = [this.ETH_ASSET, ...(await Promise.all(tokens.map((token) => this.getStakeAsset(token))))];
+            const options = assets
+                .map((asset) => `<option value="${asset.address}">${asset.symbol}</option>`)
+                .join('');
+
+            ['evidence', 'witness'].forEach((prefix) => {
+                const select = document.getElementById(`${prefix}StakeAsset`);
+                select.innerHTML = options;
+                select.hidden = assets.length === 1;
+            });
+
+            const stakeTokensInfo = document.getElementById('stakeTokensInfo');
+            stakeTokensInfo.innerHTML = `<strong>Accepted:</strong> ${assets
+                .map((asset) => (asset === this.ETH_ASSET ? asset.symbol : `${asset.symbol} (${asset.address})`))
+                .join(', ')}`;
+        } catch (error) {
+            console.error('Error loading stake tokens:', error);
+        }
+    }
+
+    readStakeAsset(prefix) {
+        const token = document.getElementById(`${prefix}StakeAsset`).value || ethers.constants.AddressZero;
+        return this.stakeAssets[token] || this.ETH_ASSET;
+    }
+
+    formatStakeAmount(amount, asset = this.ETH_ASSET) {
+        return `${ethers.utils.formatUnits(amount, asset.decimals)} ${asset.symbol}`;
+    }
+
+    // Parse the stake input of a form in whole units ("ETH") or base units ("wei") of its asset
+    readStake(prefix) {
+        const amount = document.getElementById(`${prefix}Stake`).value.trim();
+        const unit = document.getElementById(`${prefix}StakeUnit`).value;
+        const asset = this.readStakeAsset(prefix);
+
+        let stake;
+        try {
+            stake = ethers.utils.parseUnits(amount, unit === 'ETH' ? asset.decimals : 0);
+        } catch (error) {
+            throw new Error(`Invalid stake amount: ${amount}`);
+        }
+
+        if (stake.lte(0)) {
+            throw new Error('Stake must be greater than zero');
+        }
+        return stake;
+    }
+
+    updateStakeConversion(prefix) {
+        const hint = document.getElementById(`${prefix}StakeConversion`);
+        const unitSelect = document.getElementById(`${prefix}StakeUnit`);
+        const asset = this.readStakeAsset(prefix);
+        const baseUnit = asset.address === ethers.constants.AddressZero ? 'wei' : 'base units';
+        const minimum = this.minimumStakes[prefix];
+
+        unitSelect.options[0].textContent = asset.symbol;
+        unitSelect.options[1].textContent = baseUnit;
+        document.getElementById(`${prefix}StakeMinimum`).textContent = minimum && minimum.gt(0)
+            ? `Minimum: ${this.formatStakeAmount(minimum, asset)}`
+            : '';
+
+        try {
+            const stake = this.readStake(prefix);
+            hint.textContent = unitSelect.value === 'ETH'
+                ? `= ${stake.toString()} ${baseUnit}`
+                : `= ${this.formatStakeAmount(stake, asset)}`;
+        } catch (error) {
+            hint.textContent = '';
+        }
+    }
+
+    // Read the contract minimum for the form's current values and raise the stake to it when it falls short.
+    // Evidence is only checked against its lowest minimum on submission, since the type and confidentiality
+    // are encrypted; evidence below the minimum shown here is flagged once the Gateway reveals it.
+    async updateStakeMinimum(prefix) {
+        if (!this.contract) {
+            this.updateStakeConversion(prefix);
+            return;
+        }
+
+        const asset = this.readStakeAsset(prefix);
+        try {
+            let minimum;
+            if (prefix === 'evidence') {
+                const evidenceType = parseInt(document.getElementById('evidenceType').value) || 0;
+                const confidentialityLevel = Math.max(parseInt(document.getElementById('confidentialityLevel').value) || 1, 1);
+                minimum = await this.contract.getMinimumEvidenceStake(asset.address, evidenceType, confidentialityLevel);
+            } else {
+                minimum = (await this.contract.getStakeMinimums(asset.address)).witnessMinimum;
+            }
+            this.minimumStakes[prefix] = minimum;
+
+            let belowMinimum;
+            try {
+                belowMinimum = this.readStake(prefix).lt(minimum);
+            } catch (error) {
+                belowMinimum = true;
+            }
+            if (minimum.gt(0) && belowMinimum) {
+                const unit = document.getElementById(`${prefix}StakeUnit`).value;
+                document.getElementById(`${prefix}Stake`).value = unit === 'ETH'
+                    ? ethers.utils.formatUnits(minimum, asset.decimals)
+                    : minimum.toString();
+            }
+        } catch (error) {
+            console.error('Error loading minimum stake:', error);
+        }
+        this.updateStakeConversion(prefix);
+    }
+
+    checkStakeMinimum(prefix, stake, asset) {
+        const minimum = this.minimumStakes[prefix];
+        if (minimum && stake.lt(minimum)) {
+            throw new Error(`Stake must be at least ${this.formatStakeAmount(minimum, asset)}`);
+        }
+    }
+
+    // ETH stakes are sent as value. Token stakes go to the *WithToken variant and are pulled
+    // through a signed EIP-2612 permit, or through an allowance granted with approve() first.
+    async prepareStakedSubmission(method, args, stake, asset) {
+        if (asset.address === ethers.constants.AddressZero) {
+            return { method, args, overrides: { value: stake } };
+        }
+
+        const erc20 = new ethers.Contract(asset.address, this.STAKE_TOKEN_ABI, this.signer);
+        const allowance = await erc20.allowance(this.userAddress, this.CONTRACT_ADDRESS);
+        let tokenStake = {
+            token: asset.address,
+            amount: stake,
+            permitDeadline: 0,
+            v: 0,
+            r: ethers.constants.HashZero,
+            s: ethers.constants.HashZero
+        };
+
+        if (allowance.lt(stake) && asset.supportsPermit) {
+            this.showTransactionModal(`Sign the ${asset.symbol} permit in your wallet...`);
+            tokenStake = await this.signStakePermit(erc20, stake);
+        } else if (allowance.lt(stake)) {
+            this.showTransactionModal(`Approving ${asset.symbol}...`);
+            const approval = await erc20.approve(this.CONTRACT_ADDRESS, stake);
+            await approval.wait();
+        }
+
+        return { method: `${method}WithToken`, args: [...args, tokenStake], overrides: {} };
+    }
+
+    async signStakePermit(erc20, stake) {
+        const [name, version, nonce, network] = await Promise.all([
+            erc20.name(),
+            erc20.version().catch(() => '1'),
+            erc20.nonces(this.userAddress),
+            this.provider.getNetwork()
+        ]);
+        const deadline = Math.floor(Date.now() / 1000) + this.PERMIT_VALIDITY_SECONDS;
+
+        const signature = await this.signer._signTypedData(
+            { name, version, chainId: network.chainId, verifyingContract: erc20.address },
+            {
+                Permit: [
+                    { name: 'owner', type: 'address' },
+                    { name: 'spender', type: 'address' },
+                    { name: 'value', type: 'uint256' },
+                    { name: 'nonce', type: 'uint256' },
+                    { name: 'deadline', type: 'uint256' }
+                ]
+            },
+            { owner: this.userAddress, spender: this.CONTRACT_ADDRESS, value: stake, nonce, deadline }
+        );
+        const { v, r, s } = ethers.utils.splitSignature(signature);
+
+        return { token: erc20.address, amount: stake, permitDeadline: deadline, v, r, s };
+    }
+
+    // Estimate gas, check stake plus fee against the balances and ask the user to confirm
+    async confirmSubmissionCost(submission, stake, asset) {
+        const isToken = asset.address !== ethers.constants.AddressZero;
+        const [gasLimit, feeData, balance, assetBalance] = await Promise.all([
+            this.contract.estimateGas[submission.method](...submission.args, submission.overrides),
+            this.provider.getFeeData(),
+            this.provider.getBalance(this.userAddress),
+            isToken
+                ? new ethers.Contract(asset.address, this.STAKE_TOKEN_ABI, this.signer).balanceOf(this.userAddress)
+                : null
+        ]);
+
+        const gasPrice = feeData.maxFeePerGas || feeData.gasPrice || ethers.BigNumber.from(0);
+        const gasCost = gasLimit.mul(gasPrice);
+        const total = isToken ? gasCost : stake.add(gasCost);
+
+        if (total.gt(balance)) {
+            throw new Error(
+                `Insufficient balance: ${ethers.utils.formatEther(total)} ETH needed, ` +
+                `${ethers.utils.formatEther(balance)} ETH available`
+            );
+        }
+        if (isToken && stake.gt(assetBalance)) {
+            throw new Error(
+                `Insufficient balance: ${this.formatStakeAmount(stake, asset)} needed, ` +
+                `${this.formatStakeAmount(assetBalance, asset)} available`
+            );
+        }
+
+        return confirm(
+            `Stake: ${this.formatStakeAmount(stake, asset)}\n` +
+            `Estimated gas: ${gasLimit.toString()} units (~${ethers.utils.formatEther(gasCost)} ETH)\n` +
+            `${isToken ? 'ETH needed' : 'Total'}: ${ethers.utils.formatEther(total)} ETH\n` +
+            `Balance: ${ethers.utils.formatEther(balance)} ETH` +
+            `${isToken ? ` | ${this.formatStakeAmount(assetBalance, asset)}` : ''}\n\n` +
+            'Submit this transaction?'
+        );
+    }
+
+    // Show the stake the contract recorded through StakeReceived
+    renderStakeReceipt(containerId, receipt) {
+        const stakeEvent = receipt.events.find((event) => event.event === 'StakeReceived');
+        if (!stakeEvent) {
+            return;
+        }
+
+        document.getElementById(containerId).innerHTML = `
+            <div class="list-item">
+                <div class="list-item-header">
+                    <span class="list-item-title">Stake Recorded</span>
+                    <span class="list-item-status status-completed">${this.formatStakeAmount(stakeEvent.args.amount, this.stakeAssets[stakeEvent.args.token])}</span>
+                </div>
+                <p><strong>Investigation:</strong> #${stakeEvent.args.investigationId}${stakeEvent.args.sender === ethers.constants.AddressZero
+                    ? '' // Witness stakes are logged without a sender
+                    : ` | <strong>From:</strong> ${this.formatAddress(stakeEvent.args.sender)}`}</p>
+                <p><strong>Block:</strong> ${receipt.blockNumber} | <strong>Tx:</strong> ${this.formatAddress(receipt.transactionHash)}</p>
+            </div>
+        `;
+    }
+
+    // Rebuild the user's stakes from contract events and read their refund state.
+    // Refund windows mirror the contract, which compares deadlines with a strict `>`.
+    async loadMyStakes() {
+        if (!this.contract || !this.userAddress) {
+            return;
+        }
+
+        try {
+            const gracePeriod = (await this.contract.REFUND_GRACE_PERIOD()).toNumber();
+            const expiries = {};
+            const getInvestigationExpiry = async (investigationId) => {
+                if (expiries[investigationId] === undefined) {
+                    const timeInfo = await this.contract.getInvestigationTimeInfo(investigationId);
+                    expiries[investigationId] = timeInfo.expiryTime.toNumber();
+                }
+                return expiries[investigationId];
+            };
+            const forfeitures = {};
+            const getForfeitureTime = async (investigationId) => {
+                if (forfeitures[investigationId] === undefined) {
+                    const stake = await this.contract.getInvestigationStake(investigationId);
+                    forfeitures[investigationId] = stake.forfeitsAt.toNumber();
+                }
+                return forfeitures[investigationId];
+            };
+
+            const stakes = [];
+
+            const evidenceEvents = await this.contract.queryFilter(
+                this.contract.filters.EvidenceSubmitted(null, null, this.userAddress)
+            );
+
+            for (const event of evidenceEvents) {
+                const investigationId = event.args.investigationId;
+                const evidenceId = event.args.evidenceId;
+                const [evidence, rejection] = await Promise.all([
+                    this.contract.caseEvidence(investigationId, evidenceId),
+                    this.contract.evidenceRejections(investigationId, evidenceId)
+                ]);
+                const investigationDeadline = (await getInvestigationExpiry(investigationId)) + gracePeriod;
+                const evidenceExpiry = evidence.expiryTime.toNumber();
+
+                let refundWindow;
+                if (evidence.decryptionStatus === 3) {
+                    refundWindow = { refundableAt: 0, reason: 'Decryption failed' };
+                } else if (evidenceExpiry <= investigationDeadline) {
+                    refundWindow = { refundableAt: evidenceExpiry + 1, reason: 'Evidence timeout' };
+                } else {
+                    refundWindow = { refundableAt: investigationDeadline + 1, reason: 'Investigation expired' };
+                }
+
+                stakes.push({
+                    kind: 'evidence',
+                    investigationId,
+                    itemId: evidenceId,
+                    asset: await this.getStakeAsset(evidence.stakeToken),
+                    amount: evidence.stake,
+                    refunded: await this.contract.evidenceRefunded(investigationId, evidenceId),
+                    rejected: !rejection.rejectedAt.isZero(),
+                    slashed: rejection.slashed,
+                    forfeitsAt: await getForfeitureTime(investigationId),
+                    ...refundWindow
+                });
+            }
+
+            // Witness records hold no address and their stakes are logged without a sender, so witness
+            // stakes are found through the receipts saved in this browser or loaded from files
+            await this.loadSavedWitnessReceipts();
+
+            for (const receipt of Object.values(this.witnessReceipts)) {
+                const investigationId = receipt.investigationId;
+                const witnessId = receipt.witnessId;
+                const witness = await this.contract.witnesses(investigationId, witnessId);
+                if (witness.refundCommitment !== receipt.commitment) {
+                    continue;
+                }
+
+                stakes.push({
+                    kind: 'witness',
+                    investigationId,
+                    itemId: witnessId,
+                    asset: await this.getStakeAsset(witness.stakeToken),
+                    amount: witness.stake,
+                    refunded: witness.refunded,
+                    rejected: false,
+                    slashed: ethers.BigNumber.from(0),
+                    refundableAt: (await getInvestigationExpiry(investigationId)) + gracePeriod + 1,
+                    reason: 'Investigation expired',
+                    forfeitsAt: await getForfeitureTime(investigationId)
+                });
+            }
+
+            this.myStakes = stakes.sort((a, b) => a.refundableAt - b.refundableAt);
+            this.renderMyStakes();
+
+            // Keep the countdowns ticking
+            if (!this.stakeCountdownTimer) {
+                this.stakeCountdownTimer = setInterval(() => this.renderMyStakes(), 1000);
+            }
+
+        } catch (error) {
+            console.error('Error loading stakes:', error);
+            this.showAlert('Failed to load stakes: ' + error.message, 'error');
+        }
+    }
+
+    // Unrefunded stakes of an archived investigation are forfeited once its retention period ends
+    isStakeForfeited(stake, now) {
+        return stake.forfeitsAt !== 0 && now > stake.forfeitsAt;
+    }
+
+    // Stakes that are neither refunded, rejected nor forfeited, so the owner can still get them back
+    isStakeOpen(stake, now) {
+        return !stake.refunded && !stake.rejected && !this.isStakeForfeited(stake, now);
+    }
+
+    isStakeClaimable(stake, now) {
+        return this.isStakeOpen(stake, now) && now >= stake.refundableAt;
+    }
+
+    formatCountdown(seconds) {
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = seconds % 60;
+
+        if (days > 0) {
+            return `${days}d ${hours}h ${minutes}m`;
+        }
+        if (hours > 0) {
+            return `${hours}h ${minutes}m ${secs}s`;
+        }
+        return `${minutes}m ${secs}s`;
+    }
+
+    renderMyStakes() {
+        const list = document.getElementById('stakesList');
+        const now = Math.floor(Date.now() / 1000);
+
+        const claimableCount = this.myStakes.filter((stake) => this.isStakeClaimable(stake, now)).length;
+        // Sum stakes per asset, e.g. "0.02 ETH + 25 USDC"
+        const lockedTotals = {};
+        this.myStakes
+            .filter((stake) => this.isStakeOpen(stake, now))
+            .forEach((stake) => {
+                const total = lockedTotals[stake.asset.address] || { asset: stake.asset, amount: ethers.BigNumber.from(0) };
+                lockedTotals[stake.asset.address] = { asset: stake.asset, amount: total.amount.add(stake.amount) };
+            });
+        const lockedTotal = Object.values(lockedTotals)
+            .map(({ asset, amount }) => this.formatStakeAmount(amount, asset))
+            .join(' + ') || this.formatStakeAmount(0);
+
+        document.getElementById('stakesSummary').innerHTML =
+            `<strong>Still staked:</strong> ${lockedTotal} | ` +
+            `<strong>Claimable now:</strong> ${claimableCount}`;
+
+        const claimAll = document.getElementById('claimAllStakes');
+        claimAll.disabled = claimableCount === 0;
+        claimAll.innerHTML = `<i class="fas fa-hand-holding-usd"></i> Claim All Eligible (${claimableCount})`;
+
+        if (this.myStakes.length === 0) {
+            list.innerHTML = '<p class="empty-state">No stakes found</p>';
+            return;
+        }
+
+        list.innerHTML = this.myStakes.map((stake, index) => {
+            let status;
+            const isForfeited = this.isStakeForfeited(stake, now);
+            if (stake.rejected) {
+                status = '<span class="list-item-status status-archived">Rejected</span>';
+            } else if (stake.refunded) {
+                status = '<span class="list-item-status status-archived">Refunded</span>';
+            } else if (isForfeited) {
+                status = '<span class="list-item-status status-archived">Forfeited</span>';
+            } else if (now < stake.refundableAt) {
+                status = '<span class="list-item-status status-pending">Locked</span>';
+            } else {
+                status = '<span class="list-item-status status-completed">Refundable</span>';
+            }
+
+            const refundWindow = !this.isStakeOpen(stake, now) ? '' : `
+                <p><strong>${stake.reason}:</strong> ${now < stake.refundableAt
+                    ? `refundable in ${this.formatCountdown(stake.refundableAt - now)}`
+                    : 'refund conditions met'}</p>
+            `;
+            const rejection = !stake.rejected ? '' : `
+                <p><strong>Rejected:</strong> ${this.formatStakeAmount(stake.slashed, stake.asset)} slashed, the rest was returned</p>
+            `;
+            const forfeiture = stake.refunded || stake.rejected || stake.forfeitsAt === 0 ? '' : `
+                <p><strong>Forfeiture:</strong> ${isForfeited
+                    ? `forfeited to the treasury on ${new Date(stake.forfeitsAt * 1000).toLocaleString()}`
+                    : `claim within ${this.formatCountdown(stake.forfeitsAt - now)}`}</p>
+            `;
+
+            return `
+                <div class="list-item">
+                    <div class="list-item-header">
+                        <span class="list-item-title">${stake.kind === 'evidence' ? 'Evidence' : 'Witness'} #${stake.itemId} · Investigation #${stake.investigationId}</span>
+                        ${status}
+                    </div>
+                    <p><strong>Stake:</strong> ${this.formatStakeAmount(stake.amount, stake.asset)}</p>
+                    ${refundWindow}
+                    ${rejection}
+                    ${forfeiture}
+                    ${this.isStakeClaimable(stake, now)
+                        ? `<button class="btn btn-success" data-claim-stake="${index}">
+                               <i class="fas fa-hand-holding-usd"></i> Claim Refund
+                           </button>`
+                        : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Load witness receipt files and keep those whose secret matches their commitment
+    async loadWitnessReceipts(input) {
+        for (const file of Array.from(input.files)) {
+            try {
+                const receipt = JSON.parse(await file.text());
+                const commitment = ethers.utils.keccak256(
+                    ethers.utils.defaultAbiCoder.encode(['bytes32', 'address'], [receipt.secret, receipt.recipient])
+                );
+
+                if (commitment !== receipt.commitment) {
+                    throw new Error('Receipt secret does not match its commitment');
+                }
+                if (receipt.contractAddress.toLowerCase() !== this.CONTRACT_ADDRESS.toLowerCase()) {
+                    throw new Error('Receipt belongs to a different contract');
+                }
+
+                await this.addWitnessReceipt(receipt);
+            } catch (error) {
+                this.showAlert(`${file.name}: ${error.message}`, 'error');
+            }
+        }
+
+        input.value = '';
+        await this.loadMyStakes();
+    }
+
+    async addWitnessReceipt(receipt) {
+        const witnessId = await this.resolveWitnessId(receipt);
+        this.witnessReceipts[`${receipt.investigationId}-${witnessId}`] = { ...receipt, witnessId };
+    }
+
+    // Receipts written before their submission was mined carry the transaction hash instead of the witness ID
+    async resolveWitnessId(receipt) {
+        if (receipt.witnessId !== undefined) {
+            return receipt.witnessId;
+        }
+        if (!receipt.txHash) {
+            throw new Error('Receipt has no witness ID or transaction hash; the testimony was never sent');
+        }
+
+        const txReceipt = await this.provider.getTransactionReceipt(receipt.txHash);
+        if (!txReceipt) {
+            throw new Error('Testimony transaction is not mined yet');
+        }
+        if (txReceipt.status !== 1) {
+            throw new Error('Testimony transaction failed; no stake was taken');
+        }
+
+        const submitted = txReceipt.logs
+            .map((log) => {
+                try {
+                    return this.contract.interface.parseLog(log);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .find((parsed) => parsed && parsed.name === 'WitnessTestimonySubmitted');
+        if (!submitted) {
+            throw new Error('Testimony transaction did not submit a testimony');
+        }
+        return submitted.args.witnessId;
+    }
+
+    // Witness receipts are kept in this browser, keyed by commitment, from before the submission is sent
+    saveWitnessReceipt(receipt) {
+        localStorage.setItem(this.WITNESS_RECEIPT_PREFIX + receipt.commitment, JSON.stringify(receipt));
+    }
+
+    forgetWitnessReceipt(receipt) {
+        localStorage.removeItem(this.WITNESS_RECEIPT_PREFIX + receipt.commitment);
+    }
+
+    async loadSavedWitnessReceipts() {
+        const keys = Object.keys(localStorage).filter((key) => key.startsWith(this.WITNESS_RECEIPT_PREFIX));
+        for (const key of keys) {
+            try {
+                const receipt = JSON.parse(localStorage.getItem(key));
+                if (receipt.contractAddress.toLowerCase() === this.CONTRACT_ADDRESS.toLowerCase()) {
+                    await this.addWitnessReceipt(receipt);
+                }
+            } catch (error) {
+                console.error('Skipping saved witness receipt:', error);
+            }
+        }
+    }
+
+    async sendStakeRefund(stake) {
+        if (stake.kind === 'evidence') {
+            return this.contract.requestEvidenceRefund(stake.investigationId, stake.itemId);
+        }
+
+        const receipt = this.witnessReceipts[`${stake.investigationId}-${stake.itemId}`];
+        return this.contract.requestWitnessRefund(stake.investigationId, stake.itemId, receipt.secret, receipt.recipient);
+    }
+
+    async claimStake(stake) {
+        try {
+            this.showTransactionModal('Claiming stake refund...');
+
+            const tx = await this.sendStakeRefund(stake);
+            await tx.wait();
+
+            this.hideTransactionModal();
+            this.showAlert('Stake refunded successfully!', 'success');
+            await this.loadMyStakes();
+
+        } catch (error) {
+            this.hideTransactionModal();
+            console.error('Error claiming stake refund:', error);
+            this.showAlert('Failed to claim refund: ' + error.message, 'error');
+        }
+    }
+
+    // One transaction per stake; a failed claim does not stop the rest
+    async claimAllStakes() {
+        const now = Math.floor(Date.now() / 1000);
+        const claimable = this.myStakes.filter((stake) => this.isStakeClaimable(stake, now));
+        let refunded = 0;
+
+        for (const [index, stake] of claimable.entries()) {
+            try {
+                this.showTransactionModal(`Claiming stake refund ${index + 1} of ${claimable.length}...`);
+                const tx = await this.sendStakeRefund(stake);
+                await tx.wait();
+                refunded++;
+            } catch (error) {
+                console.error('Error claiming stake refund:', error);
+                this.showAlert(`${stake.kind === 'evidence' ? 'Evidence' : 'Witness'} #${stake.itemId}: ${error.message}`, 'error');
+            }
+        }
+
+        this.hideTransactionModal();
+        if (refunded > 0) {
+            this.showAlert(`Refunded ${refunded} of ${claimable.length} stakes`, 'success');
+        }
+        await this.loadMyStakes();
+    }
+
+    downloadWitnessReceipt(receipt) {
+        const blob = new Blob([JSON.stringify(receipt, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `witness-receipt-${receipt.investigationId}-${receipt.witnessId ?? receipt.commitment.slice(2, 10)}.json`;
+        link.click();
+        // Revoking right after click() can cancel the download before the browser reads the blob
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    async submitVerdict() {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        const investigationId = document.getElementById('verdictInvestigationId').value;
+        const verdict = document.getElementById('verdict').value;
+        const confidence = document.getElementById('confidence').value;
+
+        if (!investigationId || verdict === '' || !confidence) {
+            this.showAlert('Please fill in all fields', 'error');
+            return;
+        }
+
+        try {
+            this.showTransactionModal('Encrypting verdict...');
+
+            // Verdict and confidence share one input proof bound to this judge;
+            // the vote weight is the one the admin assigned
+            const instance = await this.getFhevmInstance();
+            const encrypted = await instance
+                .createEncryptedInput(this.CONTRACT_ADDRESS, this.userAddress)
+                .add8(parseInt(verdict))
+                .add8(parseInt(confidence))
+                .encrypt();
+
+            this.showTransactionModal('Submitting verdict...');
+
+            const tx = await this.contract.submitJudicialVerdict(
+                parseInt(investigationId),
+                ethers.utils.hexlify(encrypted.handles[0]),
+                ethers.utils.hexlify(encrypted.handles[1]),
+                ethers.utils.hexlify(encrypted.inputProof)
+            );
+            await tx.wait();
+
+            this.hideTransactionModal();
+            this.showAlert('Verdict submitted successfully!', 'success');
+            document.getElementById('verdictInvestigationId').value = '';
+            document.getElementById('verdict').value = '0';
+            document.getElementById('confidence').value = '';
+
+        } catch (error) {
+            this.hideTransactionModal();
+            console.error('Error submitting verdict:', error);
+            this.showAlert('Failed to submit verdict: ' + error.message, 'error');
+        }
+    }
+
+    async completeInvestigation() {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        const investigationId = document.getElementById('completeInvestigationId').value;
+
+        if (!investigationId) {
+            this.showAlert('Please enter investigation ID', 'error');
+            return;
+        }
+
+        try {
+            this.showTransactionModal('Completing investigation...');
+
+            const tx = await this.contract.completeInvestigation(parseInt(investigationId));
+            await tx.wait();
+
+            this.hideTransactionModal();
+            this.showAlert('Investigation completed successfully!', 'success');
+            document.getElementById('completeInvestigationId').value = '';
+            await this.updateDashboard();
+            await this.loadVerdictOutcomes();
+
+        } catch (error) {
+            this.hideTransactionModal();
+            console.error('Error completing investigation:', error);
+            this.showAlert('Failed to complete investigation: ' + error.message, 'error');
+        }
+    }
+
+    async loadVerdictOutcomes() {
+        if (!this.contract) {
+            return;
+        }
+
+        const list = document.getElementById('verdictOutcomesList');
+
+        try {
+            // Only Completed (2) and Archived (3) investigations have a reveal
+            const closed = (await this.loadInvestigationSummaries())
+                .filter((summary) => summary.status === 2 || summary.status === 3)
+                .map((summary) => summary.investigationId);
+            const items = [];
+
+            for (const i of closed) {
+                try {
+                    const [requested, revealed, outcome, margin] = await this.contract.getVerdictOutcome(i);
+                    let details;
+                    if (revealed) {
+                        details = `<strong>Outcome:</strong> ${this.verdictTypes[outcome]} | <strong>Margin:</strong> ${margin.toString()}`;
+                    } else if (requested) {
+                        details = 'The weighted tally is being decrypted by the Gateway.';
+                    } else {
+                        details = 'No verdict reveal was requested for this investigation.';
+                    }
+
+                    items.push(`
+                        <div class="list-item">
+                            <div class="list-item-header">
+                                <span class="list-item-title">Investigation #${i}</span>
+                                <span class="list-item-status ${revealed ? 'status-completed' : 'status-pending'}">${revealed ? 'Revealed' : 'Awaiting Gateway'}</span>
+                            </div>
+                            <p>${details}</p>
+                        </div>
+                    `);
+                } catch (error) {
+                    // Investigation might not exist
+                    continue;
+                }
+            }
+
+            list.innerHTML = items.length > 0
+                ? items.join('')
+                : '<p class="empty-state">No completed investigations</p>';
+
+        } catch (error) {
+            console.error('Error loading verdict outcomes:', error);
+        }
+    }
+
+    async authorizeInvestigator() {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        const investigatorAddress = document.getElementById('investigatorAddress').value;
+
+        if (!investigatorAddress) {
+            this.showAlert('Please enter investigator address', 'error');
+            return;
+        }
+
+        if (!ethers.utils.isAddress(investigatorAddress)) {
+            this.showAlert('Invalid investigator address', 'error');
+            return;
+        }
+
+        try {
+            this.showTransactionModal('Authorizing investigator...');
+
+            const tx = await this.contract.authorizeInvestigator(investigatorAddress);
+            await tx.wait();
+
+            this.hideTransactionModal();
+            this.showAlert('Investigator authorized successfully!', 'success');
+            document.getElementById('investigatorAddress').value = '';
+
+        } catch (error) {
+            this.hideTransactionModal();
+            console.error('Error authorizing investigator:', error);
+            this.showAlert('Failed to authorize investigator: ' + error.message, 'error');
+        }
+    }
+
+    async revokeInvestigatorAccess() {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        const investigatorAddress = document.getElementById('investigatorAddress').value;
+
+        if (!investigatorAddress) {
+            this.showAlert('Please enter investigator address', 'error');
+            return;
+        }
+
+        if (!ethers.utils.isAddress(investigatorAddress)) {
+            this.showAlert('Invalid investigator address', 'error');
+            return;
+        }
+
+        try {
+            this.showTransactionModal('Revoking investigator access...');
+
+            const tx = await this.contract.revokeInvestigatorAccess(investigatorAddress);
+            await tx.wait();
+
+            this.hideTransactionModal();
+            this.showAlert('Investigator access revoked successfully!', 'success');
+            document.getElementById('investigatorAddress').value = '';
+
+        } catch (error) {
+            this.hideTransactionModal();
+            console.error('Error revoking investigator access:', error);
+            this.showAlert('Failed to revoke investigator access: ' + error.message, 'error');
+        }
+    }
+
+    async authorizeJudge() {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        const judgeAddress = document.getElementById('judgeAddress').value;
+        const judgeWeight = document.getElementById('judgeWeight').value;
+
+        if (!judgeAddress) {
+            this.showAlert('Please enter judge address', 'error');
+            return;
+        }
+
+        if (!ethers.utils.isAddress(judgeAddress)) {
+            this.showAlert('Invalid judge address', 'error');
+            return;
+        }
+
+        if (!judgeWeight || parseInt(judgeWeight) < 1) {
+            this.showAlert('Please enter a vote weight of at least 1', 'error');
+            return;
+        }
+
+        try {
+            this.showTransactionModal('Encrypting vote weight...');
+
+            const instance = await this.getFhevmInstance();
+            const encrypted = await instance
+                .createEncryptedInput(this.CONTRACT_ADDRESS, this.userAddress)
+                .add64(parseInt(judgeWeight))
+                .encrypt();
+
             this.showTransactionModal('Authorizing judge...');
 
-            const tx = await this.contract.authorizeJudge(judgeAddress);
+            const tx = await this.contract.authorizeJudge(
+                judgeAddress,
+                ethers.utils.hexlify(encrypted.handles[0]),
+                ethers.utils.hexlify(encrypted.inputProof)
+            );
             await tx.wait();
 
             this.hideTransactionModal();
             this.showAlert('Judge authorized successfully!', 'success');
             document.getElementById('judgeAddress').value = '';
+            document.getElementById('judgeWeight').value = '1';
 
         } catch (error) {
             this.hideTransactionModal();
@@ -929,6 +2353,286 @@ class AnonymousCourtInvestigationApp {
         }
     }
 
+    async loadTreasuryInfo() {
+        if (!this.contract) {
+            return;
+        }
+
+        try {
+            const [treasury, unallocated] = await Promise.all([
+                this.contract.treasury(),
+                this.contract.unallocatedFunds()
+            ]);
+            document.getElementById('treasuryInfo').innerHTML =
+                `<strong>Treasury:</strong> ${treasury}<br>` +
+                `<strong>Unallocated funds:</strong> ${ethers.utils.formatEther(unallocated)} ETH`;
+        } catch (error) {
+            console.error('Error loading treasury:', error);
+        }
+    }
+
+    async setTreasury() {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        const treasuryAddress = document.getElementById('treasuryAddress').value;
+
+        if (!ethers.utils.isAddress(treasuryAddress)) {
+            this.showAlert('Please enter a valid treasury address', 'error');
+            return;
+        }
+
+        try {
+            this.showTransactionModal('Updating treasury...');
+
+            const tx = await this.contract.setTreasury(treasuryAddress);
+            await tx.wait();
+
+            this.hideTransactionModal();
+            this.showAlert('Treasury updated successfully!', 'success');
+            document.getElementById('treasuryAddress').value = '';
+            await this.loadTreasuryInfo();
+
+        } catch (error) {
+            this.hideTransactionModal();
+            console.error('Error updating treasury:', error);
+            this.showAlert('Failed to update treasury: ' + error.message, 'error');
+        }
+    }
+
+    async setStakeToken(allowed) {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        const tokenAddress = document.getElementById('stakeTokenAddress').value;
+
+        if (!ethers.utils.isAddress(tokenAddress)) {
+            this.showAlert('Please enter a valid token address', 'error');
+            return;
+        }
+
+        const message = allowed ? 'Stake token allowed!' : 'Stake token removed!';
+        try {
+            this.showTransactionModal('Updating stake token...');
+
+            const tx = await this.contract.setStakeToken(tokenAddress, allowed);
+            await tx.wait();
+
+            this.hideTransactionModal();
+            this.showAlert(message, 'success');
+            document.getElementById('stakeTokenAddress').value = '';
+            await this.loadStakeAssets();
+
+        } catch (error) {
+            this.hideTransactionModal();
+            console.error('Error updating stake token:', error);
+            this.showAlert('Failed to update stake token: ' + error.message, 'error');
+        }
+    }
+
+    // Token of the admin minimum stake form; left empty, the minimums are for ETH stakes
+    async readMinimumsAsset() {
+        const token = document.getElementById('minimumsToken').value.trim();
+        if (token && !ethers.utils.isAddress(token)) {
+            throw new Error('Please enter a valid token address');
+        }
+        return this.getStakeAsset(token || ethers.constants.AddressZero);
+    }
+
+    async loadStakeMinimums() {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        try {
+            const asset = await this.readMinimumsAsset();
+            const minimums = await this.contract.getStakeMinimums(asset.address);
+
+            minimums.evidenceMinimums.forEach((amount, type) => {
+                document.getElementById(`evidenceMinimum${type}`).value = ethers.utils.formatUnits(amount, asset.decimals);
+            });
+            document.getElementById('witnessMinimum').value = ethers.utils.formatUnits(minimums.witnessMinimum, asset.decimals);
+            document.getElementById('confidentialityScale').value = minimums.confidentialityScale.toString();
+        } catch (error) {
+            console.error('Error loading stake minimums:', error);
+            this.showAlert('Failed to load stake minimums: ' + error.message, 'error');
+        }
+    }
+
+    async setStakeMinimums() {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        let asset;
+        let evidenceMinimums;
+        let witnessMinimum;
+        try {
+            asset = await this.readMinimumsAsset();
+            const parseMinimum = (id) => {
+                const amount = document.getElementById(id).value.trim() || '0';
+                try {
+                    return ethers.utils.parseUnits(amount, asset.decimals);
+                } catch (error) {
+                    throw new Error(`Invalid minimum stake amount: ${amount}`);
+                }
+            };
+            evidenceMinimums = [0, 1, 2, 3].map((type) => parseMinimum(`evidenceMinimum${type}`));
+            witnessMinimum = parseMinimum('witnessMinimum');
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+            return;
+        }
+
+        try {
+            this.showTransactionModal('Updating minimum stakes...');
+
+            const tx = await this.contract.setStakeMinimums(asset.address, evidenceMinimums, witnessMinimum);
+            await tx.wait();
+
+            this.hideTransactionModal();
+            this.showAlert(`Minimum ${asset.symbol} stakes updated!`, 'success');
+            await Promise.all([this.updateStakeMinimum('evidence'), this.updateStakeMinimum('witness')]);
+
+        } catch (error) {
+            this.hideTransactionModal();
+            console.error('Error updating minimum stakes:', error);
+            this.showAlert('Failed to update minimum stakes: ' + error.message, 'error');
+        }
+    }
+
+    async setConfidentialityStakeScale() {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        const percentPerTier = document.getElementById('confidentialityScale').value.trim();
+
+        if (!/^\d+$/.test(percentPerTier)) {
+            this.showAlert('Please enter a whole percentage', 'error');
+            return;
+        }
+
+        try {
+            this.showTransactionModal('Updating confidentiality scaling...');
+
+            const tx = await this.contract.setConfidentialityStakeScale(percentPerTier);
+            await tx.wait();
+
+            this.hideTransactionModal();
+            this.showAlert('Confidentiality scaling updated!', 'success');
+            await this.updateStakeMinimum('evidence');
+
+        } catch (error) {
+            this.hideTransactionModal();
+            console.error('Error updating confidentiality scaling:', error);
+            this.showAlert('Failed to update confidentiality scaling: ' + error.message, 'error');
+        }
+    }
+
+    // Token of the admin stake lookup; left empty, the lookup and sweep are for ETH stakes
+    readInvestigationStakeToken() {
+        const token = document.getElementById('stakeInvestigationToken').value.trim();
+        if (token && !ethers.utils.isAddress(token)) {
+            throw new Error('Please enter a valid token address');
+        }
+        return token || ethers.constants.AddressZero;
+    }
+
+    async checkInvestigationStake() {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        const investigationId = document.getElementById('stakeInvestigationId').value;
+
+        if (!investigationId) {
+            this.showAlert('Please enter investigation ID', 'error');
+            return;
+        }
+
+        try {
+            const token = this.readInvestigationStakeToken();
+            const asset = await this.getStakeAsset(token);
+            const stake = token === ethers.constants.AddressZero
+                ? await this.contract.getInvestigationStake(parseInt(investigationId))
+                : await this.contract.getInvestigationTokenStake(parseInt(investigationId), token);
+            const forfeitsAt = stake.forfeitsAt.toNumber();
+
+            document.getElementById('investigationStakeInfo').innerHTML =
+                `<strong>Locked:</strong> ${this.formatStakeAmount(stake.locked, asset)} | ` +
+                `<strong>Forfeited:</strong> ${this.formatStakeAmount(stake.forfeited, asset)}<br>` +
+                `<strong>Forfeits:</strong> ${forfeitsAt ? new Date(forfeitsAt * 1000).toLocaleString() : 'not archived yet'}`;
+        } catch (error) {
+            console.error('Error loading investigation stake:', error);
+            this.showAlert('Failed to load investigation stake: ' + error.message, 'error');
+        }
+    }
+
+    async sweepForfeitedStakes() {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        const investigationId = document.getElementById('stakeInvestigationId').value;
+
+        if (!investigationId) {
+            this.showAlert('Please enter investigation ID', 'error');
+            return;
+        }
+
+        try {
+            const token = this.readInvestigationStakeToken();
+            this.showTransactionModal('Sweeping forfeited stakes...');
+
+            const tx = token === ethers.constants.AddressZero
+                ? await this.contract.sweepForfeitedStakes(parseInt(investigationId))
+                : await this.contract.sweepForfeitedTokenStakes(parseInt(investigationId), token);
+            await tx.wait();
+
+            this.hideTransactionModal();
+            this.showAlert('Forfeited stakes swept to the treasury!', 'success');
+            await this.checkInvestigationStake();
+
+        } catch (error) {
+            this.hideTransactionModal();
+            console.error('Error sweeping forfeited stakes:', error);
+            this.showAlert('Failed to sweep forfeited stakes: ' + error.message, 'error');
+        }
+    }
+
+    async sweepUnallocatedFunds() {
+        if (!this.contract) {
+            this.showAlert('Contract not connected', 'error');
+            return;
+        }
+
+        try {
+            this.showTransactionModal('Sweeping unallocated funds...');
+
+            const tx = await this.contract.sweepUnallocatedFunds();
+            await tx.wait();
+
+            this.hideTransactionModal();
+            this.showAlert('Unallocated funds swept to the treasury!', 'success');
+            await this.loadTreasuryInfo();
+
+        } catch (error) {
+            this.hideTransactionModal();
+            console.error('Error sweeping unallocated funds:', error);
+            this.showAlert('Failed to sweep unallocated funds: ' + error.message, 'error');
+        }
+    }
+
     showTransactionModal(message) {
         const modal = document.getElementById('transactionModal');
         const messageEl = document.getElementById('transactionMessage');
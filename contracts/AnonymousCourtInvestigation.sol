@@ -1,199 +1,34 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint8, euint32, euint64, ebool, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
-import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { FHE, euint8, euint32, euint64, ebool, externalEuint8, externalEuint32, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { CourtStorage } from "./CourtStorage.sol";
 
 /**
  * @title Anonymous Court Investigation System with Advanced Privacy Features
  * @notice Privacy-preserving judicial investigations using FHE with Gateway callback mode
- * @dev Implements refund mechanism, timeout protection, and privacy-preserving computations
+ * @dev Implements refund mechanism, timeout protection, and privacy-preserving computations.
+ *      State lives in CourtStorage; the stake functions run in CourtStakeModule and the
+ *      non-critical views in CourtViewModule through delegatecall, to keep this contract under
+ *      the 24 KB code size limit. Both modules are deployed first and passed to the constructor.
  */
-contract AnonymousCourtInvestigation is SepoliaConfig {
-
-    // ========== STATE VARIABLES ==========
-
-    address public admin;
-    uint32 public currentInvestigationId;
-
-    // Constants for security and timeout protection
-    uint256 public constant MIN_INVESTIGATION_DURATION = 1 days;
-    uint256 public constant MAX_INVESTIGATION_DURATION = 365 days;
-    uint256 public constant EVIDENCE_TIMEOUT = 30 days;
-    uint256 public constant REFUND_GRACE_PERIOD = 7 days;
-
-    // Gas optimization: HCU limits
-    uint256 public constant MAX_HCU_PER_OPERATION = 100000;
-
-    // ========== ENUMS ==========
-
-    enum InvestigationStatus {
-        Pending,
-        Active,
-        Completed,
-        Archived,
-        TimedOut       // New: For timeout protection
-    }
-
-    enum EvidenceType {
-        Document,
-        Testimony,
-        Physical,
-        Digital
-    }
-
-    enum DecryptionStatus {
-        None,
-        Requested,
-        Completed,
-        Failed         // New: For refund mechanism
-    }
-
-    // ========== STRUCTS ==========
-
-    struct Investigation {
-        euint32 encryptedCaseId;
-        address investigator;
-        InvestigationStatus status;
-        uint256 startTime;
-        uint256 endTime;
-        uint256 expiryTime;        // New: Timeout protection
-        bool isActive;
-        address[] authorizedParticipants;
-        uint256 totalStake;        // New: For refund mechanism
-        euint64 obfuscatedMetric;  // New: Privacy-preserving metric
-    }
-
-    struct EncryptedEvidence {
-        euint32 evidenceId;
-        euint8 evidenceType;
-        euint32 confidentialityLevel;
-        address submitter;
-        uint256 timestamp;
-        uint256 expiryTime;        // New: Evidence timeout
-        bool isVerified;
-        uint256 stake;             // New: Refundable stake
-        DecryptionStatus decryptionStatus;  // New: Gateway callback tracking
-        uint256 decryptionRequestId;        // New: Gateway request ID
-    }
-
-    struct AnonymousWitness {
-        euint32 witnessId;
-        euint8 credibilityScore;
-        euint32 encryptedTestimony;
-        bool isProtected;
-        uint256 submissionTime;
-        uint256 stake;             // New: Witness protection stake
-        bool refunded;             // New: Refund tracking
-    }
-
-    struct JudicialVote {
-        euint8 verdict;
-        euint8 confidence;
-        address voter;
-        uint256 voteTime;
-        bool isSubmitted;
-        euint64 encryptedWeight;   // New: Privacy-preserving vote weight
-    }
-
-    // New: Gateway callback request tracking
-    struct DecryptionRequest {
-        uint32 investigationId;
-        uint32 evidenceId;
-        address requester;
-        uint256 timestamp;
-        bool completed;
-    }
-
-    // ========== MAPPINGS ==========
-
-    mapping(uint32 => Investigation) public investigations;
-    mapping(uint32 => mapping(uint32 => EncryptedEvidence)) public caseEvidence;
-    mapping(uint32 => mapping(uint32 => AnonymousWitness)) public witnesses;
-    mapping(uint32 => mapping(address => JudicialVote)) public judicialVotes;
-    mapping(uint32 => uint32) public evidenceCount;
-    mapping(uint32 => uint32) public witnessCount;
-    mapping(address => bool) public authorizedInvestigators;
-    mapping(address => bool) public authorizedJudges;
-
-    // New: Gateway callback and refund tracking
-    mapping(uint256 => DecryptionRequest) public decryptionRequests;
-    mapping(uint32 => mapping(uint32 => bool)) public evidenceRefunded;
-    mapping(uint32 => mapping(uint32 => bool)) public witnessRefunded;
-    mapping(uint256 => string) internal requestIdToBetId;
-
-    uint256 public nextDecryptionRequestId = 1;
-
-    // ========== EVENTS ==========
-
-    event InvestigationStarted(uint32 indexed investigationId, address indexed investigator, uint256 expiryTime);
-    event EvidenceSubmitted(uint32 indexed investigationId, uint32 indexed evidenceId, address indexed submitter, uint256 stake);
-    event WitnessTestimonySubmitted(uint32 indexed investigationId, uint32 indexed witnessId, uint256 stake);
-    event VerdictSubmitted(uint32 indexed investigationId, address indexed judge);
-    event InvestigationCompleted(uint32 indexed investigationId);
-    event InvestigationTimedOut(uint32 indexed investigationId);
-    event ParticipantAuthorized(uint32 indexed investigationId, address indexed participant);
-
-    // New: Gateway callback and refund events
-    event DecryptionRequested(uint256 indexed requestId, uint32 indexed investigationId, uint32 indexed evidenceId);
-    event DecryptionCompleted(uint256 indexed requestId, uint32 indexed investigationId, uint32 indexed evidenceId);
-    event DecryptionFailed(uint256 indexed requestId, uint32 indexed investigationId, uint32 indexed evidenceId);
-    event RefundIssued(uint32 indexed investigationId, uint32 indexed itemId, address indexed recipient, uint256 amount);
-    event StakeReceived(uint32 indexed investigationId, address indexed sender, uint256 amount);
-
-    // ========== MODIFIERS ==========
-
-    modifier onlyAdmin() {
-        require(msg.sender == admin, "Not authorized: admin only");
-        _;
-    }
-
-    modifier onlyAuthorizedInvestigator() {
-        require(authorizedInvestigators[msg.sender] || msg.sender == admin, "Not authorized: investigator only");
-        _;
-    }
-
-    modifier onlyAuthorizedJudge() {
-        require(authorizedJudges[msg.sender] || msg.sender == admin, "Not authorized: judge only");
-        _;
-    }
+contract AnonymousCourtInvestigation is CourtStorage {
 
-    modifier onlyActiveInvestigation(uint32 _investigationId) {
-        require(investigations[_investigationId].isActive, "Investigation not active");
-        require(investigations[_investigationId].status == InvestigationStatus.Active, "Investigation not in active status");
-        require(block.timestamp < investigations[_investigationId].expiryTime, "Investigation expired");
-        _;
-    }
-
-    modifier onlyAuthorizedParticipant(uint32 _investigationId) {
-        Investigation storage investigation = investigations[_investigationId];
-        bool isAuthorized = false;
-        for (uint i = 0; i < investigation.authorizedParticipants.length; i++) {
-            if (investigation.authorizedParticipants[i] == msg.sender) {
-                isAuthorized = true;
-                break;
-            }
-        }
-        require(isAuthorized || msg.sender == admin, "Not authorized: participant only");
-        _;
-    }
-
-    // New: Input validation modifiers
-    modifier validDuration(uint256 _duration) {
-        require(_duration >= MIN_INVESTIGATION_DURATION, "Duration too short");
-        require(_duration <= MAX_INVESTIGATION_DURATION, "Duration too long");
-        _;
-    }
-
-    modifier validStake() {
-        require(msg.value > 0, "Stake must be greater than zero");
-        _;
-    }
+    address public immutable stakeModule;
+    address public immutable viewModule;
 
     // ========== CONSTRUCTOR ==========
 
-    constructor() {
+    /**
+     * @param _stakeModule Deployed CourtStakeModule
+     * @param _viewModule Deployed CourtViewModule
+     */
+    constructor(address _stakeModule, address _viewModule) {
+        require(_stakeModule.code.length > 0 && _viewModule.code.length > 0, "Module is not a contract");
+        stakeModule = _stakeModule;
+        viewModule = _viewModule;
         admin = msg.sender;
+        treasury = msg.sender;
         currentInvestigationId = 1;
         authorizedInvestigators[msg.sender] = true;
         authorizedJudges[msg.sender] = true;
@@ -206,9 +41,49 @@ contract AnonymousCourtInvestigation is SepoliaConfig {
         authorizedInvestigators[_investigator] = true;
     }
 
-    function authorizeJudge(address _judge) external onlyAdmin {
+    /**
+     * @notice Authorize a judge and set their global encrypted vote weight
+     * @param _judge Judge address
+     * @param encryptedWeight Encrypted vote weight, used unless an investigation overrides it
+     * @param inputProof Cryptographic proof for the encrypted weight
+     */
+    function authorizeJudge(address _judge, externalEuint64 encryptedWeight, bytes calldata inputProof)
+        external
+        onlyAdmin
+    {
         require(_judge != address(0), "Invalid address");
         authorizedJudges[_judge] = true;
+
+        euint64 weight = FHE.fromExternal(encryptedWeight, inputProof);
+        judgeWeights[_judge] = weight;
+        FHE.allowThis(weight);
+        FHE.allow(weight, msg.sender);
+
+        emit JudgeWeightSet(_judge, 0);
+    }
+
+    /**
+     * @notice Override a judge's encrypted vote weight for one investigation
+     * @param _investigationId Investigation ID
+     * @param _judge Judge address
+     * @param encryptedWeight Encrypted vote weight for this investigation
+     * @param inputProof Cryptographic proof for the encrypted weight
+     */
+    function setInvestigationJudgeWeight(
+        uint32 _investigationId,
+        address _judge,
+        externalEuint64 encryptedWeight,
+        bytes calldata inputProof
+    ) external onlyAdmin onlyActiveInvestigation(_investigationId) {
+        require(authorizedJudges[_judge] || _judge == admin, "Judge not authorized");
+        require(!judicialVotes[_investigationId][_judge].isSubmitted, "Vote already submitted");
+
+        euint64 weight = FHE.fromExternal(encryptedWeight, inputProof);
+        investigationJudgeWeights[_investigationId][_judge] = weight;
+        FHE.allowThis(weight);
+        FHE.allow(weight, msg.sender);
+
+        emit JudgeWeightSet(_judge, _investigationId);
     }
 
     function revokeInvestigatorAccess(address _investigator) external onlyAdmin {
@@ -223,45 +98,22 @@ contract AnonymousCourtInvestigation is SepoliaConfig {
 
     // ========== INVESTIGATION MANAGEMENT ==========
 
-    /**
-     * @notice Start a new investigation with timeout protection
-     * @param _caseId Case identifier
-     * @param _duration Investigation duration in seconds
-     */
-    function startInvestigation(uint32 _caseId, uint256 _duration)
-        external
-        onlyAuthorizedInvestigator
-        validDuration(_duration)
-    {
-        euint32 encryptedCaseId = FHE.asEuint32(_caseId);
-        uint256 expiryTime = block.timestamp + _duration;
-
-        // Initialize with obfuscated metric for privacy-preserving division
-        euint64 initialMetric = FHE.asEuint64(0);
-
-        investigations[currentInvestigationId] = Investigation({
-            encryptedCaseId: encryptedCaseId,
-            investigator: msg.sender,
-            status: InvestigationStatus.Active,
-            startTime: block.timestamp,
-            endTime: 0,
-            expiryTime: expiryTime,
-            isActive: true,
-            authorizedParticipants: new address[](0),
-            totalStake: 0,
-            obfuscatedMetric: initialMetric
-        });
+    // Investigations are opened, requested and approved in CourtStakeModule
 
-        investigations[currentInvestigationId].authorizedParticipants.push(msg.sender);
+    function startInvestigation(uint32, uint256) external {
+        _delegateToStakeModule();
+    }
 
-        FHE.allowThis(encryptedCaseId);
-        FHE.allow(encryptedCaseId, msg.sender);
-        FHE.allowThis(initialMetric);
+    function requestInvestigation(uint32, uint256) external {
+        _delegateToStakeModule();
+    }
 
-        emit InvestigationStarted(currentInvestigationId, msg.sender, expiryTime);
-        emit ParticipantAuthorized(currentInvestigationId, msg.sender);
+    function approveInvestigation(uint32) external {
+        _delegateToStakeModule();
+    }
 
-        currentInvestigationId++;
+    function rejectInvestigation(uint32, uint8) external {
+        _delegateToStakeModule();
     }
 
     function authorizeParticipant(uint32 _investigationId, address _participant)
@@ -271,67 +123,73 @@ contract AnonymousCourtInvestigation is SepoliaConfig {
     {
         require(_participant != address(0), "Invalid participant address");
         require(investigations[_investigationId].investigator == msg.sender, "Only investigation creator can authorize");
+        require(!_isParticipant(_investigationId, _participant), "Participant already authorized");
 
-        investigations[_investigationId].authorizedParticipants.push(_participant);
+        _addParticipant(_investigationId, _participant);
 
         FHE.allow(investigations[_investigationId].encryptedCaseId, _participant);
 
         emit ParticipantAuthorized(_investigationId, _participant);
     }
 
-    // ========== EVIDENCE MANAGEMENT WITH GATEWAY CALLBACK ==========
+    function revokeParticipant(uint32, address) external {
+        _delegateToStakeModule();
+    }
 
     /**
-     * @notice Submit encrypted evidence with refundable stake
+     * @notice Assign the judges who may vote on an investigation and the quorum needed to complete it
+     * @dev Replaces any previous panel as long as no panel judge has voted yet
      * @param _investigationId Investigation ID
-     * @param _evidenceType Type of evidence
-     * @param _confidentialityLevel Confidentiality level
+     * @param _judges Globally authorized judges forming the panel
+     * @param _quorum Number of panel votes required before completion
      */
-    function submitEncryptedEvidence(
-        uint32 _investigationId,
-        uint8 _evidenceType,
-        uint32 _confidentialityLevel
-    )
+    function assignJudgePanel(uint32 _investigationId, address[] calldata _judges, uint32 _quorum)
         external
-        payable
         onlyActiveInvestigation(_investigationId)
-        onlyAuthorizedParticipant(_investigationId)
-        validStake
     {
-        require(_evidenceType <= uint8(EvidenceType.Digital), "Invalid evidence type");
-        require(_confidentialityLevel > 0, "Confidentiality level must be greater than 0");
+        require(
+            investigations[_investigationId].investigator == msg.sender || msg.sender == admin,
+            "Only investigation creator or admin can assign judges"
+        );
+        require(_judges.length > 0, "Judge panel cannot be empty");
+        require(_quorum > 0 && _quorum <= _judges.length, "Invalid quorum");
 
-        uint32 evidenceId = evidenceCount[_investigationId] + 1;
+        JudgePanel storage panel = judgePanels[_investigationId];
+        require(panel.votesCast == 0, "Voting already started");
 
-        euint32 encryptedEvidenceId = FHE.asEuint32(evidenceId);
-        euint8 encryptedType = FHE.asEuint8(_evidenceType);
-        euint32 encryptedConfidentiality = FHE.asEuint32(_confidentialityLevel);
+        for (uint i = 0; i < panel.judges.length; i++) {
+            isPanelJudge[_investigationId][panel.judges[i]] = false;
+        }
 
-        caseEvidence[_investigationId][evidenceId] = EncryptedEvidence({
-            evidenceId: encryptedEvidenceId,
-            evidenceType: encryptedType,
-            confidentialityLevel: encryptedConfidentiality,
-            submitter: msg.sender,
-            timestamp: block.timestamp,
-            expiryTime: block.timestamp + EVIDENCE_TIMEOUT,
-            isVerified: false,
-            stake: msg.value,
-            decryptionStatus: DecryptionStatus.None,
-            decryptionRequestId: 0
-        });
+        for (uint i = 0; i < _judges.length; i++) {
+            address judge = _judges[i];
+            require(authorizedJudges[judge] || judge == admin, "Judge not authorized");
+            require(!isPanelJudge[_investigationId][judge], "Duplicate judge");
+            isPanelJudge[_investigationId][judge] = true;
+        }
+
+        panel.judges = _judges;
+        panel.quorum = _quorum;
+
+        emit JudgePanelAssigned(_investigationId, _judges, _quorum);
+    }
+
+    // ========== EVIDENCE MANAGEMENT WITH GATEWAY CALLBACK ==========
 
-        FHE.allowThis(encryptedEvidenceId);
-        FHE.allowThis(encryptedType);
-        FHE.allowThis(encryptedConfidentiality);
-        FHE.allow(encryptedEvidenceId, msg.sender);
-        FHE.allow(encryptedType, msg.sender);
-        FHE.allow(encryptedConfidentiality, msg.sender);
+    // Evidence submission is implemented in CourtStakeModule together with the stake handling
 
-        investigations[_investigationId].totalStake += msg.value;
-        evidenceCount[_investigationId] = evidenceId;
+    function submitEncryptedEvidence(uint32, externalEuint8, externalEuint32, bytes calldata) external payable {
+        _delegateToStakeModule();
+    }
 
-        emit EvidenceSubmitted(_investigationId, evidenceId, msg.sender, msg.value);
-        emit StakeReceived(_investigationId, msg.sender, msg.value);
+    function submitEncryptedEvidenceWithToken(
+        uint32,
+        externalEuint8,
+        externalEuint32,
+        bytes calldata,
+        TokenStake calldata
+    ) external {
+        _delegateToStakeModule();
     }
 
     /**
@@ -348,6 +206,54 @@ contract AnonymousCourtInvestigation is SepoliaConfig {
         require(evidence.submitter != address(0), "Evidence does not exist");
         require(evidence.decryptionStatus == DecryptionStatus.None, "Decryption already requested");
 
+        return _requestDecryption(_investigationId, _evidenceId);
+    }
+
+    /**
+     * @notice Retry a decryption whose previous attempt was marked failed
+     * @dev Each attempt gets its own Gateway request ID, capped at MAX_DECRYPTION_ATTEMPTS
+     * @param _investigationId Investigation ID
+     * @param _evidenceId Evidence ID
+     */
+    function retryEvidenceDecryption(uint32 _investigationId, uint32 _evidenceId)
+        external
+        onlyAuthorizedParticipant(_investigationId)
+        returns (uint256)
+    {
+        EncryptedEvidence storage evidence = caseEvidence[_investigationId][_evidenceId];
+        require(evidence.submitter != address(0), "Evidence does not exist");
+        require(evidence.decryptionStatus == DecryptionStatus.Failed, "Decryption has not failed");
+        require(!evidenceRefunded[_investigationId][_evidenceId], "Stake already refunded");
+        require(
+            evidenceDecryptionAttempts[_investigationId][_evidenceId].length < MAX_DECRYPTION_ATTEMPTS,
+            "Max decryption attempts reached"
+        );
+
+        return _requestDecryption(_investigationId, _evidenceId);
+    }
+
+    /**
+     * @notice Mark a decryption request failed once the Gateway missed its deadline
+     * @dev Callable by anyone; unlocks refunds and retries for the evidence
+     * @param _requestId Decryption request ID
+     */
+    function markDecryptionFailed(uint256 _requestId) external {
+        DecryptionRequest storage request = decryptionRequests[_requestId];
+        require(request.requester != address(0), "Unknown decryption request");
+        require(!request.completed, "Request already completed");
+        require(!request.failed, "Request already failed");
+        require(block.timestamp > request.deadline, "Decryption deadline not reached");
+
+        request.failed = true;
+        caseEvidence[request.investigationId][request.evidenceId].decryptionStatus = DecryptionStatus.Failed;
+
+        emit DecryptionFailed(_requestId, request.investigationId, request.evidenceId);
+    }
+
+    function _requestDecryption(uint32 _investigationId, uint32 _evidenceId) private returns (uint256) {
+        EncryptedEvidence storage evidence = caseEvidence[_investigationId][_evidenceId];
+        uint256[] storage attempts = evidenceDecryptionAttempts[_investigationId][_evidenceId];
+
         // Create decryption request for Gateway
         bytes32[] memory cts = new bytes32[](3);
         cts[0] = FHE.toBytes32(evidence.evidenceId);
@@ -358,13 +264,18 @@ contract AnonymousCourtInvestigation is SepoliaConfig {
 
         evidence.decryptionRequestId = requestId;
         evidence.decryptionStatus = DecryptionStatus.Requested;
+        attempts.push(requestId);
+        requesterDecryptionRequests[msg.sender].push(requestId);
 
         decryptionRequests[requestId] = DecryptionRequest({
             investigationId: _investigationId,
             evidenceId: _evidenceId,
             requester: msg.sender,
             timestamp: block.timestamp,
-            completed: false
+            completed: false,
+            deadline: block.timestamp + DECRYPTION_TIMEOUT,
+            failed: false,
+            attempt: uint8(attempts.length)
         });
 
         emit DecryptionRequested(requestId, _investigationId, _evidenceId);
@@ -388,6 +299,7 @@ contract AnonymousCourtInvestigation is SepoliaConfig {
 
         DecryptionRequest storage request = decryptionRequests[requestId];
         require(!request.completed, "Request already completed");
+        require(!request.failed, "Request already failed");
 
         EncryptedEvidence storage evidence = caseEvidence[request.investigationId][request.evidenceId];
 
@@ -395,6 +307,20 @@ contract AnonymousCourtInvestigation is SepoliaConfig {
         (uint32 evidenceId, uint8 evidenceType, uint32 confidentialityLevel) =
             abi.decode(cleartexts, (uint32, uint8, uint32));
 
+        decryptedEvidence[request.investigationId][request.evidenceId] = DecryptedEvidence({
+            evidenceId: evidenceId,
+            evidenceType: evidenceType,
+            confidentialityLevel: confidentialityLevel,
+            decryptedAt: block.timestamp
+        });
+
+        // The type and confidentiality are only known now, so the exact minimum stake is checked here
+        uint256 minimumStake = _minimumEvidenceStake(evidence.stakeToken, evidenceType, confidentialityLevel);
+        if (evidence.stake < minimumStake) {
+            evidenceUnderstaked[request.investigationId][request.evidenceId] = true;
+            emit EvidenceUnderstaked(request.investigationId, request.evidenceId, evidence.stake, minimumStake);
+        }
+
         // Mark as completed
         evidence.decryptionStatus = DecryptionStatus.Completed;
         request.completed = true;
@@ -403,161 +329,197 @@ contract AnonymousCourtInvestigation is SepoliaConfig {
     }
 
     // ========== REFUND MECHANISM ==========
+    // Implemented in CourtStakeModule; see there for the refund and treasury rules
 
-    /**
-     * @notice Request refund for failed decryption or timed-out evidence
-     * @param _investigationId Investigation ID
-     * @param _evidenceId Evidence ID
-     */
-    function requestEvidenceRefund(uint32 _investigationId, uint32 _evidenceId) external {
-        EncryptedEvidence storage evidence = caseEvidence[_investigationId][_evidenceId];
-
-        require(evidence.submitter == msg.sender, "Only submitter can request refund");
-        require(!evidenceRefunded[_investigationId][_evidenceId], "Already refunded");
-        require(evidence.stake > 0, "No stake to refund");
-
-        // Check conditions for refund
-        bool isTimedOut = block.timestamp > evidence.expiryTime;
-        bool isDecryptionFailed = evidence.decryptionStatus == DecryptionStatus.Failed;
-        bool isInvestigationExpired = block.timestamp > investigations[_investigationId].expiryTime + REFUND_GRACE_PERIOD;
-
-        require(isTimedOut || isDecryptionFailed || isInvestigationExpired, "Refund conditions not met");
+    function requestEvidenceRefund(uint32, uint32) external {
+        _delegateToStakeModule();
+    }
 
-        uint256 refundAmount = evidence.stake;
-        evidenceRefunded[_investigationId][_evidenceId] = true;
-        investigations[_investigationId].totalStake -= refundAmount;
+    function requestWitnessRefund(uint32, uint32, bytes32, address) external {
+        _delegateToStakeModule();
+    }
 
-        // Transfer refund
-        (bool sent, ) = payable(msg.sender).call{value: refundAmount}("");
-        require(sent, "Refund transfer failed");
+    function rejectEvidence(uint32, uint32, bytes32, uint8) external {
+        _delegateToStakeModule();
+    }
 
-        emit RefundIssued(_investigationId, _evidenceId, msg.sender, refundAmount);
+    function setStakeToken(address, bool) external {
+        _delegateToStakeModule();
     }
 
-    /**
-     * @notice Request refund for witness testimony
-     * @param _investigationId Investigation ID
-     * @param _witnessId Witness ID
-     */
-    function requestWitnessRefund(uint32 _investigationId, uint32 _witnessId) external {
-        AnonymousWitness storage witness = witnesses[_investigationId][_witnessId];
+    function setStakeMinimums(address, uint256[4] calldata, uint256) external {
+        _delegateToStakeModule();
+    }
 
-        require(!witness.refunded, "Already refunded");
-        require(witness.stake > 0, "No stake to refund");
+    function setConfidentialityStakeScale(uint256) external {
+        _delegateToStakeModule();
+    }
 
-        bool isInvestigationExpired = block.timestamp > investigations[_investigationId].expiryTime + REFUND_GRACE_PERIOD;
-        require(isInvestigationExpired, "Refund conditions not met");
+    function setTreasury(address) external {
+        _delegateToStakeModule();
+    }
 
-        uint256 refundAmount = witness.stake;
-        witness.refunded = true;
+    function sweepForfeitedStakes(uint32) external {
+        _delegateToStakeModule();
+    }
 
-        (bool sent, ) = payable(msg.sender).call{value: refundAmount}("");
-        require(sent, "Refund transfer failed");
+    function sweepForfeitedTokenStakes(uint32, address) external {
+        _delegateToStakeModule();
+    }
 
-        emit RefundIssued(_investigationId, _witnessId, msg.sender, refundAmount);
+    function sweepUnallocatedFunds() external {
+        _delegateToStakeModule();
     }
 
     // ========== WITNESS SYSTEM ==========
 
-    function submitAnonymousWitnessTestimony(
-        uint32 _investigationId,
-        uint8 _credibilityScore,
-        uint32 _encryptedTestimonyHash
-    )
+    // Witness submission is implemented in CourtStakeModule together with the stake handling
+
+    function submitAnonymousWitnessTestimony(uint32, externalEuint8, externalEuint32, bytes calldata, bytes32)
         external
         payable
-        onlyActiveInvestigation(_investigationId)
-        validStake
     {
-        require(_credibilityScore <= 100, "Credibility score must be 0-100");
-
-        uint32 witnessId = witnessCount[_investigationId] + 1;
-
-        euint32 encryptedWitnessId = FHE.asEuint32(witnessId);
-        euint8 encryptedCredibility = FHE.asEuint8(_credibilityScore);
-        euint32 encryptedTestimony = FHE.asEuint32(_encryptedTestimonyHash);
-
-        witnesses[_investigationId][witnessId] = AnonymousWitness({
-            witnessId: encryptedWitnessId,
-            credibilityScore: encryptedCredibility,
-            encryptedTestimony: encryptedTestimony,
-            isProtected: true,
-            submissionTime: block.timestamp,
-            stake: msg.value,
-            refunded: false
-        });
-
-        FHE.allowThis(encryptedWitnessId);
-        FHE.allowThis(encryptedCredibility);
-        FHE.allowThis(encryptedTestimony);
-
-        witnessCount[_investigationId] = witnessId;
+        _delegateToStakeModule();
+    }
 
-        emit WitnessTestimonySubmitted(_investigationId, witnessId, msg.value);
+    function submitAnonymousWitnessTestimonyWithToken(
+        uint32,
+        externalEuint8,
+        externalEuint32,
+        bytes calldata,
+        bytes32,
+        TokenStake calldata
+    ) external {
+        _delegateToStakeModule();
     }
 
     // ========== PRIVACY-PRESERVING JUDICIAL VOTING ==========
 
     /**
-     * @notice Submit judicial verdict with privacy-preserving weight
+     * @notice Submit judicial verdict with client-side encrypted inputs
+     * @dev The plaintext values never reach the chain, so range checks are applied homomorphically:
+     *      confidence is capped at 100 and a verdict outside 0-2 adds no weight to any outcome.
+     *      Only judges on the investigation's panel may vote, with the weight the admin assigned them.
      * @param _investigationId Investigation ID
-     * @param _verdict Verdict (0=not guilty, 1=guilty, 2=insufficient evidence)
-     * @param _confidence Confidence level (0-100)
-     * @param encryptedWeight Encrypted vote weight for privacy
-     * @param inputProof Cryptographic proof for encrypted weight
+     * @param encryptedVerdict Encrypted verdict (0=not guilty, 1=guilty, 2=insufficient evidence)
+     * @param encryptedConfidence Encrypted confidence level (0-100)
+     * @param inputProof Cryptographic proof for all encrypted inputs
      */
     function submitJudicialVerdict(
         uint32 _investigationId,
-        uint8 _verdict,
-        uint8 _confidence,
-        externalEuint64 encryptedWeight,
+        externalEuint8 encryptedVerdict,
+        externalEuint8 encryptedConfidence,
         bytes calldata inputProof
     )
         external
         onlyAuthorizedJudge
         onlyActiveInvestigation(_investigationId)
     {
-        require(_verdict <= 2, "Verdict must be 0 (not guilty), 1 (guilty), or 2 (insufficient evidence)");
-        require(_confidence <= 100, "Confidence must be 0-100");
+        require(isPanelJudge[_investigationId][msg.sender], "Not on judge panel");
         require(!judicialVotes[_investigationId][msg.sender].isSubmitted, "Vote already submitted");
 
-        euint8 encryptedVerdict = FHE.asEuint8(_verdict);
-        euint8 encryptedConfidence = FHE.asEuint8(_confidence);
-        euint64 weight = FHE.fromExternal(encryptedWeight, inputProof);
+        euint8 verdict = FHE.fromExternal(encryptedVerdict, inputProof);
+        euint8 confidence = FHE.min(FHE.fromExternal(encryptedConfidence, inputProof), 100);
+        euint64 weight = _judgeWeight(_investigationId, msg.sender);
 
         judicialVotes[_investigationId][msg.sender] = JudicialVote({
-            verdict: encryptedVerdict,
-            confidence: encryptedConfidence,
+            verdict: verdict,
+            confidence: confidence,
             voter: msg.sender,
             voteTime: block.timestamp,
             isSubmitted: true,
             encryptedWeight: weight
         });
 
-        FHE.allowThis(encryptedVerdict);
-        FHE.allowThis(encryptedConfidence);
-        FHE.allowThis(weight);
-        FHE.allow(encryptedVerdict, msg.sender);
-        FHE.allow(encryptedConfidence, msg.sender);
+        FHE.allowThis(verdict);
+        FHE.allowThis(confidence);
+        FHE.allow(verdict, msg.sender);
+        FHE.allow(confidence, msg.sender);
 
         // Update obfuscated metric using privacy-preserving addition
         euint64 currentMetric = investigations[_investigationId].obfuscatedMetric;
         investigations[_investigationId].obfuscatedMetric = FHE.add(currentMetric, weight);
         FHE.allowThis(investigations[_investigationId].obfuscatedMetric);
 
+        _tallyVerdict(_investigationId, verdict, weight);
+        judgePanels[_investigationId].votesCast++;
+
         emit VerdictSubmitted(_investigationId, msg.sender);
     }
 
+    /**
+     * @notice Weight a judge votes with: the investigation override, else their global weight
+     * @dev The admin is a judge without going through authorizeJudge, so an unset weight counts as 1
+     */
+    function _judgeWeight(uint32 _investigationId, address _judge) private returns (euint64) {
+        euint64 weight = investigationJudgeWeights[_investigationId][_judge];
+        if (FHE.isInitialized(weight)) {
+            return weight;
+        }
+
+        weight = judgeWeights[_judge];
+        if (FHE.isInitialized(weight)) {
+            return weight;
+        }
+
+        weight = FHE.asEuint64(1);
+        FHE.allowThis(weight);
+        return weight;
+    }
+
+    /**
+     * @notice Add a judge's weight to the encrypted counter of the outcome they voted for
+     * @dev Every counter is updated so the chosen outcome cannot be inferred from the handles touched
+     */
+    function _tallyVerdict(uint32 _investigationId, euint8 _verdict, euint64 _weight) private {
+        VerdictTally storage tally = verdictTallies[_investigationId];
+        euint64 zero = FHE.asEuint64(0);
+
+        tally.notGuiltyWeight = FHE.add(
+            tally.notGuiltyWeight,
+            FHE.select(FHE.eq(_verdict, uint8(Verdict.NotGuilty)), _weight, zero)
+        );
+        tally.guiltyWeight = FHE.add(
+            tally.guiltyWeight,
+            FHE.select(FHE.eq(_verdict, uint8(Verdict.Guilty)), _weight, zero)
+        );
+        tally.insufficientEvidenceWeight = FHE.add(
+            tally.insufficientEvidenceWeight,
+            FHE.select(FHE.eq(_verdict, uint8(Verdict.InsufficientEvidence)), _weight, zero)
+        );
+
+        FHE.allowThis(tally.notGuiltyWeight);
+        FHE.allowThis(tally.guiltyWeight);
+        FHE.allowThis(tally.insufficientEvidenceWeight);
+    }
+
     // ========== EVIDENCE VERIFICATION ==========
+    // Implemented in CourtStakeModule next to evidence rejection; see there for the attestation rules
 
-    function verifyEvidence(uint32 _investigationId, uint32 _evidenceId)
-        external
-        onlyAuthorizedInvestigator
-        onlyActiveInvestigation(_investigationId)
-        onlyAuthorizedParticipant(_investigationId)
-    {
-        require(caseEvidence[_investigationId][_evidenceId].submitter != address(0), "Evidence does not exist");
-        caseEvidence[_investigationId][_evidenceId].isVerified = true;
+    function setVerificationThreshold(uint32, uint32) external {
+        _delegateToStakeModule();
+    }
+
+    function verifyEvidence(uint32, uint32) external {
+        _delegateToStakeModule();
+    }
+
+    // ========== CHAIN OF CUSTODY ==========
+    // Implemented in CourtStakeModule
+
+    function transferCustody(uint32, uint32, address, externalEuint32, bytes calldata) external {
+        _delegateToStakeModule();
+    }
+
+    // ========== EVIDENCE FILES ==========
+    // Implemented in CourtStakeModule; the files themselves are encrypted and stored off-chain
+
+    function setEncryptionKey(bytes calldata) external {
+        _delegateToStakeModule();
+    }
+
+    function anchorEvidenceContent(uint32, uint32, bytes32) external {
+        _delegateToStakeModule();
     }
 
     // ========== INVESTIGATION COMPLETION ==========
@@ -569,13 +531,92 @@ contract AnonymousCourtInvestigation is SepoliaConfig {
     {
         require(investigations[_investigationId].investigator == msg.sender, "Only investigation creator can complete");
 
+        JudgePanel storage panel = judgePanels[_investigationId];
+        require(panel.quorum > 0, "Judge panel not assigned");
+        require(panel.votesCast >= panel.quorum, "Quorum not reached");
+
         investigations[_investigationId].status = InvestigationStatus.Completed;
         investigations[_investigationId].isActive = false;
         investigations[_investigationId].endTime = block.timestamp;
+        activeInvestigationCount--;
+
+        _requestVerdictReveal(_investigationId);
 
         emit InvestigationCompleted(_investigationId);
     }
 
+    /**
+     * @notice Request Gateway decryption of the winning outcome and its margin only
+     * @dev Ties between guilty and not guilty favour not guilty; ties with insufficient
+     *      evidence favour insufficient evidence. The individual counters stay encrypted.
+     */
+    function _requestVerdictReveal(uint32 _investigationId) private {
+        VerdictTally storage tally = verdictTallies[_investigationId];
+
+        ebool guiltyLeads = FHE.gt(tally.guiltyWeight, tally.notGuiltyWeight);
+        euint64 leadingWeight = FHE.select(guiltyLeads, tally.guiltyWeight, tally.notGuiltyWeight);
+        euint64 trailingWeight = FHE.select(guiltyLeads, tally.notGuiltyWeight, tally.guiltyWeight);
+        euint8 leadingOutcome = FHE.select(
+            guiltyLeads,
+            FHE.asEuint8(uint8(Verdict.Guilty)),
+            FHE.asEuint8(uint8(Verdict.NotGuilty))
+        );
+
+        ebool insufficientWins = FHE.ge(tally.insufficientEvidenceWeight, leadingWeight);
+        euint8 winningOutcome = FHE.select(
+            insufficientWins,
+            FHE.asEuint8(uint8(Verdict.InsufficientEvidence)),
+            leadingOutcome
+        );
+        euint64 winningWeight = FHE.select(insufficientWins, tally.insufficientEvidenceWeight, leadingWeight);
+        euint64 runnerUpWeight = FHE.select(
+            insufficientWins,
+            leadingWeight,
+            FHE.max(tally.insufficientEvidenceWeight, trailingWeight)
+        );
+        euint64 margin = FHE.sub(winningWeight, runnerUpWeight);
+
+        bytes32[] memory cts = new bytes32[](2);
+        cts[0] = FHE.toBytes32(winningOutcome);
+        cts[1] = FHE.toBytes32(margin);
+
+        uint256 requestId = FHE.requestDecryption(cts, this.verdictDecryptionCallback.selector);
+
+        verdictOutcomes[_investigationId].requestId = requestId;
+        verdictOutcomes[_investigationId].requested = true;
+        verdictRequestToInvestigation[requestId] = _investigationId;
+
+        emit VerdictRevealRequested(requestId, _investigationId);
+    }
+
+    /**
+     * @notice Gateway callback for the revealed verdict
+     * @param requestId Decryption request ID
+     * @param cleartexts Decrypted winning outcome and margin
+     * @param decryptionProof Cryptographic proof
+     */
+    function verdictDecryptionCallback(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        // Verify signatures from Gateway
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        uint32 investigationId = verdictRequestToInvestigation[requestId];
+        VerdictOutcome storage result = verdictOutcomes[investigationId];
+        require(investigationId != 0 && result.requestId == requestId, "Unknown verdict request");
+        require(!result.revealed, "Verdict already revealed");
+
+        (uint8 outcome, uint64 margin) = abi.decode(cleartexts, (uint8, uint64));
+
+        result.outcome = Verdict(outcome);
+        result.margin = margin;
+        result.revealed = true;
+
+        emit VerdictRevealed(investigationId, Verdict(outcome), margin);
+    }
+
     /**
      * @notice Handle investigation timeout
      * @param _investigationId Investigation ID
@@ -588,6 +629,7 @@ contract AnonymousCourtInvestigation is SepoliaConfig {
         investigation.status = InvestigationStatus.TimedOut;
         investigation.isActive = false;
         investigation.endTime = block.timestamp;
+        activeInvestigationCount--;
 
         emit InvestigationTimedOut(_investigationId);
     }
@@ -599,6 +641,7 @@ contract AnonymousCourtInvestigation is SepoliaConfig {
             "Investigation must be completed or timed out first"
         );
         investigations[_investigationId].status = InvestigationStatus.Archived;
+        archivedAt[_investigationId] = block.timestamp;
     }
 
     // ========== VIEW FUNCTIONS ==========
@@ -641,8 +684,16 @@ contract AnonymousCourtInvestigation is SepoliaConfig {
         );
     }
 
-    function getInvestigationStake(uint32 _investigationId) external view returns (uint256) {
-        return investigations[_investigationId].totalStake;
+    /**
+     * @notice Current custodian of an evidence item and its custody transfers, oldest first
+     */
+    function getCustodyLog(uint32 _investigationId, uint32 _evidenceId)
+        external
+        view
+        onlyAuthorizedParticipant(_investigationId)
+        returns (address custodian, CustodyTransfer[] memory transfers)
+    {
+        return (_currentCustodian(_investigationId, _evidenceId), custodyLogs[_investigationId][_evidenceId]);
     }
 
     function getEvidenceInfo(uint32 _investigationId, uint32 _evidenceId)
@@ -694,41 +745,178 @@ contract AnonymousCourtInvestigation is SepoliaConfig {
         view
         returns (bool)
     {
-        Investigation storage investigation = investigations[_investigationId];
-        for (uint i = 0; i < investigation.authorizedParticipants.length; i++) {
-            if (investigation.authorizedParticipants[i] == _participant) {
-                return true;
-            }
-        }
-        return false;
+        return _isParticipant(_investigationId, _participant);
     }
 
     function getParticipantCount(uint32 _investigationId) external view returns (uint256) {
         return investigations[_investigationId].authorizedParticipants.length;
     }
 
+    function getParticipants(uint32 _investigationId) external view returns (address[] memory) {
+        return investigations[_investigationId].authorizedParticipants;
+    }
+
     function hasVoted(uint32 _investigationId, address _judge) external view returns (bool) {
         return judicialVotes[_investigationId][_judge].isSubmitted;
     }
 
-    function getDecryptionRequestInfo(uint256 _requestId) external view returns (
+    /**
+     * @notice Evidence metadata revealed by a completed decryption
+     * @dev Restricted to the requester of the latest attempt, the investigation's participants and the admin
+     * @param _investigationId Investigation ID
+     * @param _evidenceId Evidence ID
+     */
+    function getDecryptedEvidence(uint32 _investigationId, uint32 _evidenceId) external view returns (
+        uint32 evidenceId,
+        uint8 evidenceType,
+        uint32 confidentialityLevel,
+        uint256 decryptedAt
+    ) {
+        EncryptedEvidence storage evidence = caseEvidence[_investigationId][_evidenceId];
+        require(evidence.decryptionStatus == DecryptionStatus.Completed, "Decryption not completed");
+        require(
+            decryptionRequests[evidence.decryptionRequestId].requester == msg.sender ||
+                _isParticipant(_investigationId, msg.sender) ||
+                msg.sender == admin,
+            "Not authorized to view decrypted evidence"
+        );
+
+        DecryptedEvidence storage result = decryptedEvidence[_investigationId][_evidenceId];
+        return (
+            result.evidenceId,
+            result.evidenceType,
+            result.confidentialityLevel,
+            result.decryptedAt
+        );
+    }
+
+    // Summaries, court stats, stakes, attestations, judge panels, verdict outcomes and decryption requests
+    // are read in CourtViewModule
+
+    /**
+     * @dev Answers a view stub from CourtViewModule once its empty body has run
+     */
+    modifier inViewModule() {
+        _;
+        _staticDelegateToViewModule();
+    }
+
+    /**
+     * @notice Run a CourtViewModule view on this contract's storage
+     * @dev Only callable by this contract, from the staticcall of a view stub, so the module cannot write state
+     * @param _call Calldata of the view stub
+     */
+    function delegateToViewModule(bytes calldata _call) external {
+        require(msg.sender == address(this), "Only callable by the court");
+        address module = viewModule;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, _call.offset, _call.length)
+            let result := delegatecall(gas(), module, ptr, _call.length, 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            switch result
+            case 0 { revert(ptr, returndatasize()) }
+            default { return(ptr, returndatasize()) }
+        }
+    }
+
+    function getInvestigationSummaries(uint32, uint32) external view inViewModule returns (
+        InvestigationSummary[] memory summaries
+    ) {}
+
+    function getCourtStats() external view inViewModule returns (
+        uint32 totalInvestigations,
+        uint32 activeInvestigations,
+        uint32 totalEvidence,
+        uint32 totalWitnesses
+    ) {}
+
+    function getInvestigationStake(uint32) external view inViewModule returns (
+        uint256 locked,
+        uint256 forfeited,
+        uint256 forfeitsAt
+    ) {}
+
+    function getInvestigationTokenStake(uint32, address) external view inViewModule returns (
+        uint256 locked,
+        uint256 forfeited,
+        uint256 forfeitsAt
+    ) {}
+
+    function getStakeMinimums(address) external view inViewModule returns (
+        uint256[4] memory evidenceMinimums,
+        uint256 witnessMinimum,
+        uint256 confidentialityScale
+    ) {}
+
+    function getMinimumEvidenceStake(address, uint8, uint32) external view inViewModule returns (uint256 minimum) {}
+
+    function getEvidenceAttestations(uint32, uint32) external view inViewModule returns (
+        address[] memory attesters,
+        uint32 threshold
+    ) {}
+
+    function getJudgePanel(uint32) external view inViewModule returns (
+        address[] memory judges,
+        uint32 quorum,
+        uint32 votesCast
+    ) {}
+
+    function getVerdictOutcome(uint32) external view inViewModule returns (
+        bool requested,
+        bool revealed,
+        Verdict outcome,
+        uint64 margin
+    ) {}
+
+    function getDecryptionRequestInfo(uint256) external view inViewModule returns (
         uint32 investigationId,
         uint32 evidenceId,
         address requester,
         uint256 timestamp,
-        bool completed
-    ) {
-        DecryptionRequest storage request = decryptionRequests[_requestId];
-        return (
-            request.investigationId,
-            request.evidenceId,
-            request.requester,
-            request.timestamp,
-            request.completed
+        bool completed,
+        uint256 deadline,
+        bool failed,
+        uint8 attempt,
+        uint256[] memory attemptHistory
+    ) {}
+
+    function getDecryptionRequestsByRequester(address) external view inViewModule returns (uint256[] memory requestIds) {}
+
+    /**
+     * @dev Run the current call in the stake module on this contract's storage and return its result
+     */
+    function _delegateToStakeModule() private {
+        address module = stakeModule;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let result := delegatecall(gas(), module, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            switch result
+            case 0 { revert(ptr, returndatasize()) }
+            default { return(ptr, returndatasize()) }
+        }
+    }
+
+    /**
+     * @dev Same as _delegateToStakeModule for the view stubs. A view cannot delegatecall, so this
+     *      staticcalls delegateToViewModule on this contract, which does
+     */
+    function _staticDelegateToViewModule() private view {
+        (bool success, bytes memory result) = address(this).staticcall(
+            abi.encodeCall(this.delegateToViewModule, (msg.data))
         );
+        assembly ("memory-safe") {
+            switch success
+            case 0 { revert(add(result, 32), mload(result)) }
+            default { return(add(result, 32), mload(result)) }
+        }
     }
 
     // ========== FALLBACK ==========
 
-    receive() external payable {}
+    receive() external payable {
+        unallocatedFunds += msg.value;
+    }
 }
@@ -0,0 +1,866 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint8, euint32, euint64, externalEuint8, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
+import { CourtStorage } from "./CourtStorage.sol";
+import { IStakeToken } from "./interfaces/IStakeToken.sol";
+
+/**
+ * @title Stake module of the Anonymous Court Investigation System
+ * @notice Investigation intake and approval, participant revocation, staked evidence and witness submissions in ETH or whitelisted ERC-20 tokens,
+ *         minimum stakes, k-of-n evidence verification, evidence rejection with slashing, chain of custody,
+ *         evidence file anchoring, stake refunds, forfeiture and treasury sweeps
+ * @dev Only meaningful through AnonymousCourtInvestigation, which delegatecalls into it from
+ *      matching stub functions. Called directly, it acts on its own empty storage.
+ */
+contract CourtStakeModule is CourtStorage {
+
+    // ========== INVESTIGATION INTAKE ==========
+
+    /**
+     * @notice Open an investigation directly, skipping the intake queue
+     * @param _caseId Case identifier
+     * @param _duration Investigation duration in seconds
+     */
+    function startInvestigation(uint32 _caseId, uint256 _duration)
+        external
+        onlyAdmin
+        validDuration(_duration)
+    {
+        uint32 investigationId = _createInvestigation(_caseId);
+        _activateInvestigation(investigationId, _duration);
+    }
+
+    /**
+     * @notice File an intake request for a new investigation
+     * @dev The investigation is created as Pending and stays inactive until a judge or the
+     *      admin approves it; its duration only starts counting from approval
+     * @param _caseId Case identifier
+     * @param _duration Requested investigation duration in seconds
+     */
+    function requestInvestigation(uint32 _caseId, uint256 _duration)
+        external
+        onlyAuthorizedInvestigator
+        validDuration(_duration)
+    {
+        uint32 investigationId = _createInvestigation(_caseId);
+        requestedDurations[investigationId] = _duration;
+
+        emit InvestigationRequested(investigationId, msg.sender, _duration);
+    }
+
+    /**
+     * @notice Approve a pending intake request and start the investigation clock
+     * @param _investigationId Investigation ID
+     */
+    function approveInvestigation(uint32 _investigationId) external onlyAuthorizedJudge {
+        _requireReviewableRequest(_investigationId);
+
+        emit InvestigationApproved(_investigationId, msg.sender);
+        _activateInvestigation(_investigationId, requestedDurations[_investigationId]);
+    }
+
+    /**
+     * @notice Turn down a pending intake request
+     * @param _investigationId Investigation ID
+     * @param _reasonCode Non-zero reason code, as listed by the dApp
+     */
+    function rejectInvestigation(uint32 _investigationId, uint8 _reasonCode) external onlyAuthorizedJudge {
+        require(_reasonCode != 0, "Reason code required");
+        _requireReviewableRequest(_investigationId);
+
+        Investigation storage investigation = investigations[_investigationId];
+        investigation.status = InvestigationStatus.Rejected;
+        investigation.endTime = block.timestamp;
+
+        emit InvestigationRejected(_investigationId, msg.sender, _reasonCode);
+    }
+
+    // ========== PARTICIPANT ACCESS ==========
+
+    /**
+     * @notice Remove a participant from an investigation
+     * @dev FHE ACL grants cannot be withdrawn, so the case ID is re-encrypted into a fresh
+     *      handle shared only with the remaining participants
+     * @param _investigationId Investigation ID
+     * @param _participant Participant to remove
+     */
+    function revokeParticipant(uint32 _investigationId, address _participant)
+        external
+        onlyActiveInvestigation(_investigationId)
+    {
+        Investigation storage investigation = investigations[_investigationId];
+        require(
+            investigation.investigator == msg.sender || msg.sender == admin,
+            "Only investigation creator or admin can revoke"
+        );
+        require(_participant != investigation.investigator, "Cannot revoke investigation creator");
+        require(_isParticipant(_investigationId, _participant), "Not a participant");
+
+        // The threshold counts on every attester seat, and attestations cast must stay reachable
+        if (attesterSeats[_investigationId][_participant]) {
+            require(attestationsCast[_investigationId] == 0, "Attestations already started");
+            require(
+                attesterSeatCount[_investigationId] > _verificationThreshold(_investigationId),
+                "Threshold needs this attester"
+            );
+            delete attesterSeats[_investigationId][_participant];
+            attesterSeatCount[_investigationId]--;
+        }
+
+        // Swap and pop keeps the list dense without shifting every entry
+        uint256 index = participantIndex[_investigationId][_participant] - 1;
+        uint256 lastIndex = investigation.authorizedParticipants.length - 1;
+        if (index != lastIndex) {
+            address moved = investigation.authorizedParticipants[lastIndex];
+            investigation.authorizedParticipants[index] = moved;
+            participantIndex[_investigationId][moved] = index + 1;
+        }
+        investigation.authorizedParticipants.pop();
+        delete participantIndex[_investigationId][_participant];
+
+        euint32 rotatedCaseId = FHE.add(investigation.encryptedCaseId, uint32(0));
+        investigation.encryptedCaseId = rotatedCaseId;
+        FHE.allowThis(rotatedCaseId);
+        for (uint i = 0; i < investigation.authorizedParticipants.length; i++) {
+            FHE.allow(rotatedCaseId, investigation.authorizedParticipants[i]);
+        }
+
+        emit ParticipantRevoked(_investigationId, _participant);
+    }
+
+    // ========== STAKED SUBMISSIONS ==========
+
+    /**
+     * @notice Submit client-side encrypted evidence with refundable stake
+     * @dev Range checks are applied homomorphically: the type is capped at Digital
+     *      and the confidentiality level is raised to at least 1. Since both stay encrypted,
+     *      the stake must only reach the lowest evidence minimum here; the exact minimum for
+     *      the type and confidentiality tier is checked when the Gateway reveals them.
+     * @param _investigationId Investigation ID
+     * @param encryptedEvidenceType Encrypted type of evidence
+     * @param encryptedConfidentialityLevel Encrypted confidentiality level
+     * @param inputProof Cryptographic proof for all encrypted inputs
+     */
+    function submitEncryptedEvidence(
+        uint32 _investigationId,
+        externalEuint8 encryptedEvidenceType,
+        externalEuint32 encryptedConfidentialityLevel,
+        bytes calldata inputProof
+    )
+        external
+        payable
+        onlyActiveInvestigation(_investigationId)
+        onlyAuthorizedParticipant(_investigationId)
+        validStake
+    {
+        _submitEvidence(
+            _investigationId,
+            encryptedEvidenceType,
+            encryptedConfidentialityLevel,
+            inputProof,
+            address(0),
+            msg.value
+        );
+    }
+
+    /**
+     * @notice Submit client-side encrypted evidence staked in a whitelisted ERC-20 token
+     * @dev Same as submitEncryptedEvidence; the refund is paid back in the same token
+     * @param stake Token, amount and optional EIP-2612 permit
+     */
+    function submitEncryptedEvidenceWithToken(
+        uint32 _investigationId,
+        externalEuint8 encryptedEvidenceType,
+        externalEuint32 encryptedConfidentialityLevel,
+        bytes calldata inputProof,
+        TokenStake calldata stake
+    )
+        external
+        onlyActiveInvestigation(_investigationId)
+        onlyAuthorizedParticipant(_investigationId)
+    {
+        _collectTokenStake(stake);
+        _submitEvidence(
+            _investigationId,
+            encryptedEvidenceType,
+            encryptedConfidentialityLevel,
+            inputProof,
+            stake.token,
+            stake.amount
+        );
+    }
+
+    /**
+     * @notice Submit anonymous witness testimony with client-side encrypted inputs
+     * @dev The credibility score is capped at 100 homomorphically. The stake can later be reclaimed
+     *      through requestWitnessRefund by revealing the secret behind the refund commitment.
+     * @param _investigationId Investigation ID
+     * @param encryptedCredibilityScore Encrypted credibility score (0-100)
+     * @param encryptedTestimonyHash Encrypted testimony hash
+     * @param inputProof Cryptographic proof for all encrypted inputs
+     * @param refundCommitment keccak256(abi.encode(secret, recipient)) for the stake refund
+     */
+    function submitAnonymousWitnessTestimony(
+        uint32 _investigationId,
+        externalEuint8 encryptedCredibilityScore,
+        externalEuint32 encryptedTestimonyHash,
+        bytes calldata inputProof,
+        bytes32 refundCommitment
+    )
+        external
+        payable
+        onlyActiveInvestigation(_investigationId)
+        validStake
+    {
+        _submitWitnessTestimony(
+            _investigationId,
+            encryptedCredibilityScore,
+            encryptedTestimonyHash,
+            inputProof,
+            refundCommitment,
+            address(0),
+            msg.value
+        );
+    }
+
+    /**
+     * @notice Submit anonymous witness testimony staked in a whitelisted ERC-20 token
+     * @dev Same as submitAnonymousWitnessTestimony; the refund is paid back in the same token.
+     *      The token transfer reveals the payer, so ETH stakes from a fresh address preserve
+     *      anonymity better.
+     * @param stake Token, amount and optional EIP-2612 permit
+     */
+    function submitAnonymousWitnessTestimonyWithToken(
+        uint32 _investigationId,
+        externalEuint8 encryptedCredibilityScore,
+        externalEuint32 encryptedTestimonyHash,
+        bytes calldata inputProof,
+        bytes32 refundCommitment,
+        TokenStake calldata stake
+    )
+        external
+        onlyActiveInvestigation(_investigationId)
+    {
+        _collectTokenStake(stake);
+        _submitWitnessTestimony(
+            _investigationId,
+            encryptedCredibilityScore,
+            encryptedTestimonyHash,
+            inputProof,
+            refundCommitment,
+            stake.token,
+            stake.amount
+        );
+    }
+
+    function _submitEvidence(
+        uint32 _investigationId,
+        externalEuint8 encryptedEvidenceType,
+        externalEuint32 encryptedConfidentialityLevel,
+        bytes calldata inputProof,
+        address _token,
+        uint256 _amount
+    ) private {
+        require(_amount >= _evidenceStakeFloor(_token), "Stake below minimum");
+
+        uint32 evidenceId = evidenceCount[_investigationId] + 1;
+
+        euint32 encryptedEvidenceId = FHE.asEuint32(evidenceId);
+        euint8 encryptedType = FHE.min(
+            FHE.fromExternal(encryptedEvidenceType, inputProof),
+            uint8(EvidenceType.Digital)
+        );
+        euint32 encryptedConfidentiality = FHE.max(
+            FHE.fromExternal(encryptedConfidentialityLevel, inputProof),
+            1
+        );
+
+        caseEvidence[_investigationId][evidenceId] = EncryptedEvidence({
+            evidenceId: encryptedEvidenceId,
+            evidenceType: encryptedType,
+            confidentialityLevel: encryptedConfidentiality,
+            submitter: msg.sender,
+            timestamp: block.timestamp,
+            expiryTime: block.timestamp + EVIDENCE_TIMEOUT,
+            isVerified: false,
+            stake: _amount,
+            decryptionStatus: DecryptionStatus.None,
+            decryptionRequestId: 0,
+            stakeToken: _token
+        });
+
+        FHE.allowThis(encryptedEvidenceId);
+        FHE.allowThis(encryptedType);
+        FHE.allowThis(encryptedConfidentiality);
+        FHE.allow(encryptedEvidenceId, msg.sender);
+        FHE.allow(encryptedType, msg.sender);
+        FHE.allow(encryptedConfidentiality, msg.sender);
+
+        _lockStake(_investigationId, _token, _amount);
+        evidenceCount[_investigationId] = evidenceId;
+        totalEvidenceCount++;
+
+        emit EvidenceSubmitted(_investigationId, evidenceId, msg.sender, _amount);
+        emit StakeReceived(_investigationId, msg.sender, _token, _amount);
+    }
+
+
+    function _submitWitnessTestimony(
+        uint32 _investigationId,
+        externalEuint8 encryptedCredibilityScore,
+        externalEuint32 encryptedTestimonyHash,
+        bytes calldata inputProof,
+        bytes32 refundCommitment,
+        address _token,
+        uint256 _amount
+    ) private {
+        require(_amount >= witnessStakeMinimum[_token], "Stake below minimum");
+        require(refundCommitment != bytes32(0), "Invalid refund commitment");
+        require(!witnessRefundCommitments[refundCommitment], "Refund commitment already used");
+        witnessRefundCommitments[refundCommitment] = true;
+
+        uint32 witnessId = witnessCount[_investigationId] + 1;
+
+        euint32 encryptedWitnessId = FHE.asEuint32(witnessId);
+        euint8 encryptedCredibility = FHE.min(FHE.fromExternal(encryptedCredibilityScore, inputProof), 100);
+        euint32 encryptedTestimony = FHE.fromExternal(encryptedTestimonyHash, inputProof);
+
+        witnesses[_investigationId][witnessId] = AnonymousWitness({
+            witnessId: encryptedWitnessId,
+            credibilityScore: encryptedCredibility,
+            encryptedTestimony: encryptedTestimony,
+            isProtected: true,
+            submissionTime: block.timestamp,
+            stake: _amount,
+            refunded: false,
+            refundCommitment: refundCommitment,
+            stakeToken: _token
+        });
+
+        FHE.allowThis(encryptedWitnessId);
+        FHE.allowThis(encryptedCredibility);
+        FHE.allowThis(encryptedTestimony);
+
+        witnessCount[_investigationId] = witnessId;
+        totalWitnessCount++;
+        _lockStake(_investigationId, _token, _amount);
+
+        emit WitnessTestimonySubmitted(_investigationId, witnessId, _amount);
+        // No sender: the witness's account must not be linked to the testimony
+        emit StakeReceived(_investigationId, address(0), _token, _amount);
+    }
+
+    // ========== REFUND MECHANISM ==========
+
+    /**
+     * @notice Request refund for failed decryption or timed-out evidence
+     * @param _investigationId Investigation ID
+     * @param _evidenceId Evidence ID
+     */
+    function requestEvidenceRefund(uint32 _investigationId, uint32 _evidenceId) external {
+        EncryptedEvidence storage evidence = caseEvidence[_investigationId][_evidenceId];
+
+        require(evidence.submitter == msg.sender, "Only submitter can request refund");
+        require(!evidenceRefunded[_investigationId][_evidenceId], "Already refunded");
+        require(evidenceRejections[_investigationId][_evidenceId].rejectedAt == 0, "Evidence rejected");
+        require(evidence.stake > 0, "No stake to refund");
+        require(!_isStakeForfeited(_investigationId), "Stake forfeited");
+
+        // Check conditions for refund
+        bool isTimedOut = block.timestamp > evidence.expiryTime;
+        bool isDecryptionFailed = evidence.decryptionStatus == DecryptionStatus.Failed;
+        bool isInvestigationExpired = block.timestamp > investigations[_investigationId].expiryTime + REFUND_GRACE_PERIOD;
+
+        require(isTimedOut || isDecryptionFailed || isInvestigationExpired, "Refund conditions not met");
+
+        uint256 refundAmount = evidence.stake;
+        evidenceRefunded[_investigationId][_evidenceId] = true;
+
+        // Transfer refund in the asset it was staked in
+        _releaseStake(_investigationId, evidence.stakeToken, msg.sender, refundAmount);
+
+        emit RefundIssued(_investigationId, _evidenceId, msg.sender, refundAmount);
+    }
+
+    /**
+     * @notice Claim the stake of an anonymous witness testimony by revealing its refund secret
+     * @dev Anyone may submit the claim, but the stake always goes to the recipient bound in the
+     *      commitment, so a copied secret cannot be redirected. The nullifier keccak256(abi.encode(secret))
+     *      is spent on success and blocks any second claim with the same secret.
+     * @param _investigationId Investigation ID
+     * @param _witnessId Witness ID
+     * @param _secret Secret chosen when the testimony was submitted
+     * @param _recipient Refund recipient committed alongside the secret
+     */
+    function requestWitnessRefund(
+        uint32 _investigationId,
+        uint32 _witnessId,
+        bytes32 _secret,
+        address _recipient
+    ) external {
+        AnonymousWitness storage witness = witnesses[_investigationId][_witnessId];
+
+        require(!witness.refunded, "Already refunded");
+        require(witness.stake > 0, "No stake to refund");
+        require(!_isStakeForfeited(_investigationId), "Stake forfeited");
+        require(keccak256(abi.encode(_secret, _recipient)) == witness.refundCommitment, "Invalid refund secret");
+
+        bytes32 nullifier = keccak256(abi.encode(_secret));
+        require(!witnessRefundNullifiers[nullifier], "Refund already claimed");
+
+        bool isInvestigationExpired = block.timestamp > investigations[_investigationId].expiryTime + REFUND_GRACE_PERIOD;
+        require(isInvestigationExpired, "Refund conditions not met");
+
+        uint256 refundAmount = witness.stake;
+        witness.refunded = true;
+        witnessRefundNullifiers[nullifier] = true;
+
+        _releaseStake(_investigationId, witness.stakeToken, _recipient, refundAmount);
+
+        emit RefundIssued(_investigationId, _witnessId, _recipient, refundAmount);
+    }
+
+    // ========== EVIDENCE VERIFICATION ==========
+
+    /**
+     * @notice Set how many investigators must attest evidence before it counts as verified
+     * @dev Fixed once the first attestation in the investigation is cast, so every evidence item
+     *      is verified against the same threshold
+     * @param _investigationId Investigation ID
+     * @param _threshold Attestations required, at most the number of participants holding an attester seat
+     */
+    function setVerificationThreshold(uint32 _investigationId, uint32 _threshold)
+        external
+        onlyActiveInvestigation(_investigationId)
+    {
+        Investigation storage investigation = investigations[_investigationId];
+        require(
+            investigation.investigator == msg.sender || msg.sender == admin,
+            "Only investigation creator or admin can set threshold"
+        );
+        require(_threshold > 0 && _threshold <= attesterSeatCount[_investigationId], "Invalid threshold");
+        require(attestationsCast[_investigationId] == 0, "Attestations already started");
+
+        verificationThresholds[_investigationId] = _threshold;
+
+        emit VerificationThresholdSet(_investigationId, _threshold);
+    }
+
+    /**
+     * @notice Attest that evidence is authentic
+     * @dev Each participant holding an attester seat attests once; the evidence is verified by the
+     *      attestation that reaches the investigation's threshold. Seats are granted on joining, so
+     *      revoking investigator access later does not change who can reach the threshold.
+     * @param _investigationId Investigation ID
+     * @param _evidenceId Evidence ID
+     */
+    function verifyEvidence(uint32 _investigationId, uint32 _evidenceId)
+        external
+        onlyActiveInvestigation(_investigationId)
+    {
+        require(
+            attesterSeats[_investigationId][msg.sender] || msg.sender == admin,
+            "Not authorized: attester only"
+        );
+        EncryptedEvidence storage evidence = caseEvidence[_investigationId][_evidenceId];
+        require(evidence.submitter != address(0), "Evidence does not exist");
+        require(!evidence.isVerified, "Evidence already verified");
+        require(evidenceRejections[_investigationId][_evidenceId].rejectedAt == 0, "Evidence rejected");
+        require(!evidenceUnderstaked[_investigationId][_evidenceId], "Stake below minimum");
+        require(!hasAttested[_investigationId][_evidenceId][msg.sender], "Already attested");
+
+        hasAttested[_investigationId][_evidenceId][msg.sender] = true;
+        address[] storage attesters = evidenceAttesters[_investigationId][_evidenceId];
+        attesters.push(msg.sender);
+        attestationsCast[_investigationId]++;
+
+        uint32 attestations = uint32(attesters.length);
+        uint32 threshold = _verificationThreshold(_investigationId);
+        emit EvidenceAttested(_investigationId, _evidenceId, msg.sender, attestations, threshold);
+
+        if (attestations >= threshold) {
+            evidence.isVerified = true;
+            emit EvidenceVerified(_investigationId, _evidenceId);
+        }
+    }
+
+    // ========== EVIDENCE REJECTION ==========
+
+    /**
+     * @notice Reject fabricated or irrelevant evidence and slash part or all of its stake
+     * @dev The slashed part joins the investigation's forfeited stakes and the rest goes back to the
+     *      submitter. Rejected evidence can no longer be refunded or verified.
+     * @param _investigationId Investigation ID
+     * @param _evidenceId Evidence ID
+     * @param _reasonHash Hash of the off-chain reason code and details; revealing them proves the reason
+     * @param _slashPercent Percent of the stake to slash (0-100)
+     */
+    function rejectEvidence(uint32 _investigationId, uint32 _evidenceId, bytes32 _reasonHash, uint8 _slashPercent)
+        external
+        onlyAuthorizedInvestigator
+        onlyActiveInvestigation(_investigationId)
+        onlyAuthorizedParticipant(_investigationId)
+    {
+        EncryptedEvidence storage evidence = caseEvidence[_investigationId][_evidenceId];
+        require(evidence.submitter != address(0), "Evidence does not exist");
+        require(!evidence.isVerified, "Evidence already verified");
+        require(evidenceRejections[_investigationId][_evidenceId].rejectedAt == 0, "Evidence already rejected");
+        require(!evidenceRefunded[_investigationId][_evidenceId], "Already refunded");
+        require(_reasonHash != bytes32(0), "Invalid reason");
+        require(_slashPercent <= 100, "Invalid slash percent");
+
+        uint256 slashed = (evidence.stake * _slashPercent) / 100;
+        uint256 returned = evidence.stake - slashed;
+
+        evidenceRejections[_investigationId][_evidenceId] = EvidenceRejection({
+            reasonHash: _reasonHash,
+            slashed: slashed,
+            rejectedBy: msg.sender,
+            rejectedAt: block.timestamp
+        });
+        _unlockStake(_investigationId, evidence.stakeToken, evidence.stake);
+        slashedStakes[_investigationId][evidence.stakeToken] += slashed;
+
+        emit EvidenceRejected(_investigationId, _evidenceId, msg.sender, _reasonHash, slashed);
+
+        if (returned > 0) {
+            _transferAsset(evidence.stakeToken, evidence.submitter, returned);
+            emit RefundIssued(_investigationId, _evidenceId, evidence.submitter, returned);
+        }
+    }
+
+    // ========== CHAIN OF CUSTODY ==========
+
+    /**
+     * @notice Hand an evidence item over to another participant of the investigation
+     * @dev Only the current custodian can transfer it; the submitter is the first custodian.
+     *      A custodian revoked from the investigation loses custody, and the investigation creator
+     *      transfers it on their behalf. The location or handling code is readable by the sender,
+     *      the new custodian and the investigation creator.
+     * @param _investigationId Investigation ID
+     * @param _evidenceId Evidence ID
+     * @param _to Participant taking custody
+     * @param encryptedLocation Encrypted location or handling code of the hand-over
+     * @param inputProof Cryptographic proof for the encrypted input
+     */
+    function transferCustody(
+        uint32 _investigationId,
+        uint32 _evidenceId,
+        address _to,
+        externalEuint32 encryptedLocation,
+        bytes calldata inputProof
+    ) external onlyActiveInvestigation(_investigationId) {
+        require(caseEvidence[_investigationId][_evidenceId].submitter != address(0), "Evidence does not exist");
+        address custodian = _currentCustodian(_investigationId, _evidenceId);
+        if (_isParticipant(_investigationId, custodian)) {
+            require(msg.sender == custodian, "Not the custodian");
+        } else {
+            require(
+                msg.sender == investigations[_investigationId].investigator,
+                "Only investigation creator can reclaim custody"
+            );
+        }
+        require(_to != custodian, "Already custodian");
+        require(_isParticipant(_investigationId, _to), "Recipient not a participant");
+
+        euint32 location = FHE.fromExternal(encryptedLocation, inputProof);
+        FHE.allowThis(location);
+        FHE.allow(location, msg.sender);
+        FHE.allow(location, _to);
+        FHE.allow(location, investigations[_investigationId].investigator);
+
+        CustodyTransfer[] storage log = custodyLogs[_investigationId][_evidenceId];
+        log.push(CustodyTransfer({
+            from: custodian,
+            to: _to,
+            timestamp: block.timestamp,
+            encryptedLocation: location
+        }));
+
+        emit CustodyTransferred(_investigationId, _evidenceId, custodian, _to, log.length - 1);
+    }
+
+    // ========== EVIDENCE FILES ==========
+
+    /**
+     * @notice Publish the public key evidence file keys are wrapped for
+     * @param _publicKey Uncompressed P-256 public key (0x04 followed by both coordinates)
+     */
+    function setEncryptionKey(bytes calldata _publicKey) external {
+        require(_publicKey.length == 65 && _publicKey[0] == 0x04, "Invalid public key");
+        encryptionKeys[msg.sender] = _publicKey;
+        emit EncryptionKeySet(msg.sender);
+    }
+
+    /**
+     * @notice Anchor the hash of the encrypted file attached to an evidence item
+     * @dev The file is encrypted in the browser and kept in an off-chain content store under
+     *      this hash; readers check it against the anchor before decrypting. Set once by the submitter.
+     * @param _investigationId Investigation ID
+     * @param _evidenceId Evidence ID
+     * @param _contentHash keccak256 of the encrypted file
+     */
+    function anchorEvidenceContent(uint32 _investigationId, uint32 _evidenceId, bytes32 _contentHash)
+        external
+        onlyActiveInvestigation(_investigationId)
+    {
+        require(caseEvidence[_investigationId][_evidenceId].submitter == msg.sender, "Only the submitter can attach content");
+        require(_contentHash != bytes32(0), "Invalid content hash");
+        require(evidenceContentHashes[_investigationId][_evidenceId] == bytes32(0), "Content already attached");
+
+        evidenceContentHashes[_investigationId][_evidenceId] = _contentHash;
+
+        emit EvidenceContentAnchored(_investigationId, _evidenceId, _contentHash);
+    }
+
+    // ========== STAKE TOKENS ==========
+
+    /**
+     * @notice Allow or disallow an ERC-20 token for new stakes
+     * @dev Existing stakes stay refundable in their token after it is disallowed
+     * @param _token ERC-20 token address
+     * @param _allowed Whether new stakes may be paid in the token
+     */
+    function setStakeToken(address _token, bool _allowed) external onlyAdmin {
+        require(_token != address(0), "Invalid address");
+        require(!_allowed || _token.code.length > 0, "Token is not a contract");
+        stakeTokens[_token] = _allowed;
+
+        emit StakeTokenUpdated(_token, _allowed);
+    }
+
+    // ========== STAKE MINIMUMS ==========
+
+    /**
+     * @notice Set the minimum stakes for submissions paid in one asset
+     * @dev Lowering a minimum does not clear evidence already flagged as understaked
+     * @param _token ERC-20 token address, or address(0) for ETH
+     * @param _evidenceMinimums Minimum evidence stake per EvidenceType, before confidentiality scaling
+     * @param _witnessMinimum Minimum witness testimony stake
+     */
+    function setStakeMinimums(address _token, uint256[4] calldata _evidenceMinimums, uint256 _witnessMinimum)
+        external
+        onlyAdmin
+    {
+        evidenceStakeMinimums[_token] = _evidenceMinimums;
+        witnessStakeMinimum[_token] = _witnessMinimum;
+
+        emit StakeMinimumsUpdated(_token, _evidenceMinimums, _witnessMinimum);
+    }
+
+    /**
+     * @notice Set how much the evidence minimums rise per confidentiality tier
+     * @param _percentPerTier Percent of the base minimum added for each tier above the first
+     */
+    function setConfidentialityStakeScale(uint256 _percentPerTier) external onlyAdmin {
+        confidentialityStakeScale = _percentPerTier;
+
+        emit ConfidentialityStakeScaleUpdated(_percentPerTier);
+    }
+
+    // ========== STAKE TREASURY ==========
+
+    /**
+     * @notice Set the address that receives swept forfeited stakes and unallocated funds
+     * @param _treasury Treasury address
+     */
+    function setTreasury(address _treasury) external onlyAdmin {
+        require(_treasury != address(0), "Invalid address");
+        treasury = _treasury;
+
+        emit TreasuryUpdated(_treasury);
+    }
+
+    /**
+     * @notice Send the forfeited ETH stakes of an investigation to the treasury: stakes slashed from
+     *         rejected evidence at any time, and unrefunded stakes once their retention period is over
+     * @param _investigationId Investigation ID
+     */
+    function sweepForfeitedStakes(uint32 _investigationId) external onlyAdmin {
+        _sendToTreasury(_investigationId, address(0), _takeForfeitedStakes(_investigationId, address(0)));
+    }
+
+    /**
+     * @notice Same as sweepForfeitedStakes, for the stakes paid in one ERC-20 token
+     * @param _investigationId Investigation ID
+     * @param _token ERC-20 token address
+     */
+    function sweepForfeitedTokenStakes(uint32 _investigationId, address _token) external onlyAdmin {
+        _sendToTreasury(_investigationId, _token, _takeForfeitedStakes(_investigationId, _token));
+    }
+
+    /**
+     * @notice Send ETH that arrived outside of staking to the treasury
+     */
+    function sweepUnallocatedFunds() external onlyAdmin {
+        uint256 amount = unallocatedFunds;
+        unallocatedFunds = 0;
+
+        _sendToTreasury(0, address(0), amount);
+    }
+
+    // ========== INTERNAL FUNCTIONS ==========
+
+    /**
+     * @dev Record a new Pending investigation with the caller as creator and first participant,
+     *      and set up its encrypted case ID and verdict tally
+     */
+    function _createInvestigation(uint32 _caseId) private returns (uint32 investigationId) {
+        investigationId = currentInvestigationId++;
+        euint32 encryptedCaseId = FHE.asEuint32(_caseId);
+
+        // Initialize with obfuscated metric for privacy-preserving division
+        euint64 initialMetric = FHE.asEuint64(0);
+
+        investigations[investigationId] = Investigation({
+            encryptedCaseId: encryptedCaseId,
+            investigator: msg.sender,
+            status: InvestigationStatus.Pending,
+            startTime: 0,
+            endTime: 0,
+            expiryTime: 0,
+            isActive: false,
+            authorizedParticipants: new address[](0),
+            totalStake: 0,
+            obfuscatedMetric: initialMetric
+        });
+
+        _addParticipant(investigationId, msg.sender);
+
+        VerdictTally storage tally = verdictTallies[investigationId];
+        tally.notGuiltyWeight = FHE.asEuint64(0);
+        tally.guiltyWeight = FHE.asEuint64(0);
+        tally.insufficientEvidenceWeight = FHE.asEuint64(0);
+
+        FHE.allowThis(encryptedCaseId);
+        FHE.allow(encryptedCaseId, msg.sender);
+        FHE.allowThis(initialMetric);
+        FHE.allowThis(tally.notGuiltyWeight);
+        FHE.allowThis(tally.guiltyWeight);
+        FHE.allowThis(tally.insufficientEvidenceWeight);
+
+        emit ParticipantAuthorized(investigationId, msg.sender);
+    }
+
+    function _activateInvestigation(uint32 _investigationId, uint256 _duration) private {
+        Investigation storage investigation = investigations[_investigationId];
+        investigation.status = InvestigationStatus.Active;
+        investigation.isActive = true;
+        activeInvestigationCount++;
+        investigation.startTime = block.timestamp;
+        investigation.expiryTime = block.timestamp + _duration;
+
+        emit InvestigationStarted(_investigationId, investigation.investigator, investigation.expiryTime);
+    }
+
+    // Approvers cannot review their own requests, so filing and approval stay with different people
+    function _requireReviewableRequest(uint32 _investigationId) private view {
+        Investigation storage investigation = investigations[_investigationId];
+        require(
+            investigation.investigator != address(0) && investigation.status == InvestigationStatus.Pending,
+            "Investigation not pending"
+        );
+        require(investigation.investigator != msg.sender, "Cannot review own request");
+    }
+
+    function _collectTokenStake(TokenStake calldata _stake) private {
+        require(stakeTokens[_stake.token], "Stake token not allowed");
+        require(_stake.amount > 0, "Stake must be greater than zero");
+
+        // A front-run permit has already set the allowance, so a failing permit is not fatal here;
+        // transferFrom still reverts without one
+        if (_stake.permitDeadline != 0) {
+            try IStakeToken(_stake.token).permit(
+                msg.sender,
+                address(this),
+                _stake.amount,
+                _stake.permitDeadline,
+                _stake.v,
+                _stake.r,
+                _stake.s
+            ) {} catch {}
+        }
+
+        // Stakes are recorded at the amount sent, so tokens that take a fee on transfer are refused
+        uint256 balanceBefore = IStakeToken(_stake.token).balanceOf(address(this));
+        _callToken(_stake.token, abi.encodeCall(IStakeToken.transferFrom, (msg.sender, address(this), _stake.amount)));
+        require(
+            IStakeToken(_stake.token).balanceOf(address(this)) - balanceBefore == _stake.amount,
+            "Token transfer fee not supported"
+        );
+    }
+
+    // Lowest evidence minimum of an asset, the most a stake can be checked against while the type is encrypted
+    function _evidenceStakeFloor(address _token) private view returns (uint256 floor) {
+        uint256[4] storage minimums = evidenceStakeMinimums[_token];
+        floor = minimums[0];
+        for (uint256 i = 1; i < minimums.length; i++) {
+            if (minimums[i] < floor) {
+                floor = minimums[i];
+            }
+        }
+    }
+
+    function _lockStake(uint32 _investigationId, address _token, uint256 _amount) private {
+        if (_token == address(0)) {
+            investigations[_investigationId].totalStake += _amount;
+        } else {
+            investigationTokenStake[_investigationId][_token] += _amount;
+        }
+    }
+
+    function _unlockStake(uint32 _investigationId, address _token, uint256 _amount) private {
+        if (_token == address(0)) {
+            investigations[_investigationId].totalStake -= _amount;
+        } else {
+            investigationTokenStake[_investigationId][_token] -= _amount;
+        }
+    }
+
+    function _releaseStake(uint32 _investigationId, address _token, address _recipient, uint256 _amount) private {
+        _unlockStake(_investigationId, _token, _amount);
+        _transferAsset(_token, _recipient, _amount);
+    }
+
+    // Clear and return the slashed stakes of an asset, plus its unrefunded stakes once they are forfeited
+    function _takeForfeitedStakes(uint32 _investigationId, address _token) private returns (uint256) {
+        bool forfeited = _isStakeForfeited(_investigationId);
+        uint256 slashed = slashedStakes[_investigationId][_token];
+        require(forfeited || slashed > 0, "Stakes not forfeited");
+        slashedStakes[_investigationId][_token] = 0;
+
+        if (!forfeited) {
+            return slashed;
+        }
+
+        uint256 locked = _token == address(0)
+            ? investigations[_investigationId].totalStake
+            : investigationTokenStake[_investigationId][_token];
+        _unlockStake(_investigationId, _token, locked);
+        return slashed + locked;
+    }
+
+    function _sendToTreasury(uint32 _investigationId, address _token, uint256 _amount) private {
+        require(_amount > 0, "Nothing to sweep");
+
+        _transferAsset(_token, treasury, _amount);
+
+        emit TreasurySweep(_investigationId, treasury, _token, _amount);
+    }
+
+    function _transferAsset(address _token, address _recipient, uint256 _amount) private {
+        if (_token == address(0)) {
+            (bool sent, ) = payable(_recipient).call{value: _amount}("");
+            require(sent, "Transfer failed");
+        } else {
+            _callToken(_token, abi.encodeCall(IStakeToken.transfer, (_recipient, _amount)));
+        }
+    }
+
+    // Accepts tokens that return nothing instead of a bool, such as USDT
+    function _callToken(address _token, bytes memory _data) private {
+        (bool success, bytes memory result) = _token.call(_data);
+        require(success && (result.length == 0 || abi.decode(result, (bool))), "Token transfer failed");
+    }
+}
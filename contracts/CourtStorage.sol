@@ -0,0 +1,456 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { euint8, euint32, euint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+
+/**
+ * @title Shared storage of the Anonymous Court Investigation System
+ * @notice State, types, events and modifiers used by the court contract and its modules
+ * @dev Modules run through delegatecall on the court's storage, so they must inherit this
+ *      contract and declare no state of their own.
+ */
+abstract contract CourtStorage is SepoliaConfig {
+
+    // ========== STATE VARIABLES ==========
+
+    address public admin;
+    uint32 public currentInvestigationId;
+
+    // Receives forfeited stakes and unallocated funds when the admin sweeps them
+    address public treasury;
+    // ETH received outside of staking, e.g. plain transfers to the contract
+    uint256 public unallocatedFunds;
+
+    // Constants for security and timeout protection
+    uint256 public constant MIN_INVESTIGATION_DURATION = 1 days;
+    uint256 public constant MAX_INVESTIGATION_DURATION = 365 days;
+    uint256 public constant EVIDENCE_TIMEOUT = 30 days;
+    uint256 public constant REFUND_GRACE_PERIOD = 7 days;
+    uint256 public constant STAKE_RETENTION_PERIOD = 90 days;
+    uint32 public constant MAX_SUMMARY_PAGE_SIZE = 100;
+    uint256 public constant DECRYPTION_TIMEOUT = 1 days;
+    uint8 public constant MAX_DECRYPTION_ATTEMPTS = 3;
+
+    // Confidentiality levels 1-25, 26-50, 51-75 and 76+ form tiers 0-3 for stake minimums
+    uint32 public constant CONFIDENTIALITY_TIER_SIZE = 25;
+    uint256 public constant MAX_CONFIDENTIALITY_TIER = 3;
+
+    // Gas optimization: HCU limits
+    uint256 public constant MAX_HCU_PER_OPERATION = 100000;
+
+    // ========== ENUMS ==========
+
+    enum InvestigationStatus {
+        Pending,
+        Active,
+        Completed,
+        Archived,
+        TimedOut,      // New: For timeout protection
+        Rejected       // Intake request turned down before it became active
+    }
+
+    enum EvidenceType {
+        Document,
+        Testimony,
+        Physical,
+        Digital
+    }
+
+    enum Verdict {
+        NotGuilty,
+        Guilty,
+        InsufficientEvidence
+    }
+
+    enum DecryptionStatus {
+        None,
+        Requested,
+        Completed,
+        Failed         // New: For refund mechanism
+    }
+
+    // ========== STRUCTS ==========
+
+    struct Investigation {
+        euint32 encryptedCaseId;
+        address investigator;
+        InvestigationStatus status;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 expiryTime;        // New: Timeout protection
+        bool isActive;
+        address[] authorizedParticipants;
+        uint256 totalStake;        // Unrefunded evidence and witness stakes
+        euint64 obfuscatedMetric;  // New: Privacy-preserving metric
+    }
+
+    struct EncryptedEvidence {
+        euint32 evidenceId;
+        euint8 evidenceType;
+        euint32 confidentialityLevel;
+        address submitter;
+        uint256 timestamp;
+        uint256 expiryTime;        // New: Evidence timeout
+        bool isVerified;
+        uint256 stake;             // New: Refundable stake
+        DecryptionStatus decryptionStatus;  // New: Gateway callback tracking
+        uint256 decryptionRequestId;        // New: Gateway request ID
+        address stakeToken;        // ERC-20 the stake was paid in; address(0) for ETH
+    }
+
+    struct AnonymousWitness {
+        euint32 witnessId;
+        euint8 credibilityScore;
+        euint32 encryptedTestimony;
+        bool isProtected;
+        uint256 submissionTime;
+        uint256 stake;             // New: Witness protection stake
+        bool refunded;             // New: Refund tracking
+        bytes32 refundCommitment;  // keccak256(abi.encode(secret, recipient)); the witness address is never stored
+        address stakeToken;        // ERC-20 the stake was paid in; address(0) for ETH
+    }
+
+    struct JudicialVote {
+        euint8 verdict;
+        euint8 confidence;
+        address voter;
+        uint256 voteTime;
+        bool isSubmitted;
+        euint64 encryptedWeight;   // Admin-assigned weight the vote was cast with
+    }
+
+    // New: Gateway callback request tracking
+    struct DecryptionRequest {
+        uint32 investigationId;
+        uint32 evidenceId;
+        address requester;
+        uint256 timestamp;
+        bool completed;
+        uint256 deadline;          // Gateway must call back before this time
+        bool failed;               // Marked failed after the deadline passed
+        uint8 attempt;             // 1-based attempt number for the evidence
+    }
+
+    // Evidence metadata revealed by the Gateway, readable by the requester and participants
+    struct DecryptedEvidence {
+        uint32 evidenceId;
+        uint8 evidenceType;
+        uint32 confidentialityLevel;
+        uint256 decryptedAt;
+    }
+
+    // Encrypted per-outcome vote weights, accumulated homomorphically
+    struct VerdictTally {
+        euint64 notGuiltyWeight;
+        euint64 guiltyWeight;
+        euint64 insufficientEvidenceWeight;
+    }
+
+    // Judges assigned to an investigation and the number of votes needed to complete it
+    struct JudgePanel {
+        address[] judges;
+        uint32 quorum;
+        uint32 votesCast;
+    }
+
+    // Final outcome revealed by the Gateway once an investigation is completed
+    struct VerdictOutcome {
+        uint256 requestId;
+        Verdict outcome;
+        uint64 margin;
+        bool requested;
+        bool revealed;
+    }
+
+    // Evidence rejected by an investigator, with a hash of the off-chain reason and the slashed stake
+    struct EvidenceRejection {
+        bytes32 reasonHash;
+        uint256 slashed;
+        address rejectedBy;
+        uint256 rejectedAt;
+    }
+
+    // Hand-over of an evidence item between participants; the location or handling code stays encrypted
+    struct CustodyTransfer {
+        address from;
+        address to;
+        uint256 timestamp;
+        euint32 encryptedLocation;
+    }
+
+    // One row of the paginated investigation list; totalStake is the unrefunded ETH stake
+    struct InvestigationSummary {
+        uint32 investigationId;
+        address investigator;
+        InvestigationStatus status;
+        bool isActive;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 expiryTime;
+        uint32 evidenceCount;
+        uint32 witnessCount;
+        uint256 totalStake;
+    }
+
+    // ERC-20 stake of a submission. A non-zero permitDeadline applies an EIP-2612 permit
+    // with (v, r, s) first; otherwise the court must already hold an allowance.
+    struct TokenStake {
+        address token;
+        uint256 amount;
+        uint256 permitDeadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    // ========== MAPPINGS ==========
+
+    mapping(uint32 => Investigation) public investigations;
+    // 1-based position in authorizedParticipants; 0 means not a participant
+    mapping(uint32 => mapping(address => uint256)) internal participantIndex;
+    mapping(uint32 => mapping(uint32 => EncryptedEvidence)) public caseEvidence;
+    mapping(uint32 => mapping(uint32 => AnonymousWitness)) public witnesses;
+    mapping(uint32 => mapping(address => JudicialVote)) public judicialVotes;
+    mapping(uint32 => uint32) public evidenceCount;
+    mapping(uint32 => uint32) public witnessCount;
+    mapping(address => bool) public authorizedInvestigators;
+    mapping(address => bool) public authorizedJudges;
+
+    // Admin-assigned encrypted judge weights: global default and per-investigation overrides
+    mapping(address => euint64) internal judgeWeights;
+    mapping(uint32 => mapping(address => euint64)) internal investigationJudgeWeights;
+
+    // New: Gateway callback and refund tracking
+    mapping(uint256 => DecryptionRequest) public decryptionRequests;
+    mapping(uint32 => mapping(uint32 => bool)) public evidenceRefunded;
+    mapping(uint32 => mapping(uint32 => bool)) public witnessRefunded;
+    mapping(bytes32 => bool) internal witnessRefundCommitments;
+    mapping(bytes32 => bool) public witnessRefundNullifiers;
+    mapping(uint32 => mapping(uint32 => uint256[])) internal evidenceDecryptionAttempts;
+    mapping(uint32 => mapping(uint32 => DecryptedEvidence)) internal decryptedEvidence;
+    mapping(address => uint256[]) internal requesterDecryptionRequests;
+    mapping(uint256 => string) internal requestIdToBetId;
+
+    // Verdict tally and reveal tracking
+    mapping(uint32 => VerdictTally) internal verdictTallies;
+    mapping(uint32 => VerdictOutcome) public verdictOutcomes;
+    mapping(uint256 => uint32) internal verdictRequestToInvestigation;
+
+    // Per-investigation judge panels
+    mapping(uint32 => JudgePanel) internal judgePanels;
+    mapping(uint32 => mapping(address => bool)) public isPanelJudge;
+
+    uint256 public nextDecryptionRequestId = 1;
+
+    // Archival time per investigation; starts the stake retention period
+    mapping(uint32 => uint256) public archivedAt;
+
+    // Admin-whitelisted ERC-20 stake tokens and the unrefunded token stakes per investigation
+    mapping(address => bool) public stakeTokens;
+    mapping(uint32 => mapping(address => uint256)) public investigationTokenStake;
+
+    // Admin-configured minimum stakes per asset (address(0) for ETH); evidence minimums are
+    // indexed by EvidenceType and raised by confidentialityStakeScale percent per confidentiality tier
+    mapping(address => uint256[4]) internal evidenceStakeMinimums;
+    mapping(address => uint256) public witnessStakeMinimum;
+    uint256 public confidentialityStakeScale;
+    // Evidence whose stake turned out below its tiered minimum once the Gateway revealed it
+    mapping(uint32 => mapping(uint32 => bool)) public evidenceUnderstaked;
+
+    // Rejected evidence and the stakes slashed from it per investigation and asset (address(0) for ETH).
+    // Slashed stakes are forfeited immediately and can be swept without waiting for the retention period.
+    mapping(uint32 => mapping(uint32 => EvidenceRejection)) public evidenceRejections;
+    mapping(uint32 => mapping(address => uint256)) public slashedStakes;
+
+    // Investigator attestations needed to verify evidence per investigation; 0 means a single one.
+    // Attesters are recorded per evidence item, and the threshold is fixed once the first attestation is cast.
+    mapping(uint32 => uint32) public verificationThresholds;
+    mapping(uint32 => mapping(uint32 => address[])) internal evidenceAttesters;
+    mapping(uint32 => mapping(uint32 => mapping(address => bool))) public hasAttested;
+    mapping(uint32 => uint32) internal attestationsCast;
+    // Participants who may attest: those who were investigators, or the admin, when they joined.
+    // The threshold is bounded by their number, and none of them can be revoked once attestation starts.
+    mapping(uint32 => mapping(address => bool)) internal attesterSeats;
+    mapping(uint32 => uint32) internal attesterSeatCount;
+
+    // Chain of custody per evidence item; the submitter is the custodian until the first transfer
+    mapping(uint32 => mapping(uint32 => CustodyTransfer[])) internal custodyLogs;
+
+    // keccak256 of the encrypted file attached to an evidence item; the file lives in an off-chain content store
+    mapping(uint32 => mapping(uint32 => bytes32)) public evidenceContentHashes;
+    // Uncompressed P-256 public keys participants publish so evidence file keys can be wrapped for them
+    mapping(address => bytes) public encryptionKeys;
+
+    // Duration asked for by intake requests; the investigation clock starts when the request is approved
+    mapping(uint32 => uint256) public requestedDurations;
+
+    // Running totals for the dashboard, updated whenever an investigation starts or ends and on every submission
+    uint32 internal activeInvestigationCount;
+    uint32 internal totalEvidenceCount;
+    uint32 internal totalWitnessCount;
+
+    // ========== EVENTS ==========
+
+    event InvestigationStarted(uint32 indexed investigationId, address indexed investigator, uint256 expiryTime);
+    event InvestigationRequested(uint32 indexed investigationId, address indexed investigator, uint256 duration);
+    event InvestigationApproved(uint32 indexed investigationId, address indexed approver);
+    event InvestigationRejected(uint32 indexed investigationId, address indexed approver, uint8 reasonCode);
+    event EvidenceSubmitted(uint32 indexed investigationId, uint32 indexed evidenceId, address indexed submitter, uint256 stake);
+    event WitnessTestimonySubmitted(uint32 indexed investigationId, uint32 indexed witnessId, uint256 stake);
+    event VerdictSubmitted(uint32 indexed investigationId, address indexed judge);
+    event JudgeWeightSet(address indexed judge, uint32 indexed investigationId);
+    event JudgePanelAssigned(uint32 indexed investigationId, address[] judges, uint32 quorum);
+    event InvestigationCompleted(uint32 indexed investigationId);
+    event InvestigationTimedOut(uint32 indexed investigationId);
+    event ParticipantAuthorized(uint32 indexed investigationId, address indexed participant);
+    event ParticipantRevoked(uint32 indexed investigationId, address indexed participant);
+
+    // New: Gateway callback and refund events
+    event DecryptionRequested(uint256 indexed requestId, uint32 indexed investigationId, uint32 indexed evidenceId);
+    event DecryptionCompleted(uint256 indexed requestId, uint32 indexed investigationId, uint32 indexed evidenceId);
+    event DecryptionFailed(uint256 indexed requestId, uint32 indexed investigationId, uint32 indexed evidenceId);
+    event RefundIssued(uint32 indexed investigationId, uint32 indexed itemId, address indexed recipient, uint256 amount);
+    // Stake and sweep events name the ERC-20 token, or address(0) for ETH
+    event StakeReceived(uint32 indexed investigationId, address indexed sender, address indexed token, uint256 amount);
+    event StakeTokenUpdated(address indexed token, bool allowed);
+    event StakeMinimumsUpdated(address indexed token, uint256[4] evidenceMinimums, uint256 witnessMinimum);
+    event ConfidentialityStakeScaleUpdated(uint256 percentPerTier);
+    event EvidenceRejected(
+        uint32 indexed investigationId,
+        uint32 indexed evidenceId,
+        address indexed investigator,
+        bytes32 reasonHash,
+        uint256 slashed
+    );
+    event VerificationThresholdSet(uint32 indexed investigationId, uint32 threshold);
+    event EvidenceAttested(
+        uint32 indexed investigationId,
+        uint32 indexed evidenceId,
+        address indexed investigator,
+        uint32 attestations,
+        uint32 threshold
+    );
+    event EvidenceVerified(uint32 indexed investigationId, uint32 indexed evidenceId);
+    event CustodyTransferred(
+        uint32 indexed investigationId,
+        uint32 indexed evidenceId,
+        address from,
+        address indexed to,
+        uint256 transferIndex
+    );
+    event EvidenceContentAnchored(uint32 indexed investigationId, uint32 indexed evidenceId, bytes32 contentHash);
+    event EncryptionKeySet(address indexed account);
+    event EvidenceUnderstaked(uint32 indexed investigationId, uint32 indexed evidenceId, uint256 stake, uint256 minimum);
+
+    // Treasury events; investigation ID 0 marks a sweep of unallocated funds
+    event TreasuryUpdated(address indexed treasury);
+    event TreasurySweep(uint32 indexed investigationId, address indexed treasury, address indexed token, uint256 amount);
+
+    // Verdict reveal events
+    event VerdictRevealRequested(uint256 indexed requestId, uint32 indexed investigationId);
+    event VerdictRevealed(uint32 indexed investigationId, Verdict outcome, uint64 margin);
+
+    // ========== MODIFIERS ==========
+
+    modifier onlyAdmin() {
+        require(msg.sender == admin, "Not authorized: admin only");
+        _;
+    }
+
+    modifier onlyAuthorizedInvestigator() {
+        require(authorizedInvestigators[msg.sender] || msg.sender == admin, "Not authorized: investigator only");
+        _;
+    }
+
+    modifier onlyAuthorizedJudge() {
+        require(authorizedJudges[msg.sender] || msg.sender == admin, "Not authorized: judge only");
+        _;
+    }
+
+    modifier onlyActiveInvestigation(uint32 _investigationId) {
+        require(investigations[_investigationId].isActive, "Investigation not active");
+        require(investigations[_investigationId].status == InvestigationStatus.Active, "Investigation not in active status");
+        require(block.timestamp < investigations[_investigationId].expiryTime, "Investigation expired");
+        _;
+    }
+
+    modifier onlyAuthorizedParticipant(uint32 _investigationId) {
+        require(_isParticipant(_investigationId, msg.sender) || msg.sender == admin, "Not authorized: participant only");
+        _;
+    }
+
+    // New: Input validation modifiers
+    modifier validDuration(uint256 _duration) {
+        require(_duration >= MIN_INVESTIGATION_DURATION, "Duration too short");
+        require(_duration <= MAX_INVESTIGATION_DURATION, "Duration too long");
+        _;
+    }
+
+    modifier validStake() {
+        require(msg.value > 0, "Stake must be greater than zero");
+        _;
+    }
+
+    function _isParticipant(uint32 _investigationId, address _participant) internal view returns (bool) {
+        return participantIndex[_investigationId][_participant] != 0;
+    }
+
+    function _addParticipant(uint32 _investigationId, address _participant) internal {
+        Investigation storage investigation = investigations[_investigationId];
+        investigation.authorizedParticipants.push(_participant);
+        participantIndex[_investigationId][_participant] = investigation.authorizedParticipants.length;
+
+        if (authorizedInvestigators[_participant] || _participant == admin) {
+            attesterSeats[_investigationId][_participant] = true;
+            attesterSeatCount[_investigationId]++;
+        }
+    }
+
+    /**
+     * @dev Unrefunded stakes are forfeited STAKE_RETENTION_PERIOD after the later of archival and
+     *      the end of the refund grace period, so every stake had a full window to be reclaimed.
+     *      Returns 0 while the investigation is not archived.
+     */
+    function _stakeForfeitureTime(uint32 _investigationId) internal view returns (uint256) {
+        uint256 archived = archivedAt[_investigationId];
+        if (archived == 0) {
+            return 0;
+        }
+
+        uint256 refundDeadline = investigations[_investigationId].expiryTime + REFUND_GRACE_PERIOD;
+        return (archived > refundDeadline ? archived : refundDeadline) + STAKE_RETENTION_PERIOD;
+    }
+
+    /**
+     * @dev Minimum stake for evidence of a type and confidentiality level, in the given asset.
+     *      Levels above the last tier are charged as the last tier.
+     */
+    function _minimumEvidenceStake(address _token, uint8 _evidenceType, uint32 _confidentialityLevel)
+        internal
+        view
+        returns (uint256)
+    {
+        uint256 base = evidenceStakeMinimums[_token][_evidenceType];
+        uint256 tier = _confidentialityLevel == 0 ? 0 : (_confidentialityLevel - 1) / CONFIDENTIALITY_TIER_SIZE;
+        if (tier > MAX_CONFIDENTIALITY_TIER) {
+            tier = MAX_CONFIDENTIALITY_TIER;
+        }
+        return base + (base * tier * confidentialityStakeScale) / 100;
+    }
+
+    function _currentCustodian(uint32 _investigationId, uint32 _evidenceId) internal view returns (address) {
+        CustodyTransfer[] storage log = custodyLogs[_investigationId][_evidenceId];
+        return log.length == 0 ? caseEvidence[_investigationId][_evidenceId].submitter : log[log.length - 1].to;
+    }
+
+    function _verificationThreshold(uint32 _investigationId) internal view returns (uint32) {
+        uint32 threshold = verificationThresholds[_investigationId];
+        return threshold == 0 ? 1 : threshold;
+    }
+
+    function _isStakeForfeited(uint32 _investigationId) internal view returns (bool) {
+        uint256 forfeitsAt = _stakeForfeitureTime(_investigationId);
+        return forfeitsAt != 0 && block.timestamp > forfeitsAt;
+    }
+}
@@ -0,0 +1,204 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { CourtStorage } from "./CourtStorage.sol";
+
+/**
+ * @title View module of the Anonymous Court Investigation System
+ * @notice Investigation summaries, court stats, stakes and stake minimums, evidence attestations,
+ *         judge panels, verdict outcomes and decryption requests
+ * @dev Only meaningful through AnonymousCourtInvestigation, which delegatecalls into it from
+ *      matching view stubs under a staticcall. Called directly, it reads its own empty storage.
+ *      Views that check msg.sender stay in the court, where the caller is still known.
+ */
+contract CourtViewModule is CourtStorage {
+
+    // ========== VIEW FUNCTIONS ==========
+
+    /**
+     * @notice One page of investigation summaries in ID order, replacing a round of per-investigation reads
+     * @param _fromId First investigation ID of the page
+     * @param _limit Maximum number of summaries, at most MAX_SUMMARY_PAGE_SIZE
+     * @return summaries Fewer than _limit entries on the last page, none past the last investigation
+     */
+    function getInvestigationSummaries(uint32 _fromId, uint32 _limit) external view returns (
+        InvestigationSummary[] memory summaries
+    ) {
+        require(_fromId > 0, "Investigation IDs start at 1");
+        require(_limit <= MAX_SUMMARY_PAGE_SIZE, "Page size too large");
+
+        uint256 available = _fromId < currentInvestigationId ? currentInvestigationId - _fromId : 0;
+        summaries = new InvestigationSummary[](available < _limit ? available : _limit);
+
+        for (uint32 i = 0; i < summaries.length; i++) {
+            uint32 id = _fromId + i;
+            Investigation storage investigation = investigations[id];
+            summaries[i] = InvestigationSummary({
+                investigationId: id,
+                investigator: investigation.investigator,
+                status: investigation.status,
+                isActive: investigation.isActive,
+                startTime: investigation.startTime,
+                endTime: investigation.endTime,
+                expiryTime: investigation.expiryTime,
+                evidenceCount: evidenceCount[id],
+                witnessCount: witnessCount[id],
+                totalStake: investigation.totalStake
+            });
+        }
+    }
+
+    function getCourtStats() external view returns (
+        uint32 totalInvestigations,
+        uint32 activeInvestigations,
+        uint32 totalEvidence,
+        uint32 totalWitnesses
+    ) {
+        return (currentInvestigationId - 1, activeInvestigationCount, totalEvidenceCount, totalWitnessCount);
+    }
+
+    /**
+     * @notice Unrefunded ETH stake of an investigation, split by whether it can still be reclaimed
+     * @return locked Stake that submitters can still refund
+     * @return forfeited Stake slashed from rejected evidence or past its retention period, waiting to be swept
+     * @return forfeitsAt When locked stake becomes forfeited; 0 until the investigation is archived
+     */
+    function getInvestigationStake(uint32 _investigationId) external view returns (
+        uint256 locked,
+        uint256 forfeited,
+        uint256 forfeitsAt
+    ) {
+        return _splitStake(
+            _investigationId,
+            investigations[_investigationId].totalStake,
+            slashedStakes[_investigationId][address(0)]
+        );
+    }
+
+    /**
+     * @notice Same as getInvestigationStake, for the stakes paid in one ERC-20 token
+     */
+    function getInvestigationTokenStake(uint32 _investigationId, address _token) external view returns (
+        uint256 locked,
+        uint256 forfeited,
+        uint256 forfeitsAt
+    ) {
+        return _splitStake(
+            _investigationId,
+            investigationTokenStake[_investigationId][_token],
+            slashedStakes[_investigationId][_token]
+        );
+    }
+
+    /**
+     * @notice Minimum stakes configured for one asset
+     * @param _token ERC-20 token address, or address(0) for ETH
+     * @return evidenceMinimums Minimum evidence stake per EvidenceType, before confidentiality scaling
+     * @return witnessMinimum Minimum witness testimony stake
+     * @return confidentialityScale Percent added to evidence minimums per confidentiality tier
+     */
+    function getStakeMinimums(address _token) external view returns (
+        uint256[4] memory evidenceMinimums,
+        uint256 witnessMinimum,
+        uint256 confidentialityScale
+    ) {
+        return (evidenceStakeMinimums[_token], witnessStakeMinimum[_token], confidentialityStakeScale);
+    }
+
+    /**
+     * @notice Minimum stake for evidence of a type and confidentiality level, as checked at reveal
+     * @param _token ERC-20 token address, or address(0) for ETH
+     * @param _evidenceType EvidenceType as uint8
+     * @param _confidentialityLevel Confidentiality level the evidence is submitted with
+     */
+    function getMinimumEvidenceStake(address _token, uint8 _evidenceType, uint32 _confidentialityLevel)
+        external
+        view
+        returns (uint256)
+    {
+        require(_evidenceType <= uint8(EvidenceType.Digital), "Invalid evidence type");
+        return _minimumEvidenceStake(_token, _evidenceType, _confidentialityLevel);
+    }
+
+    /**
+     * @notice Investigators who attested evidence so far and the number of attestations that verify it
+     */
+    function getEvidenceAttestations(uint32 _investigationId, uint32 _evidenceId) external view returns (
+        address[] memory attesters,
+        uint32 threshold
+    ) {
+        return (evidenceAttesters[_investigationId][_evidenceId], _verificationThreshold(_investigationId));
+    }
+
+    function getJudgePanel(uint32 _investigationId) external view returns (
+        address[] memory judges,
+        uint32 quorum,
+        uint32 votesCast
+    ) {
+        JudgePanel storage panel = judgePanels[_investigationId];
+        return (panel.judges, panel.quorum, panel.votesCast);
+    }
+
+    function getVerdictOutcome(uint32 _investigationId) external view returns (
+        bool requested,
+        bool revealed,
+        Verdict outcome,
+        uint64 margin
+    ) {
+        VerdictOutcome storage result = verdictOutcomes[_investigationId];
+        return (
+            result.requested,
+            result.revealed,
+            result.outcome,
+            result.margin
+        );
+    }
+
+    function getDecryptionRequestInfo(uint256 _requestId) external view returns (
+        uint32 investigationId,
+        uint32 evidenceId,
+        address requester,
+        uint256 timestamp,
+        bool completed,
+        uint256 deadline,
+        bool failed,
+        uint8 attempt,
+        uint256[] memory attemptHistory
+    ) {
+        DecryptionRequest storage request = decryptionRequests[_requestId];
+        return (
+            request.investigationId,
+            request.evidenceId,
+            request.requester,
+            request.timestamp,
+            request.completed,
+            request.deadline,
+            request.failed,
+            request.attempt,
+            evidenceDecryptionAttempts[request.investigationId][request.evidenceId]
+        );
+    }
+
+    /**
+     * @notice Decryption request IDs created by an address, oldest first
+     * @param _requester Address that requested the decryptions
+     */
+    function getDecryptionRequestsByRequester(address _requester) external view returns (uint256[] memory) {
+        return requesterDecryptionRequests[_requester];
+    }
+
+    // ========== INTERNAL FUNCTIONS ==========
+
+    function _splitStake(uint32 _investigationId, uint256 _total, uint256 _slashed) private view returns (
+        uint256 locked,
+        uint256 forfeited,
+        uint256 forfeitsAt
+    ) {
+        forfeitsAt = _stakeForfeitureTime(_investigationId);
+
+        if (_isStakeForfeited(_investigationId)) {
+            return (0, _total + _slashed, forfeitsAt);
+        }
+        return (_total, _slashed, forfeitsAt);
+    }
+}
@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title Mock ERC-20 token
+ * @notice Minimal ERC-20 with EIP-2612 permit and open minting, for testing token stakes only
+ */
+contract MockERC20 {
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    string public name;
+    string public symbol;
+    uint8 public constant decimals = 18;
+    uint256 public totalSupply;
+    // Percentage burned from every transfer, to test fee-on-transfer tokens
+    uint256 public transferFeePercent;
+
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+    mapping(address => uint256) public nonces;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    constructor(string memory _name, string memory _symbol) {
+        name = _name;
+        symbol = _symbol;
+    }
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256(bytes(name)),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    function mint(address _to, uint256 _amount) external {
+        totalSupply += _amount;
+        balanceOf[_to] += _amount;
+        emit Transfer(address(0), _to, _amount);
+    }
+
+    function setTransferFee(uint256 _percent) external {
+        transferFeePercent = _percent;
+    }
+
+    function approve(address _spender, uint256 _amount) external returns (bool) {
+        _approve(msg.sender, _spender, _amount);
+        return true;
+    }
+
+    function transfer(address _to, uint256 _amount) external returns (bool) {
+        _transfer(msg.sender, _to, _amount);
+        return true;
+    }
+
+    function transferFrom(address _from, address _to, uint256 _amount) external returns (bool) {
+        uint256 allowed = allowance[_from][msg.sender];
+        require(allowed >= _amount, "Insufficient allowance");
+        if (allowed != type(uint256).max) {
+            allowance[_from][msg.sender] = allowed - _amount;
+        }
+        _transfer(_from, _to, _amount);
+        return true;
+    }
+
+    function permit(
+        address _owner,
+        address _spender,
+        uint256 _value,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        require(block.timestamp <= _deadline, "Permit expired");
+
+        bytes32 digest = keccak256(abi.encodePacked(
+            "\x19\x01",
+            DOMAIN_SEPARATOR(),
+            keccak256(abi.encode(PERMIT_TYPEHASH, _owner, _spender, _value, nonces[_owner]++, _deadline))
+        ));
+        address signer = ecrecover(digest, _v, _r, _s);
+        require(signer != address(0) && signer == _owner, "Invalid signature");
+
+        _approve(_owner, _spender, _value);
+    }
+
+    function _approve(address _owner, address _spender, uint256 _amount) private {
+        allowance[_owner][_spender] = _amount;
+        emit Approval(_owner, _spender, _amount);
+    }
+
+    function _transfer(address _from, address _to, uint256 _amount) private {
+        require(balanceOf[_from] >= _amount, "Insufficient balance");
+        uint256 fee = (_amount * transferFeePercent) / 100;
+        balanceOf[_from] -= _amount;
+        balanceOf[_to] += _amount - fee;
+        totalSupply -= fee;
+        emit Transfer(_from, _to, _amount - fee);
+    }
+}
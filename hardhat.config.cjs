@@ -1,5 +1,6 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@nomicfoundation/hardhat-verify");
+require("@fhevm/hardhat-plugin");
 require("dotenv").config();
 
 const SEPOLIA_RPC_URL = process.env.SEPOLIA_RPC_URL || "https://sepolia.infura.io/v3/YOUR_INFURA_KEY";
@@ -13,7 +14,8 @@ module.exports = {
     settings: {
       optimizer: {
         enabled: true,
-        runs: 200,
+        // Tuned for size so the court stays under the EIP-170 contract size limit
+        runs: 50,
       },
       viaIR: true,
     },
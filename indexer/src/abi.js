@@ -0,0 +1,52 @@
+/**
+ * Contract events the indexer stores, plus the refund entry points whose calldata
+ * tells an evidence refund from a witness refund (both emit RefundIssued).
+ */
+const COURT_EVENTS = [
+  "event InvestigationRequested(uint32 indexed investigationId, address indexed investigator, uint256 duration)",
+  "event InvestigationStarted(uint32 indexed investigationId, address indexed investigator, uint256 expiryTime)",
+  "event InvestigationApproved(uint32 indexed investigationId, address indexed approver)",
+  "event InvestigationRejected(uint32 indexed investigationId, address indexed approver, uint8 reasonCode)",
+  "event InvestigationCompleted(uint32 indexed investigationId)",
+  "event InvestigationTimedOut(uint32 indexed investigationId)",
+  "event ParticipantAuthorized(uint32 indexed investigationId, address indexed participant)",
+  "event ParticipantRevoked(uint32 indexed investigationId, address indexed participant)",
+  "event EvidenceSubmitted(uint32 indexed investigationId, uint32 indexed evidenceId, address indexed submitter, uint256 stake)",
+  "event WitnessTestimonySubmitted(uint32 indexed investigationId, uint32 indexed witnessId, uint256 stake)",
+  "event StakeReceived(uint32 indexed investigationId, address indexed sender, address indexed token, uint256 amount)",
+  "event EvidenceUnderstaked(uint32 indexed investigationId, uint32 indexed evidenceId, uint256 stake, uint256 minimum)",
+  "event EvidenceAttested(uint32 indexed investigationId, uint32 indexed evidenceId, address indexed investigator, uint32 attestations, uint32 threshold)",
+  "event EvidenceVerified(uint32 indexed investigationId, uint32 indexed evidenceId)",
+  "event EvidenceRejected(uint32 indexed investigationId, uint32 indexed evidenceId, address indexed investigator, bytes32 reasonHash, uint256 slashed)",
+  "event CustodyTransferred(uint32 indexed investigationId, uint32 indexed evidenceId, address from, address indexed to, uint256 transferIndex)",
+  "event EvidenceContentAnchored(uint32 indexed investigationId, uint32 indexed evidenceId, bytes32 contentHash)",
+  "event DecryptionRequested(uint256 indexed requestId, uint32 indexed investigationId, uint32 indexed evidenceId)",
+  "event DecryptionCompleted(uint256 indexed requestId, uint32 indexed investigationId, uint32 indexed evidenceId)",
+  "event DecryptionFailed(uint256 indexed requestId, uint32 indexed investigationId, uint32 indexed evidenceId)",
+  "event VerdictSubmitted(uint32 indexed investigationId, address indexed judge)",
+  "event VerdictRevealRequested(uint256 indexed requestId, uint32 indexed investigationId)",
+  "event VerdictRevealed(uint32 indexed investigationId, uint8 outcome, uint64 margin)",
+  "event RefundIssued(uint32 indexed investigationId, uint32 indexed itemId, address indexed recipient, uint256 amount)",
+];
+
+const REFUND_FUNCTIONS = [
+  "function requestEvidenceRefund(uint32 investigationId, uint32 evidenceId)",
+  "function requestWitnessRefund(uint32 investigationId, uint32 witnessId, bytes32 secret, address recipient)",
+];
+
+// Public struct getters; euint handles come back as bytes32
+const COURT_VIEWS = [
+  "function investigations(uint32) view returns (bytes32 encryptedCaseId, address investigator, uint8 status, uint256 startTime, uint256 endTime, uint256 expiryTime, bool isActive, uint256 totalStake, bytes32 obfuscatedMetric)",
+  "function caseEvidence(uint32, uint32) view returns (bytes32 evidenceId, bytes32 evidenceType, bytes32 confidentialityLevel, address submitter, uint256 timestamp, uint256 expiryTime, bool isVerified, uint256 stake, uint8 decryptionStatus, uint256 decryptionRequestId, address stakeToken)",
+  "function witnesses(uint32, uint32) view returns (bytes32 witnessId, bytes32 credibilityScore, bytes32 encryptedTestimony, bool isProtected, uint256 submissionTime, uint256 stake, bool refunded, bytes32 refundCommitment, address stakeToken)",
+  "function judicialVotes(uint32, address) view returns (bytes32 verdict, bytes32 confidence, address voter, uint256 voteTime, bool isSubmitted, bytes32 encryptedWeight)",
+  "function decryptionRequests(uint256) view returns (uint32 investigationId, uint32 evidenceId, address requester, uint256 timestamp, bool completed, uint256 deadline, bool failed, uint8 attempt)",
+  "function archivedAt(uint32) view returns (uint256)",
+];
+
+// Mirrors CourtStorage.InvestigationStatus; Archived has no event and is never indexed
+const INVESTIGATION_STATUS = ["Pending", "Active", "Completed", "Archived", "TimedOut", "Rejected"];
+
+const VERDICTS = ["NotGuilty", "Guilty", "InsufficientEvidence"];
+
+module.exports = { COURT_EVENTS, REFUND_FUNCTIONS, COURT_VIEWS, INVESTIGATION_STATUS, VERDICTS };
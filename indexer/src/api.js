@@ -0,0 +1,80 @@
+const { createServer } = require("node:http");
+const { listResource, getInvestigation, QueryError, RESOURCES } = require("./queries");
+const { createGraphqlEndpoint } = require("./graphql");
+
+const INVESTIGATION_PATH = /^\/investigations\/(\d+)$/;
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Read-only REST API over the indexed data:
+ *   GET /status
+ *   GET /investigations, /investigations/:id
+ *   GET /evidence, /witnesses, /votes, /refunds, /decryptionRequests, /events
+ * Listings take `limit`, `offset`, `order` and the filters named in queries.js.
+ * The same server answers GraphQL at /graphql (see graphql.js).
+ */
+const createApiServer = (db, indexer) => {
+  const graphqlEndpoint = createGraphqlEndpoint(db, indexer);
+
+  const server = createServer((req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+    if (req.method === "POST" && req.url === "/graphql") {
+      graphqlEndpoint.handleRequest(req, res, sendJson).catch((error) => {
+        console.error("POST /graphql failed:", error.message);
+        sendJson(res, 500, { errors: [{ message: "Internal error" }] });
+      });
+      return;
+    }
+    if (req.method !== "GET") {
+      sendJson(res, 405, { error: "Method not allowed" });
+      return;
+    }
+
+    const url = new URL(req.url || "/", "http://localhost");
+    const resource = url.pathname.slice(1);
+    const single = INVESTIGATION_PATH.exec(url.pathname);
+
+    try {
+      if (url.pathname === "/status") {
+        sendJson(res, 200, indexer.status());
+      } else if (single) {
+        const investigation = getInvestigation(db, Number(single[1]));
+        if (investigation) {
+          sendJson(res, 200, investigation);
+        } else {
+          sendJson(res, 404, { error: "Investigation not found" });
+        }
+      } else if (Object.hasOwn(RESOURCES, resource)) {
+        sendJson(res, 200, listResource(db, resource, Object.fromEntries(url.searchParams)));
+      } else {
+        sendJson(res, 404, { error: "Not found" });
+      }
+    } catch (error) {
+      if (error instanceof QueryError) {
+        sendJson(res, 400, { error: error.message });
+      } else {
+        console.error(`GET ${req.url} failed:`, error.message);
+        sendJson(res, 500, { error: "Internal error" });
+      }
+    }
+  });
+
+  graphqlEndpoint.attach(server);
+  return server;
+};
+
+module.exports = { createApiServer };
@@ -0,0 +1,152 @@
+const Database = require("better-sqlite3");
+
+/**
+ * Raw events are the source of truth; every other table is a projection that
+ * rebuildProjections() can recreate from them after a reorg rolls events back.
+ * Addresses compare case-insensitively so filters accept any checksum casing.
+ */
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sync_state (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    investigation_id INTEGER,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_name ON events (name);
+  CREATE INDEX IF NOT EXISTS events_by_investigation ON events (investigation_id);
+
+  CREATE TABLE IF NOT EXISTS investigations (
+    id INTEGER PRIMARY KEY,
+    investigator TEXT COLLATE NOCASE NOT NULL,
+    status TEXT NOT NULL,
+    requested_duration INTEGER,
+    requested_at INTEGER,
+    approver TEXT COLLATE NOCASE,
+    rejection_reason INTEGER,
+    start_time INTEGER,
+    expiry_time INTEGER,
+    end_time INTEGER,
+    participant_count INTEGER NOT NULL DEFAULT 0,
+    evidence_count INTEGER NOT NULL DEFAULT 0,
+    witness_count INTEGER NOT NULL DEFAULT 0,
+    vote_count INTEGER NOT NULL DEFAULT 0,
+    verdict TEXT,
+    verdict_margin INTEGER,
+    updated_block INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS participants (
+    investigation_id INTEGER NOT NULL,
+    address TEXT COLLATE NOCASE NOT NULL,
+    authorized_at INTEGER NOT NULL,
+    revoked_at INTEGER,
+    PRIMARY KEY (investigation_id, address)
+  );
+
+  CREATE TABLE IF NOT EXISTS evidence (
+    investigation_id INTEGER NOT NULL,
+    evidence_id INTEGER NOT NULL,
+    submitter TEXT COLLATE NOCASE NOT NULL,
+    custodian TEXT COLLATE NOCASE NOT NULL,
+    stake TEXT NOT NULL,
+    stake_token TEXT COLLATE NOCASE,
+    understaked INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'Pending',
+    attestations INTEGER NOT NULL DEFAULT 0,
+    attestation_threshold INTEGER,
+    slashed TEXT,
+    content_hash TEXT,
+    decryption_status TEXT NOT NULL DEFAULT 'None',
+    refunded INTEGER NOT NULL DEFAULT 0,
+    submitted_at INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    PRIMARY KEY (investigation_id, evidence_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS witnesses (
+    investigation_id INTEGER NOT NULL,
+    witness_id INTEGER NOT NULL,
+    stake TEXT NOT NULL,
+    stake_token TEXT COLLATE NOCASE,
+    refunded INTEGER NOT NULL DEFAULT 0,
+    submitted_at INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    PRIMARY KEY (investigation_id, witness_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS votes (
+    investigation_id INTEGER NOT NULL,
+    judge TEXT COLLATE NOCASE NOT NULL,
+    submitted_at INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    PRIMARY KEY (investigation_id, judge)
+  );
+
+  CREATE TABLE IF NOT EXISTS refunds (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    investigation_id INTEGER NOT NULL,
+    item_id INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    recipient TEXT COLLATE NOCASE NOT NULL,
+    amount TEXT NOT NULL,
+    token TEXT COLLATE NOCASE,
+    issued_at INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS decryption_requests (
+    request_id TEXT PRIMARY KEY,
+    investigation_id INTEGER NOT NULL,
+    evidence_id INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    requested_at INTEGER NOT NULL,
+    resolved_at INTEGER,
+    tx_hash TEXT NOT NULL
+  );
+`;
+
+const PROJECTION_TABLES = [
+  "investigations",
+  "participants",
+  "evidence",
+  "witnesses",
+  "votes",
+  "refunds",
+  "decryption_requests",
+];
+
+const openDatabase = (file) => {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  return db;
+};
+
+const getState = (db, key) => db.prepare("SELECT value FROM sync_state WHERE key = ?").get(key)?.value;
+
+const setState = (db, key, value) => {
+  db.prepare(
+    "INSERT INTO sync_state (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"
+  ).run(key, String(value));
+};
+
+module.exports = { openDatabase, getState, setState, PROJECTION_TABLES };
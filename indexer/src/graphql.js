@@ -0,0 +1,144 @@
+const { GraphQLError, Kind, execute, parse, specifiedRules, validate } = require("graphql");
+const { WebSocketServer } = require("ws");
+const { useServer } = require("graphql-ws/use/ws");
+const { schema } = require("./schema");
+const { createRootValue, createContextFactory } = require("./resolvers");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+// Investigations and their evidence or witnesses link to each other, so nesting is otherwise unbounded
+const MAX_QUERY_DEPTH = 6;
+
+/**
+ * Validation rule rejecting operations that nest fields deeper than `maxDepth`.
+ * Fragments are followed and measured once each; introspection fields are not counted.
+ */
+const depthLimitRule = (maxDepth) => (context) => {
+  const fragmentDepths = new Map();
+
+  const depthOf = (selectionSet) =>
+    selectionSet.selections.reduce((deepest, selection) => {
+      switch (selection.kind) {
+        case Kind.FIELD:
+          if (selection.name.value.startsWith("__")) {
+            return deepest;
+          }
+          return Math.max(deepest, selection.selectionSet ? 1 + depthOf(selection.selectionSet) : 1);
+        case Kind.INLINE_FRAGMENT:
+          return Math.max(deepest, depthOf(selection.selectionSet));
+        default: {
+          const name = selection.name.value;
+          if (!fragmentDepths.has(name)) {
+            // Zero while measuring, so fragment cycles (reported by NoFragmentCyclesRule) terminate
+            fragmentDepths.set(name, 0);
+            const fragment = context.getFragment(name);
+            fragmentDepths.set(name, fragment ? depthOf(fragment.selectionSet) : 0);
+          }
+          return Math.max(deepest, fragmentDepths.get(name));
+        }
+      }
+    }, 0);
+
+  return {
+    OperationDefinition(operation) {
+      const depth = depthOf(operation.selectionSet);
+      if (depth > maxDepth) {
+        context.reportError(
+          new GraphQLError(`Query depth ${depth} exceeds the limit of ${maxDepth}`, { nodes: [operation] })
+        );
+      }
+      return false;
+    },
+  };
+};
+
+const validationRules = [...specifiedRules, depthLimitRule(MAX_QUERY_DEPTH)];
+const validateOperation = (schema, document) => validate(schema, document, validationRules);
+
+const readJsonBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      } catch (error) {
+        reject(new Error("Request body must be JSON"));
+        return;
+      }
+      if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        reject(new Error("Request body must be a JSON object"));
+        return;
+      }
+      resolve(body);
+    });
+    req.on("error", reject);
+  });
+
+/**
+ * GraphQL endpoint at /graphql: queries over HTTP POST, and queries and
+ * subscriptions over WebSocket with the graphql-transport-ws protocol.
+ */
+const createGraphqlEndpoint = (db, indexer) => {
+  const rootValue = createRootValue(indexer);
+  const createContext = createContextFactory(db, indexer);
+
+  const handleRequest = async (req, res, sendJson) => {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { errors: [{ message: error.message }] });
+      return;
+    }
+
+    let document;
+    try {
+      document = parse(body.query || "");
+    } catch (error) {
+      sendJson(res, 200, { errors: [error] });
+      return;
+    }
+    const errors = validateOperation(schema, document);
+    if (errors.length > 0) {
+      sendJson(res, 200, { errors });
+      return;
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      rootValue,
+      contextValue: createContext(),
+      variableValues: body.variables,
+      operationName: body.operationName,
+    });
+    sendJson(res, 200, result);
+  };
+
+  const attach = (server) => {
+    const wsServer = new WebSocketServer({ server, path: "/graphql" });
+    useServer(
+      {
+        schema,
+        roots: { query: rootValue, subscription: rootValue },
+        context: createContext,
+        validate: validateOperation,
+      },
+      wsServer
+    );
+    return wsServer;
+  };
+
+  return { handleRequest, attach };
+};
+
+module.exports = { createGraphqlEndpoint };
@@ -0,0 +1,64 @@
+/**
+ * Court event indexer.
+ *
+ * Replays the contract's events from its deployment block into SQLite, follows new
+ * blocks (rolling back on reorgs) and serves the indexed data over REST and GraphQL.
+ *
+ * Usage: npm start
+ * Environment:
+ *   INDEXER_RPC_URL           JSON-RPC endpoint (default http://127.0.0.1:8545)
+ *   INDEXER_CONTRACT_ADDRESS  court address; defaults to deployments/localhost-deployment.json
+ *   INDEXER_START_BLOCK       first block to index; defaults to the deployment block
+ *   INDEXER_DB_PATH           SQLite file (default court-indexer.db)
+ *   INDEXER_PORT              API port (default 4000)
+ *   INDEXER_POLL_INTERVAL_MS  delay between syncs (default 2000)
+ *   INDEXER_REORG_DEPTH       blocks whose hashes are checked for reorgs (default 64)
+ */
+const fs = require("node:fs");
+const path = require("node:path");
+const { JsonRpcProvider } = require("ethers");
+const { openDatabase } = require("./db");
+const { CourtIndexer } = require("./indexer");
+const { createApiServer } = require("./api");
+
+const DEPLOYMENT_FILE = path.join(__dirname, "..", "..", "deployments", "localhost-deployment.json");
+
+const loadDeployment = () => {
+  if (!fs.existsSync(DEPLOYMENT_FILE)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(DEPLOYMENT_FILE, "utf8"));
+};
+
+const main = async () => {
+  const deployment = loadDeployment();
+  const address = process.env.INDEXER_CONTRACT_ADDRESS || deployment.contractAddress;
+  if (!address) {
+    throw new Error("Set INDEXER_CONTRACT_ADDRESS or run `npx hardhat run scripts/deploy.js --network localhost` first");
+  }
+  const startBlock = Number(process.env.INDEXER_START_BLOCK || Number(deployment.blockNumber) || 0);
+  const port = Number(process.env.INDEXER_PORT || 4000);
+
+  const provider = new JsonRpcProvider(process.env.INDEXER_RPC_URL || "http://127.0.0.1:8545");
+  const db = openDatabase(process.env.INDEXER_DB_PATH || "court-indexer.db");
+  const indexer = new CourtIndexer({
+    provider,
+    db,
+    address,
+    startBlock,
+    reorgDepth: Number(process.env.INDEXER_REORG_DEPTH || 64),
+  });
+
+  const { head, stored } = await indexer.syncOnce();
+  console.log(`Indexed ${stored} events from ${address} up to block ${head}`);
+  indexer.start(Number(process.env.INDEXER_POLL_INTERVAL_MS || 2000));
+
+  createApiServer(db, indexer).listen(port, () => {
+    console.log(`Indexer API listening at http://localhost:${port} (GraphQL at /graphql)`);
+  });
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
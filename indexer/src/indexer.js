@@ -0,0 +1,237 @@
+const { EventEmitter } = require("node:events");
+const { Interface } = require("ethers");
+const { COURT_EVENTS, REFUND_FUNCTIONS } = require("./abi");
+const { getState, setState } = require("./db");
+const { applyEvent, rebuildProjections } = require("./projections");
+
+const courtInterface = new Interface([...COURT_EVENTS, ...REFUND_FUNCTIONS]);
+const WITNESS_REFUND_SELECTOR = courtInterface.getFunction("requestWitnessRefund").selector;
+const EVIDENCE_REFUND_SELECTOR = courtInterface.getFunction("requestEvidenceRefund").selector;
+
+/**
+ * Replays the court's events into SQLite and then follows the chain head.
+ *
+ * Block hashes of the last `reorgDepth` blocks are kept; when one no longer matches
+ * the chain, events past the fork point are dropped and the projections rebuilt
+ * before syncing continues. Emits "event" for every stored event and "reorg" with
+ * the fork block after a rollback.
+ */
+class CourtIndexer extends EventEmitter {
+  constructor({ provider, db, address, startBlock = 0, batchSize = 2000, reorgDepth = 64 }) {
+    super();
+    this.provider = provider;
+    this.db = db;
+    this.address = address;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+    this.timer = null;
+
+    const indexedAddress = getState(db, "contract_address");
+    if (indexedAddress && indexedAddress.toLowerCase() !== address.toLowerCase()) {
+      throw new Error(`Database already indexes ${indexedAddress}; use a new database for ${address}`);
+    }
+    setState(db, "contract_address", address);
+  }
+
+  get lastBlock() {
+    const stored = getState(this.db, "last_block");
+    return stored === undefined ? this.startBlock - 1 : Number(stored);
+  }
+
+  /**
+   * Catch up to the current head in batches of `batchSize` blocks.
+   * Returns the head reached and how many events were stored.
+   */
+  async syncOnce() {
+    const head = await this.provider.getBlockNumber();
+    await this.handleReorg(head);
+
+    let stored = 0;
+    for (let from = this.lastBlock + 1; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      stored += await this.syncRange(from, to, head);
+    }
+    return { head, stored };
+  }
+
+  start(intervalMs = 2000) {
+    const poll = async () => {
+      try {
+        await this.syncOnce();
+      } catch (error) {
+        console.error("Indexer sync failed:", error.message);
+      }
+      if (this.timer) {
+        this.timer = setTimeout(poll, intervalMs);
+      }
+    };
+    this.timer = setTimeout(poll, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  status() {
+    const lastReorgBlock = getState(this.db, "last_reorg_block");
+    return {
+      contractAddress: this.address,
+      startBlock: this.startBlock,
+      lastBlock: this.lastBlock,
+      lastReorgBlock: lastReorgBlock === undefined ? null : Number(lastReorgBlock),
+      eventCount: this.db.prepare("SELECT COUNT(*) AS count FROM events").get().count,
+    };
+  }
+
+  async syncRange(from, to, head) {
+    const logs = await this.provider.getLogs({ address: this.address, fromBlock: from, toBlock: to });
+
+    // Headers are needed for event timestamps and for every block inside the reorg window
+    const numbers = new Set(logs.map((log) => log.blockNumber));
+    for (let number = Math.max(from, head - this.reorgDepth + 1); number <= to; number++) {
+      numbers.add(number);
+    }
+    const blocks = new Map();
+    for (const number of numbers) {
+      const block = await this.provider.getBlock(number);
+      if (!block) {
+        throw new Error(`Block ${number} not found; chain reorganised while syncing`);
+      }
+      blocks.set(number, { hash: block.hash, timestamp: Number(block.timestamp) });
+    }
+
+    const events = [];
+    for (const log of logs) {
+      const parsed = courtInterface.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+      const block = blocks.get(log.blockNumber);
+      if (block.hash !== log.blockHash) {
+        throw new Error(`Block ${log.blockNumber} changed while syncing; chain reorganised`);
+      }
+      const args = toPlainArgs(parsed);
+      if (parsed.name === "RefundIssued") {
+        args.kind = await this.refundKind(log, logs);
+      }
+      events.push({
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        blockHash: log.blockHash,
+        txHash: log.transactionHash,
+        timestamp: block.timestamp,
+        name: parsed.name,
+        investigationId: args.investigationId ?? null,
+        args,
+      });
+    }
+
+    this.db.transaction(() => {
+      const insertEvent = this.db.prepare(
+        `INSERT INTO events (block_number, log_index, block_hash, tx_hash, timestamp, name, investigation_id, args)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      );
+      for (const event of events) {
+        insertEvent.run(
+          event.blockNumber,
+          event.logIndex,
+          event.blockHash,
+          event.txHash,
+          event.timestamp,
+          event.name,
+          event.investigationId,
+          JSON.stringify(event.args)
+        );
+        applyEvent(this.db, event);
+      }
+
+      const insertBlock = this.db.prepare(
+        "INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)"
+      );
+      for (const [number, block] of blocks) {
+        insertBlock.run(number, block.hash, block.timestamp);
+      }
+      this.db.prepare("DELETE FROM blocks WHERE number <= ?").run(head - this.reorgDepth);
+      setState(this.db, "last_block", to);
+    })();
+
+    for (const event of events) {
+      this.emit("event", event);
+    }
+    return events.length;
+  }
+
+  // Walk back from the newest stored block to the first one the chain still agrees with
+  async handleReorg(head) {
+    const stored = this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC").all();
+    if (stored.length === 0) {
+      return;
+    }
+
+    let forkBlock = null;
+    for (const { number, hash } of stored) {
+      const block = number <= head ? await this.provider.getBlock(number) : null;
+      if (block && block.hash === hash) {
+        forkBlock = number;
+        break;
+      }
+    }
+    if (forkBlock === stored[0].number) {
+      return;
+    }
+    if (forkBlock === null) {
+      throw new Error(`Reorg deeper than ${this.reorgDepth} blocks; delete the database and reindex`);
+    }
+
+    this.db.transaction(() => {
+      this.db.prepare("DELETE FROM events WHERE block_number > ?").run(forkBlock);
+      this.db.prepare("DELETE FROM blocks WHERE number > ?").run(forkBlock);
+      rebuildProjections(this.db);
+      setState(this.db, "last_block", forkBlock);
+      setState(this.db, "last_reorg_block", forkBlock);
+    })();
+    console.warn(`Chain reorganised; rolled back to block ${forkBlock}`);
+    this.emit("reorg", forkBlock);
+  }
+
+  // Rejections refund evidence in the same transaction; otherwise the called function decides
+  async refundKind(log, logs) {
+    const rejected = logs.some(
+      (other) =>
+        other.transactionHash === log.transactionHash &&
+        courtInterface.parseLog(other)?.name === "EvidenceRejected"
+    );
+    if (rejected) {
+      return "evidence";
+    }
+
+    const tx = await this.provider.getTransaction(log.transactionHash);
+    const selector = tx?.data?.slice(0, 10);
+    if (selector === WITNESS_REFUND_SELECTOR) {
+      return "witness";
+    }
+    if (selector === EVIDENCE_REFUND_SELECTOR) {
+      return "evidence";
+    }
+    return "unknown";
+  }
+}
+
+// Small integers become numbers; uint256 values stay decimal strings so nothing is rounded
+const toPlainArgs = (parsed) => {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, index) => {
+    const value = parsed.args[index];
+    const bits = Number(input.type.replace(/^u?int/, "")) || 256;
+    if (typeof value === "bigint") {
+      args[input.name] = bits <= 32 ? Number(value) : value.toString();
+    } else {
+      args[input.name] = value;
+    }
+  });
+  return args;
+};
+
+module.exports = { CourtIndexer };
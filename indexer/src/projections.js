@@ -0,0 +1,243 @@
+const { PROJECTION_TABLES } = require("./db");
+const { VERDICTS } = require("./abi");
+
+/**
+ * Projection handlers, one per event name. Each receives the database and a stored
+ * event ({ blockNumber, logIndex, txHash, timestamp, args }) and folds it into the
+ * query tables. Events without a handler are kept in the raw log only.
+ */
+const HANDLERS = {
+  InvestigationRequested: (db, { blockNumber, timestamp, args }) => {
+    db.prepare(
+      `INSERT INTO investigations (id, investigator, status, requested_duration, requested_at, updated_block)
+       VALUES (?, ?, 'Pending', ?, ?, ?)`
+    ).run(args.investigationId, args.investigator, Number(args.duration), timestamp, blockNumber);
+    countParticipants(db, args.investigationId, blockNumber);
+  },
+
+  // Direct starts by the admin have no request, so the row may not exist yet
+  InvestigationStarted: (db, { blockNumber, timestamp, args }) => {
+    db.prepare(
+      `INSERT INTO investigations (id, investigator, status, start_time, expiry_time, updated_block)
+       VALUES (?, ?, 'Active', ?, ?, ?)
+       ON CONFLICT (id) DO UPDATE SET status = 'Active', start_time = excluded.start_time,
+         expiry_time = excluded.expiry_time, updated_block = excluded.updated_block`
+    ).run(args.investigationId, args.investigator, timestamp, Number(args.expiryTime), blockNumber);
+    countParticipants(db, args.investigationId, blockNumber);
+  },
+
+  InvestigationApproved: (db, { blockNumber, args }) => {
+    updateInvestigation(db, args.investigationId, blockNumber, "approver = ?", args.approver);
+  },
+
+  InvestigationRejected: (db, { blockNumber, timestamp, args }) => {
+    updateInvestigation(
+      db,
+      args.investigationId,
+      blockNumber,
+      "status = 'Rejected', approver = ?, rejection_reason = ?, end_time = ?",
+      args.approver,
+      args.reasonCode,
+      timestamp
+    );
+  },
+
+  InvestigationCompleted: (db, { blockNumber, timestamp, args }) => {
+    updateInvestigation(db, args.investigationId, blockNumber, "status = 'Completed', end_time = ?", timestamp);
+  },
+
+  InvestigationTimedOut: (db, { blockNumber, timestamp, args }) => {
+    updateInvestigation(db, args.investigationId, blockNumber, "status = 'TimedOut', end_time = ?", timestamp);
+  },
+
+  ParticipantAuthorized: (db, { blockNumber, timestamp, args }) => {
+    db.prepare(
+      `INSERT INTO participants (investigation_id, address, authorized_at) VALUES (?, ?, ?)
+       ON CONFLICT (investigation_id, address) DO UPDATE SET authorized_at = excluded.authorized_at, revoked_at = NULL`
+    ).run(args.investigationId, args.participant, timestamp);
+    countParticipants(db, args.investigationId, blockNumber);
+  },
+
+  ParticipantRevoked: (db, { blockNumber, timestamp, args }) => {
+    db.prepare("UPDATE participants SET revoked_at = ? WHERE investigation_id = ? AND address = ?").run(
+      timestamp,
+      args.investigationId,
+      args.participant
+    );
+    countParticipants(db, args.investigationId, blockNumber);
+  },
+
+  EvidenceSubmitted: (db, { blockNumber, timestamp, txHash, args }) => {
+    db.prepare(
+      `INSERT INTO evidence (investigation_id, evidence_id, submitter, custodian, stake, submitted_at, tx_hash)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).run(args.investigationId, args.evidenceId, args.submitter, args.submitter, args.stake, timestamp, txHash);
+    updateInvestigation(db, args.investigationId, blockNumber, "evidence_count = evidence_count + 1");
+  },
+
+  // Witnesses are stored without the sender so the API never links a testimony to an account;
+  // the contract logs their StakeReceived without one too
+  WitnessTestimonySubmitted: (db, { blockNumber, timestamp, txHash, args }) => {
+    db.prepare(
+      `INSERT INTO witnesses (investigation_id, witness_id, stake, submitted_at, tx_hash)
+       VALUES (?, ?, ?, ?, ?)`
+    ).run(args.investigationId, args.witnessId, args.stake, timestamp, txHash);
+    updateInvestigation(db, args.investigationId, blockNumber, "witness_count = witness_count + 1");
+  },
+
+  // Follows EvidenceSubmitted or WitnessTestimonySubmitted in the same transaction
+  StakeReceived: (db, { txHash, args }) => {
+    for (const table of ["evidence", "witnesses"]) {
+      db.prepare(`UPDATE ${table} SET stake_token = ? WHERE investigation_id = ? AND tx_hash = ?`).run(
+        args.token,
+        args.investigationId,
+        txHash
+      );
+    }
+  },
+
+  EvidenceUnderstaked: (db, { args }) => {
+    updateEvidence(db, args, "understaked = 1");
+  },
+
+  EvidenceAttested: (db, { args }) => {
+    updateEvidence(db, args, "attestations = ?, attestation_threshold = ?", args.attestations, args.threshold);
+  },
+
+  EvidenceVerified: (db, { args }) => {
+    updateEvidence(db, args, "status = 'Verified'");
+  },
+
+  EvidenceRejected: (db, { args }) => {
+    updateEvidence(db, args, "status = 'Rejected', slashed = ?", args.slashed);
+  },
+
+  CustodyTransferred: (db, { args }) => {
+    updateEvidence(db, args, "custodian = ?", args.to);
+  },
+
+  EvidenceContentAnchored: (db, { args }) => {
+    updateEvidence(db, args, "content_hash = ?", args.contentHash);
+  },
+
+  DecryptionRequested: (db, { timestamp, txHash, args }) => {
+    db.prepare(
+      `INSERT INTO decryption_requests (request_id, investigation_id, evidence_id, status, requested_at, tx_hash)
+       VALUES (?, ?, ?, 'Requested', ?, ?)`
+    ).run(args.requestId, args.investigationId, args.evidenceId, timestamp, txHash);
+    updateEvidence(db, args, "decryption_status = 'Requested'");
+  },
+
+  DecryptionCompleted: (db, event) => resolveDecryption(db, event, "Completed"),
+
+  DecryptionFailed: (db, event) => resolveDecryption(db, event, "Failed"),
+
+  VerdictSubmitted: (db, { blockNumber, timestamp, txHash, args }) => {
+    db.prepare(
+      `INSERT INTO votes (investigation_id, judge, submitted_at, block_number, tx_hash) VALUES (?, ?, ?, ?, ?)`
+    ).run(args.investigationId, args.judge, timestamp, blockNumber, txHash);
+    updateInvestigation(db, args.investigationId, blockNumber, "vote_count = vote_count + 1");
+  },
+
+  VerdictRevealed: (db, { blockNumber, args }) => {
+    updateInvestigation(
+      db,
+      args.investigationId,
+      blockNumber,
+      "verdict = ?, verdict_margin = ?",
+      VERDICTS[args.outcome],
+      Number(args.margin)
+    );
+  },
+
+  // kind is resolved from the transaction when the event is ingested
+  RefundIssued: (db, { blockNumber, logIndex, timestamp, txHash, args }) => {
+    const table = args.kind === "witness" ? "witnesses" : "evidence";
+    const idColumn = args.kind === "witness" ? "witness_id" : "evidence_id";
+    const item = db
+      .prepare(`SELECT stake_token FROM ${table} WHERE investigation_id = ? AND ${idColumn} = ?`)
+      .get(args.investigationId, args.itemId);
+
+    db.prepare(
+      `INSERT INTO refunds (block_number, log_index, investigation_id, item_id, kind, recipient, amount, token, issued_at, tx_hash)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      blockNumber,
+      logIndex,
+      args.investigationId,
+      args.itemId,
+      args.kind,
+      args.recipient,
+      args.amount,
+      item?.stake_token ?? null,
+      timestamp,
+      txHash
+    );
+    if (args.kind !== "unknown") {
+      db.prepare(`UPDATE ${table} SET refunded = 1 WHERE investigation_id = ? AND ${idColumn} = ?`).run(
+        args.investigationId,
+        args.itemId
+      );
+    }
+  },
+};
+
+const updateInvestigation = (db, id, blockNumber, assignments, ...values) => {
+  db.prepare(`UPDATE investigations SET ${assignments}, updated_block = ? WHERE id = ?`).run(...values, blockNumber, id);
+};
+
+// The creator is authorized before the investigation's own event, so count rather than increment
+const countParticipants = (db, id, blockNumber) => {
+  updateInvestigation(
+    db,
+    id,
+    blockNumber,
+    "participant_count = (SELECT COUNT(*) FROM participants WHERE investigation_id = ? AND revoked_at IS NULL)",
+    id
+  );
+};
+
+const updateEvidence = (db, { investigationId, evidenceId }, assignments, ...values) => {
+  db.prepare(`UPDATE evidence SET ${assignments} WHERE investigation_id = ? AND evidence_id = ?`).run(
+    ...values,
+    investigationId,
+    evidenceId
+  );
+};
+
+const resolveDecryption = (db, { timestamp, args }, status) => {
+  db.prepare("UPDATE decryption_requests SET status = ?, resolved_at = ? WHERE request_id = ?").run(
+    status,
+    timestamp,
+    args.requestId
+  );
+  updateEvidence(db, args, "decryption_status = ?", status);
+};
+
+const applyEvent = (db, event) => {
+  HANDLERS[event.name]?.(db, event);
+};
+
+// Clear every projection and replay the raw log in chain order
+const rebuildProjections = (db) => {
+  for (const table of PROJECTION_TABLES) {
+    db.prepare(`DELETE FROM ${table}`).run();
+  }
+  const rows = db.prepare("SELECT * FROM events ORDER BY block_number, log_index").all();
+  for (const row of rows) {
+    applyEvent(db, fromEventRow(row));
+  }
+};
+
+const fromEventRow = (row) => ({
+  blockNumber: row.block_number,
+  logIndex: row.log_index,
+  blockHash: row.block_hash,
+  txHash: row.tx_hash,
+  timestamp: row.timestamp,
+  name: row.name,
+  investigationId: row.investigation_id,
+  args: JSON.parse(row.args),
+});
+
+module.exports = { applyEvent, rebuildProjections, fromEventRow };
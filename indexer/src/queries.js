@@ -0,0 +1,207 @@
+/**
+ * Read side shared by the API: filtered, paginated listings over the projection
+ * tables. Filter values arrive as strings and are validated here, so callers can
+ * pass query parameters straight through.
+ */
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+class QueryError extends Error {}
+
+const integer = (name, value) => {
+  if (!/^\d+$/.test(value)) {
+    throw new QueryError(`${name} must be a non-negative integer`);
+  }
+  return Number(value);
+};
+
+const address = (name, value) => {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    throw new QueryError(`${name} must be an address`);
+  }
+  return value;
+};
+
+const boolean = (name, value) => {
+  if (value !== "true" && value !== "false") {
+    throw new QueryError(`${name} must be true or false`);
+  }
+  return value === "true" ? 1 : 0;
+};
+
+const oneOf = (...allowed) => (name, value) => {
+  if (!allowed.includes(value)) {
+    throw new QueryError(`${name} must be one of ${allowed.join(", ")}`);
+  }
+  return value;
+};
+
+// Filter name -> [column, operator, parser]
+const RESOURCES = {
+  investigations: {
+    table: "investigations",
+    orderBy: ["id"],
+    filters: {
+      investigator: ["investigator", "=", address],
+      approver: ["approver", "=", address],
+      status: ["status", "=", oneOf("Pending", "Active", "Completed", "TimedOut", "Rejected")],
+      verdict: ["verdict", "=", oneOf("NotGuilty", "Guilty", "InsufficientEvidence")],
+      minEvidenceCount: ["evidence_count", ">=", integer],
+      maxEvidenceCount: ["evidence_count", "<=", integer],
+      minWitnessCount: ["witness_count", ">=", integer],
+      maxWitnessCount: ["witness_count", "<=", integer],
+      startedAfter: ["start_time", ">=", integer],
+      startedBefore: ["start_time", "<=", integer],
+    },
+  },
+  evidence: {
+    table: "evidence",
+    orderBy: ["investigation_id", "evidence_id"],
+    booleans: ["understaked", "refunded"],
+    filters: {
+      investigationId: ["investigation_id", "=", integer],
+      submitter: ["submitter", "=", address],
+      custodian: ["custodian", "=", address],
+      stakeToken: ["stake_token", "=", address],
+      status: ["status", "=", oneOf("Pending", "Verified", "Rejected")],
+      decryptionStatus: ["decryption_status", "=", oneOf("None", "Requested", "Completed", "Failed")],
+      refunded: ["refunded", "=", boolean],
+    },
+  },
+  witnesses: {
+    table: "witnesses",
+    orderBy: ["investigation_id", "witness_id"],
+    booleans: ["refunded"],
+    filters: {
+      investigationId: ["investigation_id", "=", integer],
+      stakeToken: ["stake_token", "=", address],
+      refunded: ["refunded", "=", boolean],
+    },
+  },
+  votes: {
+    table: "votes",
+    orderBy: ["block_number", "investigation_id"],
+    filters: {
+      investigationId: ["investigation_id", "=", integer],
+      judge: ["judge", "=", address],
+    },
+  },
+  refunds: {
+    table: "refunds",
+    orderBy: ["block_number", "log_index"],
+    filters: {
+      investigationId: ["investigation_id", "=", integer],
+      kind: ["kind", "=", oneOf("evidence", "witness", "unknown")],
+      recipient: ["recipient", "=", address],
+    },
+  },
+  decryptionRequests: {
+    table: "decryption_requests",
+    orderBy: ["requested_at", "rowid"],
+    filters: {
+      investigationId: ["investigation_id", "=", integer],
+      evidenceId: ["evidence_id", "=", integer],
+      status: ["status", "=", oneOf("Requested", "Completed", "Failed")],
+    },
+  },
+  events: {
+    table: "events",
+    orderBy: ["block_number", "log_index"],
+    json: ["args"],
+    filters: {
+      investigationId: ["investigation_id", "=", integer],
+      name: ["name", "=", (name, value) => value],
+      fromBlock: ["block_number", ">=", integer],
+      toBlock: ["block_number", "<=", integer],
+    },
+  },
+};
+
+const toCamelCase = (column) => column.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
+const toRecord = (resource, row) => {
+  const record = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (resource.booleans?.includes(column)) {
+      record[toCamelCase(column)] = value === 1;
+    } else if (resource.json?.includes(column)) {
+      record[toCamelCase(column)] = JSON.parse(value);
+    } else {
+      record[toCamelCase(column)] = value;
+    }
+  }
+  return record;
+};
+
+/**
+ * List a resource, newest first unless `order=asc`.
+ * Returns { data, pagination: { limit, offset, total } }.
+ */
+const listResource = (db, name, params = {}) => {
+  const resource = RESOURCES[name];
+  const { limit = String(DEFAULT_PAGE_SIZE), offset = "0", order = "desc", ...filters } = params;
+
+  const pageSize = integer("limit", limit);
+  if (pageSize === 0 || pageSize > MAX_PAGE_SIZE) {
+    throw new QueryError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  const skip = integer("offset", offset);
+  const direction = oneOf("asc", "desc")("order", order).toUpperCase();
+
+  const conditions = [];
+  const values = [];
+  for (const [filter, value] of Object.entries(filters)) {
+    // Own keys only, so names like "constructor" are unknown rather than inherited
+    if (!Object.hasOwn(resource.filters, filter)) {
+      throw new QueryError(`Unknown filter ${filter} for ${name}`);
+    }
+    const [column, operator, parse] = resource.filters[filter];
+    conditions.push(`${column} ${operator} ?`);
+    values.push(parse(filter, value));
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+  const orderBy = resource.orderBy.map((column) => `${column} ${direction}`).join(", ");
+
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM ${resource.table} ${where}`).get(...values).count;
+  const rows = db
+    .prepare(`SELECT * FROM ${resource.table} ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`)
+    .all(...values, pageSize, skip);
+
+  return {
+    data: rows.map((row) => toRecord(resource, row)),
+    pagination: { limit: pageSize, offset: skip, total },
+  };
+};
+
+// One investigation with its participants, or null when it was never indexed
+const getInvestigation = (db, id) => {
+  const row = db.prepare("SELECT * FROM investigations WHERE id = ?").get(id);
+  if (!row) {
+    return null;
+  }
+
+  const participants = db
+    .prepare("SELECT address, authorized_at, revoked_at FROM participants WHERE investigation_id = ? ORDER BY authorized_at")
+    .all(id);
+  return {
+    ...toRecord(RESOURCES.investigations, row),
+    participants: participants.map((participant) => toRecord({}, participant)),
+  };
+};
+
+const getEvidence = (db, investigationId, evidenceId) => {
+  const row = db
+    .prepare("SELECT * FROM evidence WHERE investigation_id = ? AND evidence_id = ?")
+    .get(investigationId, evidenceId);
+  return row ? toRecord(RESOURCES.evidence, row) : null;
+};
+
+module.exports = {
+  listResource,
+  getInvestigation,
+  getEvidence,
+  QueryError,
+  RESOURCES,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+};
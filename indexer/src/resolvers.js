@@ -0,0 +1,169 @@
+const { on } = require("node:events");
+const { Contract } = require("ethers");
+const { COURT_VIEWS } = require("./abi");
+const { listResource, getInvestigation, getEvidence } = require("./queries");
+
+/**
+ * Root resolvers for the GraphQL schema. Records come from the projection tables;
+ * fields the events do not carry (stake totals, deadlines, ciphertext handles) are
+ * functions that read the contract, memoised per request in `context.read`.
+ */
+
+// GraphQL arguments as the string parameters listResource validates
+const toParams = ({ filter, limit, offset, order } = {}) => {
+  const params = {};
+  for (const [key, value] of Object.entries({ ...filter, limit, offset, order })) {
+    if (value !== undefined && value !== null) {
+      params[key] = String(value);
+    }
+  }
+  return params;
+};
+
+const page = (db, resource, args, toNode) => {
+  const { data, pagination } = listResource(db, resource, toParams(args));
+  return { data: data.map(toNode), pagination };
+};
+
+// Child lists of an investigation, oldest first
+const children = (db, resource, investigationId, { limit, offset }, toNode) =>
+  listResource(db, resource, toParams({ filter: { investigationId }, limit, offset, order: "asc" })).data.map(toNode);
+
+const timestampOrNull = (value) => (value === 0n ? null : Number(value));
+
+const investigationNode = (record) => ({
+  ...record,
+  isActive: record.status === "Active",
+  authorizedParticipants: (_, { db }) =>
+    db
+      .prepare(
+        "SELECT address FROM participants WHERE investigation_id = ? AND revoked_at IS NULL ORDER BY authorized_at"
+      )
+      .all(record.id)
+      .map((participant) => participant.address),
+  archivedAt: async (_, { read }) => timestampOrNull(await read("archivedAt", record.id)),
+  totalStake: async (_, { read }) => (await read("investigations", record.id)).totalStake.toString(),
+  evidence: (args, { db }) => children(db, "evidence", record.id, args, evidenceNode),
+  witnesses: (args, { db }) => children(db, "witnesses", record.id, args, witnessNode),
+  votes: (args, { db }) => children(db, "votes", record.id, args, voteNode),
+  handles: async (_, { read }) => {
+    const { encryptedCaseId, obfuscatedMetric } = await read("investigations", record.id);
+    return { encryptedCaseId, obfuscatedMetric };
+  },
+});
+
+const parentInvestigation = (investigationId) => (_, { db }) => {
+  const record = getInvestigation(db, investigationId);
+  return record && investigationNode(record);
+};
+
+const evidenceNode = (record) => {
+  const onChain = (read) => read("caseEvidence", record.investigationId, record.evidenceId);
+  return {
+    ...record,
+    investigation: parentInvestigation(record.investigationId),
+    timestamp: record.submittedAt,
+    isVerified: record.status === "Verified",
+    expiryTime: async (_, { read }) => Number((await onChain(read)).expiryTime),
+    decryptionRequestId: async (_, { read }) => (await onChain(read)).decryptionRequestId.toString(),
+    handles: async (_, { read }) => {
+      const { evidenceId, evidenceType, confidentialityLevel } = await onChain(read);
+      return { evidenceId, evidenceType, confidentialityLevel };
+    },
+  };
+};
+
+const witnessNode = (record) => {
+  const onChain = (read) => read("witnesses", record.investigationId, record.witnessId);
+  return {
+    ...record,
+    investigation: parentInvestigation(record.investigationId),
+    submissionTime: record.submittedAt,
+    isProtected: async (_, { read }) => (await onChain(read)).isProtected,
+    handles: async (_, { read }) => {
+      const { witnessId, credibilityScore, encryptedTestimony } = await onChain(read);
+      return { witnessId, credibilityScore, encryptedTestimony };
+    },
+  };
+};
+
+const voteNode = (record) => ({
+  investigationId: record.investigationId,
+  investigation: parentInvestigation(record.investigationId),
+  voter: record.judge,
+  voteTime: record.submittedAt,
+  isSubmitted: true,
+  handles: async (_, { read }) => {
+    const { verdict, confidence, encryptedWeight } = await read("judicialVotes", record.investigationId, record.judge);
+    return { verdict, confidence, encryptedWeight };
+  },
+});
+
+const decryptionRequestNode = (record) => {
+  const onChain = (read) => read("decryptionRequests", record.requestId);
+  return {
+    ...record,
+    evidence: (_, { db }) => {
+      const evidence = getEvidence(db, record.investigationId, record.evidenceId);
+      return evidence && evidenceNode(evidence);
+    },
+    timestamp: record.requestedAt,
+    completed: record.status === "Completed",
+    failed: record.status === "Failed",
+    requester: async (_, { read }) => (await onChain(read)).requester,
+    deadline: async (_, { read }) => Number((await onChain(read)).deadline),
+    attempt: async (_, { read }) => Number((await onChain(read)).attempt),
+  };
+};
+
+// Async iterator over an indexer event, shaped as the subscription field's payload
+async function* subscription(indexer, eventName, field, accept = () => true) {
+  for await (const [value] of on(indexer, eventName)) {
+    if (accept(value)) {
+      yield { [field]: value };
+    }
+  }
+}
+
+const createRootValue = (indexer) => ({
+  status: () => indexer.status(),
+  investigation: ({ id }, { db }) => {
+    const record = getInvestigation(db, id);
+    return record && investigationNode(record);
+  },
+  investigations: (args, { db }) => page(db, "investigations", args, investigationNode),
+  evidence: (args, { db }) => page(db, "evidence", args, evidenceNode),
+  witnesses: (args, { db }) => page(db, "witnesses", args, witnessNode),
+  votes: (args, { db }) => page(db, "votes", args, voteNode),
+  decryptionRequests: (args, { db }) => page(db, "decryptionRequests", args, decryptionRequestNode),
+  events: (args, { db }) => page(db, "events", args, (record) => record),
+
+  courtEvent: ({ names, investigationId }) =>
+    subscription(
+      indexer,
+      "event",
+      "courtEvent",
+      (event) =>
+        (!names || names.includes(event.name)) &&
+        (investigationId === undefined || investigationId === null || event.investigationId === investigationId)
+    ),
+  chainReorganized: () => subscription(indexer, "reorg", "chainReorganized"),
+});
+
+// Per-request context; view calls are shared by every field that needs the same record
+const createContextFactory = (db, indexer) => {
+  const court = new Contract(indexer.address, COURT_VIEWS, indexer.provider);
+  return () => {
+    const cache = new Map();
+    const read = (method, ...args) => {
+      const key = [method, ...args].join(":");
+      if (!cache.has(key)) {
+        cache.set(key, court[method](...args));
+      }
+      return cache.get(key);
+    };
+    return { db, read };
+  };
+};
+
+module.exports = { createRootValue, createContextFactory };
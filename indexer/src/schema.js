@@ -0,0 +1,229 @@
+const { buildSchema } = require("graphql");
+
+/**
+ * GraphQL types mirroring the contract's Investigation, EncryptedEvidence,
+ * AnonymousWitness, JudicialVote and DecryptionRequest structs. Public fields come
+ * from the indexed events and from view calls; ciphertext handles sit behind each
+ * type's `handles` field and are only read from the chain when it is selected.
+ */
+const typeDefs = `
+  "uint256 as a decimal string"
+  scalar BigInt
+  "Unix time in seconds"
+  scalar Timestamp
+  scalar JSON
+
+  enum InvestigationStatus { Pending Active Completed Archived TimedOut Rejected }
+  enum Verdict { NotGuilty Guilty InsufficientEvidence }
+  enum DecryptionStatus { None Requested Completed Failed }
+  enum EvidenceStatus { Pending Verified Rejected }
+  enum SortOrder { asc desc }
+
+  type Pagination {
+    limit: Int!
+    offset: Int!
+    total: Int!
+  }
+
+  type Investigation {
+    id: Int!
+    investigator: String!
+    "Last status seen in events; archiving emits none, so see archivedAt"
+    status: InvestigationStatus!
+    isActive: Boolean!
+    startTime: Timestamp
+    endTime: Timestamp
+    expiryTime: Timestamp
+    archivedAt: Timestamp
+    requestedDuration: Int
+    approver: String
+    rejectionReason: Int
+    authorizedParticipants: [String!]!
+    totalStake: BigInt!
+    evidenceCount: Int!
+    witnessCount: Int!
+    voteCount: Int!
+    verdict: Verdict
+    verdictMargin: Int
+    evidence(limit: Int = 100, offset: Int = 0): [EncryptedEvidence!]!
+    witnesses(limit: Int = 100, offset: Int = 0): [AnonymousWitness!]!
+    votes(limit: Int = 100, offset: Int = 0): [JudicialVote!]!
+    handles: InvestigationHandles!
+  }
+
+  type InvestigationHandles {
+    encryptedCaseId: String!
+    obfuscatedMetric: String!
+  }
+
+  type EncryptedEvidence {
+    investigationId: Int!
+    evidenceId: Int!
+    investigation: Investigation
+    submitter: String!
+    custodian: String!
+    timestamp: Timestamp!
+    expiryTime: Timestamp!
+    isVerified: Boolean!
+    status: EvidenceStatus!
+    stake: BigInt!
+    stakeToken: String
+    understaked: Boolean!
+    slashed: BigInt
+    attestations: Int!
+    attestationThreshold: Int
+    contentHash: String
+    refunded: Boolean!
+    decryptionStatus: DecryptionStatus!
+    decryptionRequestId: BigInt!
+    handles: EvidenceHandles!
+  }
+
+  type EvidenceHandles {
+    evidenceId: String!
+    evidenceType: String!
+    confidentialityLevel: String!
+  }
+
+  "Witness records carry no account; the testimony cannot be linked to its sender"
+  type AnonymousWitness {
+    investigationId: Int!
+    witnessId: Int!
+    investigation: Investigation
+    isProtected: Boolean!
+    submissionTime: Timestamp!
+    stake: BigInt!
+    stakeToken: String
+    refunded: Boolean!
+    handles: WitnessHandles!
+  }
+
+  type WitnessHandles {
+    witnessId: String!
+    credibilityScore: String!
+    encryptedTestimony: String!
+  }
+
+  type JudicialVote {
+    investigationId: Int!
+    investigation: Investigation
+    voter: String!
+    voteTime: Timestamp!
+    isSubmitted: Boolean!
+    handles: VoteHandles!
+  }
+
+  type VoteHandles {
+    verdict: String!
+    confidence: String!
+    encryptedWeight: String!
+  }
+
+  type DecryptionRequest {
+    requestId: BigInt!
+    investigationId: Int!
+    evidenceId: Int!
+    evidence: EncryptedEvidence
+    requester: String!
+    timestamp: Timestamp!
+    deadline: Timestamp!
+    completed: Boolean!
+    failed: Boolean!
+    attempt: Int!
+  }
+
+  type CourtEvent {
+    blockNumber: Int!
+    logIndex: Int!
+    blockHash: String!
+    txHash: String!
+    timestamp: Timestamp!
+    name: String!
+    investigationId: Int
+    args: JSON!
+  }
+
+  type IndexerStatus {
+    contractAddress: String!
+    startBlock: Int!
+    lastBlock: Int!
+    lastReorgBlock: Int
+    eventCount: Int!
+  }
+
+  input InvestigationFilter {
+    investigator: String
+    approver: String
+    status: InvestigationStatus
+    verdict: Verdict
+    minEvidenceCount: Int
+    maxEvidenceCount: Int
+    minWitnessCount: Int
+    maxWitnessCount: Int
+    startedAfter: Timestamp
+    startedBefore: Timestamp
+  }
+
+  input EvidenceFilter {
+    investigationId: Int
+    submitter: String
+    custodian: String
+    stakeToken: String
+    status: EvidenceStatus
+    decryptionStatus: DecryptionStatus
+    refunded: Boolean
+  }
+
+  input WitnessFilter {
+    investigationId: Int
+    stakeToken: String
+    refunded: Boolean
+  }
+
+  input VoteFilter {
+    investigationId: Int
+    judge: String
+  }
+
+  input DecryptionRequestFilter {
+    investigationId: Int
+    evidenceId: Int
+    status: DecryptionStatus
+  }
+
+  input EventFilter {
+    investigationId: Int
+    name: String
+    fromBlock: Int
+    toBlock: Int
+  }
+
+  type InvestigationPage { data: [Investigation!]!, pagination: Pagination! }
+  type EvidencePage { data: [EncryptedEvidence!]!, pagination: Pagination! }
+  type WitnessPage { data: [AnonymousWitness!]!, pagination: Pagination! }
+  type VotePage { data: [JudicialVote!]!, pagination: Pagination! }
+  type DecryptionRequestPage { data: [DecryptionRequest!]!, pagination: Pagination! }
+  type EventPage { data: [CourtEvent!]!, pagination: Pagination! }
+
+  type Query {
+    status: IndexerStatus!
+    investigation(id: Int!): Investigation
+    investigations(filter: InvestigationFilter, limit: Int, offset: Int, order: SortOrder): InvestigationPage!
+    evidence(filter: EvidenceFilter, limit: Int, offset: Int, order: SortOrder): EvidencePage!
+    witnesses(filter: WitnessFilter, limit: Int, offset: Int, order: SortOrder): WitnessPage!
+    votes(filter: VoteFilter, limit: Int, offset: Int, order: SortOrder): VotePage!
+    decryptionRequests(filter: DecryptionRequestFilter, limit: Int, offset: Int, order: SortOrder): DecryptionRequestPage!
+    events(filter: EventFilter, limit: Int, offset: Int, order: SortOrder): EventPage!
+  }
+
+  type Subscription {
+    "Every event stored from now on, optionally narrowed to event names or one investigation"
+    courtEvent(names: [String!], investigationId: Int): CourtEvent!
+    "Block the indexer rolled back to after a reorg; earlier results past it are void"
+    chainReorganized: Int!
+  }
+`;
+
+const schema = buildSchema(typeDefs);
+
+module.exports = { schema, typeDefs };
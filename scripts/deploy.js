@@ -30,11 +30,23 @@ async function main() {
 
   console.log("📦 Deploying AnonymousCourtInvestigation contract...");
 
-  // Deploy the contract
+  // Deploy the modules the court delegatecalls into, then the court itself
+  const moduleAddresses = {};
+  for (const moduleName of ["CourtStakeModule", "CourtViewModule"]) {
+    console.log(`⏳ Deploying ${moduleName}...`);
+    const module = await hre.ethers.deployContract(moduleName);
+    await module.waitForDeployment();
+    moduleAddresses[moduleName] = await module.getAddress();
+    console.log(`🧩 ${moduleName}: ${moduleAddresses[moduleName]}`);
+  }
+
   const AnonymousCourtInvestigation = await hre.ethers.getContractFactory("AnonymousCourtInvestigation");
 
   console.log("⏳ Deploying contract (this may take a minute)...");
-  const contract = await AnonymousCourtInvestigation.deploy();
+  const contract = await AnonymousCourtInvestigation.deploy(
+    moduleAddresses.CourtStakeModule,
+    moduleAddresses.CourtViewModule
+  );
 
   await contract.waitForDeployment();
   const contractAddress = await contract.getAddress();
@@ -62,6 +74,8 @@ async function main() {
     chainId: network.chainId.toString(),
     contractName: "AnonymousCourtInvestigation",
     contractAddress: contractAddress,
+    stakeModuleAddress: moduleAddresses.CourtStakeModule,
+    viewModuleAddress: moduleAddresses.CourtViewModule,
     deployer: deployerAddress,
     admin: admin,
     deploymentTime: new Date().toISOString(),
@@ -92,7 +106,10 @@ async function main() {
   console.log("📋 NEXT STEPS:");
   console.log("━".repeat(60));
   console.log("1. Verify contract on Etherscan:");
-  console.log(`   npx hardhat verify --network ${networkName} ${contractAddress}`);
+  console.log(
+    `   npx hardhat verify --network ${networkName} ${contractAddress} ` +
+      `${moduleAddresses.CourtStakeModule} ${moduleAddresses.CourtViewModule}`
+  );
   console.log("");
   console.log("2. Interact with the contract:");
   console.log(`   node scripts/interact.js`);
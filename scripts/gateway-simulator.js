@@ -0,0 +1,325 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { FhevmHandle } = require("@fhevm/mock-utils");
+
+// Contract events that carry a Gateway request ID as their first argument
+const DEFAULT_REQUEST_EVENTS = ["DecryptionRequested", "VerdictRevealRequested"];
+
+// Failure modes a request can be forced into
+const FailureMode = Object.freeze({
+  // The callback is never delivered; the request stays pending on-chain
+  Drop: "drop",
+  // The callback is delivered with tampered cleartexts, so FHE.checkSignatures reverts
+  InvalidProof: "invalid-proof",
+});
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Local stand-in for the Zama Gateway/relayer.
+ *
+ * Watches the contract for decryption request events, decrypts the requested handles
+ * through the FHEVM mock, signs the cleartexts with the mock KMS signers and calls the
+ * contract's callback exactly like the Gateway would. Failures and delays can be injected
+ * per request or globally to exercise refund-on-failure and timeout flows offline.
+ *
+ * Emits `fulfilled`, `failed` and `delayed` with the request record.
+ */
+class GatewaySimulator extends EventEmitter {
+  /**
+   * @param {object} contract Connected ethers contract to watch
+   * @param {object} [options]
+   * @param {object} [options.relayer] Signer that submits callbacks (defaults to the first signer)
+   * @param {string[]} [options.events] Request event names to watch
+   * @param {number} [options.fromBlock] First block to scan (defaults to the current block)
+   * @param {number} [options.delaySeconds] Chain time a request must age before it is fulfilled
+   * @param {number} [options.delayMs] Wall-clock wait before each callback is sent
+   * @param {number} [options.failureRate] Probability (0-1) that a request fails
+   * @param {string} [options.failureMode] Failure mode used by `failureRate`
+   * @param {boolean} [options.verbose] Log each handled request
+   */
+  constructor(contract, options = {}) {
+    super();
+    this.contract = contract;
+    this.relayer = options.relayer || null;
+    this.events = options.events || DEFAULT_REQUEST_EVENTS;
+    this.fromBlock = options.fromBlock;
+    this.delaySeconds = options.delaySeconds || 0;
+    this.delayMs = options.delayMs || 0;
+    this.failureRate = options.failureRate || 0;
+    this.failureMode = options.failureMode || FailureMode.Drop;
+    this.verbose = options.verbose || false;
+
+    this.pending = new Map();
+    this.handled = new Map();
+    this.injectedFailures = new Map();
+    this.injectedDelays = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Force a specific request to fail
+   * @param {bigint|number} requestId Gateway request ID
+   * @param {string} [mode] One of FailureMode
+   */
+  injectFailure(requestId, mode = FailureMode.Drop) {
+    this.injectedFailures.set(BigInt(requestId), mode);
+  }
+
+  /**
+   * Hold a specific request until it has aged the given chain time
+   * @param {bigint|number} requestId Gateway request ID
+   * @param {number} seconds Chain time to wait
+   */
+  injectDelay(requestId, seconds) {
+    this.injectedDelays.set(BigInt(requestId), seconds);
+  }
+
+  /**
+   * Scan for new requests and fulfill every request that is due
+   * @returns {Promise<object[]>} Records handled during this poll
+   */
+  async poll() {
+    await this._collectRequests();
+
+    const latestBlock = await hre.ethers.provider.getBlock("latest");
+    const results = [];
+
+    for (const [requestId, request] of this.pending) {
+      const delay = this.injectedDelays.has(requestId)
+        ? this.injectedDelays.get(requestId)
+        : this.delaySeconds;
+
+      if (latestBlock.timestamp < request.requestedAt + delay) {
+        if (!request.delayed) {
+          request.delayed = true;
+          this.emit("delayed", request);
+        }
+        continue;
+      }
+
+      this.pending.delete(requestId);
+      results.push(await this._handle(request));
+    }
+
+    return results;
+  }
+
+  /**
+   * Poll continuously against a running node
+   * @param {number} [intervalMs] Polling interval
+   */
+  start(intervalMs = 2000) {
+    const tick = async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        console.error(`❌ Gateway simulator error: ${error.message}`);
+      }
+      if (this.timer) {
+        this.timer = setTimeout(tick, intervalMs);
+      }
+    };
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Look up the status of a request seen by the simulator
+   * @param {bigint|number} requestId Gateway request ID
+   * @returns {string|undefined} "pending", "fulfilled", "dropped" or "reverted"
+   */
+  getStatus(requestId) {
+    const id = BigInt(requestId);
+    if (this.pending.has(id)) {
+      return "pending";
+    }
+    return this.handled.get(id)?.status;
+  }
+
+  async _collectRequests() {
+    const currentBlock = await hre.ethers.provider.getBlockNumber();
+    if (this.fromBlock === undefined) {
+      this.fromBlock = currentBlock;
+    }
+    if (this.fromBlock > currentBlock) {
+      return;
+    }
+
+    for (const eventName of this.events) {
+      const logs = await this.contract.queryFilter(eventName, this.fromBlock, currentBlock);
+
+      for (const log of logs) {
+        const requestId = BigInt(log.args[0]);
+        if (this.pending.has(requestId) || this.handled.has(requestId)) {
+          continue;
+        }
+
+        // The handles and callback selector live in the oracle event of the same transaction
+        const receipt = await log.getTransactionReceipt();
+        const oracleEvent = hre.fhevm
+          .parseDecryptionRequestEvents(receipt.logs)
+          .find((event) => event.requestID === requestId);
+        if (!oracleEvent) {
+          continue;
+        }
+
+        const block = await log.getBlock();
+        this.pending.set(requestId, {
+          requestId,
+          eventName,
+          args: log.args.toArray(),
+          handles: oracleEvent.handlesBytes32Hex,
+          callbackSelector: oracleEvent.callbackSelectorBytes4Hex,
+          target: oracleEvent.contractCallerAddress,
+          requestedAt: block.timestamp,
+          delayed: false,
+        });
+      }
+    }
+
+    this.fromBlock = currentBlock + 1;
+  }
+
+  async _handle(request) {
+    const failureMode = this._failureModeFor(request.requestId);
+
+    if (failureMode === FailureMode.Drop) {
+      return this._record(request, "dropped", "failed");
+    }
+
+    if (this.delayMs > 0) {
+      await sleep(this.delayMs);
+    }
+
+    // Decrypt one handle at a time; the mock coprocessor does not support concurrent queries
+    const values = [];
+    for (const handle of request.handles) {
+      values.push(await this._decrypt(handle));
+    }
+    // The mock KMS resolves to { decryptedResult, signatures }; only the signatures go on-chain
+    const { signatures } = await hre.fhevm.debugger.createDecryptionSignatures(request.handles, values);
+
+    // Tampering with the cleartexts after signing makes FHE.checkSignatures reject the callback.
+    // Every supported cleartext is a 32-byte word, so uint256 encoding matches the signed layout.
+    const delivered = failureMode === FailureMode.InvalidProof
+      ? values.map((value) => value + 1n)
+      : values;
+    const cleartexts = hre.ethers.AbiCoder.defaultAbiCoder().encode(
+      delivered.map(() => "uint256"),
+      delivered
+    );
+    const decryptionProof = hre.ethers.concat([
+      hre.ethers.solidityPacked(["uint8"], [signatures.length]),
+      ...signatures,
+      hre.ethers.solidityPacked(["uint8"], [0]),
+    ]);
+    const data = request.callbackSelector + hre.ethers.AbiCoder.defaultAbiCoder()
+      .encode(["uint256", "bytes", "bytes"], [request.requestId, cleartexts, decryptionProof])
+      .slice(2);
+
+    const relayer = this.relayer || (await hre.ethers.getSigners())[0];
+
+    try {
+      const tx = await relayer.sendTransaction({ to: request.target, data });
+      const receipt = await tx.wait();
+      request.values = values;
+      request.transactionHash = receipt.hash;
+      return this._record(request, "fulfilled", "fulfilled");
+    } catch (error) {
+      request.error = error;
+      return this._record(request, "reverted", "failed");
+    }
+  }
+
+  async _decrypt(handle) {
+    const { fhevmType } = FhevmHandle.fromBytes32Hex(handle);
+    if (fhevmType === FhevmType.ebool) {
+      return (await hre.fhevm.debugger.decryptEbool(handle)) ? 1n : 0n;
+    }
+    return hre.fhevm.debugger.decryptEuint(fhevmType, handle);
+  }
+
+  _failureModeFor(requestId) {
+    if (this.injectedFailures.has(requestId)) {
+      return this.injectedFailures.get(requestId);
+    }
+    if (this.failureRate > 0 && Math.random() < this.failureRate) {
+      return this.failureMode;
+    }
+    return null;
+  }
+
+  _record(request, status, eventName) {
+    request.status = status;
+    this.handled.set(request.requestId, request);
+
+    if (this.verbose) {
+      const icon = status === "fulfilled" ? "✅" : "⚠️ ";
+      console.log(`${icon} ${request.eventName} #${request.requestId}: ${status}`);
+    }
+
+    this.emit(eventName, request);
+    return request;
+  }
+}
+
+async function main() {
+  const networkName = hre.network.name;
+  const deploymentFile = path.join(__dirname, "..", "deployments", `${networkName}-deployment.json`);
+
+  if (!fs.existsSync(deploymentFile)) {
+    throw new Error(`❌ Deployment file not found for network: ${networkName}\n   Please deploy the contract first using: npm run deploy:${networkName}`);
+  }
+
+  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+  await hre.fhevm.initializeCLIApi();
+
+  const contract = await hre.ethers.getContractAt("AnonymousCourtInvestigation", deploymentInfo.contractAddress);
+  const simulator = new GatewaySimulator(contract, {
+    delaySeconds: Number(process.env.GATEWAY_DELAY_SECONDS || 0),
+    delayMs: Number(process.env.GATEWAY_DELAY_MS || 0),
+    failureRate: Number(process.env.GATEWAY_FAILURE_RATE || 0),
+    failureMode: process.env.GATEWAY_FAILURE_MODE || FailureMode.Drop,
+    verbose: true,
+  });
+
+  console.log("🛰️  Local Gateway simulator running");
+  console.log("━".repeat(60));
+  console.log(`📍 Network: ${networkName}`);
+  console.log(`📄 Contract: ${deploymentInfo.contractAddress}`);
+  console.log(`⏱️  Delay: ${simulator.delaySeconds}s chain time, ${simulator.delayMs}ms wall clock`);
+  console.log(`💥 Failure rate: ${simulator.failureRate} (${simulator.failureMode})`);
+  console.log("━".repeat(60));
+
+  simulator.start(Number(process.env.GATEWAY_POLL_INTERVAL_MS || 2000));
+
+  await new Promise((resolve) => {
+    process.on("SIGINT", () => {
+      simulator.stop();
+      resolve();
+    });
+  });
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { GatewaySimulator, FailureMode };
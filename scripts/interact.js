@@ -33,6 +33,80 @@ async function loadContract() {
   return { contract, deploymentInfo, signer };
 }
 
+// Commitment that binds a witness stake refund to a secret and recipient
+function refundCommitment(secret, recipient) {
+  return hre.ethers.keccak256(
+    hre.ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "address"], [secret, recipient])
+  );
+}
+
+// Stake amounts are entered in ETH, or in wei with a "wei" suffix
+async function questionStake() {
+  const answer = (await question("Enter stake in ETH, or append 'wei' [0.01]: ")).trim() || "0.01";
+
+  let stake;
+  try {
+    stake = answer.toLowerCase().endsWith("wei")
+      ? BigInt(answer.slice(0, -3).trim())
+      : hre.ethers.parseEther(answer);
+  } catch {
+    throw new Error(`Invalid stake amount: ${answer}`);
+  }
+
+  if (stake <= 0n) {
+    throw new Error("Stake must be greater than zero");
+  }
+  console.log(`   = ${hre.ethers.formatEther(stake)} ETH (${stake} wei)`);
+  return stake;
+}
+
+// Show the stake plus estimated gas, check it against the balance and ask before sending
+async function confirmStakedCall(contract, method, args, stake) {
+  const provider = contract.runner.provider;
+  const [gasLimit, feeData, balance] = await Promise.all([
+    contract.getFunction(method).estimateGas(...args, { value: stake }),
+    provider.getFeeData(),
+    provider.getBalance(contract.runner.address),
+  ]);
+
+  const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+  const gasCost = gasLimit * gasPrice;
+  const total = stake + gasCost;
+
+  console.log("\n💰 Cost preview:");
+  console.log(`   Stake: ${hre.ethers.formatEther(stake)} ETH`);
+  console.log(`   Estimated gas: ${gasLimit} units (~${hre.ethers.formatEther(gasCost)} ETH)`);
+  console.log(`   Total: ${hre.ethers.formatEther(total)} ETH`);
+  console.log(`   Balance: ${hre.ethers.formatEther(balance)} ETH`);
+
+  if (total > balance) {
+    throw new Error("Insufficient balance for stake plus gas");
+  }
+
+  const answer = await question("Proceed? (y/N): ");
+  return answer.trim().toLowerCase() === "y";
+}
+
+function logStakeReceipt(contract, receipt) {
+  const stakeEvent = receipt.logs
+    .map((log) => contract.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "StakeReceived");
+
+  if (stakeEvent) {
+    console.log(
+      `💰 Stake recorded: ${hre.ethers.formatEther(stakeEvent.args.amount)} ETH ` +
+        `for investigation ${stakeEvent.args.investigationId}`
+    );
+  }
+}
+
+// Encrypt inputs client-side for the connected signer, one proof for all values
+async function encryptInputs(contract, addValues) {
+  const input = hre.fhevm.createEncryptedInput(await contract.getAddress(), contract.runner.address);
+  addValues(input);
+  return input.encrypt();
+}
+
 async function displayMenu() {
   console.log("\n" + "═".repeat(60));
   console.log("🏛️  ANONYMOUS COURT INVESTIGATION - INTERACTION MENU");
@@ -41,7 +115,7 @@ async function displayMenu() {
   console.log("  1️⃣  View Contract Information");
   console.log("  2️⃣  Start New Investigation");
   console.log("  3️⃣  Authorize Investigator");
-  console.log("  4️⃣  Authorize Judge");
+  console.log("  4️⃣  Authorize Judge / Set Judge Weight");
   console.log("  5️⃣  Authorize Participant for Investigation");
   console.log("  6️⃣  Submit Encrypted Evidence");
   console.log("  7️⃣  Submit Anonymous Witness Testimony");
@@ -50,6 +124,8 @@ async function displayMenu() {
   console.log("  🔟  Complete Investigation");
   console.log("  1️⃣1️⃣  View Investigation Info");
   console.log("  1️⃣2️⃣  View Investigation Statistics");
+  console.log("  1️⃣3️⃣  Assign Judge Panel");
+  console.log("  1️⃣4️⃣  Claim Witness Refund");
   console.log("  0️⃣  Exit");
   console.log("\n" + "═".repeat(60) + "\n");
 }
@@ -130,14 +206,27 @@ async function authorizeJudge(contract) {
   console.log("━".repeat(60));
 
   const address = await question("Enter judge address: ");
+  const weight = await question("Enter vote weight: ");
+  const investigationId = await question("Enter investigation ID for a per-investigation weight (blank for global): ");
 
   try {
-    console.log("\n⏳ Authorizing judge...");
-    const tx = await contract.authorizeJudge(address);
+    console.log("\n🔐 Encrypting vote weight...");
+    const { handles, inputProof } = await encryptInputs(contract, (input) => input.add64(parseInt(weight)));
+
+    let tx;
+    if (investigationId.trim()) {
+      console.log("⏳ Setting per-investigation judge weight...");
+      tx = await contract.setInvestigationJudgeWeight(parseInt(investigationId), address, handles[0], inputProof);
+    } else {
+      console.log("⏳ Authorizing judge...");
+      tx = await contract.authorizeJudge(address, handles[0], inputProof);
+    }
     console.log(`📝 Transaction sent: ${tx.hash}`);
 
     await tx.wait();
-    console.log(`✅ Judge ${address} authorized successfully!`);
+    console.log(investigationId.trim()
+      ? `✅ Judge ${address} weight set for investigation ${investigationId}!`
+      : `✅ Judge ${address} authorized successfully!`);
     console.log("━".repeat(60));
   } catch (error) {
     console.error(`❌ Error: ${error.message}`);
@@ -176,17 +265,27 @@ async function submitEvidence(contract) {
   const confidentialityLevel = await question("Enter confidentiality level (1-100): ");
 
   try {
-    console.log("\n⏳ Submitting evidence...");
-    const tx = await contract.submitEncryptedEvidence(
-      parseInt(investigationId),
-      parseInt(evidenceType),
-      parseInt(confidentialityLevel)
+    const stake = await questionStake();
+
+    console.log("\n🔐 Encrypting evidence...");
+    const { handles, inputProof } = await encryptInputs(contract, (input) =>
+      input.add8(parseInt(evidenceType)).add32(parseInt(confidentialityLevel))
     );
+
+    const args = [parseInt(investigationId), handles[0], handles[1], inputProof];
+    if (!(await confirmStakedCall(contract, "submitEncryptedEvidence", args, stake))) {
+      console.log("❎ Submission cancelled");
+      return;
+    }
+
+    console.log("⏳ Submitting evidence...");
+    const tx = await contract.submitEncryptedEvidence(...args, { value: stake });
     console.log(`📝 Transaction sent: ${tx.hash}`);
 
     const receipt = await tx.wait();
     console.log(`✅ Evidence submitted successfully!`);
     console.log(`📦 Transaction confirmed in block ${receipt.blockNumber}`);
+    logStakeReceipt(contract, receipt);
     console.log("━".repeat(60));
   } catch (error) {
     console.error(`❌ Error: ${error.message}`);
@@ -201,18 +300,40 @@ async function submitWitnessTestimony(contract) {
   const investigationId = await question("Enter investigation ID: ");
   const credibilityScore = await question("Enter credibility score (0-100): ");
   const testimonyHash = await question("Enter encrypted testimony hash (numeric): ");
+  const recipientInput = await question("Enter refund recipient address (leave blank for your address): ");
+
+  const recipient = recipientInput.trim() || contract.runner.address;
+  const secret = hre.ethers.hexlify(hre.ethers.randomBytes(32));
 
   try {
-    console.log("\n⏳ Submitting witness testimony...");
-    const tx = await contract.submitAnonymousWitnessTestimony(
-      parseInt(investigationId),
-      parseInt(credibilityScore),
-      parseInt(testimonyHash)
+    const stake = await questionStake();
+
+    console.log("\n🔐 Encrypting witness testimony...");
+    const { handles, inputProof } = await encryptInputs(contract, (input) =>
+      input.add8(parseInt(credibilityScore)).add32(parseInt(testimonyHash))
     );
+
+    const args = [parseInt(investigationId), handles[0], handles[1], inputProof, refundCommitment(secret, recipient)];
+    if (!(await confirmStakedCall(contract, "submitAnonymousWitnessTestimony", args, stake))) {
+      console.log("❎ Submission cancelled");
+      return;
+    }
+
+    console.log("⏳ Submitting witness testimony...");
+    const tx = await contract.submitAnonymousWitnessTestimony(...args, { value: stake });
     console.log(`📝 Transaction sent: ${tx.hash}`);
 
-    await tx.wait();
+    const receipt = await tx.wait();
+    logStakeReceipt(contract, receipt);
+    const event = receipt.logs
+      .map((log) => contract.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "WitnessTestimonySubmitted");
+
     console.log(`✅ Anonymous witness testimony submitted successfully!`);
+    console.log("\n🔑 Keep these values to claim your stake refund; they cannot be recovered:");
+    console.log(`   Witness ID: ${event.args.witnessId}`);
+    console.log(`   Secret: ${secret}`);
+    console.log(`   Recipient: ${recipient}`);
     console.log("━".repeat(60));
   } catch (error) {
     console.error(`❌ Error: ${error.message}`);
@@ -230,11 +351,17 @@ async function submitVerdict(contract) {
   const confidence = await question("Enter confidence level (0-100): ");
 
   try {
-    console.log("\n⏳ Submitting verdict...");
+    console.log("\n🔐 Encrypting verdict...");
+    const { handles, inputProof } = await encryptInputs(contract, (input) =>
+      input.add8(parseInt(verdict)).add8(parseInt(confidence))
+    );
+
+    console.log("⏳ Submitting verdict...");
     const tx = await contract.submitJudicialVerdict(
       parseInt(investigationId),
-      parseInt(verdict),
-      parseInt(confidence)
+      handles[0],
+      handles[1],
+      inputProof
     );
     console.log(`📝 Transaction sent: ${tx.hash}`);
 
@@ -267,6 +394,58 @@ async function verifyEvidence(contract) {
   }
 }
 
+async function assignJudgePanel(contract) {
+  console.log("\n" + "━".repeat(60));
+  console.log("🧑‍⚖️ ASSIGN JUDGE PANEL");
+  console.log("━".repeat(60));
+
+  const investigationId = await question("Enter investigation ID: ");
+  const judgesInput = await question("Enter judge addresses (comma-separated): ");
+  const quorum = await question("Enter required quorum: ");
+
+  const judges = judgesInput.split(",").map((address) => address.trim()).filter(Boolean);
+
+  try {
+    console.log("\n⏳ Assigning judge panel...");
+    const tx = await contract.assignJudgePanel(parseInt(investigationId), judges, parseInt(quorum));
+    console.log(`📝 Transaction sent: ${tx.hash}`);
+
+    await tx.wait();
+    console.log(`✅ ${judges.length} judge(s) assigned with a quorum of ${quorum}`);
+    console.log("━".repeat(60));
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+  }
+}
+
+async function claimWitnessRefund(contract) {
+  console.log("\n" + "━".repeat(60));
+  console.log("💸 CLAIM WITNESS REFUND");
+  console.log("━".repeat(60));
+
+  const investigationId = await question("Enter investigation ID: ");
+  const witnessId = await question("Enter witness ID: ");
+  const secret = await question("Enter refund secret: ");
+  const recipient = await question("Enter refund recipient address: ");
+
+  try {
+    console.log("\n⏳ Claiming witness refund...");
+    const tx = await contract.requestWitnessRefund(
+      parseInt(investigationId),
+      parseInt(witnessId),
+      secret.trim(),
+      recipient.trim()
+    );
+    console.log(`📝 Transaction sent: ${tx.hash}`);
+
+    await tx.wait();
+    console.log(`✅ Witness stake refunded to ${recipient.trim()}`);
+    console.log("━".repeat(60));
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+  }
+}
+
 async function completeInvestigation(contract) {
   console.log("\n" + "━".repeat(60));
   console.log("🏁 COMPLETE INVESTIGATION");
@@ -313,6 +492,9 @@ async function viewInvestigationInfo(contract) {
     console.log(`   📑 Evidence Count: ${counts.evidenceCountTotal}`);
     console.log(`   👥 Witness Count: ${counts.witnessCountTotal}`);
     console.log(`   👤 Participants: ${participantCount}`);
+
+    const panel = await contract.getJudgePanel(parseInt(investigationId));
+    console.log(`   ⚖️  Judge Panel: ${panel.judges.length} judge(s), ${panel.votesCast}/${panel.quorum} votes toward quorum`);
     console.log("━".repeat(60));
   } catch (error) {
     console.error(`❌ Error: ${error.message}`);
@@ -369,6 +551,7 @@ async function main() {
 
   try {
     const { contract, deploymentInfo, signer } = await loadContract();
+    await hre.fhevm.initializeCLIApi();
     console.log(`✅ Connected to contract on ${deploymentInfo.network}`);
 
     let running = true;
@@ -414,6 +597,12 @@ async function main() {
         case "12":
           await viewStatistics(contract);
           break;
+        case "13":
+          await assignJudgePanel(contract);
+          break;
+        case "14":
+          await claimWitnessRefund(contract);
+          break;
         case "0":
           running = false;
           console.log("\n👋 Goodbye!\n");
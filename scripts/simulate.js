@@ -1,6 +1,17 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { GatewaySimulator } = require("./gateway-simulator");
+
+const INVESTIGATION_DURATION = 30 * 24 * 60 * 60;
+const STAKE = hre.ethers.parseEther("0.01");
+
+// Encrypt inputs client-side for the given signer, one proof for all values
+async function encryptInputs(contractAddress, signer, addValues) {
+  const input = hre.fhevm.createEncryptedInput(contractAddress, await signer.getAddress());
+  addValues(input);
+  return input.encrypt();
+}
 
 async function main() {
   console.log("🎭 Starting Anonymous Court Investigation Simulation...");
@@ -9,6 +20,13 @@ async function main() {
   const networkName = hre.network.name;
   console.log(`📍 Network: ${networkName}\n`);
 
+  // Client-side encryption needs the FHEVM CLI API, which runs against a node rather than in-process
+  if (networkName === "hardhat") {
+    console.log("⚠️  Encrypted inputs require a running node. Start one with: npx hardhat node");
+    console.log("   Then run: npx hardhat run scripts/simulate.js --network localhost");
+    return;
+  }
+
   // Get signers
   const [admin, investigator1, investigator2, judge1, judge2, witness1, witness2] = await hre.ethers.getSigners();
 
@@ -41,8 +59,14 @@ async function main() {
   } else {
     // Deploy fresh contract for local testing
     console.log("📦 Deploying new contract for simulation...\n");
+    const modules = [];
+    for (const moduleName of ["CourtStakeModule", "CourtViewModule"]) {
+      const module = await hre.ethers.deployContract(moduleName);
+      await module.waitForDeployment();
+      modules.push(await module.getAddress());
+    }
     const AnonymousCourtInvestigation = await hre.ethers.getContractFactory("AnonymousCourtInvestigation");
-    contract = await AnonymousCourtInvestigation.deploy();
+    contract = await AnonymousCourtInvestigation.deploy(...modules);
     await contract.waitForDeployment();
     contractAddress = await contract.getAddress();
     console.log(`✅ Contract deployed at: ${contractAddress}`);
@@ -50,6 +74,11 @@ async function main() {
 
   console.log("═".repeat(60));
 
+  await hre.fhevm.initializeCLIApi();
+
+  // Local networks have no Gateway, so the simulator fulfills decryption callbacks
+  const gateway = hre.fhevm.isMock ? new GatewaySimulator(contract, { verbose: true }) : null;
+
   // Simulation Steps
   try {
     // Step 1: Authorize participants
@@ -65,31 +94,38 @@ async function main() {
     await tx.wait();
     console.log(`   ✅ Investigator 2 authorized`);
 
-    console.log("⚖️  Authorizing judges...");
-    tx = await contract.connect(admin).authorizeJudge(await judge1.getAddress());
-    await tx.wait();
-    console.log(`   ✅ Judge 1 authorized`);
-
-    tx = await contract.connect(admin).authorizeJudge(await judge2.getAddress());
-    await tx.wait();
-    console.log(`   ✅ Judge 2 authorized`);
+    console.log("⚖️  Authorizing judges with encrypted vote weights...");
+    const judgeWeights = [
+      { signer: judge1, weight: 3 },
+      { signer: judge2, weight: 2 },
+    ];
+
+    for (const [index, judge] of judgeWeights.entries()) {
+      const { handles, inputProof } = await encryptInputs(contractAddress, admin, (input) => input.add64(judge.weight));
+      tx = await contract.connect(admin).authorizeJudge(await judge.signer.getAddress(), handles[0], inputProof);
+      await tx.wait();
+      console.log(`   ✅ Judge ${index + 1} authorized (Weight: ${judge.weight})`);
+    }
 
-    // Step 2: Start Investigation
+    // Step 2: File and approve the investigation
     console.log("\n📋 STEP 2: Starting Investigation");
     console.log("━".repeat(60));
 
     const caseId = 10001;
-    console.log(`🚀 Starting investigation for case ID: ${caseId}`);
-    tx = await contract.connect(investigator1).startInvestigation(caseId);
+    const investigationId = 1;
+    console.log(`📥 Filing intake request for case ID: ${caseId}`);
+    tx = await contract.connect(investigator1).requestInvestigation(caseId, INVESTIGATION_DURATION);
+    await tx.wait();
+    console.log(`   ✅ Investigation ${investigationId} pending approval`);
+
+    tx = await contract.connect(judge1).approveInvestigation(investigationId);
     const receipt = await tx.wait();
-    console.log(`   ✅ Investigation started`);
+    console.log(`   ✅ Approved by Judge 1, investigation started`);
     console.log(`   📝 Transaction: ${receipt.hash}`);
-
-    const investigationId = 1;
     console.log(`   🔢 Investigation ID: ${investigationId}`);
 
     // Step 3: Authorize additional participants
-    console.log("\n📋 STEP 3: Authorizing Additional Participants");
+    console.log("\n📋 STEP 3: Authorizing Participants and Judge Panel");
     console.log("━".repeat(60));
 
     console.log("👥 Authorizing participants for investigation...");
@@ -101,26 +137,35 @@ async function main() {
     await tx.wait();
     console.log(`   ✅ Witness 1 authorized for investigation`);
 
+    console.log("⚖️  Assigning the judge panel (quorum: 2)...");
+    tx = await contract
+      .connect(investigator1)
+      .assignJudgePanel(investigationId, [await judge1.getAddress(), await judge2.getAddress()], 2);
+    await tx.wait();
+    console.log(`   ✅ Judge 1 and Judge 2 assigned to the panel`);
+
     // Step 4: Submit Evidence
     console.log("\n📋 STEP 4: Submitting Evidence");
     console.log("━".repeat(60));
 
     console.log("📑 Submitting encrypted evidence...");
 
-    // Evidence 1: Document
-    tx = await contract.connect(investigator1).submitEncryptedEvidence(investigationId, 0, 75);
-    await tx.wait();
-    console.log(`   ✅ Evidence 1 submitted (Type: Document, Confidentiality: 75)`);
-
-    // Evidence 2: Digital
-    tx = await contract.connect(investigator2).submitEncryptedEvidence(investigationId, 3, 90);
-    await tx.wait();
-    console.log(`   ✅ Evidence 2 submitted (Type: Digital, Confidentiality: 90)`);
-
-    // Evidence 3: Physical
-    tx = await contract.connect(witness1).submitEncryptedEvidence(investigationId, 2, 60);
-    await tx.wait();
-    console.log(`   ✅ Evidence 3 submitted (Type: Physical, Confidentiality: 60)`);
+    const evidenceSubmissions = [
+      { signer: investigator1, type: 0, label: "Document", confidentiality: 75 },
+      { signer: investigator2, type: 3, label: "Digital", confidentiality: 90 },
+      { signer: witness1, type: 2, label: "Physical", confidentiality: 60 },
+    ];
+
+    for (const [index, evidence] of evidenceSubmissions.entries()) {
+      const { handles, inputProof } = await encryptInputs(contractAddress, evidence.signer, (input) =>
+        input.add8(evidence.type).add32(evidence.confidentiality)
+      );
+      tx = await contract
+        .connect(evidence.signer)
+        .submitEncryptedEvidence(investigationId, handles[0], handles[1], inputProof, { value: STAKE });
+      await tx.wait();
+      console.log(`   ✅ Evidence ${index + 1} submitted (Type: ${evidence.label}, Confidentiality: ${evidence.confidentiality})`);
+    }
 
     // Step 5: Submit Witness Testimonies
     console.log("\n📋 STEP 5: Submitting Witness Testimonies");
@@ -128,13 +173,30 @@ async function main() {
 
     console.log("👤 Submitting anonymous witness testimonies...");
 
-    tx = await contract.connect(witness1).submitAnonymousWitnessTestimony(investigationId, 85, 123456);
-    await tx.wait();
-    console.log(`   ✅ Witness 1 testimony submitted (Credibility: 85)`);
-
-    tx = await contract.connect(witness2).submitAnonymousWitnessTestimony(investigationId, 92, 789012);
-    await tx.wait();
-    console.log(`   ✅ Witness 2 testimony submitted (Credibility: 92)`);
+    const testimonies = [
+      { signer: witness1, credibility: 85, testimonyHash: 123456 },
+      { signer: witness2, credibility: 92, testimonyHash: 789012 },
+    ];
+
+    for (const [index, testimony] of testimonies.entries()) {
+      const { handles, inputProof } = await encryptInputs(contractAddress, testimony.signer, (input) =>
+        input.add8(testimony.credibility).add32(testimony.testimonyHash)
+      );
+      const refundSecret = hre.ethers.hexlify(hre.ethers.randomBytes(32));
+      const refundCommitment = hre.ethers.keccak256(
+        hre.ethers.AbiCoder.defaultAbiCoder().encode(
+          ["bytes32", "address"],
+          [refundSecret, await testimony.signer.getAddress()]
+        )
+      );
+      tx = await contract
+        .connect(testimony.signer)
+        .submitAnonymousWitnessTestimony(investigationId, handles[0], handles[1], inputProof, refundCommitment, {
+          value: STAKE,
+        });
+      await tx.wait();
+      console.log(`   ✅ Witness ${index + 1} testimony submitted (Credibility: ${testimony.credibility})`);
+    }
 
     // Step 6: Verify Evidence
     console.log("\n📋 STEP 6: Verifying Evidence");
@@ -149,21 +211,39 @@ async function main() {
     await tx.wait();
     console.log(`   ✅ Evidence 2 verified`);
 
+    console.log("🔓 Requesting Gateway decryption of evidence 1...");
+    tx = await contract.connect(investigator1).requestEvidenceDecryption(investigationId, 1);
+    await tx.wait();
+    console.log(`   ✅ Decryption requested`);
+
+    if (gateway) {
+      await gateway.poll();
+      const evidenceInfo = await contract.connect(investigator1).getEvidenceInfo(investigationId, 1);
+      const decryptionStatusNames = ["None", "Requested", "Completed", "Failed"];
+      console.log(`   📌 Decryption status: ${decryptionStatusNames[evidenceInfo.decryptionStatus]}`);
+    }
+
     // Step 7: Submit Judicial Verdicts
     console.log("\n📋 STEP 7: Submitting Judicial Verdicts");
     console.log("━".repeat(60));
 
     console.log("⚖️  Judges submitting verdicts...");
 
-    // Judge 1: Guilty with 80% confidence
-    tx = await contract.connect(judge1).submitJudicialVerdict(investigationId, 1, 80);
-    await tx.wait();
-    console.log(`   ✅ Judge 1 verdict: Guilty (Confidence: 80%)`);
-
-    // Judge 2: Guilty with 75% confidence
-    tx = await contract.connect(judge2).submitJudicialVerdict(investigationId, 1, 75);
-    await tx.wait();
-    console.log(`   ✅ Judge 2 verdict: Guilty (Confidence: 75%)`);
+    const verdicts = [
+      { signer: judge1, verdict: 1, label: "Guilty", confidence: 80 },
+      { signer: judge2, verdict: 1, label: "Guilty", confidence: 75 },
+    ];
+
+    for (const [index, vote] of verdicts.entries()) {
+      const { handles, inputProof } = await encryptInputs(contractAddress, vote.signer, (input) =>
+        input.add8(vote.verdict).add8(vote.confidence)
+      );
+      tx = await contract
+        .connect(vote.signer)
+        .submitJudicialVerdict(investigationId, handles[0], handles[1], inputProof);
+      await tx.wait();
+      console.log(`   ✅ Judge ${index + 1} verdict: ${vote.label} (Confidence: ${vote.confidence}%)`);
+    }
 
     // Step 8: Complete Investigation
     console.log("\n📋 STEP 8: Completing Investigation");
@@ -174,6 +254,11 @@ async function main() {
     await tx.wait();
     console.log(`   ✅ Investigation completed successfully`);
 
+    if (gateway) {
+      console.log("🔓 Gateway revealing the weighted verdict...");
+      await gateway.poll();
+    }
+
     // Step 9: Display Final Results
     console.log("\n📋 STEP 9: Final Investigation Results");
     console.log("━".repeat(60));
@@ -202,6 +287,14 @@ async function main() {
     console.log(`   ⚖️  Judge 1 Voted: ${judge1Voted ? "Yes" : "No"}`);
     console.log(`   ⚖️  Judge 2 Voted: ${judge2Voted ? "Yes" : "No"}`);
 
+    const verdictOutcome = await contract.getVerdictOutcome(investigationId);
+    const verdictNames = ["Not Guilty", "Guilty", "Insufficient Evidence"];
+    if (verdictOutcome.revealed) {
+      console.log(`   🔓 Revealed Outcome: ${verdictNames[verdictOutcome.outcome]} (Margin: ${verdictOutcome.margin})`);
+    } else {
+      console.log(`   🔒 Revealed Outcome: Awaiting Gateway`);
+    }
+
     console.log("\n═".repeat(60));
     console.log("✨ SIMULATION COMPLETED SUCCESSFULLY!");
     console.log("═".repeat(60));
@@ -232,6 +325,7 @@ async function main() {
     console.log("   • Submitted 3 pieces of evidence");
     console.log("   • Submitted 2 witness testimonies");
     console.log("   • Verified 2 pieces of evidence");
+    console.log("   • Requested decryption of 1 piece of evidence");
     console.log("   • Submitted 2 judicial verdicts");
     console.log("   • Completed the investigation");
     console.log("━".repeat(60));
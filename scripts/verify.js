@@ -35,10 +35,22 @@ async function main() {
 
     await hre.run("verify:verify", {
       address: deploymentInfo.contractAddress,
-      constructorArguments: [],
+      constructorArguments: [deploymentInfo.stakeModuleAddress, deploymentInfo.viewModuleAddress],
       contract: "contracts/AnonymousCourtInvestigation.sol:AnonymousCourtInvestigation",
     });
 
+    for (const [moduleName, moduleAddress] of [
+      ["CourtStakeModule", deploymentInfo.stakeModuleAddress],
+      ["CourtViewModule", deploymentInfo.viewModuleAddress],
+    ]) {
+      console.log(`⏳ Verifying ${moduleName}...`);
+      await hre.run("verify:verify", {
+        address: moduleAddress,
+        constructorArguments: [],
+        contract: `contracts/${moduleName}.sol:${moduleName}`,
+      });
+    }
+
     console.log("━".repeat(60));
     console.log("✅ Contract verified successfully!");
     console.log("━".repeat(60));
@@ -1,16 +1,95 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployCourt } = require("./helpers/deployment");
+const {
+  encryptEvidence,
+  encryptWitnessTestimony,
+  encryptVerdict,
+  encryptJudgeWeight,
+  encryptCustodyLocation,
+} = require("./helpers/encryption");
+
+const INVESTIGATION_DURATION = 30 * 24 * 60 * 60;
+const STAKE = ethers.parseEther("0.01");
+const REFUND_GRACE_PERIOD = 7 * 24 * 60 * 60;
+const STAKE_RETENTION_PERIOD = 90 * 24 * 60 * 60;
 
 describe("AnonymousCourtInvestigation", function () {
-  // Fixture to deploy contract
+  // Encrypt and submit evidence the way the dApp does
+  async function submitEvidence(contract, sender, investigationId, evidenceType, confidentialityLevel) {
+    const input = await encryptEvidence(await contract.getAddress(), sender, evidenceType, confidentialityLevel);
+    return contract
+      .connect(sender)
+      .submitEncryptedEvidence(investigationId, input.evidenceType, input.confidentialityLevel, input.inputProof, {
+        value: STAKE,
+      });
+  }
+
+  // Commitment the dApp binds to a witness stake; only the secret holder can claim it back
+  function refundCommitment(secret, recipient) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "address"], [secret, recipient]));
+  }
+
+  async function submitWitness(
+    contract,
+    sender,
+    investigationId,
+    credibilityScore,
+    testimonyHash,
+    secret = ethers.hexlify(ethers.randomBytes(32)),
+    recipient = sender.address
+  ) {
+    const input = await encryptWitnessTestimony(await contract.getAddress(), sender, credibilityScore, testimonyHash);
+    return contract
+      .connect(sender)
+      .submitAnonymousWitnessTestimony(
+        investigationId,
+        input.credibilityScore,
+        input.testimonyHash,
+        input.inputProof,
+        refundCommitment(secret, recipient),
+        { value: STAKE }
+      );
+  }
+
+  async function submitVerdict(contract, sender, investigationId, verdict, confidence) {
+    const input = await encryptVerdict(await contract.getAddress(), sender, verdict, confidence);
+    return contract
+      .connect(sender)
+      .submitJudicialVerdict(investigationId, input.verdict, input.confidence, input.inputProof);
+  }
+
+  // Encrypt the weight as the caller, the way the admin panel does
+  async function authorizeJudge(contract, sender, judge, weight = 1) {
+    const input = await encryptJudgeWeight(await contract.getAddress(), sender, weight);
+    return contract.connect(sender).authorizeJudge(judge.address, input.weight, input.inputProof);
+  }
+
+  // Investigators go through intake: they file a request and an approver starts it
+  async function openInvestigation(contract, investigator, approver, caseId) {
+    await contract.connect(investigator).requestInvestigation(caseId, INVESTIGATION_DURATION);
+    const investigationId = (await contract.currentInvestigationId()) - 1n;
+    await contract.connect(approver).approveInvestigation(investigationId);
+    return investigationId;
+  }
+
+  // The admin is the whole panel with a quorum of one, so a single vote unlocks completion
+  async function closeInvestigation(contract, admin, investigationId) {
+    await contract.connect(admin).assignJudgePanel(investigationId, [admin.address], 1);
+    await submitVerdict(contract, admin, investigationId, 0, 80);
+    return contract.connect(admin).completeInvestigation(investigationId);
+  }
+
+  // Fixture to deploy contract. It runs fresh for every test instead of through
+  // loadFixture because the FHEVM mock coprocessor does not follow snapshot reverts.
   async function deployContractFixture() {
     const [admin, investigator1, investigator2, judge1, judge2, witness1, witness2, unauthorized] =
       await ethers.getSigners();
 
-    const AnonymousCourtInvestigation = await ethers.getContractFactory("AnonymousCourtInvestigation");
-    const contract = await AnonymousCourtInvestigation.deploy();
-    await contract.waitForDeployment();
+    const contract = await deployCourt(admin);
 
     return {
       contract,
@@ -27,26 +106,44 @@ describe("AnonymousCourtInvestigation", function () {
 
   describe("Deployment", function () {
     it("Should set the correct admin", async function () {
-      const { contract, admin } = await loadFixture(deployContractFixture);
+      const { contract, admin } = await deployContractFixture();
       expect(await contract.admin()).to.equal(admin.address);
     });
 
     it("Should set admin as authorized investigator and judge", async function () {
-      const { contract, admin } = await loadFixture(deployContractFixture);
+      const { contract, admin } = await deployContractFixture();
       expect(await contract.authorizedInvestigators(admin.address)).to.be.true;
       expect(await contract.authorizedJudges(admin.address)).to.be.true;
     });
 
     it("Should initialize investigation ID to 1", async function () {
-      const { contract } = await loadFixture(deployContractFixture);
+      const { contract } = await deployContractFixture();
       expect(await contract.currentInvestigationId()).to.equal(1);
     });
+
+    it("Should reject a module address without code", async function () {
+      const { contract, admin } = await deployContractFixture();
+      const AnonymousCourtInvestigation = await ethers.getContractFactory("AnonymousCourtInvestigation");
+
+      await expect(
+        AnonymousCourtInvestigation.deploy(await contract.stakeModule(), admin.address)
+      ).to.be.revertedWith("Module is not a contract");
+    });
+
+    it("Should only run view module calls for itself", async function () {
+      const { contract, admin } = await deployContractFixture();
+      const call = contract.interface.encodeFunctionData("getJudgePanel", [1]);
+
+      await expect(contract.connect(admin).delegateToViewModule(call)).to.be.revertedWith(
+        "Only callable by the court"
+      );
+    });
   });
 
   describe("Authorization Management", function () {
     describe("Authorize Investigator", function () {
       it("Should allow admin to authorize investigator", async function () {
-        const { contract, admin, investigator1 } = await loadFixture(deployContractFixture);
+        const { contract, admin, investigator1 } = await deployContractFixture();
 
         await expect(contract.connect(admin).authorizeInvestigator(investigator1.address))
           .to.not.be.reverted;
@@ -55,36 +152,37 @@ describe("AnonymousCourtInvestigation", function () {
       });
 
       it("Should revert if non-admin tries to authorize investigator", async function () {
-        const { contract, investigator1, investigator2 } = await loadFixture(deployContractFixture);
+        const { contract, investigator1, investigator2 } = await deployContractFixture();
 
         await expect(
           contract.connect(investigator1).authorizeInvestigator(investigator2.address)
-        ).to.be.revertedWith("Not authorized admin");
+        ).to.be.revertedWith("Not authorized: admin only");
       });
     });
 
     describe("Authorize Judge", function () {
       it("Should allow admin to authorize judge", async function () {
-        const { contract, admin, judge1 } = await loadFixture(deployContractFixture);
+        const { contract, admin, judge1 } = await deployContractFixture();
 
-        await expect(contract.connect(admin).authorizeJudge(judge1.address))
-          .to.not.be.reverted;
+        await expect(authorizeJudge(contract, admin, judge1))
+          .to.emit(contract, "JudgeWeightSet")
+          .withArgs(judge1.address, 0);
 
         expect(await contract.authorizedJudges(judge1.address)).to.be.true;
       });
 
       it("Should revert if non-admin tries to authorize judge", async function () {
-        const { contract, investigator1, judge1 } = await loadFixture(deployContractFixture);
+        const { contract, investigator1, judge1 } = await deployContractFixture();
 
         await expect(
-          contract.connect(investigator1).authorizeJudge(judge1.address)
-        ).to.be.revertedWith("Not authorized admin");
+          authorizeJudge(contract, investigator1, judge1)
+        ).to.be.revertedWith("Not authorized: admin only");
       });
     });
 
     describe("Revoke Access", function () {
       it("Should allow admin to revoke investigator access", async function () {
-        const { contract, admin, investigator1 } = await loadFixture(deployContractFixture);
+        const { contract, admin, investigator1 } = await deployContractFixture();
 
         await contract.connect(admin).authorizeInvestigator(investigator1.address);
         expect(await contract.authorizedInvestigators(investigator1.address)).to.be.true;
@@ -94,9 +192,9 @@ describe("AnonymousCourtInvestigation", function () {
       });
 
       it("Should allow admin to revoke judge access", async function () {
-        const { contract, admin, judge1 } = await loadFixture(deployContractFixture);
+        const { contract, admin, judge1 } = await deployContractFixture();
 
-        await contract.connect(admin).authorizeJudge(judge1.address);
+        await authorizeJudge(contract, admin, judge1);
         expect(await contract.authorizedJudges(judge1.address)).to.be.true;
 
         await contract.connect(admin).revokeJudgeAccess(judge1.address);
@@ -107,13 +205,13 @@ describe("AnonymousCourtInvestigation", function () {
 
   describe("Investigation Management", function () {
     describe("Start Investigation", function () {
-      it("Should allow authorized investigator to start investigation", async function () {
-        const { contract, admin } = await loadFixture(deployContractFixture);
+      it("Should allow admin to start investigation directly", async function () {
+        const { contract, admin } = await deployContractFixture();
 
         const caseId = 12345;
-        await expect(contract.connect(admin).startInvestigation(caseId))
+        await expect(contract.connect(admin).startInvestigation(caseId, INVESTIGATION_DURATION))
           .to.emit(contract, "InvestigationStarted")
-          .withArgs(1, admin.address);
+          .withArgs(1, admin.address, anyValue);
 
         const info = await contract.getInvestigationBasicInfo(1);
         expect(info.investigator).to.equal(admin.address);
@@ -122,31 +220,126 @@ describe("AnonymousCourtInvestigation", function () {
       });
 
       it("Should increment investigation ID after each start", async function () {
-        const { contract, admin } = await loadFixture(deployContractFixture);
+        const { contract, admin } = await deployContractFixture();
 
         expect(await contract.currentInvestigationId()).to.equal(1);
 
-        await contract.connect(admin).startInvestigation(100);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
         expect(await contract.currentInvestigationId()).to.equal(2);
 
-        await contract.connect(admin).startInvestigation(200);
+        await contract.connect(admin).startInvestigation(200, INVESTIGATION_DURATION);
         expect(await contract.currentInvestigationId()).to.equal(3);
       });
 
-      it("Should revert if unauthorized user tries to start investigation", async function () {
-        const { contract, unauthorized } = await loadFixture(deployContractFixture);
+      it("Should revert if anyone but the admin tries to start investigation directly", async function () {
+        const { contract, admin, investigator1, unauthorized } = await deployContractFixture();
+
+        await contract.connect(admin).authorizeInvestigator(investigator1.address);
 
         await expect(
-          contract.connect(unauthorized).startInvestigation(12345)
-        ).to.be.revertedWith("Not authorized investigator");
+          contract.connect(unauthorized).startInvestigation(12345, INVESTIGATION_DURATION)
+        ).to.be.revertedWith("Not authorized: admin only");
+        await expect(
+          contract.connect(investigator1).startInvestigation(12345, INVESTIGATION_DURATION)
+        ).to.be.revertedWith("Not authorized: admin only");
+      });
+    });
+
+    describe("Investigation Intake", function () {
+      it("Should create requests as pending without starting the clock", async function () {
+        const { contract, admin, investigator1, unauthorized } = await deployContractFixture();
+
+        await contract.connect(admin).authorizeInvestigator(investigator1.address);
+
+        await expect(contract.connect(investigator1).requestInvestigation(100, INVESTIGATION_DURATION))
+          .to.emit(contract, "InvestigationRequested")
+          .withArgs(1, investigator1.address, INVESTIGATION_DURATION);
+
+        const info = await contract.getInvestigationBasicInfo(1);
+        expect(info.investigator).to.equal(investigator1.address);
+        expect(info.status).to.equal(0); // Pending
+        expect(info.isActive).to.be.false;
+        expect(info.expiryTime).to.equal(0);
+        expect(await contract.requestedDurations(1)).to.equal(INVESTIGATION_DURATION);
+        expect(await contract.isAuthorizedForInvestigation(1, investigator1.address)).to.be.true;
+
+        await expect(submitEvidence(contract, investigator1, 1, 0, 50)).to.be.revertedWith("Investigation not active");
+        await expect(
+          contract.connect(unauthorized).requestInvestigation(100, INVESTIGATION_DURATION)
+        ).to.be.revertedWith("Not authorized: investigator only");
+      });
+
+      it("Should start the investigation clock when a judge approves", async function () {
+        const { contract, admin, investigator1, judge1 } = await deployContractFixture();
+
+        await contract.connect(admin).authorizeInvestigator(investigator1.address);
+        await authorizeJudge(contract, admin, judge1);
+        await contract.connect(investigator1).requestInvestigation(100, INVESTIGATION_DURATION);
+        await time.increase(5 * 24 * 60 * 60);
+
+        await expect(contract.connect(judge1).approveInvestigation(1))
+          .to.emit(contract, "InvestigationApproved")
+          .withArgs(1, judge1.address)
+          .and.to.emit(contract, "InvestigationStarted")
+          .withArgs(1, investigator1.address, anyValue);
+
+        const approvedAt = await time.latest();
+        const info = await contract.getInvestigationBasicInfo(1);
+        expect(info.status).to.equal(1); // Active
+        expect(info.isActive).to.be.true;
+        expect(info.expiryTime).to.equal(approvedAt + INVESTIGATION_DURATION);
+        expect((await contract.getInvestigationTimeInfo(1)).startTime).to.equal(approvedAt);
+
+        await submitEvidence(contract, investigator1, 1, 0, 50);
+        expect((await contract.getInvestigationCounts(1)).evidenceCountTotal).to.equal(1);
+      });
+
+      it("Should reject a request with a reason code", async function () {
+        const { contract, admin, investigator1 } = await deployContractFixture();
+
+        await contract.connect(admin).authorizeInvestigator(investigator1.address);
+        await contract.connect(investigator1).requestInvestigation(100, INVESTIGATION_DURATION);
+
+        await expect(contract.connect(admin).rejectInvestigation(1, 0)).to.be.revertedWith("Reason code required");
+        await expect(contract.connect(admin).rejectInvestigation(1, 2))
+          .to.emit(contract, "InvestigationRejected")
+          .withArgs(1, admin.address, 2);
+
+        const info = await contract.getInvestigationBasicInfo(1);
+        expect(info.status).to.equal(5); // Rejected
+        expect(info.isActive).to.be.false;
+
+        await expect(contract.connect(admin).approveInvestigation(1)).to.be.revertedWith("Investigation not pending");
+        await expect(contract.connect(admin).rejectInvestigation(1, 1)).to.be.revertedWith("Investigation not pending");
+      });
+
+      it("Should only let judges or the admin review other people's requests", async function () {
+        const { contract, admin, investigator1, judge1, unauthorized } = await deployContractFixture();
+
+        await contract.connect(admin).authorizeInvestigator(investigator1.address);
+        await contract.connect(admin).authorizeInvestigator(judge1.address);
+        await authorizeJudge(contract, admin, judge1);
+        await contract.connect(judge1).requestInvestigation(100, INVESTIGATION_DURATION);
+
+        await expect(contract.connect(unauthorized).approveInvestigation(1)).to.be.revertedWith(
+          "Not authorized: judge only"
+        );
+        await expect(contract.connect(investigator1).rejectInvestigation(1, 1)).to.be.revertedWith(
+          "Not authorized: judge only"
+        );
+        await expect(contract.connect(judge1).approveInvestigation(1)).to.be.revertedWith("Cannot review own request");
+        await expect(contract.connect(admin).approveInvestigation(2)).to.be.revertedWith("Investigation not pending");
+
+        await contract.connect(admin).approveInvestigation(1);
+        await expect(contract.connect(admin).approveInvestigation(1)).to.be.revertedWith("Investigation not pending");
       });
     });
 
     describe("Authorize Participant", function () {
       it("Should allow investigator to authorize participant for their investigation", async function () {
-        const { contract, admin, witness1 } = await loadFixture(deployContractFixture);
+        const { contract, admin, witness1 } = await deployContractFixture();
 
-        await contract.connect(admin).startInvestigation(100);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
 
         await expect(contract.connect(admin).authorizeParticipant(1, witness1.address))
           .to.emit(contract, "ParticipantAuthorized")
@@ -157,10 +350,10 @@ describe("AnonymousCourtInvestigation", function () {
       });
 
       it("Should revert if non-creator tries to authorize participant", async function () {
-        const { contract, admin, investigator1, witness1 } = await loadFixture(deployContractFixture);
+        const { contract, admin, investigator1, witness1 } = await deployContractFixture();
 
         await contract.connect(admin).authorizeInvestigator(investigator1.address);
-        await contract.connect(admin).startInvestigation(100);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
 
         await expect(
           contract.connect(investigator1).authorizeParticipant(1, witness1.address)
@@ -168,10 +361,10 @@ describe("AnonymousCourtInvestigation", function () {
       });
 
       it("Should revert if investigation is not active", async function () {
-        const { contract, admin, witness1 } = await loadFixture(deployContractFixture);
+        const { contract, admin, witness1 } = await deployContractFixture();
 
-        await contract.connect(admin).startInvestigation(100);
-        await contract.connect(admin).completeInvestigation(1);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await closeInvestigation(contract, admin, 1);
 
         await expect(
           contract.connect(admin).authorizeParticipant(1, witness1.address)
@@ -179,13 +372,108 @@ describe("AnonymousCourtInvestigation", function () {
       });
     });
 
+    describe("Revoke Participant", function () {
+      it("Should revert if the participant is already authorized", async function () {
+        const { contract, admin, witness1 } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await contract.connect(admin).authorizeParticipant(1, witness1.address);
+
+        await expect(
+          contract.connect(admin).authorizeParticipant(1, witness1.address)
+        ).to.be.revertedWith("Participant already authorized");
+      });
+
+      it("Should remove the participant and keep the list dense", async function () {
+        const { contract, admin, witness1, witness2 } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await contract.connect(admin).authorizeParticipant(1, witness1.address);
+        await contract.connect(admin).authorizeParticipant(1, witness2.address);
+
+        await expect(contract.connect(admin).revokeParticipant(1, witness1.address))
+          .to.emit(contract, "ParticipantRevoked")
+          .withArgs(1, witness1.address);
+
+        expect(await contract.isAuthorizedForInvestigation(1, witness1.address)).to.be.false;
+        expect(await contract.isAuthorizedForInvestigation(1, witness2.address)).to.be.true;
+        expect(await contract.getParticipants(1)).to.deep.equal([admin.address, witness2.address]);
+
+        // A revoked participant can be authorized again
+        await contract.connect(admin).authorizeParticipant(1, witness1.address);
+        expect(await contract.getParticipants(1)).to.deep.equal([admin.address, witness2.address, witness1.address]);
+      });
+
+      it("Should block a revoked participant from participant-only actions", async function () {
+        const { contract, admin, witness1 } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await contract.connect(admin).authorizeParticipant(1, witness1.address);
+        await contract.connect(admin).revokeParticipant(1, witness1.address);
+
+        await expect(submitEvidence(contract, witness1, 1, 0, 75)).to.be.revertedWith(
+          "Not authorized: participant only"
+        );
+      });
+
+      it("Should share the rotated case ID only with remaining participants", async function () {
+        const { contract, admin, witness1, witness2 } = await deployContractFixture();
+        const contractAddress = await contract.getAddress();
+
+        // Handles are derived from the operation and operands, and ACL grants are global across
+        // deployments, so use a case ID no other test encrypts
+        await contract.connect(admin).startInvestigation(4242, INVESTIGATION_DURATION);
+        await contract.connect(admin).authorizeParticipant(1, witness1.address);
+        await contract.connect(admin).authorizeParticipant(1, witness2.address);
+        const originalCaseId = (await contract.investigations(1)).encryptedCaseId;
+
+        await contract.connect(admin).revokeParticipant(1, witness1.address);
+        const rotatedCaseId = (await contract.investigations(1)).encryptedCaseId;
+        expect(rotatedCaseId).to.not.equal(originalCaseId);
+
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint32, rotatedCaseId, contractAddress, witness2)
+        ).to.equal(4242);
+
+        const { ACLAddress } = await fhevm.getRelayerMetadata();
+        const acl = await ethers.getContractAt(
+          ["function persistAllowed(bytes32 handle, address account) view returns (bool)"],
+          ACLAddress
+        );
+        expect(await acl.persistAllowed(originalCaseId, witness1.address)).to.be.true;
+        expect(await acl.persistAllowed(rotatedCaseId, witness1.address)).to.be.false;
+        expect(await acl.persistAllowed(rotatedCaseId, witness2.address)).to.be.true;
+      });
+
+      it("Should only let the creator or admin revoke, and never the creator", async function () {
+        const { contract, admin, investigator1, witness1, witness2 } = await deployContractFixture();
+
+        await contract.connect(admin).authorizeInvestigator(investigator1.address);
+        await openInvestigation(contract, investigator1, admin, 100);
+        await contract.connect(investigator1).authorizeParticipant(1, witness1.address);
+
+        await expect(
+          contract.connect(witness1).revokeParticipant(1, witness1.address)
+        ).to.be.revertedWith("Only investigation creator or admin can revoke");
+        await expect(
+          contract.connect(admin).revokeParticipant(1, investigator1.address)
+        ).to.be.revertedWith("Cannot revoke investigation creator");
+        await expect(
+          contract.connect(admin).revokeParticipant(1, witness2.address)
+        ).to.be.revertedWith("Not a participant");
+
+        await contract.connect(admin).revokeParticipant(1, witness1.address);
+        expect(await contract.getParticipantCount(1)).to.equal(1);
+      });
+    });
+
     describe("Complete Investigation", function () {
       it("Should allow investigator to complete their investigation", async function () {
-        const { contract, admin } = await loadFixture(deployContractFixture);
+        const { contract, admin } = await deployContractFixture();
 
-        await contract.connect(admin).startInvestigation(100);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
 
-        await expect(contract.connect(admin).completeInvestigation(1))
+        await expect(closeInvestigation(contract, admin, 1))
           .to.emit(contract, "InvestigationCompleted")
           .withArgs(1);
 
@@ -195,23 +483,52 @@ describe("AnonymousCourtInvestigation", function () {
       });
 
       it("Should revert if non-creator tries to complete investigation", async function () {
-        const { contract, admin, investigator1 } = await loadFixture(deployContractFixture);
+        const { contract, admin, investigator1 } = await deployContractFixture();
 
         await contract.connect(admin).authorizeInvestigator(investigator1.address);
-        await contract.connect(admin).startInvestigation(100);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
 
         await expect(
           contract.connect(investigator1).completeInvestigation(1)
         ).to.be.revertedWith("Only investigation creator can complete");
       });
+
+      it("Should revert if no judge panel was assigned", async function () {
+        const { contract, admin } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+
+        await expect(
+          contract.connect(admin).completeInvestigation(1)
+        ).to.be.revertedWith("Judge panel not assigned");
+      });
+
+      it("Should revert until the panel quorum is met", async function () {
+        const { contract, admin, judge1, judge2 } = await deployContractFixture();
+
+        await authorizeJudge(contract, admin, judge1);
+        await authorizeJudge(contract, admin, judge2);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await contract.connect(admin).assignJudgePanel(1, [judge1.address, judge2.address], 2);
+
+        await submitVerdict(contract, judge1, 1, 1, 80);
+        await expect(
+          contract.connect(admin).completeInvestigation(1)
+        ).to.be.revertedWith("Quorum not reached");
+
+        await submitVerdict(contract, judge2, 1, 1, 70);
+        await expect(contract.connect(admin).completeInvestigation(1))
+          .to.emit(contract, "InvestigationCompleted")
+          .withArgs(1);
+      });
     });
 
     describe("Archive Investigation", function () {
       it("Should allow admin to archive completed investigation", async function () {
-        const { contract, admin } = await loadFixture(deployContractFixture);
+        const { contract, admin } = await deployContractFixture();
 
-        await contract.connect(admin).startInvestigation(100);
-        await contract.connect(admin).completeInvestigation(1);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await closeInvestigation(contract, admin, 1);
 
         await contract.connect(admin).archiveInvestigation(1);
 
@@ -220,70 +537,127 @@ describe("AnonymousCourtInvestigation", function () {
       });
 
       it("Should revert if investigation is not completed", async function () {
-        const { contract, admin } = await loadFixture(deployContractFixture);
+        const { contract, admin } = await deployContractFixture();
 
-        await contract.connect(admin).startInvestigation(100);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
 
         await expect(
           contract.connect(admin).archiveInvestigation(1)
-        ).to.be.revertedWith("Investigation must be completed first");
+        ).to.be.revertedWith("Investigation must be completed or timed out first");
       });
     });
   });
 
   describe("Evidence Management", function () {
     describe("Submit Evidence", function () {
-      it("Should allow authorized participant to submit evidence", async function () {
-        const { contract, admin, witness1 } = await loadFixture(deployContractFixture);
+      it("Should allow authorized participant to submit encrypted evidence", async function () {
+        const { contract, admin, witness1 } = await deployContractFixture();
 
-        await contract.connect(admin).startInvestigation(100);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
         await contract.connect(admin).authorizeParticipant(1, witness1.address);
 
-        await expect(contract.connect(witness1).submitEncryptedEvidence(1, 0, 75))
+        await expect(submitEvidence(contract, witness1, 1, 0, 75))
           .to.emit(contract, "EvidenceSubmitted")
-          .withArgs(1, 1, witness1.address);
+          .withArgs(1, 1, witness1.address, STAKE)
+          .and.to.emit(contract, "StakeReceived")
+          .withArgs(1, witness1.address, ethers.ZeroAddress, STAKE);
 
         const counts = await contract.getInvestigationCounts(1);
         expect(counts.evidenceCountTotal).to.equal(1);
       });
 
-      it("Should revert if evidence type is invalid", async function () {
-        const { contract, admin } = await loadFixture(deployContractFixture);
+      it("Should store the encrypted values for the submitter to decrypt", async function () {
+        const { contract, admin, witness1 } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await contract.connect(admin).authorizeParticipant(1, witness1.address);
+        await submitEvidence(contract, witness1, 1, 2, 75);
+
+        const evidence = await contract.caseEvidence(1, 1);
+        const contractAddress = await contract.getAddress();
+
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint8, evidence.evidenceType, contractAddress, witness1)
+        ).to.equal(2);
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint32, evidence.confidentialityLevel, contractAddress, witness1)
+        ).to.equal(75);
+      });
+
+      it("Should cap an out-of-range evidence type at Digital", async function () {
+        const { contract, admin } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await submitEvidence(contract, admin, 1, 5, 75);
 
-        await contract.connect(admin).startInvestigation(100);
+        const evidence = await contract.caseEvidence(1, 1);
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint8, evidence.evidenceType, await contract.getAddress(), admin)
+        ).to.equal(3); // Digital
+      });
+
+      it("Should raise a zero confidentiality level to 1", async function () {
+        const { contract, admin } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await submitEvidence(contract, admin, 1, 0, 0);
+
+        const evidence = await contract.caseEvidence(1, 1);
+        expect(
+          await fhevm.userDecryptEuint(
+            FhevmType.euint32,
+            evidence.confidentialityLevel,
+            await contract.getAddress(),
+            admin
+          )
+        ).to.equal(1);
+      });
+
+      it("Should revert if the input proof was created for another sender", async function () {
+        const { contract, admin, witness1 } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        const input = await encryptEvidence(await contract.getAddress(), witness1, 0, 75);
 
         await expect(
-          contract.connect(admin).submitEncryptedEvidence(1, 5, 75)
-        ).to.be.revertedWith("Invalid evidence type");
+          contract
+            .connect(admin)
+            .submitEncryptedEvidence(1, input.evidenceType, input.confidentialityLevel, input.inputProof, {
+              value: STAKE,
+            })
+        ).to.be.reverted;
       });
 
-      it("Should revert if confidentiality level is zero", async function () {
-        const { contract, admin } = await loadFixture(deployContractFixture);
+      it("Should revert if no stake is sent", async function () {
+        const { contract, admin } = await deployContractFixture();
 
-        await contract.connect(admin).startInvestigation(100);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        const input = await encryptEvidence(await contract.getAddress(), admin, 0, 75);
 
         await expect(
-          contract.connect(admin).submitEncryptedEvidence(1, 0, 0)
-        ).to.be.revertedWith("Confidentiality level must be greater than 0");
+          contract
+            .connect(admin)
+            .submitEncryptedEvidence(1, input.evidenceType, input.confidentialityLevel, input.inputProof)
+        ).to.be.revertedWith("Stake must be greater than zero");
       });
 
       it("Should revert if unauthorized user tries to submit evidence", async function () {
-        const { contract, admin, unauthorized } = await loadFixture(deployContractFixture);
+        const { contract, admin, unauthorized } = await deployContractFixture();
 
-        await contract.connect(admin).startInvestigation(100);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
 
         await expect(
-          contract.connect(unauthorized).submitEncryptedEvidence(1, 0, 75)
-        ).to.be.revertedWith("Not authorized participant");
+          submitEvidence(contract, unauthorized, 1, 0, 75)
+        ).to.be.revertedWith("Not authorized: participant only");
       });
     });
 
     describe("Verify Evidence", function () {
       it("Should allow authorized investigator to verify evidence", async function () {
-        const { contract, admin } = await loadFixture(deployContractFixture);
+        const { contract, admin } = await deployContractFixture();
 
-        await contract.connect(admin).startInvestigation(100);
-        await contract.connect(admin).submitEncryptedEvidence(1, 0, 75);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await submitEvidence(contract, admin, 1, 0, 75);
 
         await expect(contract.connect(admin).verifyEvidence(1, 1))
           .to.not.be.reverted;
@@ -293,9 +667,9 @@ describe("AnonymousCourtInvestigation", function () {
       });
 
       it("Should revert if evidence does not exist", async function () {
-        const { contract, admin } = await loadFixture(deployContractFixture);
+        const { contract, admin } = await deployContractFixture();
 
-        await contract.connect(admin).startInvestigation(100);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
 
         await expect(
           contract.connect(admin).verifyEvidence(1, 999)
@@ -306,27 +680,185 @@ describe("AnonymousCourtInvestigation", function () {
 
   describe("Witness Management", function () {
     describe("Submit Witness Testimony", function () {
-      it("Should allow anyone to submit anonymous witness testimony", async function () {
-        const { contract, admin, witness1 } = await loadFixture(deployContractFixture);
+      it("Should allow anyone to submit encrypted anonymous witness testimony", async function () {
+        const { contract, admin, witness1 } = await deployContractFixture();
 
-        await contract.connect(admin).startInvestigation(100);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
 
-        await expect(contract.connect(witness1).submitAnonymousWitnessTestimony(1, 85, 123456))
+        await expect(submitWitness(contract, witness1, 1, 85, 123456))
           .to.emit(contract, "WitnessTestimonySubmitted")
-          .withArgs(1, 1);
+          .withArgs(1, 1, STAKE)
+          .and.to.emit(contract, "StakeReceived")
+          .withArgs(1, ethers.ZeroAddress, ethers.ZeroAddress, STAKE);
 
         const counts = await contract.getInvestigationCounts(1);
         expect(counts.witnessCountTotal).to.equal(1);
+
+        const witness = await contract.witnesses(1, 1);
+        expect(await fhevm.debugger.decryptEuint(FhevmType.euint32, witness.encryptedTestimony)).to.equal(123456);
+      });
+
+      it("Should not log the witness's address", async function () {
+        const { contract, admin, witness1 } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        const receipt = await (await submitWitness(contract, witness1, 1, 85, 123456)).wait();
+
+        // The fhevm input verifier logs the account its proof is bound to; the court's own logs must not
+        const address = witness1.address.slice(2).toLowerCase();
+        const courtLogs = receipt.logs.filter((log) => log.address === receipt.to);
+        expect(courtLogs).to.not.be.empty;
+        for (const log of courtLogs) {
+          expect([...log.topics, log.data].join("").toLowerCase()).to.not.include(address);
+        }
+      });
+
+      it("Should cap a credibility score over 100", async function () {
+        const { contract, admin, witness1 } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await submitWitness(contract, witness1, 1, 150, 123456);
+
+        const witness = await contract.witnesses(1, 1);
+        expect(await fhevm.debugger.decryptEuint(FhevmType.euint8, witness.credibilityScore)).to.equal(100);
+      });
+
+      it("Should revert if the input proof was created for another sender", async function () {
+        const { contract, admin, witness1, witness2 } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        const input = await encryptWitnessTestimony(await contract.getAddress(), witness1, 85, 123456);
+
+        await expect(
+          contract
+            .connect(witness2)
+            .submitAnonymousWitnessTestimony(
+              1,
+              input.credibilityScore,
+              input.testimonyHash,
+              input.inputProof,
+              refundCommitment(ethers.id("secret"), witness2.address),
+              { value: STAKE }
+            )
+        ).to.be.reverted;
+      });
+
+      it("Should revert if no stake is sent", async function () {
+        const { contract, admin, witness1 } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        const input = await encryptWitnessTestimony(await contract.getAddress(), witness1, 85, 123456);
+
+        await expect(
+          contract
+            .connect(witness1)
+            .submitAnonymousWitnessTestimony(
+              1,
+              input.credibilityScore,
+              input.testimonyHash,
+              input.inputProof,
+              refundCommitment(ethers.id("no stake"), witness1.address)
+            )
+        ).to.be.revertedWith("Stake must be greater than zero");
+      });
+
+      it("Should reject an empty or reused refund commitment", async function () {
+        const { contract, admin, witness1 } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        const input = await encryptWitnessTestimony(await contract.getAddress(), witness1, 85, 123456);
+
+        await expect(
+          contract
+            .connect(witness1)
+            .submitAnonymousWitnessTestimony(1, input.credibilityScore, input.testimonyHash, input.inputProof, ethers.ZeroHash, {
+              value: STAKE,
+            })
+        ).to.be.revertedWith("Invalid refund commitment");
+
+        const secret = ethers.id("reused secret");
+        await submitWitness(contract, witness1, 1, 85, 123456, secret);
+        await expect(submitWitness(contract, witness1, 1, 85, 123456, secret)).to.be.revertedWith(
+          "Refund commitment already used"
+        );
+      });
+    });
+
+    describe("Witness Refund", function () {
+      const secret = ethers.id("witness refund secret");
+
+      async function expireInvestigation() {
+        await time.increase(INVESTIGATION_DURATION + REFUND_GRACE_PERIOD + 1);
+      }
+
+      it("Should pay the committed recipient whoever submits the claim", async function () {
+        const { contract, admin, witness1, witness2, unauthorized } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await submitWitness(contract, witness1, 1, 85, 123456, secret, witness2.address);
+        await expireInvestigation();
+
+        const claim = contract.connect(unauthorized).requestWitnessRefund(1, 1, secret, witness2.address);
+        await expect(claim)
+          .to.emit(contract, "RefundIssued")
+          .withArgs(1, 1, witness2.address, STAKE);
+        await expect(claim).to.changeEtherBalances([contract, witness2], [-STAKE, STAKE]);
+
+        const nullifier = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [secret]));
+        expect(await contract.witnessRefundNullifiers(nullifier)).to.be.true;
+      });
+
+      it("Should revert with a wrong secret or recipient", async function () {
+        const { contract, admin, witness1, unauthorized } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await submitWitness(contract, witness1, 1, 85, 123456, secret);
+        await expireInvestigation();
+
+        await expect(
+          contract.connect(witness1).requestWitnessRefund(1, 1, ethers.id("guess"), witness1.address)
+        ).to.be.revertedWith("Invalid refund secret");
+        await expect(
+          contract.connect(unauthorized).requestWitnessRefund(1, 1, secret, unauthorized.address)
+        ).to.be.revertedWith("Invalid refund secret");
+      });
+
+      it("Should revert before the investigation expires", async function () {
+        const { contract, admin, witness1 } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await submitWitness(contract, witness1, 1, 85, 123456, secret);
+
+        await expect(
+          contract.connect(witness1).requestWitnessRefund(1, 1, secret, witness1.address)
+        ).to.be.revertedWith("Refund conditions not met");
       });
 
-      it("Should revert if credibility score is over 100", async function () {
-        const { contract, admin, witness1 } = await loadFixture(deployContractFixture);
+      it("Should not refund the same testimony twice", async function () {
+        const { contract, admin, witness1 } = await deployContractFixture();
 
-        await contract.connect(admin).startInvestigation(100);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await submitWitness(contract, witness1, 1, 85, 123456, secret);
+        await expireInvestigation();
 
+        await contract.connect(witness1).requestWitnessRefund(1, 1, secret, witness1.address);
         await expect(
-          contract.connect(witness1).submitAnonymousWitnessTestimony(1, 150, 123456)
-        ).to.be.revertedWith("Credibility score must be 0-100");
+          contract.connect(witness1).requestWitnessRefund(1, 1, secret, witness1.address)
+        ).to.be.revertedWith("Already refunded");
+      });
+
+      it("Should spend the nullifier so a secret cannot claim a second testimony", async function () {
+        const { contract, admin, witness1, witness2 } = await deployContractFixture();
+
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await submitWitness(contract, witness1, 1, 85, 123456, secret, witness1.address);
+        await submitWitness(contract, witness1, 1, 70, 654321, secret, witness2.address);
+        await expireInvestigation();
+
+        await contract.connect(witness1).requestWitnessRefund(1, 1, secret, witness1.address);
+        await expect(
+          contract.connect(witness2).requestWitnessRefund(1, 2, secret, witness2.address)
+        ).to.be.revertedWith("Refund already claimed");
       });
     });
   });
@@ -334,12 +866,13 @@ describe("AnonymousCourtInvestigation", function () {
   describe("Judicial Verdict", function () {
     describe("Submit Verdict", function () {
       it("Should allow authorized judge to submit verdict", async function () {
-        const { contract, admin, judge1 } = await loadFixture(deployContractFixture);
+        const { contract, admin, judge1 } = await deployContractFixture();
 
-        await contract.connect(admin).authorizeJudge(judge1.address);
-        await contract.connect(admin).startInvestigation(100);
+        await authorizeJudge(contract, admin, judge1);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await contract.connect(admin).assignJudgePanel(1, [judge1.address], 1);
 
-        await expect(contract.connect(judge1).submitJudicialVerdict(1, 1, 80))
+        await expect(submitVerdict(contract, judge1, 1, 1, 80))
           .to.emit(contract, "VerdictSubmitted")
           .withArgs(1, judge1.address);
 
@@ -347,58 +880,994 @@ describe("AnonymousCourtInvestigation", function () {
         expect(hasVoted).to.be.true;
       });
 
-      it("Should revert if verdict value is invalid", async function () {
-        const { contract, admin, judge1 } = await loadFixture(deployContractFixture);
+      it("Should cap a confidence over 100", async function () {
+        const { contract, admin, judge1 } = await deployContractFixture();
+
+        await authorizeJudge(contract, admin, judge1);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await contract.connect(admin).assignJudgePanel(1, [judge1.address], 1);
+        await submitVerdict(contract, judge1, 1, 1, 150);
+
+        const vote = await contract.judicialVotes(1, judge1.address);
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint8, vote.confidence, await contract.getAddress(), judge1)
+        ).to.equal(100);
+      });
+
+      it("Should revert if judge tries to vote twice", async function () {
+        const { contract, admin, judge1 } = await deployContractFixture();
+
+        await authorizeJudge(contract, admin, judge1);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await contract.connect(admin).assignJudgePanel(1, [judge1.address], 1);
 
-        await contract.connect(admin).authorizeJudge(judge1.address);
-        await contract.connect(admin).startInvestigation(100);
+        await submitVerdict(contract, judge1, 1, 1, 80);
 
         await expect(
-          contract.connect(judge1).submitJudicialVerdict(1, 5, 80)
-        ).to.be.revertedWith("Verdict must be 0 (not guilty), 1 (guilty), or 2 (insufficient evidence)");
+          submitVerdict(contract, judge1, 1, 0, 90)
+        ).to.be.revertedWith("Vote already submitted");
       });
 
-      it("Should revert if confidence is over 100", async function () {
-        const { contract, admin, judge1 } = await loadFixture(deployContractFixture);
+      it("Should revert if an authorized judge is not on the panel", async function () {
+        const { contract, admin, judge1, judge2 } = await deployContractFixture();
 
-        await contract.connect(admin).authorizeJudge(judge1.address);
-        await contract.connect(admin).startInvestigation(100);
+        await authorizeJudge(contract, admin, judge1);
+        await authorizeJudge(contract, admin, judge2);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await contract.connect(admin).assignJudgePanel(1, [judge1.address], 1);
 
         await expect(
-          contract.connect(judge1).submitJudicialVerdict(1, 1, 150)
-        ).to.be.revertedWith("Confidence must be 0-100");
+          submitVerdict(contract, judge2, 1, 1, 80)
+        ).to.be.revertedWith("Not on judge panel");
       });
 
-      it("Should revert if judge tries to vote twice", async function () {
-        const { contract, admin, judge1 } = await loadFixture(deployContractFixture);
+      it("Should weight the vote with the judge's assigned weight", async function () {
+        const { contract, admin, judge1 } = await deployContractFixture();
+
+        await authorizeJudge(contract, admin, judge1, 4);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await contract.connect(admin).assignJudgePanel(1, [judge1.address], 1);
+        await submitVerdict(contract, judge1, 1, 1, 80);
 
-        await contract.connect(admin).authorizeJudge(judge1.address);
-        await contract.connect(admin).startInvestigation(100);
+        const vote = await contract.judicialVotes(1, judge1.address);
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint64, vote.encryptedWeight, await contract.getAddress(), admin)
+        ).to.equal(4);
+      });
+
+      it("Should prefer a per-investigation weight over the global one", async function () {
+        const { contract, admin, judge1 } = await deployContractFixture();
+        const contractAddress = await contract.getAddress();
+
+        await authorizeJudge(contract, admin, judge1, 4);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await contract.connect(admin).assignJudgePanel(1, [judge1.address], 1);
+
+        const input = await encryptJudgeWeight(contractAddress, admin, 7);
+        await expect(contract.connect(admin).setInvestigationJudgeWeight(1, judge1.address, input.weight, input.inputProof))
+          .to.emit(contract, "JudgeWeightSet")
+          .withArgs(judge1.address, 1);
+
+        await submitVerdict(contract, judge1, 1, 1, 80);
+
+        const vote = await contract.judicialVotes(1, judge1.address);
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint64, vote.encryptedWeight, contractAddress, admin)
+        ).to.equal(7);
+      });
+
+      it("Should revert if a per-investigation weight is set by a non-admin or after voting", async function () {
+        const { contract, admin, investigator1, judge1 } = await deployContractFixture();
+        const contractAddress = await contract.getAddress();
+
+        await authorizeJudge(contract, admin, judge1);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+        await contract.connect(admin).assignJudgePanel(1, [judge1.address], 1);
+
+        const investigatorInput = await encryptJudgeWeight(contractAddress, investigator1, 7);
+        await expect(
+          contract
+            .connect(investigator1)
+            .setInvestigationJudgeWeight(1, judge1.address, investigatorInput.weight, investigatorInput.inputProof)
+        ).to.be.revertedWith("Not authorized: admin only");
 
-        await contract.connect(judge1).submitJudicialVerdict(1, 1, 80);
+        await submitVerdict(contract, judge1, 1, 1, 80);
 
+        const adminInput = await encryptJudgeWeight(contractAddress, admin, 7);
         await expect(
-          contract.connect(judge1).submitJudicialVerdict(1, 0, 90)
+          contract.connect(admin).setInvestigationJudgeWeight(1, judge1.address, adminInput.weight, adminInput.inputProof)
         ).to.be.revertedWith("Vote already submitted");
       });
 
       it("Should revert if unauthorized user tries to submit verdict", async function () {
-        const { contract, admin, unauthorized } = await loadFixture(deployContractFixture);
+        const { contract, admin, unauthorized } = await deployContractFixture();
 
-        await contract.connect(admin).startInvestigation(100);
+        await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
 
         await expect(
-          contract.connect(unauthorized).submitJudicialVerdict(1, 1, 80)
-        ).to.be.revertedWith("Not authorized judge");
+          submitVerdict(contract, unauthorized, 1, 1, 80)
+        ).to.be.revertedWith("Not authorized: judge only");
       });
     });
   });
 
+  describe("Judge Panel", function () {
+    it("Should let the investigation creator assign a panel", async function () {
+      const { contract, admin, investigator1, judge1, judge2 } = await deployContractFixture();
+
+      await contract.connect(admin).authorizeInvestigator(investigator1.address);
+      await authorizeJudge(contract, admin, judge1);
+      await authorizeJudge(contract, admin, judge2);
+      await openInvestigation(contract, investigator1, admin, 100);
+
+      await expect(contract.connect(investigator1).assignJudgePanel(1, [judge1.address, judge2.address], 2))
+        .to.emit(contract, "JudgePanelAssigned")
+        .withArgs(1, [judge1.address, judge2.address], 2);
+
+      const panel = await contract.getJudgePanel(1);
+      expect(panel.judges).to.deep.equal([judge1.address, judge2.address]);
+      expect(panel.quorum).to.equal(2);
+      expect(panel.votesCast).to.equal(0);
+      expect(await contract.isPanelJudge(1, judge1.address)).to.be.true;
+    });
+
+    it("Should let the admin assign a panel for another investigator's case", async function () {
+      const { contract, admin, investigator1, judge1 } = await deployContractFixture();
+
+      await contract.connect(admin).authorizeInvestigator(investigator1.address);
+      await authorizeJudge(contract, admin, judge1);
+      await openInvestigation(contract, investigator1, admin, 100);
+
+      await contract.connect(admin).assignJudgePanel(1, [judge1.address], 1);
+      expect(await contract.isPanelJudge(1, judge1.address)).to.be.true;
+    });
+
+    it("Should revert if someone else tries to assign a panel", async function () {
+      const { contract, admin, investigator1, judge1 } = await deployContractFixture();
+
+      await contract.connect(admin).authorizeInvestigator(investigator1.address);
+      await authorizeJudge(contract, admin, judge1);
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+
+      await expect(
+        contract.connect(investigator1).assignJudgePanel(1, [judge1.address], 1)
+      ).to.be.revertedWith("Only investigation creator or admin can assign judges");
+    });
+
+    it("Should validate panel members and quorum", async function () {
+      const { contract, admin, judge1, unauthorized } = await deployContractFixture();
+
+      await authorizeJudge(contract, admin, judge1);
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+
+      await expect(contract.connect(admin).assignJudgePanel(1, [], 0)).to.be.revertedWith(
+        "Judge panel cannot be empty"
+      );
+      await expect(contract.connect(admin).assignJudgePanel(1, [judge1.address], 2)).to.be.revertedWith(
+        "Invalid quorum"
+      );
+      await expect(
+        contract.connect(admin).assignJudgePanel(1, [judge1.address, unauthorized.address], 1)
+      ).to.be.revertedWith("Judge not authorized");
+      await expect(
+        contract.connect(admin).assignJudgePanel(1, [judge1.address, judge1.address], 1)
+      ).to.be.revertedWith("Duplicate judge");
+    });
+
+    it("Should replace the panel until voting starts", async function () {
+      const { contract, admin, judge1, judge2 } = await deployContractFixture();
+
+      await authorizeJudge(contract, admin, judge1);
+      await authorizeJudge(contract, admin, judge2);
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+
+      await contract.connect(admin).assignJudgePanel(1, [judge1.address], 1);
+      await contract.connect(admin).assignJudgePanel(1, [judge2.address], 1);
+      expect(await contract.isPanelJudge(1, judge1.address)).to.be.false;
+      expect(await contract.isPanelJudge(1, judge2.address)).to.be.true;
+
+      await submitVerdict(contract, judge2, 1, 1, 80);
+
+      await expect(
+        contract.connect(admin).assignJudgePanel(1, [judge1.address], 1)
+      ).to.be.revertedWith("Voting already started");
+    });
+  });
+
+  describe("Stake Treasury", function () {
+    const secret = ethers.id("treasury witness secret");
+
+    // Stakes on a closed case: one evidence and one witness stake, then archived
+    async function archiveStakedInvestigation(contract, admin, witness1) {
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+      await submitEvidence(contract, admin, 1, 1, 3);
+      await submitWitness(contract, witness1, 1, 85, 123456, secret);
+      await closeInvestigation(contract, admin, 1);
+      await contract.connect(admin).archiveInvestigation(1);
+    }
+
+    async function passRetentionPeriod() {
+      await time.increase(INVESTIGATION_DURATION + REFUND_GRACE_PERIOD + STAKE_RETENTION_PERIOD + 1);
+    }
+
+    it("Should count witness stakes and their refunds in the investigation stake", async function () {
+      const { contract, admin, witness1 } = await deployContractFixture();
+
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+      await submitWitness(contract, witness1, 1, 85, 123456, secret);
+      let stake = await contract.getInvestigationStake(1);
+      expect(stake.locked).to.equal(STAKE);
+      expect(stake.forfeited).to.equal(0);
+      expect(stake.forfeitsAt).to.equal(0);
+
+      await time.increase(INVESTIGATION_DURATION + REFUND_GRACE_PERIOD + 1);
+      await contract.connect(witness1).requestWitnessRefund(1, 1, secret, witness1.address);
+      stake = await contract.getInvestigationStake(1);
+      expect(stake.locked).to.equal(0);
+    });
+
+    it("Should forfeit unrefunded stakes once the retention period after archival ends", async function () {
+      const { contract, admin, witness1 } = await deployContractFixture();
+
+      await archiveStakedInvestigation(contract, admin, witness1);
+      const { expiryTime } = await contract.getInvestigationTimeInfo(1);
+      let stake = await contract.getInvestigationStake(1);
+      expect(stake.locked).to.equal(STAKE * 2n);
+      expect(stake.forfeitsAt).to.equal(expiryTime + BigInt(REFUND_GRACE_PERIOD + STAKE_RETENTION_PERIOD));
+
+      await passRetentionPeriod();
+      stake = await contract.getInvestigationStake(1);
+      expect(stake.locked).to.equal(0);
+      expect(stake.forfeited).to.equal(STAKE * 2n);
+    });
+
+    it("Should block refunds of forfeited stakes", async function () {
+      const { contract, admin, witness1 } = await deployContractFixture();
+
+      await archiveStakedInvestigation(contract, admin, witness1);
+      await passRetentionPeriod();
+
+      await expect(contract.connect(admin).requestEvidenceRefund(1, 1)).to.be.revertedWith("Stake forfeited");
+      await expect(
+        contract.connect(witness1).requestWitnessRefund(1, 1, secret, witness1.address)
+      ).to.be.revertedWith("Stake forfeited");
+    });
+
+    it("Should sweep forfeited stakes to the treasury", async function () {
+      const { contract, admin, witness1, investigator2 } = await deployContractFixture();
+
+      await expect(contract.connect(admin).setTreasury(investigator2.address))
+        .to.emit(contract, "TreasuryUpdated")
+        .withArgs(investigator2.address);
+      await archiveStakedInvestigation(contract, admin, witness1);
+
+      await expect(contract.connect(admin).sweepForfeitedStakes(1)).to.be.revertedWith("Stakes not forfeited");
+      await passRetentionPeriod();
+
+      const sweep = contract.connect(admin).sweepForfeitedStakes(1);
+      await expect(sweep)
+        .to.emit(contract, "TreasurySweep")
+        .withArgs(1, investigator2.address, ethers.ZeroAddress, STAKE * 2n);
+      await expect(sweep).to.changeEtherBalances([contract, investigator2], [-(STAKE * 2n), STAKE * 2n]);
+
+      const stake = await contract.getInvestigationStake(1);
+      expect(stake.forfeited).to.equal(0);
+      await expect(contract.connect(admin).sweepForfeitedStakes(1)).to.be.revertedWith("Nothing to sweep");
+    });
+
+    it("Should track and sweep ETH sent outside of staking", async function () {
+      const { contract, admin, investigator2, unauthorized } = await deployContractFixture();
+
+      await unauthorized.sendTransaction({ to: await contract.getAddress(), value: STAKE });
+      expect(await contract.unallocatedFunds()).to.equal(STAKE);
+
+      await contract.connect(admin).setTreasury(investigator2.address);
+      const sweep = contract.connect(admin).sweepUnallocatedFunds();
+      await expect(sweep).to.emit(contract, "TreasurySweep").withArgs(0, investigator2.address, ethers.ZeroAddress, STAKE);
+      await expect(sweep).to.changeEtherBalances([contract, investigator2], [-STAKE, STAKE]);
+      expect(await contract.unallocatedFunds()).to.equal(0);
+    });
+
+    it("Should revert if a non-admin manages the treasury", async function () {
+      const { contract, admin, unauthorized } = await deployContractFixture();
+
+      await expect(contract.connect(unauthorized).setTreasury(unauthorized.address)).to.be.revertedWith(
+        "Not authorized: admin only"
+      );
+      await expect(contract.connect(admin).setTreasury(ethers.ZeroAddress)).to.be.revertedWith("Invalid address");
+      await expect(contract.connect(unauthorized).sweepForfeitedStakes(1)).to.be.revertedWith("Not authorized: admin only");
+      await expect(contract.connect(unauthorized).sweepUnallocatedFunds()).to.be.revertedWith("Not authorized: admin only");
+    });
+  });
+
+  describe("Token Stakes", function () {
+    const TOKEN_STAKE = ethers.parseEther("25");
+
+    async function deployTokenFixture() {
+      const fixture = await deployContractFixture();
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Court Stake Token", "CST");
+      await token.waitForDeployment();
+
+      await token.mint(fixture.witness1.address, TOKEN_STAKE * 4n);
+      await fixture.contract.connect(fixture.admin).setStakeToken(await token.getAddress(), true);
+      await fixture.contract.connect(fixture.admin).startInvestigation(100, INVESTIGATION_DURATION);
+      await fixture.contract.connect(fixture.admin).authorizeParticipant(1, fixture.witness1.address);
+
+      return { ...fixture, token };
+    }
+
+    // Without a permit signature the contract relies on a prior approve()
+    function approvedStake(token, amount = TOKEN_STAKE) {
+      return { token, amount, permitDeadline: 0, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+    }
+
+    async function signPermit(token, owner, spender, amount, deadline) {
+      const domain = {
+        name: await token.name(),
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await token.getAddress(),
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const value = { owner: owner.address, spender, value: amount, nonce: await token.nonces(owner.address), deadline };
+      const { v, r, s } = ethers.Signature.from(await owner.signTypedData(domain, types, value));
+      return { token: await token.getAddress(), amount, permitDeadline: deadline, v, r, s };
+    }
+
+    async function submitEvidenceWithToken(contract, sender, investigationId, stake) {
+      const input = await encryptEvidence(await contract.getAddress(), sender, 0, 75);
+      return contract
+        .connect(sender)
+        .submitEncryptedEvidenceWithToken(
+          investigationId,
+          input.evidenceType,
+          input.confidentialityLevel,
+          input.inputProof,
+          stake
+        );
+    }
+
+    it("Should accept an evidence stake in a whitelisted token after approve", async function () {
+      const { contract, witness1, token } = await deployTokenFixture();
+      const contractAddress = await contract.getAddress();
+      const tokenAddress = await token.getAddress();
+
+      await token.connect(witness1).approve(contractAddress, TOKEN_STAKE);
+      const submission = submitEvidenceWithToken(contract, witness1, 1, approvedStake(tokenAddress));
+      await expect(submission)
+        .to.emit(contract, "EvidenceSubmitted")
+        .withArgs(1, 1, witness1.address, TOKEN_STAKE)
+        .and.to.emit(contract, "StakeReceived")
+        .withArgs(1, witness1.address, tokenAddress, TOKEN_STAKE);
+      await expect(submission).to.changeTokenBalances(token, [witness1, contract], [-TOKEN_STAKE, TOKEN_STAKE]);
+
+      const evidence = await contract.caseEvidence(1, 1);
+      expect(evidence.stakeToken).to.equal(tokenAddress);
+      expect(evidence.stake).to.equal(TOKEN_STAKE);
+
+      const stake = await contract.getInvestigationTokenStake(1, tokenAddress);
+      expect(stake.locked).to.equal(TOKEN_STAKE);
+      expect((await contract.getInvestigationStake(1)).locked).to.equal(0);
+    });
+
+    it("Should accept a witness stake through an EIP-2612 permit", async function () {
+      const { contract, witness1, token } = await deployTokenFixture();
+      const contractAddress = await contract.getAddress();
+      const deadline = (await time.latest()) + 3600;
+      const stake = await signPermit(token, witness1, contractAddress, TOKEN_STAKE, deadline);
+      const input = await encryptWitnessTestimony(contractAddress, witness1, 85, 123456);
+
+      const submission = contract
+        .connect(witness1)
+        .submitAnonymousWitnessTestimonyWithToken(
+          1,
+          input.credibilityScore,
+          input.testimonyHash,
+          input.inputProof,
+          refundCommitment(ethers.id("token witness secret"), witness1.address),
+          stake
+        );
+      await expect(submission).to.emit(contract, "WitnessTestimonySubmitted").withArgs(1, 1, TOKEN_STAKE);
+      await expect(submission).to.changeTokenBalances(token, [witness1, contract], [-TOKEN_STAKE, TOKEN_STAKE]);
+
+      const witness = await contract.witnesses(1, 1);
+      expect(witness.stakeToken).to.equal(stake.token);
+      expect(await token.allowance(witness1.address, contractAddress)).to.equal(0);
+    });
+
+    it("Should refuse tokens that take a fee on transfer", async function () {
+      const { contract, witness1, token } = await deployTokenFixture();
+      const tokenAddress = await token.getAddress();
+
+      await token.setTransferFee(1);
+      await token.connect(witness1).approve(await contract.getAddress(), TOKEN_STAKE);
+      await expect(
+        submitEvidenceWithToken(contract, witness1, 1, approvedStake(tokenAddress))
+      ).to.be.revertedWith("Token transfer fee not supported");
+    });
+
+    it("Should refund a token stake in the same token", async function () {
+      const { contract, witness1, token } = await deployTokenFixture();
+      const secret = ethers.id("token refund secret");
+      const contractAddress = await contract.getAddress();
+      const tokenAddress = await token.getAddress();
+
+      await token.connect(witness1).approve(contractAddress, TOKEN_STAKE * 2n);
+      await submitEvidenceWithToken(contract, witness1, 1, approvedStake(tokenAddress));
+      const input = await encryptWitnessTestimony(contractAddress, witness1, 85, 123456);
+      await contract
+        .connect(witness1)
+        .submitAnonymousWitnessTestimonyWithToken(
+          1,
+          input.credibilityScore,
+          input.testimonyHash,
+          input.inputProof,
+          refundCommitment(secret, witness1.address),
+          approvedStake(tokenAddress)
+        );
+      await time.increase(INVESTIGATION_DURATION + REFUND_GRACE_PERIOD + 1);
+
+      const evidenceRefund = contract.connect(witness1).requestEvidenceRefund(1, 1);
+      await expect(evidenceRefund).to.changeTokenBalances(token, [contract, witness1], [-TOKEN_STAKE, TOKEN_STAKE]);
+      await expect(evidenceRefund).to.changeEtherBalance(contract, 0);
+
+      const witnessRefund = contract.connect(witness1).requestWitnessRefund(1, 1, secret, witness1.address);
+      await expect(witnessRefund).to.changeTokenBalances(token, [contract, witness1], [-TOKEN_STAKE, TOKEN_STAKE]);
+      expect((await contract.getInvestigationTokenStake(1, tokenAddress)).locked).to.equal(0);
+    });
+
+    it("Should sweep forfeited token stakes to the treasury", async function () {
+      const { contract, admin, witness1, investigator2, token } = await deployTokenFixture();
+      const tokenAddress = await token.getAddress();
+
+      await contract.connect(admin).setTreasury(investigator2.address);
+      await token.connect(witness1).approve(await contract.getAddress(), TOKEN_STAKE);
+      await submitEvidenceWithToken(contract, witness1, 1, approvedStake(tokenAddress));
+      await closeInvestigation(contract, admin, 1);
+      await contract.connect(admin).archiveInvestigation(1);
+      await time.increase(INVESTIGATION_DURATION + REFUND_GRACE_PERIOD + STAKE_RETENTION_PERIOD + 1);
+
+      expect((await contract.getInvestigationTokenStake(1, tokenAddress)).forfeited).to.equal(TOKEN_STAKE);
+      await expect(contract.connect(admin).sweepForfeitedStakes(1)).to.be.revertedWith("Nothing to sweep");
+
+      const sweep = contract.connect(admin).sweepForfeitedTokenStakes(1, tokenAddress);
+      await expect(sweep)
+        .to.emit(contract, "TreasurySweep")
+        .withArgs(1, investigator2.address, tokenAddress, TOKEN_STAKE);
+      await expect(sweep).to.changeTokenBalances(token, [contract, investigator2], [-TOKEN_STAKE, TOKEN_STAKE]);
+    });
+
+    it("Should revert for tokens that are not whitelisted or not approved", async function () {
+      const { contract, admin, witness1, token } = await deployTokenFixture();
+      const tokenAddress = await token.getAddress();
+
+      await expect(
+        submitEvidenceWithToken(contract, witness1, 1, approvedStake(tokenAddress))
+      ).to.be.revertedWith("Token transfer failed");
+
+      await expect(contract.connect(admin).setStakeToken(tokenAddress, false))
+        .to.emit(contract, "StakeTokenUpdated")
+        .withArgs(tokenAddress, false);
+      await token.connect(witness1).approve(await contract.getAddress(), TOKEN_STAKE);
+      await expect(
+        submitEvidenceWithToken(contract, witness1, 1, approvedStake(tokenAddress))
+      ).to.be.revertedWith("Stake token not allowed");
+    });
+
+    it("Should revert if a non-admin manages stake tokens", async function () {
+      const { contract, admin, unauthorized, token } = await deployTokenFixture();
+      const tokenAddress = await token.getAddress();
+
+      await expect(contract.connect(unauthorized).setStakeToken(tokenAddress, true)).to.be.revertedWith(
+        "Not authorized: admin only"
+      );
+      await expect(contract.connect(admin).setStakeToken(unauthorized.address, true)).to.be.revertedWith(
+        "Token is not a contract"
+      );
+      await expect(contract.connect(unauthorized).sweepForfeitedTokenStakes(1, tokenAddress)).to.be.revertedWith(
+        "Not authorized: admin only"
+      );
+    });
+  });
+
+  describe("Stake Minimums", function () {
+    async function deployWithMinimumsFixture() {
+      const fixture = await deployContractFixture();
+      const { contract, admin, witness1 } = fixture;
+
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+      await contract.connect(admin).authorizeParticipant(1, witness1.address);
+
+      return fixture;
+    }
+
+    async function submitEvidenceWithStake(contract, sender, stake) {
+      const input = await encryptEvidence(await contract.getAddress(), sender, 0, 10);
+      return contract
+        .connect(sender)
+        .submitEncryptedEvidence(1, input.evidenceType, input.confidentialityLevel, input.inputProof, {
+          value: stake,
+        });
+    }
+
+    it("Should let the admin configure minimums per asset and emit events", async function () {
+      const { contract, admin } = await deployWithMinimumsFixture();
+      const evidenceMinimums = [STAKE, STAKE * 2n, STAKE * 3n, STAKE * 4n];
+
+      await expect(contract.connect(admin).setStakeMinimums(ethers.ZeroAddress, evidenceMinimums, STAKE))
+        .to.emit(contract, "StakeMinimumsUpdated")
+        .withArgs(ethers.ZeroAddress, evidenceMinimums, STAKE);
+      await expect(contract.connect(admin).setConfidentialityStakeScale(50))
+        .to.emit(contract, "ConfidentialityStakeScaleUpdated")
+        .withArgs(50);
+
+      const minimums = await contract.getStakeMinimums(ethers.ZeroAddress);
+      expect(minimums.evidenceMinimums).to.deep.equal(evidenceMinimums);
+      expect(minimums.witnessMinimum).to.equal(STAKE);
+      expect(minimums.confidentialityScale).to.equal(50);
+      expect((await contract.getStakeMinimums(admin.address)).witnessMinimum).to.equal(0);
+    });
+
+    it("Should scale evidence minimums by confidentiality tier", async function () {
+      const { contract, admin } = await deployWithMinimumsFixture();
+      await contract.connect(admin).setStakeMinimums(ethers.ZeroAddress, [STAKE, 0, 0, 0], 0);
+      await contract.connect(admin).setConfidentialityStakeScale(50);
+
+      expect(await contract.getMinimumEvidenceStake(ethers.ZeroAddress, 0, 25)).to.equal(STAKE);
+      expect(await contract.getMinimumEvidenceStake(ethers.ZeroAddress, 0, 26)).to.equal((STAKE * 3n) / 2n);
+      expect(await contract.getMinimumEvidenceStake(ethers.ZeroAddress, 0, 100)).to.equal((STAKE * 5n) / 2n);
+      expect(await contract.getMinimumEvidenceStake(ethers.ZeroAddress, 0, 1000)).to.equal((STAKE * 5n) / 2n);
+      await expect(contract.getMinimumEvidenceStake(ethers.ZeroAddress, 4, 10)).to.be.revertedWith(
+        "Invalid evidence type"
+      );
+    });
+
+    it("Should reject evidence staked below the lowest evidence minimum", async function () {
+      const { contract, admin, witness1 } = await deployWithMinimumsFixture();
+      await contract.connect(admin).setStakeMinimums(ethers.ZeroAddress, [STAKE * 2n, STAKE, STAKE * 3n, STAKE], 0);
+
+      await expect(submitEvidenceWithStake(contract, witness1, STAKE - 1n)).to.be.revertedWith(
+        "Stake below minimum"
+      );
+      await expect(submitEvidenceWithStake(contract, witness1, STAKE)).to.emit(contract, "EvidenceSubmitted");
+    });
+
+    it("Should reject witness testimony staked below the witness minimum", async function () {
+      const { contract, admin, witness2 } = await deployWithMinimumsFixture();
+      await contract.connect(admin).setStakeMinimums(ethers.ZeroAddress, [0, 0, 0, 0], STAKE * 2n);
+
+      await expect(submitWitness(contract, witness2, 1, 85, 12345)).to.be.revertedWith("Stake below minimum");
+
+      await contract.connect(admin).setStakeMinimums(ethers.ZeroAddress, [0, 0, 0, 0], STAKE);
+      await expect(submitWitness(contract, witness2, 1, 85, 12345)).to.emit(contract, "WitnessTestimonySubmitted");
+    });
+
+    it("Should revert if a non-admin changes the minimums", async function () {
+      const { contract, unauthorized } = await deployWithMinimumsFixture();
+
+      await expect(
+        contract.connect(unauthorized).setStakeMinimums(ethers.ZeroAddress, [STAKE, STAKE, STAKE, STAKE], STAKE)
+      ).to.be.revertedWith("Not authorized: admin only");
+      await expect(contract.connect(unauthorized).setConfidentialityStakeScale(50)).to.be.revertedWith(
+        "Not authorized: admin only"
+      );
+    });
+  });
+
+  describe("Evidence Rejection", function () {
+    const REASON_HASH = ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(["uint8", "string"], [1, "Metadata contradicts the chain of custody"])
+    );
+
+    async function deployWithEvidenceFixture() {
+      const fixture = await deployContractFixture();
+      const { contract, admin, witness1 } = fixture;
+
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+      await contract.connect(admin).authorizeParticipant(1, witness1.address);
+      await submitEvidence(contract, witness1, 1, 0, 50);
+
+      return fixture;
+    }
+
+    it("Should slash part of the stake and return the rest to the submitter", async function () {
+      const { contract, admin, witness1 } = await deployWithEvidenceFixture();
+      const slashed = STAKE / 4n;
+
+      const rejection = contract.connect(admin).rejectEvidence(1, 1, REASON_HASH, 25);
+      await expect(rejection)
+        .to.emit(contract, "EvidenceRejected")
+        .withArgs(1, 1, admin.address, REASON_HASH, slashed);
+      await expect(rejection)
+        .to.emit(contract, "RefundIssued")
+        .withArgs(1, 1, witness1.address, STAKE - slashed);
+      await expect(rejection).to.changeEtherBalances([contract, witness1], [-(STAKE - slashed), STAKE - slashed]);
+
+      const record = await contract.evidenceRejections(1, 1);
+      expect(record.reasonHash).to.equal(REASON_HASH);
+      expect(record.slashed).to.equal(slashed);
+      expect(record.rejectedBy).to.equal(admin.address);
+
+      const stake = await contract.getInvestigationStake(1);
+      expect(stake.locked).to.equal(0);
+      expect(stake.forfeited).to.equal(slashed);
+    });
+
+    it("Should let the admin sweep slashed stakes before the retention period ends", async function () {
+      const { contract, admin, witness1, investigator2 } = await deployWithEvidenceFixture();
+      await contract.connect(admin).setTreasury(investigator2.address);
+      await submitEvidence(contract, witness1, 1, 0, 50);
+
+      await contract.connect(admin).rejectEvidence(1, 1, REASON_HASH, 100);
+
+      const sweep = contract.connect(admin).sweepForfeitedStakes(1);
+      await expect(sweep)
+        .to.emit(contract, "TreasurySweep")
+        .withArgs(1, investigator2.address, ethers.ZeroAddress, STAKE);
+      await expect(sweep).to.changeEtherBalances([contract, investigator2], [-STAKE, STAKE]);
+
+      // The second evidence stake is still locked
+      expect((await contract.getInvestigationStake(1)).locked).to.equal(STAKE);
+      await expect(contract.connect(admin).sweepForfeitedStakes(1)).to.be.revertedWith("Stakes not forfeited");
+    });
+
+    it("Should make rejected evidence non-refundable and unverifiable", async function () {
+      const { contract, admin, witness1 } = await deployWithEvidenceFixture();
+
+      await contract.connect(admin).rejectEvidence(1, 1, REASON_HASH, 50);
+
+      await expect(contract.connect(admin).verifyEvidence(1, 1)).to.be.revertedWith("Evidence rejected");
+      await expect(contract.connect(admin).rejectEvidence(1, 1, REASON_HASH, 50)).to.be.revertedWith(
+        "Evidence already rejected"
+      );
+
+      await time.increase(INVESTIGATION_DURATION + REFUND_GRACE_PERIOD + 1);
+      await expect(contract.connect(witness1).requestEvidenceRefund(1, 1)).to.be.revertedWith("Evidence rejected");
+    });
+
+    it("Should validate the rejection", async function () {
+      const { contract, admin } = await deployWithEvidenceFixture();
+
+      await expect(contract.connect(admin).rejectEvidence(1, 2, REASON_HASH, 50)).to.be.revertedWith(
+        "Evidence does not exist"
+      );
+      await expect(contract.connect(admin).rejectEvidence(1, 1, ethers.ZeroHash, 50)).to.be.revertedWith(
+        "Invalid reason"
+      );
+      await expect(contract.connect(admin).rejectEvidence(1, 1, REASON_HASH, 101)).to.be.revertedWith(
+        "Invalid slash percent"
+      );
+
+      await contract.connect(admin).verifyEvidence(1, 1);
+      await expect(contract.connect(admin).rejectEvidence(1, 1, REASON_HASH, 50)).to.be.revertedWith(
+        "Evidence already verified"
+      );
+    });
+
+    it("Should revert if a non-investigator rejects evidence", async function () {
+      const { contract, witness1 } = await deployWithEvidenceFixture();
+
+      await expect(contract.connect(witness1).rejectEvidence(1, 1, REASON_HASH, 50)).to.be.revertedWith(
+        "Not authorized: investigator only"
+      );
+    });
+  });
+
+  describe("Multi-Investigator Verification", function () {
+    async function deployWithInvestigatorsFixture() {
+      const fixture = await deployContractFixture();
+      const { contract, admin, investigator1, investigator2, witness1 } = fixture;
+
+      await contract.connect(admin).authorizeInvestigator(investigator1.address);
+      await contract.connect(admin).authorizeInvestigator(investigator2.address);
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+      await contract.connect(admin).authorizeParticipant(1, investigator1.address);
+      await contract.connect(admin).authorizeParticipant(1, investigator2.address);
+      await contract.connect(admin).authorizeParticipant(1, witness1.address);
+      await submitEvidence(contract, witness1, 1, 0, 90);
+
+      return fixture;
+    }
+
+    it("Should verify evidence with a single attestation by default", async function () {
+      const { contract, investigator1 } = await deployWithInvestigatorsFixture();
+
+      await expect(contract.connect(investigator1).verifyEvidence(1, 1))
+        .to.emit(contract, "EvidenceVerified")
+        .withArgs(1, 1);
+
+      const attestations = await contract.getEvidenceAttestations(1, 1);
+      expect(attestations.attesters).to.deep.equal([investigator1.address]);
+      expect(attestations.threshold).to.equal(1);
+    });
+
+    it("Should only verify evidence once the threshold is reached", async function () {
+      const { contract, admin, investigator1, investigator2 } = await deployWithInvestigatorsFixture();
+
+      await expect(contract.connect(admin).setVerificationThreshold(1, 2))
+        .to.emit(contract, "VerificationThresholdSet")
+        .withArgs(1, 2);
+
+      const first = contract.connect(investigator1).verifyEvidence(1, 1);
+      await expect(first)
+        .to.emit(contract, "EvidenceAttested")
+        .withArgs(1, 1, investigator1.address, 1, 2);
+      await expect(first).to.not.emit(contract, "EvidenceVerified");
+      expect((await contract.getEvidenceInfo(1, 1)).isVerified).to.be.false;
+      expect(await contract.hasAttested(1, 1, investigator1.address)).to.be.true;
+
+      await expect(contract.connect(investigator2).verifyEvidence(1, 1))
+        .to.emit(contract, "EvidenceVerified")
+        .withArgs(1, 1);
+      expect((await contract.getEvidenceInfo(1, 1)).isVerified).to.be.true;
+      expect((await contract.getEvidenceAttestations(1, 1)).attesters).to.deep.equal([
+        investigator1.address,
+        investigator2.address,
+      ]);
+
+      await expect(contract.connect(admin).verifyEvidence(1, 1)).to.be.revertedWith("Evidence already verified");
+    });
+
+    it("Should reject a second attestation from the same investigator", async function () {
+      const { contract, admin, investigator1 } = await deployWithInvestigatorsFixture();
+
+      await contract.connect(admin).setVerificationThreshold(1, 2);
+      await contract.connect(investigator1).verifyEvidence(1, 1);
+
+      await expect(contract.connect(investigator1).verifyEvidence(1, 1)).to.be.revertedWith("Already attested");
+    });
+
+    it("Should validate the threshold", async function () {
+      const { contract, admin, investigator1 } = await deployWithInvestigatorsFixture();
+
+      await expect(contract.connect(admin).setVerificationThreshold(1, 0)).to.be.revertedWith("Invalid threshold");
+      // Four participants, but the witness is not an investigator and cannot attest
+      await expect(contract.connect(admin).setVerificationThreshold(1, 4)).to.be.revertedWith("Invalid threshold");
+      await expect(contract.connect(investigator1).setVerificationThreshold(1, 2)).to.be.revertedWith(
+        "Only investigation creator or admin can set threshold"
+      );
+
+      await contract.connect(investigator1).verifyEvidence(1, 1);
+      await expect(contract.connect(admin).setVerificationThreshold(1, 2)).to.be.revertedWith(
+        "Attestations already started"
+      );
+    });
+
+    it("Should only take attestations from participants holding an attester seat", async function () {
+      const { contract, admin, investigator1, witness1 } = await deployWithInvestigatorsFixture();
+
+      // The witness joined before becoming an investigator, so it holds no seat
+      await contract.connect(admin).authorizeInvestigator(witness1.address);
+      await expect(contract.connect(witness1).verifyEvidence(1, 1)).to.be.revertedWith(
+        "Not authorized: attester only"
+      );
+
+      // Participants without a seat do not hold the threshold up, so they stay revocable
+      await contract.connect(investigator1).verifyEvidence(1, 1);
+      await expect(contract.connect(admin).revokeParticipant(1, witness1.address))
+        .to.emit(contract, "ParticipantRevoked")
+        .withArgs(1, witness1.address);
+    });
+
+    it("Should not revoke attesters once attestations have started", async function () {
+      const { contract, admin, investigator1, investigator2 } = await deployWithInvestigatorsFixture();
+
+      await contract.connect(admin).setVerificationThreshold(1, 3);
+      await contract.connect(investigator1).verifyEvidence(1, 1);
+
+      await expect(contract.connect(admin).revokeParticipant(1, investigator2.address)).to.be.revertedWith(
+        "Attestations already started"
+      );
+      expect((await contract.getEvidenceAttestations(1, 1)).threshold).to.equal(3);
+
+      await contract.connect(investigator2).verifyEvidence(1, 1);
+      await expect(contract.connect(admin).verifyEvidence(1, 1))
+        .to.emit(contract, "EvidenceVerified")
+        .withArgs(1, 1);
+    });
+
+    it("Should not revoke an attester the threshold depends on", async function () {
+      const { contract, admin, investigator2 } = await deployWithInvestigatorsFixture();
+
+      await contract.connect(admin).setVerificationThreshold(1, 3);
+      await expect(contract.connect(admin).revokeParticipant(1, investigator2.address)).to.be.revertedWith(
+        "Threshold needs this attester"
+      );
+
+      await contract.connect(admin).setVerificationThreshold(1, 2);
+      await expect(contract.connect(admin).revokeParticipant(1, investigator2.address))
+        .to.emit(contract, "ParticipantRevoked")
+        .withArgs(1, investigator2.address);
+      await expect(contract.connect(admin).setVerificationThreshold(1, 3)).to.be.revertedWith("Invalid threshold");
+    });
+
+    it("Should keep the threshold when an attester loses investigator access", async function () {
+      const { contract, admin, investigator1, investigator2 } = await deployWithInvestigatorsFixture();
+
+      await contract.connect(admin).setVerificationThreshold(1, 3);
+      await contract.connect(admin).revokeInvestigatorAccess(investigator1.address);
+      expect((await contract.getEvidenceAttestations(1, 1)).threshold).to.equal(3);
+
+      // Seats are granted on joining, so the threshold stays reachable
+      await contract.connect(investigator1).verifyEvidence(1, 1);
+      await contract.connect(investigator2).verifyEvidence(1, 1);
+      await expect(contract.connect(admin).verifyEvidence(1, 1))
+        .to.emit(contract, "EvidenceVerified")
+        .withArgs(1, 1);
+    });
+  });
+
+  describe("Chain of Custody", function () {
+    async function transferCustody(contract, sender, investigationId, evidenceId, to, location) {
+      const input = await encryptCustodyLocation(await contract.getAddress(), sender, location);
+      return contract
+        .connect(sender)
+        .transferCustody(investigationId, evidenceId, to.address, input.location, input.inputProof);
+    }
+
+    async function deployWithEvidenceFixture() {
+      const fixture = await deployContractFixture();
+      const { contract, admin, investigator1, witness1 } = fixture;
+
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+      await contract.connect(admin).authorizeParticipant(1, investigator1.address);
+      await contract.connect(admin).authorizeParticipant(1, witness1.address);
+      await submitEvidence(contract, witness1, 1, 2, 60);
+
+      return fixture;
+    }
+
+    it("Should start with the submitter as custodian", async function () {
+      const { contract, witness1 } = await deployWithEvidenceFixture();
+
+      const log = await contract.getCustodyLog(1, 1);
+      expect(log.custodian).to.equal(witness1.address);
+      expect(log.transfers).to.have.length(0);
+    });
+
+    it("Should record each transfer with an encrypted location", async function () {
+      const { contract, admin, investigator1, witness1 } = await deployWithEvidenceFixture();
+      const contractAddress = await contract.getAddress();
+
+      await expect(transferCustody(contract, witness1, 1, 1, investigator1, 1101))
+        .to.emit(contract, "CustodyTransferred")
+        .withArgs(1, 1, witness1.address, investigator1.address, 0);
+      await expect(transferCustody(contract, investigator1, 1, 1, admin, 2202))
+        .to.emit(contract, "CustodyTransferred")
+        .withArgs(1, 1, investigator1.address, admin.address, 1);
+
+      const log = await contract.getCustodyLog(1, 1);
+      expect(log.custodian).to.equal(admin.address);
+      expect(log.transfers).to.have.length(2);
+      expect(log.transfers[0].from).to.equal(witness1.address);
+      expect(log.transfers[0].to).to.equal(investigator1.address);
+      expect(log.transfers[1].timestamp).to.be.greaterThanOrEqual(log.transfers[0].timestamp);
+
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint32, log.transfers[0].encryptedLocation, contractAddress, investigator1)
+      ).to.equal(1101);
+      // The investigation creator can read every location
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint32, log.transfers[1].encryptedLocation, contractAddress, admin)
+      ).to.equal(2202);
+    });
+
+    it("Should only let the current custodian transfer", async function () {
+      const { contract, admin, investigator1, witness1 } = await deployWithEvidenceFixture();
+
+      await expect(transferCustody(contract, admin, 1, 1, investigator1, 1)).to.be.revertedWith("Not the custodian");
+
+      await transferCustody(contract, witness1, 1, 1, investigator1, 1);
+      await expect(transferCustody(contract, witness1, 1, 1, admin, 1)).to.be.revertedWith("Not the custodian");
+      await expect(transferCustody(contract, investigator1, 1, 1, investigator1, 1)).to.be.revertedWith(
+        "Already custodian"
+      );
+    });
+
+    it("Should hand custody of a revoked custodian to the investigation creator", async function () {
+      const { contract, admin, investigator1, witness1 } = await deployWithEvidenceFixture();
+
+      await contract.connect(admin).revokeParticipant(1, witness1.address);
+
+      await expect(transferCustody(contract, witness1, 1, 1, investigator1, 1)).to.be.revertedWith(
+        "Only investigation creator can reclaim custody"
+      );
+      await expect(transferCustody(contract, investigator1, 1, 1, investigator1, 1)).to.be.revertedWith(
+        "Only investigation creator can reclaim custody"
+      );
+      await expect(transferCustody(contract, admin, 1, 1, investigator1, 3303))
+        .to.emit(contract, "CustodyTransferred")
+        .withArgs(1, 1, witness1.address, investigator1.address, 0);
+
+      const log = await contract.getCustodyLog(1, 1);
+      expect(log.custodian).to.equal(investigator1.address);
+      expect(log.transfers[0].from).to.equal(witness1.address);
+      await expect(transferCustody(contract, admin, 1, 1, admin, 1)).to.be.revertedWith("Not the custodian");
+    });
+
+    it("Should only transfer existing evidence to participants", async function () {
+      const { contract, witness1, unauthorized, investigator1 } = await deployWithEvidenceFixture();
+
+      await expect(transferCustody(contract, witness1, 1, 1, unauthorized, 1)).to.be.revertedWith(
+        "Recipient not a participant"
+      );
+      await expect(transferCustody(contract, witness1, 1, 2, investigator1, 1)).to.be.revertedWith(
+        "Evidence does not exist"
+      );
+    });
+  });
+
+  describe("Evidence Files", function () {
+    const CONTENT_HASH = ethers.keccak256(ethers.toUtf8Bytes("encrypted evidence envelope"));
+    // Uncompressed P-256 public key: 0x04 followed by 64 bytes of coordinates
+    const PUBLIC_KEY = ethers.concat(["0x04", ethers.randomBytes(64)]);
+
+    async function deployWithEvidenceFixture() {
+      const fixture = await deployContractFixture();
+      const { contract, admin, witness1 } = fixture;
+
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+      await contract.connect(admin).authorizeParticipant(1, witness1.address);
+      await submitEvidence(contract, witness1, 1, 0, 40);
+
+      return fixture;
+    }
+
+    it("Should publish encryption keys", async function () {
+      const { contract, witness1 } = await deployContractFixture();
+
+      await expect(contract.connect(witness1).setEncryptionKey(PUBLIC_KEY))
+        .to.emit(contract, "EncryptionKeySet")
+        .withArgs(witness1.address);
+      expect(await contract.encryptionKeys(witness1.address)).to.equal(ethers.hexlify(PUBLIC_KEY));
+
+      await expect(contract.connect(witness1).setEncryptionKey(ethers.randomBytes(33))).to.be.revertedWith(
+        "Invalid public key"
+      );
+    });
+
+    it("Should anchor the content hash of an evidence file once", async function () {
+      const { contract, witness1 } = await deployWithEvidenceFixture();
+
+      await expect(contract.connect(witness1).anchorEvidenceContent(1, 1, CONTENT_HASH))
+        .to.emit(contract, "EvidenceContentAnchored")
+        .withArgs(1, 1, CONTENT_HASH);
+      expect(await contract.evidenceContentHashes(1, 1)).to.equal(CONTENT_HASH);
+
+      await expect(contract.connect(witness1).anchorEvidenceContent(1, 1, CONTENT_HASH)).to.be.revertedWith(
+        "Content already attached"
+      );
+    });
+
+    it("Should only let the submitter anchor content", async function () {
+      const { contract, admin, witness1 } = await deployWithEvidenceFixture();
+
+      await expect(contract.connect(admin).anchorEvidenceContent(1, 1, CONTENT_HASH)).to.be.revertedWith(
+        "Only the submitter can attach content"
+      );
+      await expect(contract.connect(witness1).anchorEvidenceContent(1, 2, CONTENT_HASH)).to.be.revertedWith(
+        "Only the submitter can attach content"
+      );
+      await expect(contract.connect(witness1).anchorEvidenceContent(1, 1, ethers.ZeroHash)).to.be.revertedWith(
+        "Invalid content hash"
+      );
+    });
+  });
+
   describe("View Functions", function () {
     it("Should return correct investigation basic info", async function () {
-      const { contract, admin } = await loadFixture(deployContractFixture);
+      const { contract, admin } = await deployContractFixture();
 
-      await contract.connect(admin).startInvestigation(100);
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
 
       const info = await contract.getInvestigationBasicInfo(1);
       expect(info.investigator).to.equal(admin.address);
@@ -407,9 +1876,9 @@ describe("AnonymousCourtInvestigation", function () {
     });
 
     it("Should return correct investigation time info", async function () {
-      const { contract, admin } = await loadFixture(deployContractFixture);
+      const { contract, admin } = await deployContractFixture();
 
-      await contract.connect(admin).startInvestigation(100);
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
 
       const timeInfo = await contract.getInvestigationTimeInfo(1);
       expect(timeInfo.startTime).to.be.gt(0);
@@ -417,12 +1886,12 @@ describe("AnonymousCourtInvestigation", function () {
     });
 
     it("Should return correct investigation counts", async function () {
-      const { contract, admin } = await loadFixture(deployContractFixture);
+      const { contract, admin } = await deployContractFixture();
 
-      await contract.connect(admin).startInvestigation(100);
-      await contract.connect(admin).submitEncryptedEvidence(1, 0, 75);
-      await contract.connect(admin).submitEncryptedEvidence(1, 1, 80);
-      await contract.connect(admin).submitAnonymousWitnessTestimony(1, 85, 123456);
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+      await submitEvidence(contract, admin, 1, 0, 75);
+      await submitEvidence(contract, admin, 1, 1, 80);
+      await submitWitness(contract, admin, 1, 85, 123456);
 
       const counts = await contract.getInvestigationCounts(1);
       expect(counts.evidenceCountTotal).to.equal(2);
@@ -430,43 +1899,98 @@ describe("AnonymousCourtInvestigation", function () {
     });
 
     it("Should return correct participant count", async function () {
-      const { contract, admin, witness1, witness2 } = await loadFixture(deployContractFixture);
+      const { contract, admin, witness1, witness2 } = await deployContractFixture();
 
-      await contract.connect(admin).startInvestigation(100);
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
       await contract.connect(admin).authorizeParticipant(1, witness1.address);
       await contract.connect(admin).authorizeParticipant(1, witness2.address);
 
       const count = await contract.getParticipantCount(1);
       expect(count).to.equal(3); // admin + 2 witnesses
     });
+
+    it("Should return investigation summaries one page at a time", async function () {
+      const { contract, admin, investigator1 } = await deployContractFixture();
+
+      await contract.connect(admin).authorizeInvestigator(investigator1.address);
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+      await contract.connect(investigator1).requestInvestigation(200, INVESTIGATION_DURATION);
+      await contract.connect(admin).startInvestigation(300, INVESTIGATION_DURATION);
+      await submitEvidence(contract, admin, 3, 0, 75);
+      await submitWitness(contract, admin, 3, 85, 123456);
+
+      const firstPage = await contract.getInvestigationSummaries(1, 2);
+      expect(firstPage.length).to.equal(2);
+      expect(firstPage[0].investigationId).to.equal(1);
+      expect(firstPage[0].status).to.equal(1); // Active
+      expect(firstPage[1].investigator).to.equal(investigator1.address);
+      expect(firstPage[1].status).to.equal(0); // Pending
+      expect(firstPage[1].isActive).to.be.false;
+      expect(firstPage[1].startTime).to.equal(0);
+
+      const lastPage = await contract.getInvestigationSummaries(3, 2);
+      expect(lastPage.length).to.equal(1);
+      expect(lastPage[0].investigationId).to.equal(3);
+      expect(lastPage[0].evidenceCount).to.equal(1);
+      expect(lastPage[0].witnessCount).to.equal(1);
+      expect(lastPage[0].totalStake).to.equal(STAKE * 2n);
+      expect(lastPage[0].expiryTime).to.equal(lastPage[0].startTime + BigInt(INVESTIGATION_DURATION));
+
+      expect(await contract.getInvestigationSummaries(4, 2)).to.have.length(0);
+      await expect(contract.getInvestigationSummaries(0, 2)).to.be.revertedWith("Investigation IDs start at 1");
+      await expect(contract.getInvestigationSummaries(1, 101)).to.be.revertedWith("Page size too large");
+    });
+
+    it("Should keep the court-wide counters up to date", async function () {
+      const { contract, admin, investigator1 } = await deployContractFixture();
+
+      await contract.connect(admin).authorizeInvestigator(investigator1.address);
+      await contract.connect(investigator1).requestInvestigation(100, INVESTIGATION_DURATION);
+      expect(await contract.getCourtStats()).to.deep.equal([1n, 0n, 0n, 0n]);
+
+      await contract.connect(admin).approveInvestigation(1);
+      await contract.connect(admin).startInvestigation(200, INVESTIGATION_DURATION);
+      await submitEvidence(contract, admin, 2, 0, 75);
+      await submitEvidence(contract, investigator1, 1, 1, 60);
+      await submitWitness(contract, admin, 2, 85, 123456);
+      expect(await contract.getCourtStats()).to.deep.equal([2n, 2n, 2n, 1n]);
+
+      await closeInvestigation(contract, admin, 2);
+      expect((await contract.getCourtStats()).activeInvestigations).to.equal(1);
+
+      await time.increase(INVESTIGATION_DURATION);
+      await contract.handleInvestigationTimeout(1);
+      expect(await contract.getCourtStats()).to.deep.equal([2n, 0n, 2n, 1n]);
+    });
   });
 
   describe("Integration Tests", function () {
     it("Should handle complete investigation workflow", async function () {
-      const { contract, admin, investigator1, judge1, witness1 } = await loadFixture(deployContractFixture);
+      const { contract, admin, investigator1, judge1, witness1 } = await deployContractFixture();
 
       // Setup
       await contract.connect(admin).authorizeInvestigator(investigator1.address);
-      await contract.connect(admin).authorizeJudge(judge1.address);
+      await authorizeJudge(contract, admin, judge1);
 
-      // Start investigation
-      await contract.connect(investigator1).startInvestigation(10001);
+      // File the investigation and have a judge approve it
+      await openInvestigation(contract, investigator1, judge1, 10001);
 
       // Authorize participant
       await contract.connect(investigator1).authorizeParticipant(1, witness1.address);
 
       // Submit evidence
-      await contract.connect(investigator1).submitEncryptedEvidence(1, 0, 75);
-      await contract.connect(witness1).submitEncryptedEvidence(1, 2, 85);
+      await submitEvidence(contract, investigator1, 1, 0, 75);
+      await submitEvidence(contract, witness1, 1, 2, 85);
 
       // Submit witness testimony
-      await contract.connect(witness1).submitAnonymousWitnessTestimony(1, 90, 123456);
+      await submitWitness(contract, witness1, 1, 90, 123456);
 
       // Verify evidence
       await contract.connect(investigator1).verifyEvidence(1, 1);
 
-      // Submit verdict
-      await contract.connect(judge1).submitJudicialVerdict(1, 1, 85);
+      // Assign the judge panel and submit verdict
+      await contract.connect(investigator1).assignJudgePanel(1, [judge1.address], 1);
+      await submitVerdict(contract, judge1, 1, 1, 85);
 
       // Complete investigation
       await contract.connect(investigator1).completeInvestigation(1);
@@ -0,0 +1,430 @@
+const { createRequire } = require("node:module");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { encryptEvidence, encryptWitnessTestimony, encryptVerdict } = require("./helpers/encryption");
+const { deployCourt } = require("./helpers/deployment");
+
+// The indexer is its own package; these tests need `npm install` in indexer/
+let indexer;
+try {
+  const indexerRequire = createRequire(require.resolve("../indexer/package.json"));
+  indexer = {
+    ...require("../indexer/src/db"),
+    ...require("../indexer/src/indexer"),
+    ...require("../indexer/src/api"),
+    createClient: indexerRequire("graphql-ws").createClient,
+    WebSocket: indexerRequire("ws"),
+  };
+} catch (error) {
+  indexer = null;
+}
+
+const INVESTIGATION_DURATION = 30 * 24 * 60 * 60;
+const REFUND_GRACE_PERIOD = 7 * 24 * 60 * 60;
+const STAKE = ethers.parseEther("0.01");
+
+describe("CourtIndexer", function () {
+  before(function () {
+    if (!indexer) {
+      this.skip();
+    }
+  });
+
+  // Deployed fresh for every test: the FHEVM mock coprocessor does not follow snapshot reverts
+  async function deployWithIndexerFixture() {
+    const [admin, investigator1, judge1, witness1, witness2] = await ethers.getSigners();
+
+    const contract = await deployCourt(admin);
+    const contractAddress = await contract.getAddress();
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    const db = indexer.openDatabase(":memory:");
+    const courtIndexer = new indexer.CourtIndexer({
+      provider: ethers.provider,
+      db,
+      address: contractAddress,
+      startBlock,
+    });
+
+    return { contract, contractAddress, db, courtIndexer, admin, investigator1, judge1, witness1, witness2 };
+  }
+
+  async function submitEvidence(contract, sender, investigationId) {
+    const input = await encryptEvidence(await contract.getAddress(), sender, 2, 75);
+    return contract
+      .connect(sender)
+      .submitEncryptedEvidence(investigationId, input.evidenceType, input.confidentialityLevel, input.inputProof, {
+        value: STAKE,
+      });
+  }
+
+  async function submitWitness(contract, sender, investigationId, secret) {
+    const input = await encryptWitnessTestimony(await contract.getAddress(), sender, 85, 123456);
+    const commitment = ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "address"], [secret, sender.address])
+    );
+    return contract
+      .connect(sender)
+      .submitAnonymousWitnessTestimony(
+        investigationId,
+        input.credibilityScore,
+        input.testimonyHash,
+        input.inputProof,
+        commitment,
+        { value: STAKE }
+      );
+  }
+
+  // The admin is the whole panel with a quorum of one; only the creator may then complete
+  async function closeInvestigation(contract, admin, investigationId, creator = admin) {
+    await contract.connect(admin).assignJudgePanel(investigationId, [admin.address], 1);
+    const input = await encryptVerdict(await contract.getAddress(), admin, 0, 80);
+    await contract.connect(admin).submitJudicialVerdict(investigationId, input.verdict, input.confidence, input.inputProof);
+    return contract.connect(creator).completeInvestigation(investigationId);
+  }
+
+  async function withApiServer(db, courtIndexer, callback) {
+    const server = indexer.createApiServer(db, courtIndexer);
+    await new Promise((resolve) => server.listen(0, resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    try {
+      await callback(
+        async (path) => {
+          const response = await fetch(baseUrl + path);
+          return { status: response.status, body: await response.json() };
+        },
+        async (query, variables) => {
+          const response = await fetch(`${baseUrl}/graphql`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ query, variables }),
+          });
+          return response.json();
+        },
+        baseUrl.replace("http", "ws") + "/graphql"
+      );
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  }
+
+  describe("Projections", function () {
+    it("Should index an investigation from intake to witness refund", async function () {
+      const { contract, db, courtIndexer, admin, investigator1, witness1, witness2 } =
+        await deployWithIndexerFixture();
+      const secret = ethers.id("witness secret");
+
+      await contract.connect(admin).authorizeInvestigator(investigator1.address);
+      await contract.connect(investigator1).requestInvestigation(100, INVESTIGATION_DURATION);
+      await contract.connect(admin).approveInvestigation(1);
+      await contract.connect(investigator1).authorizeParticipant(1, witness1.address);
+      await submitEvidence(contract, witness1, 1);
+      await submitWitness(contract, witness2, 1, secret);
+      await closeInvestigation(contract, admin, 1, investigator1);
+      await time.increase(INVESTIGATION_DURATION + REFUND_GRACE_PERIOD + 1);
+      await contract.connect(witness2).requestWitnessRefund(1, 1, secret, witness2.address);
+
+      const { head, stored } = await courtIndexer.syncOnce();
+      expect(stored).to.be.greaterThan(0);
+      expect(courtIndexer.lastBlock).to.equal(head);
+
+      const investigation = db.prepare("SELECT * FROM investigations WHERE id = 1").get();
+      expect(investigation.status).to.equal("Completed");
+      expect(investigation.investigator).to.equal(investigator1.address);
+      expect(investigation.approver).to.equal(admin.address);
+      expect(investigation.requested_duration).to.equal(INVESTIGATION_DURATION);
+      expect(investigation.participant_count).to.equal(2);
+      expect(investigation.evidence_count).to.equal(1);
+      expect(investigation.witness_count).to.equal(1);
+      expect(investigation.vote_count).to.equal(1);
+
+      const evidence = db.prepare("SELECT * FROM evidence").get();
+      expect(evidence.submitter).to.equal(witness1.address);
+      expect(evidence.stake).to.equal(STAKE.toString());
+      expect(evidence.stake_token).to.equal(ethers.ZeroAddress);
+
+      // Nothing in the witness projection points back at the account that testified
+      const witness = db.prepare("SELECT * FROM witnesses").get();
+      expect(Object.values(witness)).to.not.include(witness2.address);
+      expect(witness.refunded).to.equal(1);
+
+      // Nor does the raw log: the contract logs the StakeReceived of the testimony without its sender
+      const stakes = db
+        .prepare("SELECT args FROM events WHERE name = 'StakeReceived' ORDER BY block_number")
+        .all()
+        .map((row) => JSON.parse(row.args));
+      expect(stakes).to.have.lengthOf(2);
+      expect(stakes[0].sender).to.equal(witness1.address);
+      expect(stakes[1].sender).to.equal(ethers.ZeroAddress);
+
+      const refund = db.prepare("SELECT * FROM refunds").get();
+      expect(refund.kind).to.equal("witness");
+      expect(refund.recipient).to.equal(witness2.address);
+      expect(refund.token).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should attribute the refund paid on evidence rejection to the evidence", async function () {
+      const { contract, db, courtIndexer, admin, witness1 } = await deployWithIndexerFixture();
+
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+      await contract.connect(admin).authorizeParticipant(1, witness1.address);
+      await submitEvidence(contract, witness1, 1);
+      await contract.connect(admin).rejectEvidence(1, 1, ethers.id("tampered"), 25);
+
+      await courtIndexer.syncOnce();
+
+      const evidence = db.prepare("SELECT * FROM evidence").get();
+      expect(evidence.status).to.equal("Rejected");
+      expect(evidence.slashed).to.equal((STAKE / 4n).toString());
+      const refunds = db.prepare("SELECT * FROM refunds").all();
+      expect(refunds).to.have.lengthOf(1);
+      expect(refunds[0].kind).to.equal("evidence");
+      expect(refunds[0].item_id).to.equal(1);
+      expect(refunds[0].amount).to.equal(((STAKE * 3n) / 4n).toString());
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("Should roll back events from orphaned blocks and follow the new chain", async function () {
+      const { contract, db, courtIndexer, admin, investigator1 } = await deployWithIndexerFixture();
+
+      await contract.connect(admin).authorizeInvestigator(investigator1.address);
+      await contract.connect(investigator1).requestInvestigation(100, INVESTIGATION_DURATION);
+      await courtIndexer.syncOnce();
+      const forkBlock = courtIndexer.lastBlock;
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      await contract.connect(admin).rejectInvestigation(1, 2);
+      await courtIndexer.syncOnce();
+      expect(db.prepare("SELECT status FROM investigations WHERE id = 1").get().status).to.equal("Rejected");
+
+      // The rejection's block is orphaned and a different block takes its height
+      await network.provider.send("evm_revert", [snapshot]);
+      await contract.connect(admin).approveInvestigation(1);
+
+      let rolledBackTo = null;
+      courtIndexer.once("reorg", (block) => (rolledBackTo = block));
+      await courtIndexer.syncOnce();
+
+      expect(rolledBackTo).to.equal(forkBlock);
+      const investigation = db.prepare("SELECT * FROM investigations WHERE id = 1").get();
+      expect(investigation.status).to.equal("Active");
+      expect(investigation.rejection_reason).to.be.null;
+      expect(db.prepare("SELECT COUNT(*) AS count FROM events WHERE name = 'InvestigationRejected'").get().count)
+        .to.equal(0);
+      expect(courtIndexer.status().lastReorgBlock).to.equal(forkBlock);
+    });
+  });
+
+  describe("REST API", function () {
+    it("Should page through investigations newest first with filters", async function () {
+      const { contract, db, courtIndexer, admin } = await deployWithIndexerFixture();
+
+      for (const caseId of [100, 101, 102]) {
+        await contract.connect(admin).startInvestigation(caseId, INVESTIGATION_DURATION);
+      }
+      await closeInvestigation(contract, admin, 2);
+      await courtIndexer.syncOnce();
+
+      await withApiServer(db, courtIndexer, async (get) => {
+        const firstPage = await get("/investigations?limit=2");
+        expect(firstPage.status).to.equal(200);
+        expect(firstPage.body.data.map((item) => item.id)).to.deep.equal([3, 2]);
+        expect(firstPage.body.pagination).to.deep.equal({ limit: 2, offset: 0, total: 3 });
+
+        const secondPage = await get("/investigations?limit=2&offset=2");
+        expect(secondPage.body.data.map((item) => item.id)).to.deep.equal([1]);
+
+        const completed = await get("/investigations?status=Completed");
+        expect(completed.body.data.map((item) => item.id)).to.deep.equal([2]);
+        expect(completed.body.data[0].voteCount).to.equal(1);
+
+        const votes = await get(`/votes?investigationId=2&judge=${admin.address.toLowerCase()}`);
+        expect(votes.body.pagination.total).to.equal(1);
+
+        const detail = await get("/investigations/1");
+        expect(detail.body.investigator).to.equal(admin.address);
+        expect(detail.body.participants).to.have.lengthOf(1);
+
+        const events = await get("/events?name=InvestigationStarted&order=asc");
+        expect(events.body.data.map((event) => event.args.investigationId)).to.deep.equal([1, 2, 3]);
+      });
+    });
+
+    it("Should reject invalid queries and unknown investigations", async function () {
+      const { db, courtIndexer } = await deployWithIndexerFixture();
+      await courtIndexer.syncOnce();
+
+      await withApiServer(db, courtIndexer, async (get) => {
+        expect((await get("/investigations/99")).status).to.equal(404);
+        expect((await get("/unknown")).status).to.equal(404);
+
+        const tooLarge = await get("/evidence?limit=500");
+        expect(tooLarge.status).to.equal(400);
+        expect(tooLarge.body.error).to.equal("limit must be between 1 and 100");
+
+        const unknownFilter = await get("/witnesses?submitter=0x0000000000000000000000000000000000000001");
+        expect(unknownFilter.status).to.equal(400);
+        expect(unknownFilter.body.error).to.equal("Unknown filter submitter for witnesses");
+
+        const inheritedName = await get("/evidence?constructor=x");
+        expect(inheritedName.status).to.equal(400);
+        expect(inheritedName.body.error).to.equal("Unknown filter constructor for evidence");
+
+        expect((await get("/refunds?investigationId=abc")).status).to.equal(400);
+      });
+    });
+  });
+
+  describe("GraphQL", function () {
+    it("Should answer cross-case queries combining investigator, status and evidence count", async function () {
+      const { contract, db, courtIndexer, admin, witness1 } = await deployWithIndexerFixture();
+
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+      await contract.connect(admin).startInvestigation(101, INVESTIGATION_DURATION);
+      await contract.connect(admin).authorizeParticipant(1, witness1.address);
+      await contract.connect(admin).authorizeParticipant(2, witness1.address);
+      for (let i = 0; i < 4; i++) {
+        await submitEvidence(contract, witness1, 1);
+      }
+      await submitEvidence(contract, witness1, 2);
+      await time.increase(INVESTIGATION_DURATION + 1);
+      await contract.handleInvestigationTimeout(1);
+      await contract.handleInvestigationTimeout(2);
+      await courtIndexer.syncOnce();
+
+      await withApiServer(db, courtIndexer, async (get, query) => {
+        const result = await query(
+          `query ($investigator: String) {
+            investigations(filter: { investigator: $investigator, status: TimedOut, minEvidenceCount: 4 }) {
+              data { id status isActive evidenceCount totalStake evidence { evidenceId submitter isVerified expiryTime } }
+              pagination { total }
+            }
+          }`,
+          { investigator: admin.address }
+        );
+
+        expect(result.errors).to.be.undefined;
+        const { data, pagination } = result.data.investigations;
+        expect(pagination.total).to.equal(1);
+        expect(data[0]).to.include({ id: 1, status: "TimedOut", isActive: false, evidenceCount: 4 });
+        expect(data[0].totalStake).to.equal((await contract.investigations(1)).totalStake.toString());
+        expect(data[0].evidence.map((item) => item.evidenceId)).to.deep.equal([1, 2, 3, 4]);
+        const onChain = await contract.caseEvidence(1, 1);
+        expect(data[0].evidence[0]).to.include({ submitter: witness1.address, isVerified: false });
+        expect(data[0].evidence[0].expiryTime).to.equal(Number(onChain.expiryTime));
+      });
+    });
+
+    it("Should only return ciphertext handles when they are selected", async function () {
+      const { contract, db, courtIndexer, admin, witness1, witness2 } = await deployWithIndexerFixture();
+
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+      await contract.connect(admin).authorizeParticipant(1, witness1.address);
+      await submitEvidence(contract, witness1, 1);
+      await submitWitness(contract, witness2, 1, ethers.id("witness secret"));
+      await courtIndexer.syncOnce();
+
+      await withApiServer(db, courtIndexer, async (get, query) => {
+        const plain = await query("{ investigation(id: 1) { evidence { evidenceId stake } witnesses { witnessId } } }");
+        expect(plain.data.investigation.evidence[0]).to.deep.equal({ evidenceId: 1, stake: STAKE.toString() });
+        expect(JSON.stringify(plain)).to.not.match(/0x[0-9a-f]{64}/);
+
+        const withHandles = await query(
+          "{ evidence { data { handles { evidenceType } } } witnesses { data { isProtected handles { encryptedTestimony } } } }"
+        );
+        const evidence = await contract.caseEvidence(1, 1);
+        const witness = await contract.witnesses(1, 1);
+        expect(withHandles.data.evidence.data[0].handles.evidenceType).to.equal(evidence.evidenceType);
+        expect(withHandles.data.witnesses.data[0]).to.deep.equal({
+          isProtected: true,
+          handles: { encryptedTestimony: witness.encryptedTestimony },
+        });
+
+        const invalid = await query('{ investigations(filter: { investigator: "nobody" }) { data { id } } }');
+        expect(invalid.errors[0].message).to.equal("investigator must be an address");
+      });
+    });
+
+    it("Should reject request bodies that are not JSON objects", async function () {
+      const { db, courtIndexer } = await deployWithIndexerFixture();
+
+      await withApiServer(db, courtIndexer, async (get, query, wsUrl) => {
+        for (const body of ["null", "[]", '"query"', "{"]) {
+          const response = await fetch(wsUrl.replace("ws", "http"), {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body,
+          });
+          expect(response.status).to.equal(400);
+          expect((await response.json()).errors).to.have.lengthOf(1);
+        }
+      });
+    });
+
+    it("Should reject queries nested deeper than the depth limit", async function () {
+      const { contract, db, courtIndexer, admin } = await deployWithIndexerFixture();
+
+      await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+      await courtIndexer.syncOnce();
+
+      const tooDeep = "{ investigation(id: 1) { evidence { investigation { evidence { investigation { evidence { evidenceId } } } } } } }";
+      const throughFragments = `{ investigation(id: 1) { ...Cases } }
+        fragment Cases on Investigation { evidence { investigation { evidence { investigation { ...Nested } } } } }
+        fragment Nested on Investigation { witnesses { witnessId } }`;
+
+      await withApiServer(db, courtIndexer, async (get, query, wsUrl) => {
+        for (const source of [tooDeep, throughFragments]) {
+          const result = await query(source);
+          expect(result.data).to.be.undefined;
+          expect(result.errors.map((error) => error.message)).to.deep.equal(["Query depth 7 exceeds the limit of 6"]);
+        }
+
+        const atLimit = await query("{ investigation(id: 1) { evidence { investigation { evidence { investigation { id } } } } } }");
+        expect(atLimit.errors).to.be.undefined;
+        expect(atLimit.data.investigation.evidence).to.deep.equal([]);
+
+        const client = indexer.createClient({ url: wsUrl, webSocketImpl: indexer.WebSocket, lazy: false });
+        try {
+          let rejection;
+          try {
+            await client.iterate({ query: tooDeep }).next();
+          } catch (errors) {
+            rejection = errors;
+          }
+          expect(rejection.map((error) => error.message)).to.deep.equal(["Query depth 7 exceeds the limit of 6"]);
+        } finally {
+          await client.dispose();
+        }
+      });
+    });
+
+    it("Should push newly indexed events to subscribers", async function () {
+      const { contract, db, courtIndexer, admin } = await deployWithIndexerFixture();
+
+      await withApiServer(db, courtIndexer, async (get, query, wsUrl) => {
+        const client = indexer.createClient({ url: wsUrl, webSocketImpl: indexer.WebSocket, lazy: false });
+        try {
+          const subscription = client.iterate({
+            query: "subscription { courtEvent(names: [\"InvestigationStarted\"]) { name investigationId args } }",
+          });
+          const next = subscription.next();
+          while (courtIndexer.listenerCount("event") === 0) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+          }
+
+          await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+          await courtIndexer.syncOnce();
+
+          const { value } = await next;
+          expect(value.data.courtEvent).to.deep.include({ name: "InvestigationStarted", investigationId: 1 });
+          expect(value.data.courtEvent.args.investigator).to.equal(admin.address);
+          await subscription.return();
+        } finally {
+          await client.dispose();
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,355 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { GatewaySimulator, FailureMode } = require("../scripts/gateway-simulator");
+const { encryptEvidence, encryptVerdict, encryptJudgeWeight } = require("./helpers/encryption");
+const { deployCourt } = require("./helpers/deployment");
+
+const INVESTIGATION_DURATION = 60 * 24 * 60 * 60;
+const EVIDENCE_TIMEOUT = 30 * 24 * 60 * 60;
+const DECRYPTION_TIMEOUT = 24 * 60 * 60;
+const STAKE = ethers.parseEther("0.01");
+
+describe("GatewaySimulator", function () {
+  // Deployed fresh for every test: the FHEVM mock coprocessor does not follow snapshot reverts
+  async function deployWithEvidenceFixture() {
+    const [admin, relayer, judge1, judge2, witness1, outsider] = await ethers.getSigners();
+
+    const contract = await deployCourt(admin);
+    const contractAddress = await contract.getAddress();
+
+    for (const [judge, weight] of [[judge1, 3], [judge2, 5]]) {
+      const input = await encryptJudgeWeight(contractAddress, admin, weight);
+      await contract.connect(admin).authorizeJudge(judge.address, input.weight, input.inputProof);
+    }
+    await contract.connect(admin).startInvestigation(100, INVESTIGATION_DURATION);
+    await contract.connect(admin).assignJudgePanel(1, [judge1.address, judge2.address], 2);
+    await contract.connect(admin).authorizeParticipant(1, witness1.address);
+
+    const input = await encryptEvidence(contractAddress, witness1, 2, 75);
+    await contract
+      .connect(witness1)
+      .submitEncryptedEvidence(1, input.evidenceType, input.confidentialityLevel, input.inputProof, {
+        value: STAKE,
+      });
+
+    const simulator = new GatewaySimulator(contract, { relayer });
+
+    return { contract, contractAddress, simulator, admin, judge1, judge2, witness1, outsider };
+  }
+
+  async function requestDecryption(contract, signer) {
+    return decryptionRequestIdOf(contract, contract.connect(signer).requestEvidenceDecryption(1, 1));
+  }
+
+  async function retryDecryption(contract, signer) {
+    return decryptionRequestIdOf(contract, contract.connect(signer).retryEvidenceDecryption(1, 1));
+  }
+
+  async function decryptionRequestIdOf(contract, txPromise) {
+    const receipt = await (await txPromise).wait();
+    const event = receipt.logs
+      .map((log) => contract.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "DecryptionRequested");
+    return event.args.requestId;
+  }
+
+  describe("Evidence Decryption", function () {
+    it("Should fulfill a decryption request through the contract callback", async function () {
+      const { contract, simulator, witness1 } = await deployWithEvidenceFixture();
+
+      const requestId = await requestDecryption(contract, witness1);
+      const [result] = await simulator.poll();
+
+      expect(result.requestId).to.equal(requestId);
+      expect(result.status).to.equal("fulfilled");
+      expect(result.values).to.deep.equal([1n, 2n, 75n]);
+
+      const evidenceInfo = await contract.getEvidenceInfo(1, 1);
+      expect(evidenceInfo.decryptionStatus).to.equal(2); // Completed
+
+      const request = await contract.getDecryptionRequestInfo(requestId);
+      expect(request.completed).to.be.true;
+    });
+
+    it("Should store the revealed metadata for the requester and participants", async function () {
+      const { contract, simulator, admin, witness1, outsider } = await deployWithEvidenceFixture();
+
+      await requestDecryption(contract, witness1);
+
+      await expect(contract.connect(witness1).getDecryptedEvidence(1, 1)).to.be.revertedWith(
+        "Decryption not completed"
+      );
+
+      await simulator.poll();
+
+      const revealed = await contract.connect(witness1).getDecryptedEvidence(1, 1);
+      expect(revealed.evidenceId).to.equal(1);
+      expect(revealed.evidenceType).to.equal(2);
+      expect(revealed.confidentialityLevel).to.equal(75);
+      expect(revealed.decryptedAt).to.be.greaterThan(0);
+
+      const adminView = await contract.connect(admin).getDecryptedEvidence(1, 1);
+      expect(adminView.confidentialityLevel).to.equal(75);
+
+      await expect(contract.connect(outsider).getDecryptedEvidence(1, 1)).to.be.revertedWith(
+        "Not authorized to view decrypted evidence"
+      );
+    });
+
+    it("Should flag evidence staked below its tiered minimum and block its verification", async function () {
+      const { contract, simulator, admin, witness1 } = await deployWithEvidenceFixture();
+
+      // Physical evidence at confidentiality 75 is tier 2: 0.01 ETH plus 2 x 50%
+      await contract.connect(admin).setStakeMinimums(ethers.ZeroAddress, [0, 0, STAKE, 0], 0);
+      await contract.connect(admin).setConfidentialityStakeScale(50);
+
+      await requestDecryption(contract, witness1);
+      const [result] = await simulator.poll();
+
+      const receipt = await ethers.provider.getTransactionReceipt(result.transactionHash);
+      const flagged = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "EvidenceUnderstaked");
+      expect(flagged.args.minimum).to.equal(STAKE * 2n);
+      expect(await contract.evidenceUnderstaked(1, 1)).to.be.true;
+      await expect(contract.connect(admin).verifyEvidence(1, 1)).to.be.revertedWith("Stake below minimum");
+    });
+
+    it("Should index decryption requests by requester", async function () {
+      const { contract, witness1, outsider } = await deployWithEvidenceFixture();
+
+      const requestId = await requestDecryption(contract, witness1);
+
+      expect(await contract.getDecryptionRequestsByRequester(witness1.address)).to.deep.equal([requestId]);
+      expect(await contract.getDecryptionRequestsByRequester(outsider.address)).to.deep.equal([]);
+    });
+
+    it("Should not fulfill the same request twice", async function () {
+      const { contract, simulator, witness1 } = await deployWithEvidenceFixture();
+
+      await requestDecryption(contract, witness1);
+      await simulator.poll();
+
+      expect(await simulator.poll()).to.have.lengthOf(0);
+    });
+
+    it("Should leave a dropped request pending on-chain", async function () {
+      const { contract, simulator, witness1 } = await deployWithEvidenceFixture();
+
+      const requestId = await requestDecryption(contract, witness1);
+      simulator.injectFailure(requestId, FailureMode.Drop);
+
+      const [result] = await simulator.poll();
+      expect(result.status).to.equal("dropped");
+      expect(simulator.getStatus(requestId)).to.equal("dropped");
+
+      const evidenceInfo = await contract.getEvidenceInfo(1, 1);
+      expect(evidenceInfo.decryptionStatus).to.equal(1); // Requested
+    });
+
+    it("Should have the callback rejected when the proof does not match", async function () {
+      const { contract, simulator, witness1 } = await deployWithEvidenceFixture();
+
+      const requestId = await requestDecryption(contract, witness1);
+      simulator.injectFailure(requestId, FailureMode.InvalidProof);
+
+      const failed = [];
+      simulator.on("failed", (request) => failed.push(request));
+
+      const [result] = await simulator.poll();
+      expect(result.status).to.equal("reverted");
+      expect(failed).to.have.lengthOf(1);
+
+      const evidenceInfo = await contract.getEvidenceInfo(1, 1);
+      expect(evidenceInfo.decryptionStatus).to.equal(1); // Requested
+    });
+
+    it("Should hold a delayed request until enough chain time has passed", async function () {
+      const { contract, simulator, witness1 } = await deployWithEvidenceFixture();
+
+      const requestId = await requestDecryption(contract, witness1);
+      simulator.injectDelay(requestId, 3600);
+
+      expect(await simulator.poll()).to.have.lengthOf(0);
+      expect(simulator.getStatus(requestId)).to.equal("pending");
+
+      await time.increase(3600);
+
+      const [result] = await simulator.poll();
+      expect(result.status).to.equal("fulfilled");
+    });
+
+    it("Should let the submitter reclaim the stake after a dropped request times out", async function () {
+      const { contract, simulator, witness1 } = await deployWithEvidenceFixture();
+
+      const requestId = await requestDecryption(contract, witness1);
+      simulator.injectFailure(requestId, FailureMode.Drop);
+      await simulator.poll();
+
+      await expect(
+        contract.connect(witness1).requestEvidenceRefund(1, 1)
+      ).to.be.revertedWith("Refund conditions not met");
+
+      await time.increase(EVIDENCE_TIMEOUT + 1);
+
+      await expect(contract.connect(witness1).requestEvidenceRefund(1, 1))
+        .to.emit(contract, "RefundIssued")
+        .withArgs(1, 1, witness1.address, STAKE);
+    });
+  });
+
+  describe("Decryption Failure and Retry", function () {
+    // Drop the current attempt and let its deadline pass
+    async function dropAndExpire(simulator, requestId) {
+      simulator.injectFailure(requestId, FailureMode.Drop);
+      await simulator.poll();
+      await time.increase(DECRYPTION_TIMEOUT + 1);
+    }
+
+    it("Should not mark a request failed before its deadline", async function () {
+      const { contract, witness1 } = await deployWithEvidenceFixture();
+
+      const requestId = await requestDecryption(contract, witness1);
+
+      await expect(contract.markDecryptionFailed(requestId)).to.be.revertedWith(
+        "Decryption deadline not reached"
+      );
+    });
+
+    it("Should let anyone mark a stuck request failed after its deadline", async function () {
+      const { contract, simulator, judge1, witness1 } = await deployWithEvidenceFixture();
+
+      const requestId = await requestDecryption(contract, witness1);
+      await dropAndExpire(simulator, requestId);
+
+      await expect(contract.connect(judge1).markDecryptionFailed(requestId))
+        .to.emit(contract, "DecryptionFailed")
+        .withArgs(requestId, 1, 1);
+
+      const evidenceInfo = await contract.getEvidenceInfo(1, 1);
+      expect(evidenceInfo.decryptionStatus).to.equal(3); // Failed
+
+      const request = await contract.getDecryptionRequestInfo(requestId);
+      expect(request.failed).to.be.true;
+      expect(request.attempt).to.equal(1);
+
+      await expect(contract.markDecryptionFailed(requestId)).to.be.revertedWith("Request already failed");
+    });
+
+    it("Should not mark a completed request failed", async function () {
+      const { contract, simulator, witness1 } = await deployWithEvidenceFixture();
+
+      const requestId = await requestDecryption(contract, witness1);
+      await simulator.poll();
+      await time.increase(DECRYPTION_TIMEOUT + 1);
+
+      await expect(contract.markDecryptionFailed(requestId)).to.be.revertedWith("Request already completed");
+    });
+
+    it("Should reject a late callback for a failed request", async function () {
+      const { contract, simulator, witness1 } = await deployWithEvidenceFixture();
+
+      const requestId = await requestDecryption(contract, witness1);
+      simulator.injectDelay(requestId, DECRYPTION_TIMEOUT + 1);
+      expect(await simulator.poll()).to.have.lengthOf(0);
+
+      await time.increase(DECRYPTION_TIMEOUT + 1);
+      await contract.markDecryptionFailed(requestId);
+
+      const [result] = await simulator.poll();
+      expect(result.status).to.equal("reverted");
+
+      const evidenceInfo = await contract.getEvidenceInfo(1, 1);
+      expect(evidenceInfo.decryptionStatus).to.equal(3); // Failed
+    });
+
+    it("Should track each retry as its own request and fulfill it", async function () {
+      const { contract, simulator, witness1 } = await deployWithEvidenceFixture();
+
+      const firstId = await requestDecryption(contract, witness1);
+      await expect(contract.connect(witness1).retryEvidenceDecryption(1, 1)).to.be.revertedWith(
+        "Decryption has not failed"
+      );
+
+      await dropAndExpire(simulator, firstId);
+      await contract.markDecryptionFailed(firstId);
+
+      const retryId = await retryDecryption(contract, witness1);
+      expect(retryId).to.not.equal(firstId);
+
+      const request = await contract.getDecryptionRequestInfo(retryId);
+      expect(request.attempt).to.equal(2);
+      expect(request.failed).to.be.false;
+      expect(request.attemptHistory).to.deep.equal([firstId, retryId]);
+      expect(await contract.getDecryptionRequestsByRequester(witness1.address)).to.deep.equal([firstId, retryId]);
+
+      const [result] = await simulator.poll();
+      expect(result.requestId).to.equal(retryId);
+      expect(result.status).to.equal("fulfilled");
+
+      const evidenceInfo = await contract.getEvidenceInfo(1, 1);
+      expect(evidenceInfo.decryptionStatus).to.equal(2); // Completed
+    });
+
+    it("Should cap the number of decryption attempts", async function () {
+      const { contract, simulator, witness1 } = await deployWithEvidenceFixture();
+
+      let requestId = await requestDecryption(contract, witness1);
+      for (let attempt = 1; attempt < 3; attempt++) {
+        await dropAndExpire(simulator, requestId);
+        await contract.markDecryptionFailed(requestId);
+        requestId = await retryDecryption(contract, witness1);
+      }
+      await dropAndExpire(simulator, requestId);
+      await contract.markDecryptionFailed(requestId);
+
+      await expect(contract.connect(witness1).retryEvidenceDecryption(1, 1)).to.be.revertedWith(
+        "Max decryption attempts reached"
+      );
+
+      const request = await contract.getDecryptionRequestInfo(requestId);
+      expect(request.attempt).to.equal(3);
+      expect(request.attemptHistory).to.have.lengthOf(3);
+    });
+
+    it("Should allow a refund once decryption is marked failed, and no retry after it", async function () {
+      const { contract, simulator, witness1 } = await deployWithEvidenceFixture();
+
+      const requestId = await requestDecryption(contract, witness1);
+      await dropAndExpire(simulator, requestId);
+      await contract.markDecryptionFailed(requestId);
+
+      await expect(contract.connect(witness1).requestEvidenceRefund(1, 1))
+        .to.emit(contract, "RefundIssued")
+        .withArgs(1, 1, witness1.address, STAKE);
+
+      await expect(contract.connect(witness1).retryEvidenceDecryption(1, 1)).to.be.revertedWith(
+        "Stake already refunded"
+      );
+    });
+  });
+
+  describe("Verdict Reveal", function () {
+    it("Should reveal the weighted outcome once the investigation is completed", async function () {
+      const { contract, contractAddress, simulator, admin, judge1, judge2 } = await deployWithEvidenceFixture();
+
+      // judge1 (weight 3) votes guilty, judge2 (weight 5) votes not guilty
+      for (const [judge, verdict] of [[judge1, 1], [judge2, 0]]) {
+        const input = await encryptVerdict(contractAddress, judge, verdict, 80);
+        await contract.connect(judge).submitJudicialVerdict(1, input.verdict, input.confidence, input.inputProof);
+      }
+
+      await contract.connect(admin).completeInvestigation(1);
+      const [result] = await simulator.poll();
+
+      expect(result.eventName).to.equal("VerdictRevealRequested");
+      expect(result.status).to.equal("fulfilled");
+
+      const outcome = await contract.getVerdictOutcome(1);
+      expect(outcome.revealed).to.be.true;
+      expect(outcome.outcome).to.equal(0); // Not guilty
+      expect(outcome.margin).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,20 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Deploy the court the way scripts/deploy.js does: the stake and view modules
+ * first, then the court that delegatecalls into them.
+ */
+async function deployCourt(signer) {
+  const modules = [];
+  for (const name of ["CourtStakeModule", "CourtViewModule"]) {
+    const module = await ethers.deployContract(name, signer);
+    await module.waitForDeployment();
+    modules.push(await module.getAddress());
+  }
+
+  const contract = await ethers.deployContract("AnonymousCourtInvestigation", modules, signer);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+module.exports = { deployCourt };
@@ -0,0 +1,64 @@
+const { fhevm } = require("hardhat");
+
+/**
+ * Client-side encryption helpers backed by the FHEVM hardhat mock.
+ * Each helper mirrors what the dApp does in the browser: every value is added
+ * to a single encrypted input bound to the contract and sender, so one proof
+ * covers all handles of a call.
+ */
+
+async function encryptEvidence(contractAddress, sender, evidenceType, confidentialityLevel) {
+  const { handles, inputProof } = await fhevm
+    .createEncryptedInput(contractAddress, sender.address)
+    .add8(evidenceType)
+    .add32(confidentialityLevel)
+    .encrypt();
+
+  return { evidenceType: handles[0], confidentialityLevel: handles[1], inputProof };
+}
+
+async function encryptWitnessTestimony(contractAddress, sender, credibilityScore, testimonyHash) {
+  const { handles, inputProof } = await fhevm
+    .createEncryptedInput(contractAddress, sender.address)
+    .add8(credibilityScore)
+    .add32(testimonyHash)
+    .encrypt();
+
+  return { credibilityScore: handles[0], testimonyHash: handles[1], inputProof };
+}
+
+async function encryptVerdict(contractAddress, sender, verdict, confidence) {
+  const { handles, inputProof } = await fhevm
+    .createEncryptedInput(contractAddress, sender.address)
+    .add8(verdict)
+    .add8(confidence)
+    .encrypt();
+
+  return { verdict: handles[0], confidence: handles[1], inputProof };
+}
+
+async function encryptJudgeWeight(contractAddress, sender, weight) {
+  const { handles, inputProof } = await fhevm
+    .createEncryptedInput(contractAddress, sender.address)
+    .add64(weight)
+    .encrypt();
+
+  return { weight: handles[0], inputProof };
+}
+
+async function encryptCustodyLocation(contractAddress, sender, location) {
+  const { handles, inputProof } = await fhevm
+    .createEncryptedInput(contractAddress, sender.address)
+    .add32(location)
+    .encrypt();
+
+  return { location: handles[0], inputProof };
+}
+
+module.exports = {
+  encryptEvidence,
+  encryptWitnessTestimony,
+  encryptVerdict,
+  encryptJudgeWeight,
+  encryptCustodyLocation,
+};